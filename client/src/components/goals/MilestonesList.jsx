@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import { Plus, Flag, Calendar, Trash2, Edit2, Check, X, Sparkles } from 'lucide-react';
+import { SuggestionCard } from './SuggestionCard';
 
 /**
  * MilestoneCard - Individual milestone card component
@@ -137,6 +138,8 @@ export function MilestoneCard({ milestone, isSelected, onSelect, onDelete, onUpd
 
 /**
  * MilestonesList - List of milestones for a selected goal
+ * `onSuggestMilestones(goalId, onChunk)` resolves with `{ suggestions, suggestionsError }`
+ * (see goalApi.suggestMilestones); accepted suggestions go through `onCreate`
  */
 export function MilestonesList({ 
   goal, 
@@ -153,6 +156,42 @@ export function MilestonesList({
   const [newTitle, setNewTitle] = useState('');
   const [newDescription, setNewDescription] = useState('');
   const [newTargetDate, setNewTargetDate] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [suggesting, setSuggesting] = useState(false);
+  const [suggestText, setSuggestText] = useState('');
+  const [suggestError, setSuggestError] = useState(null);
+
+  // Stream AI suggestions, then offer each one to accept, edit or reject
+  const handleSuggest = async () => {
+    if (suggesting) return;
+    setSuggesting(true);
+    setSuggestText('');
+    setSuggestError(null);
+    setSuggestions([]);
+
+    try {
+      const result = await onSuggestMilestones(goal.id, (chunk, fullContent) => setSuggestText(fullContent));
+      setSuggestions(result.suggestions.map((suggestion, index) => ({ ...suggestion, key: index })));
+      if (result.suggestionsError) setSuggestError(result.suggestionsError);
+    } catch (err) {
+      setSuggestError(err.message || 'Failed to get milestone suggestions');
+    } finally {
+      setSuggesting(false);
+    }
+  };
+
+  const removeSuggestion = (key) => {
+    setSuggestions((current) => current.filter((suggestion) => suggestion.key !== key));
+  };
+
+  const handleAcceptSuggestion = async (key, data) => {
+    try {
+      await onCreate(goal.id, data);
+      removeSuggestion(key);
+    } catch (err) {
+      setSuggestError(err.message || 'Failed to add milestone');
+    }
+  };
 
   const handleCreate = async (e) => {
     e.preventDefault();
@@ -190,8 +229,9 @@ export function MilestonesList({
         <div className="flex items-center gap-2">
           {onSuggestMilestones && (
             <button
-              onClick={() => onSuggestMilestones(goal.id)}
-              className="p-2 rounded-lg bg-blue-500/20 text-blue-400 hover:bg-blue-500/30 transition-colors"
+              onClick={handleSuggest}
+              disabled={suggesting}
+              className="p-2 rounded-lg bg-blue-500/20 text-blue-400 hover:bg-blue-500/30 transition-colors disabled:opacity-50"
               title="AI Suggest Milestones"
             >
               <Sparkles size={18} />
@@ -249,6 +289,30 @@ export function MilestonesList({
         </form>
       )}
 
+      {/* AI suggestions */}
+      {(suggesting || suggestError || suggestions.length > 0) && (
+        <div className="mb-4 space-y-2">
+          {suggesting && (
+            <div className="p-3 bg-white/5 rounded-xl border border-white/10 text-xs text-gray-400 whitespace-pre-line max-h-40 overflow-y-auto">
+              {suggestText || 'Thinking of milestones...'}
+            </div>
+          )}
+          {suggestError && (
+            <p className="text-xs text-red-400">{suggestError}</p>
+          )}
+          {suggestions.map((suggestion) => (
+            <SuggestionCard
+              key={suggestion.key}
+              suggestion={suggestion}
+              field="targetDate"
+              accent="blue"
+              onAccept={(data) => handleAcceptSuggestion(suggestion.key, data)}
+              onReject={() => removeSuggestion(suggestion.key)}
+            />
+          ))}
+        </div>
+      )}
+
       {/* Milestones List */}
       <div className="flex-1 overflow-y-auto space-y-2">
         {loading ? (
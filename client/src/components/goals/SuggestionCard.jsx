@@ -0,0 +1,149 @@
+import { useState } from 'react';
+import { Sparkles, Check, X, Edit2, Calendar, Clock } from 'lucide-react';
+
+const PRIORITY_STYLES = {
+  HIGH: 'text-red-400 bg-red-400/20',
+  MEDIUM: 'text-yellow-400 bg-yellow-400/20',
+  LOW: 'text-green-400 bg-green-400/20',
+};
+
+// Spelled out so Tailwind picks the classes up
+const ACCENTS = {
+  blue: {
+    card: 'border-blue-500/40 bg-blue-500/5',
+    icon: 'text-blue-400',
+    focus: 'focus:border-blue-500',
+    button: 'bg-blue-500 hover:bg-blue-600',
+  },
+  emerald: {
+    card: 'border-emerald-500/40 bg-emerald-500/5',
+    icon: 'text-emerald-400',
+    focus: 'focus:border-emerald-500',
+    button: 'bg-emerald-500 hover:bg-emerald-600',
+  },
+};
+
+/**
+ * SuggestionCard - An AI-suggested milestone or task the user can accept, edit or reject
+ * `field` picks the extra detail shown and edited: a target date for milestones,
+ * estimated minutes for tasks
+ */
+export function SuggestionCard({ suggestion, field, accent = 'blue', onAccept, onReject }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [draft, setDraft] = useState({
+    title: suggestion.title,
+    description: suggestion.description || '',
+    priority: suggestion.priority || 'MEDIUM',
+    targetDate: suggestion.targetDate || '',
+    estimatedMins: suggestion.estimatedMins ? String(suggestion.estimatedMins) : '',
+  });
+
+  const update = (key) => (e) => setDraft({ ...draft, [key]: e.target.value });
+
+  const handleAccept = async () => {
+    if (!draft.title.trim() || saving) return;
+    setSaving(true);
+    try {
+      await onAccept({
+        title: draft.title.trim(),
+        description: draft.description.trim() || null,
+        priority: draft.priority,
+        ...(field === 'targetDate'
+          ? { targetDate: draft.targetDate || null }
+          : { estimatedMins: draft.estimatedMins ? parseInt(draft.estimatedMins) : null }),
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const colors = ACCENTS[accent] || ACCENTS.blue;
+  const inputClass = `w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-sm placeholder-gray-500 focus:outline-none ${colors.focus}`;
+
+  return (
+    <div className={`p-3 rounded-xl border border-dashed ${colors.card}`}>
+      {isEditing ? (
+        <div className="space-y-2">
+          <input type="text" value={draft.title} onChange={update('title')} className={inputClass} autoFocus />
+          <textarea
+            value={draft.description}
+            onChange={update('description')}
+            placeholder="Description (optional)..."
+            className={`${inputClass} resize-none`}
+            rows={2}
+          />
+          <div className="flex gap-2">
+            {field === 'targetDate' ? (
+              <input type="date" value={draft.targetDate} onChange={update('targetDate')} className={`flex-1 ${inputClass}`} />
+            ) : (
+              <input
+                type="number"
+                value={draft.estimatedMins}
+                onChange={update('estimatedMins')}
+                placeholder="Est. mins"
+                className={`flex-1 ${inputClass}`}
+              />
+            )}
+            <select value={draft.priority} onChange={update('priority')} className={`flex-1 ${inputClass}`}>
+              <option value="HIGH">High</option>
+              <option value="MEDIUM">Medium</option>
+              <option value="LOW">Low</option>
+            </select>
+          </div>
+        </div>
+      ) : (
+        <div>
+          <div className="flex items-center gap-2">
+            <Sparkles size={14} className={`${colors.icon} flex-shrink-0`} />
+            <h3 className="text-sm font-medium text-white truncate">{draft.title}</h3>
+            <span className={`px-2 py-0.5 rounded text-xs ${PRIORITY_STYLES[draft.priority] || PRIORITY_STYLES.MEDIUM}`}>
+              {draft.priority}
+            </span>
+          </div>
+          {draft.description && <p className="mt-1 text-xs text-gray-400">{draft.description}</p>}
+          {field === 'targetDate' && draft.targetDate && (
+            <div className="mt-1 flex items-center gap-1 text-xs text-gray-400">
+              <Calendar size={12} />
+              <span>{new Date(draft.targetDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })}</span>
+            </div>
+          )}
+          {field === 'estimatedMins' && draft.estimatedMins && (
+            <div className="mt-1 flex items-center gap-1 text-xs text-gray-400">
+              <Clock size={12} />
+              <span>{draft.estimatedMins} min</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="mt-3 flex gap-2">
+        <button
+          onClick={handleAccept}
+          disabled={!draft.title.trim() || saving}
+          className={`flex-1 flex items-center justify-center gap-1 py-1.5 ${colors.button} text-white rounded-lg text-xs font-medium disabled:opacity-50 disabled:cursor-not-allowed transition-colors`}
+        >
+          <Check size={14} />
+          {saving ? 'Adding...' : 'Accept'}
+        </button>
+        <button
+          onClick={() => setIsEditing(!isEditing)}
+          className="px-3 py-1.5 bg-white/10 text-gray-300 rounded-lg text-xs hover:bg-white/20 transition-colors"
+          title={isEditing ? 'Done editing' : 'Edit suggestion'}
+        >
+          <Edit2 size={14} />
+        </button>
+        <button
+          onClick={onReject}
+          disabled={saving}
+          className="px-3 py-1.5 bg-white/10 text-gray-300 rounded-lg text-xs hover:text-red-400 hover:bg-white/20 transition-colors"
+          title="Reject suggestion"
+        >
+          <X size={14} />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SuggestionCard;
@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import { Plus, CheckSquare, Square, Clock, Trash2, Edit2, Check, X, Sparkles, AlertCircle } from 'lucide-react';
+import { SuggestionCard } from './SuggestionCard';
 
 /**
  * TaskItem - Individual task item component
@@ -144,6 +145,8 @@ export function TaskItem({ task, onToggle, onDelete, onUpdate }) {
 
 /**
  * TasksList - List of tasks for a selected milestone
+ * `onSuggestTasks(milestoneId, onChunk)` resolves with `{ suggestions, suggestionsError }`
+ * (see goalApi.suggestTasks); accepted suggestions go through `onCreate`
  */
 export function TasksList({ 
   milestone, 
@@ -159,6 +162,42 @@ export function TasksList({
   const [newTitle, setNewTitle] = useState('');
   const [newEstimatedMins, setNewEstimatedMins] = useState('');
   const [newPriority, setNewPriority] = useState('MEDIUM');
+  const [suggestions, setSuggestions] = useState([]);
+  const [suggesting, setSuggesting] = useState(false);
+  const [suggestText, setSuggestText] = useState('');
+  const [suggestError, setSuggestError] = useState(null);
+
+  // Stream AI suggestions, then offer each one to accept, edit or reject
+  const handleSuggest = async () => {
+    if (suggesting) return;
+    setSuggesting(true);
+    setSuggestText('');
+    setSuggestError(null);
+    setSuggestions([]);
+
+    try {
+      const result = await onSuggestTasks(milestone.id, (chunk, fullContent) => setSuggestText(fullContent));
+      setSuggestions(result.suggestions.map((suggestion, index) => ({ ...suggestion, key: index })));
+      if (result.suggestionsError) setSuggestError(result.suggestionsError);
+    } catch (err) {
+      setSuggestError(err.message || 'Failed to get task suggestions');
+    } finally {
+      setSuggesting(false);
+    }
+  };
+
+  const removeSuggestion = (key) => {
+    setSuggestions((current) => current.filter((suggestion) => suggestion.key !== key));
+  };
+
+  const handleAcceptSuggestion = async (key, data) => {
+    try {
+      await onCreate(milestone.id, data);
+      removeSuggestion(key);
+    } catch (err) {
+      setSuggestError(err.message || 'Failed to add task');
+    }
+  };
 
   const handleCreate = async (e) => {
     e.preventDefault();
@@ -200,8 +239,9 @@ export function TasksList({
         <div className="flex items-center gap-2">
           {onSuggestTasks && (
             <button
-              onClick={() => onSuggestTasks(milestone.id)}
-              className="p-2 rounded-lg bg-emerald-500/20 text-emerald-400 hover:bg-emerald-500/30 transition-colors"
+              onClick={handleSuggest}
+              disabled={suggesting}
+              className="p-2 rounded-lg bg-emerald-500/20 text-emerald-400 hover:bg-emerald-500/30 transition-colors disabled:opacity-50"
               title="AI Suggest Tasks"
             >
               <Sparkles size={18} />
@@ -264,6 +304,30 @@ export function TasksList({
         </form>
       )}
 
+      {/* AI suggestions */}
+      {(suggesting || suggestError || suggestions.length > 0) && (
+        <div className="mb-4 space-y-2">
+          {suggesting && (
+            <div className="p-3 bg-white/5 rounded-xl border border-white/10 text-xs text-gray-400 whitespace-pre-line max-h-40 overflow-y-auto">
+              {suggestText || 'Thinking of tasks...'}
+            </div>
+          )}
+          {suggestError && (
+            <p className="text-xs text-red-400">{suggestError}</p>
+          )}
+          {suggestions.map((suggestion) => (
+            <SuggestionCard
+              key={suggestion.key}
+              suggestion={suggestion}
+              field="estimatedMins"
+              accent="emerald"
+              onAccept={(data) => handleAcceptSuggestion(suggestion.key, data)}
+              onReject={() => removeSuggestion(suggestion.key)}
+            />
+          ))}
+        </div>
+      )}
+
       {/* Tasks List */}
       <div className="flex-1 overflow-y-auto space-y-2">
         {loading ? (
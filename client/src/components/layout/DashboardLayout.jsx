@@ -1,14 +1,30 @@
-import React, { useState, useRef, useCallback, useMemo } from 'react'
-import { Link, useLocation, Outlet } from 'react-router-dom'
+import React, { useState, useRef, useCallback, useMemo, useEffect } from 'react'
+import { Link, useLocation, useNavigate, Outlet } from 'react-router-dom'
 import Logo from '../UI/Logo'
+import { useAuthStore } from '../../store/authStore'
 
 const DashboardLayout = () => {
   const location = useLocation()
+  const navigate = useNavigate()
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false)
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false)
   const mainContentRef = useRef(null)
-  const user = JSON.parse(localStorage.getItem('user') || '{"name": "Alex Rivera"}')
-  const userName = user.name || 'Alex Rivera'
+  const { user, fetchMe, logout } = useAuthStore()
+  const userName = user?.name || ''
+
+  // Validate the session on entry; an expired session redirects to /login
+  useEffect(() => {
+    fetchMe().catch((err) => console.error('Error fetching current user:', err))
+  }, [fetchMe])
+
+  const handleLogout = useCallback(async () => {
+    try {
+      await logout()
+    } catch (err) {
+      console.error('Error logging out:', err)
+    }
+    navigate('/login')
+  }, [logout, navigate])
 
   const handleLogoClick = useCallback(() => {
     if (mainContentRef.current) {
@@ -80,7 +96,14 @@ const DashboardLayout = () => {
         </svg>
       )
     },
-  ], [])
+    {
+      label: 'Log Out', onClick: handleLogout, icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+        </svg>
+      )
+    },
+  ], [handleLogout])
 
   const SidebarContent = () => (
     <>
@@ -131,6 +154,7 @@ const DashboardLayout = () => {
         {bottomLinks.map((link) => (
           <button
             key={link.label}
+            onClick={link.onClick}
             title={sidebarCollapsed ? link.label : undefined}
             className={`flex items-center gap-3 rounded-xl text-sm font-medium text-gray-500 hover:text-gray-700 hover:bg-gray-50 transition-all duration-200 w-full group relative ${sidebarCollapsed ? 'px-2.5 py-2.5 justify-center' : 'px-3 py-2.5'
               }`}
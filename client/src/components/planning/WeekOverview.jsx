@@ -0,0 +1,65 @@
+import { useState, useEffect } from 'react';
+import { dailyPlanApi } from '../../services/api';
+import { formatDateKey } from '../../utils/dates';
+
+const formatDay = (dateKey) => formatDateKey(dateKey, { weekday: 'short', month: 'short', day: 'numeric' });
+
+const totalHours = (tasks) =>
+  (tasks.reduce((sum, task) => sum + (task.estimatedMins || 0), 0) / 60).toFixed(1);
+
+/**
+ * WeekOverview - The days of a multi-day plan, with the draft from this session
+ * next to what is already saved for each day (from /daily-plan/upcoming)
+ * `refreshKey` refetches the saved plans, e.g. after saving
+ */
+export function WeekOverview({ dates, drafts, selectedDate, onSelect, refreshKey }) {
+  const [savedPlans, setSavedPlans] = useState({});
+
+  useEffect(() => {
+    if (dates.length === 0) return;
+    let cancelled = false;
+
+    dailyPlanApi.getUpcomingPlans(dates.length, dates[0])
+      .then((plans) => {
+        if (cancelled) return;
+        setSavedPlans(Object.fromEntries(plans.map((plan) => [plan.date.slice(0, 10), plan.tasks])));
+      })
+      .catch((err) => console.error('Error fetching upcoming plans:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [dates, refreshKey]);
+
+  return (
+    <ul className="space-y-1.5 mb-6" role="list" aria-label="Planned days">
+      {dates.map((date) => {
+        const draft = drafts[date] || [];
+        const saved = savedPlans[date] || [];
+        const isSelected = date === selectedDate;
+
+        return (
+          <li key={date}>
+            <button
+              onClick={() => onSelect(date)}
+              className={`w-full flex items-center justify-between px-3 py-2 rounded-xl border text-left transition-colors ${
+                isSelected ? 'border-indigo-200 bg-indigo-50' : 'border-gray-100 bg-gray-50 hover:border-gray-200'
+              }`}
+            >
+              <span className={`text-sm font-medium ${isSelected ? 'text-indigo-700' : 'text-gray-700'}`}>{formatDay(date)}</span>
+              <span className="text-[11px] text-gray-400">
+                {draft.length > 0
+                  ? `${draft.length} blocks · ${totalHours(draft)}h`
+                  : saved.length > 0
+                    ? `Saved: ${saved.length} blocks · ${totalHours(saved)}h`
+                    : 'Not planned'}
+              </span>
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default WeekOverview;
@@ -1,174 +1,123 @@
-import React, { useState, useMemo } from 'react'
+import React, { useState, useEffect, useMemo } from 'react'
+import { analyticsApi } from '../services/api'
+
+const RANGE_COPY = {
+  daily: { chartTitle: 'Hourly Activity', chartSubtitle: 'Completed tasks by hour today', streakLabel: 'CURRENT STREAK' },
+  weekly: { chartTitle: 'Activity Trends', chartSubtitle: 'Completed tasks vs. Previous period', streakLabel: 'CURRENT STREAK' },
+  monthly: { chartTitle: 'Monthly Overview', chartSubtitle: 'Completed tasks by week', streakLabel: 'LONGEST STREAK' },
+}
+
+const BURNOUT_COPY = {
+  Low: 'Good balance of rest and work',
+  Medium: 'Long or late focus sessions are adding up',
+  High: 'Sustained high intensity - plan some rest',
+}
+
+const EFFORT_COLORS = ['bg-indigo-500', 'bg-orange-400', 'bg-purple-500', 'bg-rose-400', 'bg-gray-400']
+
+// Shown while the first response is loading
+const EMPTY_ANALYTICS = {
+  scores: {
+    productivity: { value: 0, change: 0 },
+    credibility: { value: 0, change: 0 },
+    burnout: { level: 'Low', score: 0, change: 0 },
+  },
+  activity: { labels: [], current: [], previous: [] },
+  effort: [],
+  stats: { focusMinutes: 0, tasksCompleted: 0, currentStreak: 0, longestStreak: 0, goalsCompleted: 0, goalsTotal: 0 },
+}
+
+const formatChange = (change) => `${change > 0 ? '+' : ''}${change} pts`
+
+const formatDays = (days) => `${days} day${days === 1 ? '' : 's'}`
+
+// Round the chart's top value up to a multiple of 4 so the axis ticks stay whole numbers
+const chartMax = (values) => Math.max(4, Math.ceil(Math.max(0, ...values) / 4) * 4)
+
+/**
+ * Map the /analytics response onto the cards, chart and stats rendered below
+ */
+const toViewData = (range, analytics) => {
+  const { scores, activity, effort, stats } = analytics || EMPTY_ANALYTICS
+  const copy = RANGE_COPY[range]
+  const streak = range === 'monthly' ? stats.longestStreak : stats.currentStreak
+  const labels = activity.labels.length ? activity.labels : ['', '']
+  const current = activity.current.length ? activity.current : [0, 0]
+  const previous = activity.previous.length ? activity.previous : [0, 0]
+
+  return {
+    scoreCards: [
+      {
+        label: 'PRODUCTIVITY SCORE',
+        value: String(scores.productivity.value),
+        change: formatChange(scores.productivity.change),
+        positive: scores.productivity.change >= 0,
+        desc: 'Planned blocks completed and planned time actually focused',
+      },
+      {
+        label: 'CREDIBILITY SCORE',
+        value: `${scores.credibility.value}%`,
+        change: formatChange(scores.credibility.change),
+        positive: scores.credibility.change >= 0,
+        desc: 'Measures how often you complete planned tasks',
+      },
+      {
+        label: 'BURNOUT RISK',
+        value: scores.burnout.level,
+        change: formatChange(scores.burnout.change),
+        positive: scores.burnout.change <= 0,
+        desc: BURNOUT_COPY[scores.burnout.level],
+      },
+    ],
+    chartData: {
+      labels,
+      current,
+      previous,
+      maxVal: chartMax([...current, ...previous]),
+    },
+    effortData: effort.map((item, i) => ({ label: item.label, pct: item.pct, color: EFFORT_COLORS[i] })),
+    effortLegend: effort.map((item, i) => ({ label: item.label, pct: `${item.pct}%`, color: EFFORT_COLORS[i] })),
+    bottomStats: [
+      { icon: '⏱️', label: 'FOCUS TIME', value: `${Math.round(stats.focusMinutes / 6) / 10}h` },
+      { icon: '✅', label: 'TASKS DONE', value: String(stats.tasksCompleted) },
+      { icon: '🔥', label: copy.streakLabel, value: formatDays(streak) },
+      { icon: '🎯', label: 'GOALS MET', value: `${stats.goalsCompleted}/${stats.goalsTotal}` },
+    ],
+    chartTitle: copy.chartTitle,
+    chartSubtitle: copy.chartSubtitle,
+  }
+}
 
 const Analytics = () => {
   const [activeRange, setActiveRange] = useState('weekly')
+  const [analytics, setAnalytics] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
 
   const ranges = ['daily', 'weekly', 'monthly']
 
-  const getDataForRange = (range) => {
-    switch (range) {
-      case 'daily':
-        return {
-          scoreCards: [
-            {
-              label: 'PRODUCTIVITY SCORE',
-              value: '92',
-              change: '+12%',
-              positive: true,
-              desc: 'Based on task complexity and completion speed',
-            },
-            {
-              label: 'CREDIBILITY SCORE',
-              value: '100%',
-              change: '+5%',
-              positive: true,
-              desc: 'Measures how often you complete planned tasks',
-            },
-            {
-              label: 'BURNOUT RISK',
-              value: 'Low',
-              change: '-8%',
-              positive: true,
-              desc: 'Good balance of rest and work today',
-            },
-          ],
-          chartData: {
-            labels: ['6AM', '8AM', '10AM', '12PM', '2PM', '4PM', '6PM', '8PM'],
-            current: [2, 4, 6, 3, 5, 4, 2, 1],
-            previous: [1, 3, 4, 2, 3, 2, 1, 0],
-            maxVal: 8,
-          },
-          effortData: [
-            { label: 'Work', pct: 55, color: 'bg-indigo-500' },
-            { label: 'Health', pct: 15, color: 'bg-orange-400' },
-            { label: 'Learning', pct: 20, color: 'bg-purple-500' },
-            { label: 'Social', pct: 10, color: 'bg-rose-400' },
-          ],
-          effortLegend: [
-            { label: 'Work', pct: '55%', color: 'bg-indigo-600' },
-            { label: 'Health', pct: '15%', color: 'bg-orange-400' },
-            { label: 'Learning', pct: '20%', color: 'bg-purple-500' },
-            { label: 'Social', pct: '10%', color: 'bg-rose-400' },
-          ],
-          bottomStats: [
-            { icon: '⏱️', label: 'FOCUS TIME', value: '4.5h' },
-            { icon: '✅', label: 'TASKS DONE', value: '12' },
-            { icon: '🔥', label: 'CURRENT STREAK', value: '3 days' },
-            { icon: '🎯', label: 'GOALS MET', value: '2/3' },
-          ],
-          chartTitle: 'Hourly Activity',
-          chartSubtitle: 'Completed tasks by hour today',
-        }
-      case 'weekly':
-        return {
-          scoreCards: [
-            {
-              label: 'PRODUCTIVITY SCORE',
-              value: '88',
-              change: '+8%',
-              positive: true,
-              desc: 'Based on task complexity and completion speed',
-            },
-            {
-              label: 'CREDIBILITY SCORE',
-              value: '94%',
-              change: '+2.4%',
-              positive: true,
-              desc: 'Measures how often you complete planned tasks',
-            },
-            {
-              label: 'BURNOUT RISK',
-              value: 'Medium',
-              change: '~12%',
-              positive: false,
-              desc: 'High intensity detected in evening blocks',
-            },
-          ],
-          chartData: {
-            labels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
-            current: [10, 14, 18, 22, 20, 14, 8],
-            previous: [8, 12, 15, 14, 16, 12, 10],
-            maxVal: 28,
-          },
-          effortData: [
-            { label: 'Work', pct: 45, color: 'bg-indigo-500' },
-            { label: 'Health', pct: 20, color: 'bg-orange-400' },
-            { label: 'Learning', pct: 25, color: 'bg-purple-500' },
-            { label: 'Social', pct: 10, color: 'bg-rose-400' },
-          ],
-          effortLegend: [
-            { label: 'Work', pct: '45%', color: 'bg-indigo-600' },
-            { label: 'Health', pct: '20%', color: 'bg-orange-400' },
-            { label: 'Learning', pct: '25%', color: 'bg-purple-500' },
-            { label: 'Social', pct: '10%', color: 'bg-rose-400' },
-          ],
-          bottomStats: [
-            { icon: '⏱️', label: 'FOCUS TIME', value: '32.5h' },
-            { icon: '✅', label: 'TASKS DONE', value: '142' },
-            { icon: '🔥', label: 'AVG. STREAK', value: '8 days' },
-            { icon: '🎯', label: 'GOALS MET', value: '4/5' },
-          ],
-          chartTitle: 'Activity Trends',
-          chartSubtitle: 'Completed tasks vs. Previous period',
+  useEffect(() => {
+    let cancelled = false
+    const fetchAnalytics = async () => {
+      setLoading(true)
+      try {
+        const data = await analyticsApi.get(activeRange)
+        if (!cancelled) {
+          setAnalytics(data)
+          setError(null)
         }
-      case 'monthly':
-        return {
-          scoreCards: [
-            {
-              label: 'PRODUCTIVITY SCORE',
-              value: '76',
-              change: '-3%',
-              positive: false,
-              desc: 'Based on task complexity and completion speed',
-            },
-            {
-              label: 'CREDIBILITY SCORE',
-              value: '82%',
-              change: '-5%',
-              positive: false,
-              desc: 'Measures how often you complete planned tasks',
-            },
-            {
-              label: 'BURNOUT RISK',
-              value: 'High',
-              change: '+15%',
-              positive: false,
-              desc: 'Sustained high intensity over the month',
-            },
-          ],
-          chartData: {
-            labels: ['Week 1', 'Week 2', 'Week 3', 'Week 4'],
-            current: [45, 52, 38, 48],
-            previous: [40, 48, 42, 35],
-            maxVal: 60,
-          },
-          effortData: [
-            { label: 'Work', pct: 50, color: 'bg-indigo-500' },
-            { label: 'Health', pct: 15, color: 'bg-orange-400' },
-            { label: 'Learning', pct: 20, color: 'bg-purple-500' },
-            { label: 'Social', pct: 15, color: 'bg-rose-400' },
-          ],
-          effortLegend: [
-            { label: 'Work', pct: '50%', color: 'bg-indigo-600' },
-            { label: 'Health', pct: '15%', color: 'bg-orange-400' },
-            { label: 'Learning', pct: '20%', color: 'bg-purple-500' },
-            { label: 'Social', pct: '15%', color: 'bg-rose-400' },
-          ],
-          bottomStats: [
-            { icon: '⏱️', label: 'FOCUS TIME', value: '156h' },
-            { icon: '✅', label: 'TASKS DONE', value: '624' },
-            { icon: '🔥', label: 'LONGEST STREAK', value: '14 days' },
-            { icon: '🎯', label: 'GOALS MET', value: '3/5' },
-          ],
-          chartTitle: 'Monthly Overview',
-          chartSubtitle: 'Completed tasks by week',
-        }
-      default:
-        return {}
+      } catch (err) {
+        console.error('Error fetching analytics:', err)
+        if (!cancelled) setError(err.message)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
     }
-  }
+    fetchAnalytics()
+    return () => { cancelled = true }
+  }, [activeRange])
 
-  const data = useMemo(() => getDataForRange(activeRange), [activeRange])
+  const data = useMemo(() => toViewData(activeRange, analytics), [activeRange, analytics])
   const { scoreCards, chartData, effortData, effortLegend, bottomStats, chartTitle, chartSubtitle } = data
 
   const iconMap = {
@@ -245,6 +194,11 @@ const Analytics = () => {
         <div>
           <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Performance Analytics</h1>
           <p className="text-xs sm:text-sm text-gray-500 mt-0.5">Deep insights into your productivity, focus, and well-being.</p>
+          {error ? (
+            <p className="text-xs text-red-500 mt-1" role="alert">Couldn't load analytics: {error}</p>
+          ) : loading && (
+            <p className="text-xs text-gray-400 mt-1">Loading analytics...</p>
+          )}
         </div>
         <div className="flex items-center gap-2">
           <div className="flex bg-gray-100 rounded-lg p-0.5" role="tablist" aria-label="Time range">
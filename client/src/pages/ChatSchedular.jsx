@@ -1,12 +1,52 @@
-import React, { useState, useRef, useEffect } from 'react'
-import { planningApi, goalApi, dailyPlanApi } from '../services/api'
+import React, { useState, useRef, useEffect, useMemo } from 'react'
+import { planningApi, goalApi, dailyPlanApi, conversationApi, calendarApi } from '../services/api'
 import { MarkdownMessage } from '../components/UI/AIChat'
+import { WeekOverview } from '../components/planning/WeekOverview'
+import { useAuthStore } from '../store/authStore'
+import { todayKey, addDays, datesBetween, weekdayOf, formatDateKey } from '../utils/dates'
+
+// Preset ranges a planning session can cover, as { start, end } date keys in the user's time zone
+const PLAN_RANGES = {
+  tomorrow: {
+    label: 'Tomorrow',
+    range: (timeZone) => {
+      const tomorrow = addDays(todayKey(timeZone), 1)
+      return { start: tomorrow, end: tomorrow }
+    },
+  },
+  nextWeek: {
+    label: 'Next week (Mon-Fri)',
+    range: (timeZone) => {
+      const today = todayKey(timeZone)
+      const monday = addDays(today, ((8 - weekdayOf(today)) % 7) || 7)
+      return { start: monday, end: addDays(monday, 4) }
+    },
+  },
+}
+
+// Most days one session can plan (matches the server)
+const MAX_PLAN_DAYS = 14
+
+const formatDay = (dateKey, options = { weekday: 'long', month: 'short', day: 'numeric' }) =>
+  formatDateKey(dateKey, options)
+
+// Working day used by the auto-scheduler
+const AUTO_SCHEDULE_OPTIONS = {
+  workStart: '09:00',
+  workEnd: '17:00',
+  breaks: [{ title: 'Lunch', startTime: '12:00', endTime: '13:00' }],
+  bufferMins: 5,
+}
 
 const ChatSchedular = () => {
+  const timeZone = useAuthStore((state) => state.user?.timezone)
   const [messages, setMessages] = useState([])
   const [input, setInput] = useState('')
   const [isTyping, setIsTyping] = useState(false)
-  const [scheduledTasks, setScheduledTasks] = useState([])
+  const [planRange, setPlanRange] = useState(() => PLAN_RANGES.tomorrow.range(timeZone))
+  const [scheduledDays, setScheduledDays] = useState([]) // [{ date, tasks }]
+  const [selectedDate, setSelectedDate] = useState(null)
+  const [savedVersion, setSavedVersion] = useState(0)
   const [isInitialized, setIsInitialized] = useState(false)
   const [error, setError] = useState(null)
   const [totalWorkHours, setTotalWorkHours] = useState(0)
@@ -16,10 +56,40 @@ const ChatSchedular = () => {
   const [goals, setGoals] = useState([])
   const [loadingGoals, setLoadingGoals] = useState(true)
   const [saving, setSaving] = useState(false)
+  const [autoScheduling, setAutoScheduling] = useState(false)
   const [saveStatus, setSaveStatus] = useState(null) // { type: 'success' | 'error', message: string }
+  const [conversationId, setConversationId] = useState(null)
+  const [calendarEvents, setCalendarEvents] = useState([]) // imported fixed events on the planned days
+  const [calendarVersion, setCalendarVersion] = useState(0)
+  const [importingCalendar, setImportingCalendar] = useState(false)
+
+  const planDates = useMemo(() => datesBetween(planRange.start, planRange.end), [planRange])
+  const isMultiDay = planDates.length > 1
+  const activeDate = selectedDate && planDates.includes(selectedDate) ? selectedDate : planDates[0]
+  const scheduledTasks = scheduledDays.find(day => day.date === activeDate)?.tasks || []
+  // The day's blocks and fixed events in one timeline: all-day events first, then by start time
+  const timeline = [
+    ...calendarEvents
+      .filter(event => event.date.slice(0, 10) === activeDate)
+      .map(event => ({ event, sortKey: event.allDay ? '' : event.startTime })),
+    ...scheduledTasks.map(task => ({ task, sortKey: task.startTime || '~' }))
+  ].sort((a, b) => a.sortKey.localeCompare(b.sortKey))
+  const allScheduledTasks = scheduledDays.flatMap(day => day.tasks)
+  const tomorrowKey = addDays(todayKey(timeZone), 1)
+  const planLabel = isMultiDay
+    ? `${formatDay(planRange.start, { month: 'short', day: 'numeric' })} - ${formatDay(planRange.end, { month: 'short', day: 'numeric' })}`
+    : planRange.start === tomorrowKey ? 'tomorrow' : formatDay(planRange.start)
+
+  // planDate/planEndDate of the planning conversation for the chosen range
+  const conversationDates = {
+    planDate: planRange.start,
+    planEndDate: isMultiDay ? planRange.end : undefined,
+  }
+
   const messagesEndRef = useRef(null)
   const inputRef = useRef(null)
   const saveStatusTimerRef = useRef(null)
+  const calendarInputRef = useRef(null)
 
   // Fetch goals from API on mount
   useEffect(() => {
@@ -47,10 +117,40 @@ const ChatSchedular = () => {
     fetchGoals()
   }, [])
 
+  // Resume the latest planning session for the chosen days
+  useEffect(() => {
+    const resumeConversation = async () => {
+      try {
+        const conversations = await conversationApi.list({
+          kind: 'DAILY_PLANNING',
+          planDate: planRange.start,
+          planEndDate: planRange.end !== planRange.start ? planRange.end : undefined,
+        })
+        const latest = conversations.find(c => c.messageCount > 0)
+        if (!latest) return
+
+        const conversation = await conversationApi.get(latest.id)
+        setConversationId(conversation.id)
+        setMessages(conversation.messages.map(m => ({ role: m.role, content: m.content })))
+        setIsInitialized(true)
+      } catch (err) {
+        console.error('Error resuming planning session:', err)
+      }
+    }
+    resumeConversation()
+  }, [planRange])
+
+  // Fixed events on the planned days, shown alongside the blocks
+  useEffect(() => {
+    calendarApi.getEvents(planRange.start, planRange.end)
+      .then(setCalendarEvents)
+      .catch(err => console.error('Error fetching calendar events:', err))
+  }, [planRange, calendarVersion])
+
   const quickActions = [
     "I want to focus on high priority tasks",
     "Give me more time for deep work",
-    "I need a lighter schedule tomorrow",
+    "I need a lighter schedule",
     "Add a longer lunch break",
     "Finalize the schedule"
   ]
@@ -95,12 +195,14 @@ const ChatSchedular = () => {
     }
 
     try {
+      const conversation = await conversationApi.create({ kind: 'DAILY_PLANNING', ...conversationDates })
+      setConversationId(conversation.id)
+
       const response = await planningApi.suggest(
         {
+          conversationId: conversation.id,
           goals,
-          existingTasks: [],
           userPreferences: null,
-          conversationHistory: [],
           enableThinking: thinkingMode
         },
         // Streaming callback
@@ -134,13 +236,20 @@ const ChatSchedular = () => {
     }
   }
 
+  // The session's conversation, started on first use if the chat began without one
+  const ensureConversation = async () => {
+    if (conversationId) return conversationId
+    const conversation = await conversationApi.create({ kind: 'DAILY_PLANNING', ...conversationDates })
+    setConversationId(conversation.id)
+    return conversation.id
+  }
+
   const handleSend = async (text) => {
     const messageText = text || input.trim()
     if (!messageText || isTyping) return
 
+    // Error messages only live here; the server keeps the real history
     const newMessages = [...messages, { role: 'user', content: messageText }]
-    // Filter out error messages - LLMs only accept system/user/assistant roles
-    const validHistory = newMessages.filter(m => m.role !== 'error')
     setMessages(newMessages)
     setInput('')
     setIsTyping(true)
@@ -148,6 +257,8 @@ const ChatSchedular = () => {
     setStreamingContent('')
 
     try {
+      const activeConversationId = await ensureConversation()
+
       // Check if user wants to finalize the schedule
       const lowerMessage = messageText.toLowerCase().trim()
       const finalizePatterns = [
@@ -164,16 +275,18 @@ const ChatSchedular = () => {
 
       if (isFinalize && messages.length >= 2) {
         // Try to extract the schedule (non-streaming JSON endpoint)
-        const response = await planningApi.finalize({ conversationHistory: validHistory })
+        const response = await planningApi.finalize({ conversationId: activeConversationId, userMessage: messageText })
         
-        if (response.schedule && response.schedule.length > 0) {
-          setScheduledTasks(response.schedule)
-          calculateStats(response.schedule)
+        if (response.days && response.days.length > 0) {
+          const days = response.days.map(day => ({ date: day.date, tasks: day.schedule }))
+          setScheduledDays(days)
+          setSelectedDate(days[0].date)
+          calculateStats(days.flatMap(day => day.tasks))
           setMessages([
             ...newMessages,
             {
               role: 'assistant',
-              content: "I've finalized your schedule for tomorrow. You can see all tasks in the Daily View panel on the right. Feel free to ask me to make any adjustments, or click 'Confirm & Sync to Calendar' when you're ready!"
+              content: `I've finalized your schedule for ${planLabel}. You can see all tasks in the Daily View panel on the right. Feel free to ask me to make any adjustments, or click 'Confirm & Save' when you're ready!`
             }
           ])
         } else {
@@ -181,7 +294,7 @@ const ChatSchedular = () => {
         }
       } else {
         // Check if this is a tweak request
-        const isTweak = scheduledTasks.length > 0 && (
+        const isTweak = allScheduledTasks.length > 0 && (
           messageText.toLowerCase().includes('more time') ||
           messageText.toLowerCase().includes('less time') ||
           messageText.toLowerCase().includes('change') ||
@@ -200,9 +313,9 @@ const ChatSchedular = () => {
         if (isTweak) {
           response = await planningApi.tweak(
             {
-              currentPlan: scheduledTasks,
+              conversationId: activeConversationId,
+              currentPlan: isMultiDay ? scheduledDays : scheduledTasks,
               userRequest: messageText,
-              conversationHistory: validHistory.slice(-4), // Last few messages for context
               enableThinking: thinkingMode
             },
             onChunk
@@ -210,10 +323,9 @@ const ChatSchedular = () => {
         } else {
           response = await planningApi.suggest(
             {
+              conversationId: activeConversationId,
               goals,
-              existingTasks: scheduledTasks,
-              userPreferences: messageText,
-              conversationHistory: validHistory,
+              userMessage: messageText,
               enableThinking: thinkingMode
             },
             onChunk
@@ -259,24 +371,113 @@ const ChatSchedular = () => {
     }
   }
 
-  const formatDate = () => {
-    const tomorrow = new Date()
-    tomorrow.setDate(tomorrow.getDate() + 1)
-    return tomorrow.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })
+  const formatDate = () => (isMultiDay
+    ? `${formatDay(planRange.start)} - ${formatDay(planRange.end)}`
+    : formatDay(planRange.start))
+
+  // Pick the days to plan; only before a session has started
+  const choosePlanRange = (start, end) => {
+    if (!start || !end || end < start || datesBetween(start, end).length > MAX_PLAN_DAYS) return
+    setPlanRange({ start, end })
+    setScheduledDays([])
+    setSelectedDate(null)
   }
 
+  // Start a new session; the previous one stays saved
   const resetChat = () => {
+    setConversationId(null)
     setMessages([])
-    setScheduledTasks([])
+    setScheduledDays([])
+    setSelectedDate(null)
     setIsInitialized(false)
     setTotalWorkHours(0)
     setFocusBlocks(0)
   }
 
+  // Fill the day from pending tasks without the AI
+  const handleAutoSchedule = async () => {
+    if (autoScheduling) return
+
+    setAutoScheduling(true)
+    try {
+      const { tasks, unscheduled } = await planningApi.autoSchedule({ date: activeDate, ...AUTO_SCHEDULE_OPTIONS })
+
+      if (tasks.every(task => !task.taskId)) {
+        showSaveStatus('error', 'No pending tasks to schedule.')
+        return
+      }
+
+      const days = [...scheduledDays.filter(day => day.date !== activeDate), { date: activeDate, tasks }]
+        .sort((a, b) => (a.date < b.date ? -1 : 1))
+      setScheduledDays(days)
+      calculateStats(days.flatMap(day => day.tasks))
+
+      if (unscheduled.length > 0) {
+        const titles = unscheduled.map(task => `${task.title} (${task.reason})`).join(', ')
+        showSaveStatus('error', `Couldn't fit ${unscheduled.length} task${unscheduled.length === 1 ? '' : 's'}: ${titles}`)
+      } else {
+        showSaveStatus('success', 'All pending tasks scheduled. Review, then confirm to save.')
+      }
+    } catch (err) {
+      console.error('Error auto-scheduling:', err)
+      showSaveStatus('error', `Auto-schedule failed: ${err.message}`)
+    } finally {
+      setAutoScheduling(false)
+    }
+  }
+
+  const handleCalendarImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file || importingCalendar) return
+
+    setImportingCalendar(true)
+    try {
+      const { imported, skipped } = await calendarApi.importIcs(await file.text())
+      setCalendarVersion(version => version + 1)
+      showSaveStatus('success', skipped.length > 0
+        ? `Imported ${imported} event${imported === 1 ? '' : 's'}; skipped ${skipped.length} (${skipped.map(event => event.title).join(', ')}).`
+        : `Imported ${imported} event${imported === 1 ? '' : 's'}. Your plans will work around them.`)
+    } catch (err) {
+      console.error('Error importing calendar:', err)
+      showSaveStatus('error', `Calendar import failed: ${err.message}`)
+    } finally {
+      setImportingCalendar(false)
+    }
+  }
+
+  const handleExportCalendar = async () => {
+    try {
+      const blob = await dailyPlanApi.exportIcs(planRange.start, planRange.end)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `momentum-${planRange.start}-to-${planRange.end}.ics`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      console.error('Error exporting plans:', err)
+      showSaveStatus('error', `Export failed: ${err.message}`)
+    }
+  }
+
+  // A new feed URL replaces the old one, so it's only shown (and copied) once
+  const handleSubscribe = async () => {
+    try {
+      const { url } = await dailyPlanApi.createFeed()
+      await navigator.clipboard?.writeText(url).catch(() => {})
+      showSaveStatus('success', `Calendar feed URL copied. Add it to your calendar app as a subscription: ${url}`)
+    } catch (err) {
+      console.error('Error creating calendar feed:', err)
+      showSaveStatus('error', `Couldn't create a calendar feed: ${err.message}`)
+    }
+  }
+
   const handleConfirmAndSave = async () => {
     if (saving) return
 
-    if (scheduledTasks.length === 0) {
+    const daysToSave = scheduledDays.filter(day => day.tasks.length > 0)
+    if (daysToSave.length === 0) {
       showSaveStatus('error', 'No tasks to save. Create a schedule first.')
       return
     }
@@ -285,22 +486,26 @@ const ChatSchedular = () => {
     setSaveStatus(null)
 
     try {
-      const tomorrow = new Date()
-      tomorrow.setDate(tomorrow.getDate() + 1)
-      tomorrow.setHours(0, 0, 0, 0)
-      
-      const tasksToSave = scheduledTasks.map(task => ({
-        title: task.title,
-        description: task.description || null,
-        estimatedMins: task.estimatedMins || null,
-        startTime: task.startTime || null,
-        endTime: task.endTime || null,
-        status: 'PENDING'
-      }))
-
-      await dailyPlanApi.saveDailyPlan(tomorrow.toISOString().split('T')[0], tasksToSave)
-      
-      showSaveStatus('success', 'Daily plan saved! View it in Focus Mode tomorrow.')
+      // One daily plan per day
+      for (const day of daysToSave) {
+        const tasksToSave = day.tasks.map(task => ({
+          title: task.title,
+          description: task.description || null,
+          estimatedMins: task.estimatedMins || null,
+          startTime: task.startTime || null,
+          endTime: task.endTime || null,
+          status: 'PENDING',
+          taskId: task.taskId || null,
+          milestoneId: task.milestoneId || null
+        }))
+
+        await dailyPlanApi.saveDailyPlan(day.date, tasksToSave)
+      }
+
+      setSavedVersion(version => version + 1)
+      showSaveStatus('success', daysToSave.length > 1
+        ? `${daysToSave.length} daily plans saved! Each one shows up in Focus Mode on its day.`
+        : `Daily plan saved! View it in Focus Mode on ${formatDay(daysToSave[0].date)}.`)
     } catch (err) {
       console.error('Error saving daily plan:', err)
       showSaveStatus('error', `Failed to save: ${err.message}. Please try again.`)
@@ -362,9 +567,9 @@ const ChatSchedular = () => {
               <svg className="w-4 h-4 sm:w-5 sm:h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
               </svg>
-              {scheduledTasks.length > 0 && (
+              {allScheduledTasks.length > 0 && (
                 <span className="absolute -top-0.5 -right-0.5 w-4 h-4 bg-indigo-500 text-white text-[9px] font-bold rounded-full flex items-center justify-center">
-                  {scheduledTasks.length}
+                  {allScheduledTasks.length}
                 </span>
               )}
             </button>
@@ -404,9 +609,47 @@ const ChatSchedular = () => {
                   ? 'Loading your goals...'
                   : goals.length === 0
                     ? "You don't have any goals yet. Head to the Goals page to create some, then come back to plan your day."
-                    : `You have ${goals.length} goal${goals.length === 1 ? '' : 's'} with active milestones. Start a planning session and the AI will help you build a schedule for tomorrow.`
+                    : `You have ${goals.length} goal${goals.length === 1 ? '' : 's'} with active milestones. Start a planning session and the AI will help you build a schedule for ${planLabel}.`
                 }
               </p>
+              {/* Days to plan */}
+              <div className="flex flex-wrap items-center justify-center gap-2 mb-5" role="group" aria-label="Days to plan">
+                {Object.entries(PLAN_RANGES).map(([key, preset]) => {
+                  const range = preset.range(timeZone)
+                  const isActive = range.start === planRange.start && range.end === planRange.end
+                  return (
+                    <button
+                      key={key}
+                      onClick={() => choosePlanRange(range.start, range.end)}
+                      className={`px-3 py-1.5 rounded-full text-xs font-medium border transition-colors ${
+                        isActive
+                          ? 'border-indigo-300 bg-indigo-50 text-indigo-600'
+                          : 'border-gray-200 bg-white text-gray-600 hover:border-indigo-200'
+                      }`}
+                    >
+                      {preset.label}
+                    </button>
+                  )
+                })}
+                <div className="flex items-center gap-1 text-xs text-gray-500">
+                  <input
+                    type="date"
+                    value={planRange.start}
+                    onChange={(e) => choosePlanRange(e.target.value, e.target.value > planRange.end ? e.target.value : planRange.end)}
+                    className="px-2 py-1 border border-gray-200 rounded-lg text-xs text-gray-700"
+                    aria-label="First day to plan"
+                  />
+                  <span>to</span>
+                  <input
+                    type="date"
+                    value={planRange.end}
+                    min={planRange.start}
+                    onChange={(e) => choosePlanRange(planRange.start, e.target.value)}
+                    className="px-2 py-1 border border-gray-200 rounded-lg text-xs text-gray-700"
+                    aria-label="Last day to plan"
+                  />
+                </div>
+              </div>
               <button
                 onClick={initializeChat}
                 disabled={loadingGoals}
@@ -415,7 +658,7 @@ const ChatSchedular = () => {
                 <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
                 </svg>
-                Schedule Tomorrow
+                {isMultiDay ? `Plan ${planDates.length} Days` : planRange.start === tomorrowKey ? 'Schedule Tomorrow' : `Schedule ${formatDay(planRange.start, { weekday: 'long' })}`}
               </button>
             </div>
           )}
@@ -575,18 +818,31 @@ const ChatSchedular = () => {
         {/* Header */}
         <div className="flex items-start justify-between mb-5">
           <div>
-            <h2 className="text-lg font-bold text-gray-900">Tomorrow's Plan</h2>
+            <h2 className="text-lg font-bold text-gray-900">
+              {isMultiDay ? `${planDates.length}-Day Plan` : planRange.start === tomorrowKey ? "Tomorrow's Plan" : 'Daily Plan'}
+            </h2>
             <p className="text-xs text-gray-400">{formatDate()}</p>
           </div>
           <span className={`px-3 py-1 rounded-lg text-[11px] font-semibold ${
-            scheduledTasks.length > 0 
+            allScheduledTasks.length > 0 
               ? 'bg-emerald-100 text-emerald-700' 
               : 'bg-gray-100 text-gray-600'
           }`}>
-            {scheduledTasks.length > 0 ? 'Ready' : 'Drafting'}
+            {allScheduledTasks.length > 0 ? 'Ready' : 'Drafting'}
           </span>
         </div>
 
+        {/* Week overview: pick the day shown below */}
+        {isMultiDay && (
+          <WeekOverview
+            dates={planDates}
+            drafts={Object.fromEntries(scheduledDays.map(day => [day.date, day.tasks]))}
+            selectedDate={activeDate}
+            onSelect={setSelectedDate}
+            refreshKey={savedVersion}
+          />
+        )}
+
         {/* Stats */}
         <div className="grid grid-cols-2 gap-3 mb-6">
           <div className="bg-gray-50 border border-gray-100 rounded-xl p-3.5 text-center">
@@ -612,11 +868,38 @@ const ChatSchedular = () => {
         {/* Scheduled Tasks */}
         <div className="mb-6 flex-1">
           <div className="flex items-center justify-between mb-3">
-            <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider">Scheduled Tasks</h3>
-            <span className="text-xs text-gray-400">{scheduledTasks.length} tasks</span>
+            <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wider">
+              {isMultiDay ? formatDay(activeDate, { weekday: 'short', month: 'short', day: 'numeric' }) : 'Scheduled Tasks'}
+            </h3>
+            <div className="flex items-center gap-2">
+              <span className="text-xs text-gray-400">{scheduledTasks.length} tasks</span>
+              <input
+                ref={calendarInputRef}
+                type="file"
+                accept=".ics,text/calendar"
+                onChange={handleCalendarImport}
+                className="hidden"
+              />
+              <button
+                onClick={() => calendarInputRef.current?.click()}
+                disabled={importingCalendar}
+                className="px-2 py-1 rounded-lg text-[11px] font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                title="Import meetings and classes from an .ics file; plans are made around them"
+              >
+                {importingCalendar ? 'Importing...' : 'Import .ics'}
+              </button>
+              <button
+                onClick={handleAutoSchedule}
+                disabled={autoScheduling || isTyping}
+                className="px-2 py-1 rounded-lg text-[11px] font-semibold text-indigo-600 bg-indigo-50 hover:bg-indigo-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                title="Pack your pending tasks into 09:00-17:00 by priority and due date"
+              >
+                {autoScheduling ? 'Scheduling...' : 'Auto-schedule'}
+              </button>
+            </div>
           </div>
           
-          {scheduledTasks.length === 0 ? (
+          {timeline.length === 0 ? (
             <div className="text-center py-8 bg-gray-50 rounded-xl border-2 border-dashed border-gray-200">
               <div className="w-12 h-12 bg-indigo-50 rounded-xl flex items-center justify-center mx-auto mb-3">
                 <svg className="w-6 h-6 text-indigo-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -624,11 +907,33 @@ const ChatSchedular = () => {
                 </svg>
               </div>
               <p className="text-sm text-gray-500 mb-1">No schedule yet</p>
-              <p className="text-xs text-gray-400">Chat with AI to plan your day</p>
+              <p className="text-xs text-gray-400">Chat with AI to plan your day, or auto-schedule your pending tasks</p>
             </div>
           ) : (
             <ul className="space-y-3" role="list">
-              {scheduledTasks.map((task, i) => (
+              {timeline.map(({ event, task }, i) => event ? (
+                <li key={event.id} className="flex items-start gap-3 p-3 bg-amber-50/60 rounded-xl border border-dashed border-amber-200">
+                  <div className="w-8 h-8 bg-amber-100 text-amber-600 rounded-lg flex items-center justify-center shrink-0 mt-0.5">
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                    </svg>
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="text-xs font-semibold text-gray-500">
+                        {event.allDay ? 'All day' : `${event.startTime} - ${event.endTime}`}
+                      </span>
+                      <span className="px-1.5 py-0.5 rounded text-[9px] font-bold uppercase bg-amber-100 text-amber-600">
+                        Fixed
+                      </span>
+                    </div>
+                    <p className="text-sm font-medium text-gray-800 truncate">{event.title}</p>
+                    {event.location && (
+                      <p className="text-[11px] text-gray-400 truncate">{event.location}</p>
+                    )}
+                  </div>
+                </li>
+              ) : (
                 <li key={i} className="flex items-start gap-3 p-3 bg-gray-50 rounded-xl border border-gray-100 hover:border-gray-200 transition-colors">
                   <div className="w-8 h-8 bg-indigo-100 text-indigo-600 rounded-lg flex items-center justify-center shrink-0 mt-0.5">
                     <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
@@ -658,7 +963,7 @@ const ChatSchedular = () => {
         </div>
 
         {/* AI Insight */}
-        {scheduledTasks.length > 0 && (
+        {allScheduledTasks.length > 0 && (
           <div className="bg-indigo-50 border border-indigo-100 rounded-2xl p-4 mb-6">
             <div className="flex items-start gap-2.5">
               <div className="w-8 h-8 bg-indigo-100 rounded-lg flex items-center justify-center shrink-0">
@@ -721,10 +1026,26 @@ const ChatSchedular = () => {
                 <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
                 </svg>
-                Confirm & Save for Tomorrow
+                {isMultiDay ? `Confirm & Save ${planDates.length} Days` : `Confirm & Save for ${planRange.start === tomorrowKey ? 'Tomorrow' : formatDay(planRange.start, { weekday: 'long' })}`}
               </>
             )}
           </button>
+          <div className="flex gap-2">
+            <button
+              onClick={handleExportCalendar}
+              className="flex-1 py-2 text-xs font-semibold text-gray-600 bg-gray-50 border border-gray-100 rounded-xl hover:bg-gray-100 transition-colors"
+              title="Download the saved plans for these days as an .ics file"
+            >
+              Export .ics
+            </button>
+            <button
+              onClick={handleSubscribe}
+              className="flex-1 py-2 text-xs font-semibold text-gray-600 bg-gray-50 border border-gray-100 rounded-xl hover:bg-gray-100 transition-colors"
+              title="Get a calendar URL that keeps your saved plans in sync; a new one revokes the old"
+            >
+              Subscribe in Calendar
+            </button>
+          </div>
           <button 
             onClick={resetChat}
             className="w-full py-2 text-sm font-medium text-gray-500 hover:text-gray-700 transition-colors text-center"
@@ -1,6 +1,8 @@
 import React, { useState, useCallback, useMemo, memo, useEffect } from 'react'
 import { Link } from 'react-router-dom'
 import { goalApi, dailyPlanApi } from '../services/api'
+import { useAuthStore } from '../store/authStore'
+import { todayKey } from '../utils/dates'
 
 const Dashboard = memo(() => {
   const [checkedTasks, setCheckedTasks] = useState([])
@@ -9,15 +11,18 @@ const Dashboard = memo(() => {
   const [loading, setLoading] = useState(true)
   const [showSidebar, setShowSidebar] = useState(false)
   
-  const user = useMemo(() => JSON.parse(localStorage.getItem('user') || '{"name": "Alex Rivera"}'), [])
-  const userName = user.name || 'Alex Rivera'
+  const user = useAuthStore((state) => state.user)
+  const userName = user?.name || ''
+  const timeZone = user?.timezone
 
   useEffect(() => {
     const fetchData = async () => {
       try {
         const today = new Date()
-        const dateStr = today.toISOString().split('T')[0]
-        
+        const dateStr = todayKey(timeZone)
+
+        await dailyPlanApi.rollOver(dateStr).catch(() => null)
+
         const [goalsData, planData] = await Promise.all([
           goalApi.getAllGoals(),
           dailyPlanApi.getDailyPlan(dateStr).catch(() => null)
@@ -48,14 +53,15 @@ const Dashboard = memo(() => {
         setGoals(displayGoals)
         
         if (planData && planData.tasks) {
-          const tasks = planData.tasks.map((t, i) => ({
-            id: i + 1,
+          const tasks = planData.tasks.map((t) => ({
+            id: t.id,
             title: t.title,
             time: t.estimatedMins ? `${t.estimatedMins} mins` : '25 mins',
             category: t.category || 'TASK',
             aiRecommended: false
           }))
           setTodayTasks(tasks)
+          setCheckedTasks(planData.tasks.filter(t => t.status === 'COMPLETED').map(t => t.id))
         }
       } catch (err) {
         console.error('Error fetching dashboard data:', err)
@@ -65,13 +71,26 @@ const Dashboard = memo(() => {
     }
     
     fetchData()
-  }, [])
+  }, [timeZone])
 
-  const toggleTask = useCallback((id) => {
+  const toggleTask = useCallback(async (id) => {
+    const isChecked = checkedTasks.includes(id)
     setCheckedTasks(prev =>
-      prev.includes(id) ? prev.filter(t => t !== id) : [...prev, id]
+      isChecked ? prev.filter(t => t !== id) : [...prev, id]
     )
-  }, [])
+
+    // Placeholder tasks (no plan yet) only toggle locally
+    if (typeof id !== 'string') return
+
+    try {
+      await dailyPlanApi.updatePlannedTaskStatus(id, isChecked ? 'PENDING' : 'COMPLETED')
+    } catch (err) {
+      console.error('Error updating task status:', err)
+      setCheckedTasks(prev =>
+        isChecked ? [...prev, id] : prev.filter(t => t !== id)
+      )
+    }
+  }, [checkedTasks])
 
   const tasks = todayTasks.length > 0 ? todayTasks : [
     { id: 1, title: 'Review Q3 Budget Allocation', time: '45 mins', category: 'STRATEGIC', aiRecommended: true },
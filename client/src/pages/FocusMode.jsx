@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { dailyPlanApi } from '../services/api'
+import { dailyPlanApi, focusApi } from '../services/api'
+import { useAuthStore } from '../store/authStore'
+import { todayKey } from '../utils/dates'
 
 const FocusMode = () => {
   const navigate = useNavigate()
@@ -11,20 +13,51 @@ const FocusMode = () => {
   const [currentTaskIndex, setCurrentTaskIndex] = useState(0)
   const [loading, setLoading] = useState(true)
   const [allDone, setAllDone] = useState(false)
+  const [session, setSession] = useState(null)
   const intervalRef = useRef(null)
+  const timeZone = useAuthStore((state) => state.user?.timezone)
 
-  // Fetch today's tasks on mount
+  // Fetch today's tasks and any running session on mount
   useEffect(() => {
     const fetchTodayTasks = async () => {
       try {
-        const today = new Date()
-        const dateStr = today.toISOString().split('T')[0]
-        
-        const plan = await dailyPlanApi.getDailyPlan(dateStr)
+        // Today in the user's time zone, not UTC
+        const dateStr = todayKey(timeZone)
+
+        // Bring yesterday's unfinished blocks forward before loading today
+        await dailyPlanApi.rollOver(dateStr).catch(() => null)
+
+        const [plan, activeSession] = await Promise.all([
+          dailyPlanApi.getDailyPlan(dateStr),
+          focusApi.getActive().catch(() => null)
+        ])
         if (plan && plan.tasks && plan.tasks.length > 0) {
           setTasks(plan.tasks)
-          const mins = plan.tasks[0]?.estimatedMins || 25
-          setTotalSeconds(mins * 60)
+
+          const activeIndex = activeSession
+            ? plan.tasks.findIndex(t => t.id === activeSession.plannedTaskId)
+            : -1
+
+          if (activeIndex !== -1) {
+            // Resume the session that was running before the page was left
+            const mins = plan.tasks[activeIndex].estimatedMins || 25
+            setCurrentTaskIndex(activeIndex)
+            setSession(activeSession)
+            setTotalSeconds(Math.max(0, mins * 60 - activeSession.focusedSeconds))
+            setIsRunning(true)
+            setIsPaused(activeSession.isPaused)
+          } else {
+            const firstOpenIndex = plan.tasks.findIndex(t => t.status !== 'COMPLETED')
+            if (firstOpenIndex === -1) {
+              setCurrentTaskIndex(plan.tasks.length - 1)
+              setTotalSeconds(0)
+              setAllDone(true)
+            } else {
+              const mins = plan.tasks[firstOpenIndex].estimatedMins || 25
+              setCurrentTaskIndex(firstOpenIndex)
+              setTotalSeconds(mins * 60)
+            }
+          }
         }
       } catch (err) {
         console.error('Error fetching today tasks:', err)
@@ -33,7 +66,7 @@ const FocusMode = () => {
       }
     }
     fetchTodayTasks()
-  }, [])
+  }, [timeZone])
 
   const currentTask = tasks[currentTaskIndex] || null
   const currentMins = currentTask?.estimatedMins || 25
@@ -61,37 +94,87 @@ const FocusMode = () => {
   const circumference = 2 * Math.PI * 140
   const strokeDashoffset = circumference * (1 - progress)
 
-  const togglePause = useCallback(() => {
-    setIsPaused(prev => !prev)
+  const setTaskStatus = useCallback((plannedTaskId, status) => {
+    setTasks(prev => prev.map(t => (t.id === plannedTaskId ? { ...t, status } : t)))
   }, [])
 
-  const completeTask = useCallback(() => {
-    if (currentTaskIndex < tasks.length - 1) {
-      const nextIndex = currentTaskIndex + 1
+  // Start a server-side session so progress survives a reload
+  const beginSession = useCallback(async (task) => {
+    setTaskStatus(task.id, 'IN_PROGRESS')
+    try {
+      const started = await focusApi.start(task.id)
+      setSession(started)
+    } catch (err) {
+      console.error('Error starting focus session:', err)
+    }
+  }, [setTaskStatus])
+
+  const togglePause = useCallback(async () => {
+    if (!isRunning) return
+    const pausing = !isPaused
+    setIsPaused(pausing)
+    if (!session) return
+
+    try {
+      const updated = pausing
+        ? await focusApi.pause(session.id)
+        : await focusApi.resume(session.id)
+      setSession(updated)
+    } catch (err) {
+      console.error('Error updating focus session:', err)
+    }
+  }, [isRunning, isPaused, session])
+
+  const completeTask = useCallback(async () => {
+    if (session) {
+      try {
+        await focusApi.complete(session.id, 'COMPLETED')
+      } catch (err) {
+        console.error('Error completing focus session:', err)
+      }
+      setSession(null)
+    }
+    setTaskStatus(currentTask?.id, 'COMPLETED')
+
+    const nextIndex = tasks.findIndex((t, i) => i > currentTaskIndex && t.status !== 'COMPLETED')
+    if (nextIndex !== -1) {
       setCurrentTaskIndex(nextIndex)
       const nextMins = tasks[nextIndex]?.estimatedMins || 25
       setTotalSeconds(nextMins * 60)
       setIsRunning(true)
       setIsPaused(false)
+      beginSession(tasks[nextIndex])
     } else {
       setIsRunning(false)
       setTotalSeconds(0)
       setAllDone(true)
     }
-  }, [currentTaskIndex, tasks])
+  }, [session, currentTask, currentTaskIndex, tasks, setTaskStatus, beginSession])
 
   const selectTask = useCallback((index) => {
+    // Switching away from a running session abandons it
+    if (session && tasks[index]?.id !== session.plannedTaskId) {
+      focusApi.complete(session.id, 'ABANDONED')
+        .catch(err => console.error('Error abandoning focus session:', err))
+      setTaskStatus(session.plannedTaskId, 'PENDING')
+      setSession(null)
+    } else if (session) {
+      return
+    }
+
     setCurrentTaskIndex(index)
     const mins = tasks[index]?.estimatedMins || 25
     setTotalSeconds(mins * 60)
     setIsRunning(false)
     setIsPaused(false)
-  }, [tasks])
+  }, [session, tasks, setTaskStatus])
 
   const startTask = useCallback(() => {
+    if (!currentTask) return
     setIsRunning(true)
     setIsPaused(false)
-  }, [])
+    beginSession(currentTask)
+  }, [currentTask, beginSession])
 
   // Keyboard shortcuts
   useEffect(() => {
@@ -139,7 +222,7 @@ const FocusMode = () => {
             <div className="space-y-2">
               {tasks.map((task, index) => (
                 <button
-                  key={index}
+                  key={task.id || index}
                   onClick={() => selectTask(index)}
                   className={`w-full text-left p-4 rounded-xl transition-all ${
                     index === currentTaskIndex 
@@ -151,7 +234,7 @@ const FocusMode = () => {
                     <div className={`w-6 h-6 rounded-full flex items-center justify-center flex-shrink-0 mt-0.5 ${
                       index === currentTaskIndex ? 'bg-indigo-500 text-white' : 'bg-gray-200'
                     }`}>
-                      {index < currentTaskIndex ? (
+                      {task.status === 'COMPLETED' ? (
                         <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
                           <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
                         </svg>
@@ -165,8 +248,13 @@ const FocusMode = () => {
                       }`}>
                         {task.title}
                       </p>
-                      {task.estimatedMins && (
-                        <p className="text-xs text-gray-400 mt-1">{task.estimatedMins} min</p>
+                      {(task.estimatedMins || task.rolledOverFromId) && (
+                        <p className="text-xs text-gray-400 mt-1">
+                          {task.estimatedMins && `${task.estimatedMins} min`}
+                          {task.rolledOverFromId && (
+                            <span className="ml-1 text-amber-500">{task.estimatedMins ? '· ' : ''}carried over</span>
+                          )}
+                        </p>
                       )}
                     </div>
                   </div>
@@ -367,7 +455,7 @@ const FocusMode = () => {
           )}
           <button
             onClick={completeTask}
-            disabled={allDone || !currentTask || !isRunning}
+            disabled={allDone || !currentTask || (!isRunning && !session)}
             aria-label={currentTaskIndex < tasks.length - 1 ? 'Complete task and move to next' : 'Complete final task'}
             className="flex items-center justify-center gap-2 sm:gap-2.5 w-full sm:w-auto px-5 sm:px-7 py-3 sm:py-3.5 bg-linear-to-r from-indigo-600 to-purple-600 text-white rounded-2xl text-sm font-semibold shadow-lg shadow-indigo-200 hover:shadow-xl hover:-translate-y-0.5 active:translate-y-0 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:translate-y-0"
           >
@@ -2,16 +2,43 @@ import React, { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
 import { useGoalStore } from '../store/goalStore'
 import AIChat from '../components/UI/AIChat'
-import { goalApi } from '../services/api'
+import { goalApi, conversationApi } from '../services/api'
+import { useAuthStore } from '../store/authStore'
+import { todayKey } from '../utils/dates'
 
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001'
 
+const RECURRENCE_OPTIONS = [
+  { value: '', label: 'Does not repeat' },
+  { value: 'DAILY', label: 'Every day' },
+  { value: 'WEEKDAYS', label: 'Every weekday' },
+  { value: 'INTERVAL', label: 'Every N days' },
+  { value: 'WEEKLY', label: 'Weekly on...' },
+  { value: 'MONTHLY', label: 'Every month' },
+]
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+// Short description of a task's recurrence rule
+const recurrenceLabel = (task) => {
+  switch (task.recurrence) {
+    case 'DAILY': return 'Daily'
+    case 'WEEKDAYS': return 'Weekdays'
+    case 'INTERVAL': return `Every ${task.recurrenceInterval} days`
+    case 'WEEKLY': return (task.recurrenceDays || []).map(day => WEEKDAY_NAMES[day]).join(', ')
+    case 'MONTHLY': return 'Monthly'
+    default: return null
+  }
+}
+
 const Goals = () => {
   // Navigation state: 'goals' | 'milestones' | 'tasks'
   const [view, setView] = useState('goals')
   const [newGoalTitle, setNewGoalTitle] = useState('')
   const [newMilestoneTitle, setNewMilestoneTitle] = useState('')
   const [newTaskTitle, setNewTaskTitle] = useState('')
+  const [newTaskRecurrence, setNewTaskRecurrence] = useState('')
+  const [newTaskInterval, setNewTaskInterval] = useState('2')
+  const [newTaskDays, setNewTaskDays] = useState([])
 
   // Goal details state
   const [proficiencyLevel, setProficiencyLevel] = useState('')
@@ -27,6 +54,13 @@ const Goals = () => {
   const [chatError, setChatError] = useState(null)
   const [streamingContent, setStreamingContent] = useState('')
   const [thinkingMode, setThinkingMode] = useState(true)
+  const [conversationId, setConversationId] = useState(null)
+  // Latest discussion that hasn't produced a goal yet, offered for resuming
+  const [savedDiscussion, setSavedDiscussion] = useState(null)
+
+  // Dependency state
+  const [criticalPath, setCriticalPath] = useState(null)
+  const [dependencyError, setDependencyError] = useState(null)
 
   // Checklist state
   const [expandedChecklist, setExpandedChecklist] = useState(null)
@@ -55,12 +89,28 @@ const Goals = () => {
     toggleTaskStatus,
     clearError,
   } = useGoalStore()
+  const timeZone = useAuthStore((state) => state.user?.timezone)
 
   // Fetch goals on mount
   useEffect(() => {
     fetchGoals()
   }, [fetchGoals])
 
+  // Reload the critical path whenever the open goal is refreshed
+  useEffect(() => {
+    if (!selectedGoal?.id) return
+    goalApi.getCriticalPath(selectedGoal.id)
+      .then(setCriticalPath)
+      .catch(err => console.error('Error fetching critical path:', err))
+  }, [selectedGoal])
+
+  // Look for an unfinished goal discussion to resume
+  useEffect(() => {
+    conversationApi.list({ kind: 'GOAL_DISCUSSION', unlinked: true })
+      .then(conversations => setSavedDiscussion(conversations.find(c => c.messageCount > 0) || null))
+      .catch(err => console.error('Error fetching conversations:', err))
+  }, [])
+
   // Handle creating a new goal
   const handleCreateGoal = async () => {
     if (!newGoalTitle.trim()) return
@@ -106,11 +156,17 @@ const Goals = () => {
   // Handle creating a new task
   const handleCreateTask = async () => {
     if (!newTaskTitle.trim() || !selectedMilestone) return
+    if (newTaskRecurrence === 'WEEKLY' && newTaskDays.length === 0) return
     await createTask(selectedMilestone.id, {
       title: newTaskTitle.trim(),
       priority: 'MEDIUM',
+      recurrence: newTaskRecurrence || null,
+      recurrenceInterval: newTaskRecurrence === 'INTERVAL' ? parseInt(newTaskInterval) : null,
+      recurrenceDays: newTaskRecurrence === 'WEEKLY' ? newTaskDays : [],
     })
     setNewTaskTitle('')
+    setNewTaskRecurrence('')
+    setNewTaskDays([])
     // Refresh goal to get updated tasks
     if (selectedGoal) {
       await fetchGoal(selectedGoal.id)
@@ -135,44 +191,79 @@ const Goals = () => {
     }
   }
 
-  // Toggle checklist item
-  const handleToggleChecklistItem = async (milestoneId, itemIndex) => {
-    const milestone = milestones.find(m => m.id === milestoneId)
-    if (!milestone || !milestone.checklist) return
+  // Add or remove a dependency ('task' or 'milestone'); cycles are rejected by the server
+  const handleAddDependency = async (type, id, dependsOnId) => {
+    if (!dependsOnId) return
+    setDependencyError(null)
+    try {
+      if (type === 'task') {
+        await goalApi.addTaskDependency(id, dependsOnId)
+      } else {
+        await goalApi.addMilestoneDependency(id, dependsOnId)
+      }
+    } catch (err) {
+      setDependencyError(err.message)
+      return
+    }
+    await fetchGoal(selectedGoal.id)
+  }
+
+  const handleRemoveDependency = async (type, id, dependsOnId) => {
+    if (type === 'task') {
+      await goalApi.removeTaskDependency(id, dependsOnId)
+    } else {
+      await goalApi.removeMilestoneDependency(id, dependsOnId)
+    }
+    await fetchGoal(selectedGoal.id)
+  }
 
-    const checklist = [...milestone.checklist]
-    checklist[itemIndex].done = !checklist[itemIndex].done
+  // Tick off (or untick) today's occurrence of a recurring task
+  const handleToggleHabit = async (task) => {
+    if (!task.habit?.dueToday) return
+    await goalApi.setTaskOccurrence(task.id, todayKey(timeZone), !task.habit.doneToday)
+    if (selectedGoal) {
+      await fetchGoal(selectedGoal.id)
+    }
+  }
 
-    await goalApi.updateMilestone(milestoneId, { checklist })
+  // Toggle a checkpoint done/undone
+  const handleToggleCheckpoint = async (checkpointId) => {
+    await goalApi.toggleCheckpoint(checkpointId)
     if (selectedGoal) {
       await fetchGoal(selectedGoal.id)
     }
   }
 
-  // Add checklist item
-  const handleAddChecklistItem = async (milestoneId) => {
+  // Add a checkpoint to a milestone
+  const handleAddCheckpoint = async (milestoneId) => {
     if (!newChecklistItem.trim()) return
 
-    const milestone = milestones.find(m => m.id === milestoneId)
-    const checklist = milestone?.checklist ? [...milestone.checklist] : []
-    checklist.push({ text: newChecklistItem.trim(), done: false })
-
-    await goalApi.updateMilestone(milestoneId, { checklist })
+    await goalApi.createCheckpoint(milestoneId, { text: newChecklistItem.trim() })
     setNewChecklistItem('')
     if (selectedGoal) {
       await fetchGoal(selectedGoal.id)
     }
   }
 
-  // Delete checklist item
-  const handleDeleteChecklistItem = async (milestoneId, itemIndex) => {
-    const milestone = milestones.find(m => m.id === milestoneId)
-    if (!milestone || !milestone.checklist) return
+  // Delete a checkpoint
+  const handleDeleteCheckpoint = async (checkpointId) => {
+    await goalApi.deleteCheckpoint(checkpointId)
+    if (selectedGoal) {
+      await fetchGoal(selectedGoal.id)
+    }
+  }
 
-    const checklist = [...milestone.checklist]
-    checklist.splice(itemIndex, 1)
+  // Turn a checkpoint into a task on the same milestone
+  const handleConvertCheckpoint = async (checkpointId) => {
+    await goalApi.convertCheckpoint(checkpointId)
+    if (selectedGoal) {
+      await fetchGoal(selectedGoal.id)
+    }
+  }
 
-    await goalApi.updateMilestone(milestoneId, { checklist })
+  // Turn the status rollup from tasks and checkpoints on or off for a milestone
+  const handleToggleAutoStatus = async (milestone) => {
+    await goalApi.updateMilestone(milestone.id, { autoStatus: !milestone.autoStatus })
     if (selectedGoal) {
       await fetchGoal(selectedGoal.id)
     }
@@ -199,6 +290,7 @@ const Goals = () => {
     setChatError(null)
     setChatMessages([])
     setStreamingContent('')
+    setConversationId(null)
 
     const proficiencyContext = {
       'BEGINNER': 'I am a beginner in this area. Please be very thorough, explain concepts simply, and break things down into small, specific steps.',
@@ -214,8 +306,16 @@ const Goals = () => {
     setChatMessages([userMessage])
 
     try {
+      const conversation = await conversationApi.create({
+        kind: 'GOAL_DISCUSSION',
+        title: aiObjective,
+        proficiencyLevel: aiProficiencyLevel
+      })
+      setConversationId(conversation.id)
+      setSavedDiscussion(null)
+
       const response = await goalApi.discuss(
-        { goal: aiObjective, proficiencyLevel: aiProficiencyLevel, conversationHistory: [], enableThinking: thinkingMode },
+        { conversationId: conversation.id, userMessage: userMessage.content, enableThinking: thinkingMode },
         (chunk, fullContent) => {
           setStreamingContent(fullContent)
         }
@@ -234,7 +334,28 @@ const Goals = () => {
     }
   }
 
+  // Reopen a saved discussion with its messages
+  const resumeDiscussion = async () => {
+    if (!savedDiscussion) return
+
+    setChatError(null)
+    setStreamingContent('')
+
+    try {
+      const conversation = await conversationApi.get(savedDiscussion.id)
+      setConversationId(conversation.id)
+      setAiObjective(conversation.title || '')
+      setAiProficiencyLevel(conversation.proficiencyLevel || 'INTERMEDIATE')
+      setChatMessages(conversation.messages.map(m => ({ role: m.role, content: m.content })))
+      setShowChat(true)
+    } catch (err) {
+      setChatError(err.message)
+    }
+  }
+
   const handleSendMessage = async (message) => {
+    if (!conversationId) return
+
     const newMessages = [...chatMessages, { role: 'user', content: message }]
     setChatMessages(newMessages)
     setIsLoading(true)
@@ -244,8 +365,7 @@ const Goals = () => {
     try {
       const response = await goalApi.discuss(
         {
-          goal: aiObjective,
-          conversationHistory: newMessages,
+          conversationId,
           userMessage: message,
           enableThinking: thinkingMode
         },
@@ -268,42 +388,32 @@ const Goals = () => {
   }
 
   const applyAISuggestions = async () => {
-    if (chatMessages.length < 2) return
+    if (chatMessages.length < 2 || !conversationId) return
 
     setIsLoading(true)
     setChatError(null)
 
     try {
       const response = await goalApi.extractSubgoals({
-        goal: aiObjective,
-        conversationHistory: chatMessages
+        conversationId,
+        goal: aiObjective
       })
 
-      const goalTitle = response.goal || aiObjective
       const milestones = response.milestones || []
 
       if (milestones.length > 0) {
-        // Create ONE goal with all milestones
-        const newGoal = await createGoal({
-          title: goalTitle,
-          description: null,
-          targetDate: null,
+        // Goal, milestones and checkpoints are created together (and the discussion linked) in one transaction
+        await goalApi.commitPlan({
+          goal: response.goal || aiObjective,
+          proficiencyLevel: aiProficiencyLevel,
+          conversationId,
+          milestones
         })
 
-        // Create milestones with checklists
-        for (let i = 0; i < milestones.length; i++) {
-          const milestone = milestones[i]
-          const createdMilestone = await goalApi.createMilestone(newGoal.id, {
-            title: milestone.title,
-            description: milestone.description || null,
-            targetDate: milestone.estimatedDays ? new Date(Date.now() + milestone.estimatedDays * 86400000).toISOString() : null,
-            checklist: milestone.checkpoints || []
-          })
-        }
-
         await fetchGoals()
         setShowChat(false)
         setAiObjective('')
+        setConversationId(null)
       }
     } catch (err) {
       setChatError(err.message)
@@ -333,6 +443,8 @@ const Goals = () => {
 
   const milestones = selectedGoal?.milestones || []
   const tasks = selectedMilestone?.tasks || []
+  const goalTasks = milestones.flatMap(m => m.tasks || [])
+  const goalCriticalPath = criticalPath?.goalId === selectedGoal?.id ? criticalPath : null
 
   return (
     <div className="flex h-full">
@@ -393,6 +505,12 @@ const Goals = () => {
             <button onClick={clearError} className="text-red-500 hover:text-red-700">Dismiss</button>
           </div>
         )}
+        {dependencyError && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700 flex items-center justify-between">
+            <span><strong>Couldn't add dependency:</strong> {dependencyError}</span>
+            <button onClick={() => setDependencyError(null)} className="text-red-500 hover:text-red-700">Dismiss</button>
+          </div>
+        )}
 
         {/* GOALS VIEW */}
         {view === 'goals' && (
@@ -439,6 +557,14 @@ const Goals = () => {
                 AI will help you break down this goal into milestones with checkpoints. Be thorough for beginners, concise for experts.
                 {thinkingMode && <span className="text-purple-500 ml-1">(Deep thinking enabled)</span>}
               </p>
+              {savedDiscussion && !showChat && (
+                <button
+                  onClick={resumeDiscussion}
+                  className="mt-2 text-xs font-medium text-indigo-600 hover:text-indigo-700 transition-colors"
+                >
+                  Resume your discussion about "{savedDiscussion.title}"
+                </button>
+              )}
             </div>
 
             {/* Divider */}
@@ -536,7 +662,7 @@ const Goals = () => {
               ) : (
                 <ul className="space-y-3" role="list">
                   {goals.map((goal) => {
-                    const allCheckpoints = (goal.milestones || []).flatMap(m => m.checklist || [])
+                    const allCheckpoints = (goal.milestones || []).flatMap(m => m.checkpoints || [])
                     const totalCheckpoints = allCheckpoints.length
                     const completedCheckpoints = allCheckpoints.filter(c => c.done).length
                     const goalProgress = totalCheckpoints > 0 ? Math.round((completedCheckpoints / totalCheckpoints) * 100) : 0
@@ -627,6 +753,34 @@ const Goals = () => {
               </div>
             </div>
 
+            {/* Critical path */}
+            {goalCriticalPath?.path.length > 0 && (
+              <section className="bg-white border border-gray-100 rounded-2xl p-4 sm:p-6 mb-6 animate-slide-up stagger-2">
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                  <h2 className="text-sm font-bold text-gray-900">Critical path</h2>
+                  <span className={`px-2 py-0.5 rounded-full text-[10px] font-semibold ${
+                    goalCriticalPath.onTrack === false ? 'bg-red-100 text-red-700' : 'bg-emerald-100 text-emerald-700'
+                  }`}>
+                    Earliest finish {new Date(goalCriticalPath.earliestFinish).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })}
+                    {goalCriticalPath.onTrack === false && ' · past target'}
+                  </span>
+                </div>
+                <ol className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                  {goalCriticalPath.path.map((task, index) => (
+                    <li key={task.id} className="flex items-center gap-2">
+                      {index > 0 && <span className="text-gray-300">→</span>}
+                      <span className="px-2 py-1 bg-indigo-50 text-indigo-700 rounded-lg" title={task.milestoneTitle}>
+                        {task.title}
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+                <p className="mt-3 text-xs text-gray-400">
+                  {Math.round(goalCriticalPath.remainingMins / 60 * 10) / 10}h of dependent work at {goalCriticalPath.minutesPerDay} min a day
+                </p>
+              </section>
+            )}
+
             {/* Milestones List */}
             <section className="bg-white border border-gray-100 rounded-2xl p-4 sm:p-6 mb-6 animate-slide-up stagger-2">
               <div className="flex items-center justify-between mb-2">
@@ -657,13 +811,13 @@ const Goals = () => {
               ) : (
                 <ul className="space-y-3" role="list">
                   {[...milestones].sort((a, b) => {
-                    const aComplete = a.checklist?.length > 0 && a.checklist.every(c => c.done)
-                    const bComplete = b.checklist?.length > 0 && b.checklist.every(c => c.done)
+                    const aComplete = a.checkpoints?.length > 0 && a.checkpoints.every(c => c.done)
+                    const bComplete = b.checkpoints?.length > 0 && b.checkpoints.every(c => c.done)
                     return aComplete === bComplete ? 0 : aComplete ? 1 : -1
                   }).map((milestone) => {
                     const isExpanded = expandedChecklist === milestone.id
-                    const hasChecklist = milestone.checklist && milestone.checklist.length > 0
-                    const isComplete = hasChecklist && milestone.checklist.every(c => c.done)
+                    const hasChecklist = milestone.checkpoints?.length > 0
+                    const isComplete = milestone.status === 'COMPLETED'
                     return (
                     <li
                       key={milestone.id}
@@ -687,15 +841,23 @@ const Goals = () => {
                         <div className="flex-1">
                           <span className={`text-sm font-medium ${isComplete ? 'line-through text-gray-400' : 'text-gray-800'}`}>{milestone.title}</span>
                            <div className="flex items-center gap-3 mt-1">
-                            <span className="text-xs text-gray-400">{milestone.checklist?.length || 0} checkpoints</span>
+                            <span className="text-xs text-gray-400">{milestone.checkpoints?.length || 0} checkpoints</span>
+                            {milestone.priority && (
+                              <span className={`px-2 py-0.5 rounded-md text-[10px] font-semibold uppercase ${priorityColors[milestone.priority] || priorityColors.MEDIUM}`}>
+                                {milestone.priority}
+                              </span>
+                            )}
+                            {milestone.targetDate && (
+                              <span className="text-xs text-gray-400">Due {new Date(milestone.targetDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>
+                            )}
                             <div className="flex items-center gap-1">
                               <div className="w-16 h-1.5 bg-gray-200 rounded-full overflow-hidden">
                                 <div 
                                   className={`h-full rounded-full transition-all duration-300 ${isComplete ? 'bg-green-500' : 'bg-blue-500'}`}
-                                  style={{ width: `${milestone.checklist?.length ? Math.round((milestone.checklist.filter(c => c.done).length / milestone.checklist.length) * 100) : 0}%` }}
+                                  style={{ width: `${milestone.checkpoints?.length ? Math.round((milestone.checkpoints.filter(c => c.done).length / milestone.checkpoints.length) * 100) : 0}%` }}
                                 />
                               </div>
-                              <span className="text-xs text-gray-400">{milestone.checklist?.length ? Math.round((milestone.checklist.filter(c => c.done).length / milestone.checklist.length) * 100) : 0}%</span>
+                              <span className="text-xs text-gray-400">{milestone.checkpoints?.length ? Math.round((milestone.checkpoints.filter(c => c.done).length / milestone.checkpoints.length) * 100) : 0}%</span>
                             </div>
                           </div>
                         </div>
@@ -718,32 +880,32 @@ const Goals = () => {
                       {/* Accordion checklist panel */}
                       {isExpanded && (
                         <div className="px-5 pb-4 border-t border-gray-100">
-                          {/* Add checklist item */}
+                          {/* Add checkpoint */}
                           <div className="flex gap-2 mt-3 mb-3">
                             <input
                               type="text"
                               value={newChecklistItem}
                               onChange={(e) => setNewChecklistItem(e.target.value)}
-                              onKeyDown={(e) => e.key === 'Enter' && handleAddChecklistItem(milestone.id)}
+                              onKeyDown={(e) => e.key === 'Enter' && handleAddCheckpoint(milestone.id)}
                               onClick={(e) => e.stopPropagation()}
-                              placeholder="Add a checklist item..."
+                              placeholder="Add a checkpoint..."
                               className="flex-1 px-3 py-2 bg-white border border-gray-200 rounded-xl text-sm text-gray-800 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-100 focus:border-indigo-300"
                             />
                             <button
-                              onClick={(e) => { e.stopPropagation(); handleAddChecklistItem(milestone.id); }}
+                              onClick={(e) => { e.stopPropagation(); handleAddCheckpoint(milestone.id); }}
                               disabled={!newChecklistItem.trim()}
                               className="px-4 py-2 bg-indigo-600 text-white rounded-xl text-sm font-medium hover:bg-indigo-700 transition-colors disabled:opacity-50"
                             >
                               Add
                             </button>
                           </div>
-                          {/* Checklist items */}
+                          {/* Checkpoints */}
                           {hasChecklist ? (
                             <ul className="space-y-2">
-                              {milestone.checklist.map((item, idx) => (
-                                <li key={idx} className="flex items-center gap-3 px-3 py-2 bg-white rounded-lg group/item">
+                              {milestone.checkpoints.map((item) => (
+                                <li key={item.id} className="flex items-center gap-3 px-3 py-2 bg-white rounded-lg group/item">
                                   <button
-                                    onClick={(e) => { e.stopPropagation(); handleToggleChecklistItem(milestone.id, idx); }}
+                                    onClick={(e) => { e.stopPropagation(); handleToggleCheckpoint(item.id); }}
                                     className={`w-5 h-5 rounded-md border-2 flex items-center justify-center transition-all flex-shrink-0 ${
                                       item.done
                                         ? 'bg-indigo-600 border-indigo-600'
@@ -760,7 +922,16 @@ const Goals = () => {
                                     {item.text}
                                   </span>
                                   <button
-                                    onClick={(e) => { e.stopPropagation(); handleDeleteChecklistItem(milestone.id, idx); }}
+                                    onClick={(e) => { e.stopPropagation(); handleConvertCheckpoint(item.id); }}
+                                    className="opacity-0 group-hover/item:opacity-100 p-1 hover:bg-indigo-50 hover:text-indigo-600 rounded transition-all"
+                                    title="Convert to task"
+                                  >
+                                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+                                    </svg>
+                                  </button>
+                                  <button
+                                    onClick={(e) => { e.stopPropagation(); handleDeleteCheckpoint(item.id); }}
                                     className="opacity-0 group-hover/item:opacity-100 p-1 hover:bg-red-50 hover:text-red-500 rounded transition-all"
                                   >
                                     <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -771,8 +942,41 @@ const Goals = () => {
                               ))}
                             </ul>
                           ) : (
-                            <p className="text-sm text-gray-400 text-center py-3">No checklist items yet</p>
+                            <p className="text-sm text-gray-400 text-center py-3">No checkpoints yet</p>
                           )}
+                          {/* Milestone dependencies */}
+                          <div className="flex flex-wrap items-center gap-2 mt-3 text-xs text-gray-500" onClick={(e) => e.stopPropagation()}>
+                            <span>Waits on:</span>
+                            {(milestone.dependencies || []).map(({ dependsOn }) => (
+                              <span key={dependsOn.id} className={`flex items-center gap-1 px-2 py-0.5 rounded-md ${dependsOn.status === 'COMPLETED' ? 'bg-green-50 text-green-700' : 'bg-amber-50 text-amber-700'}`}>
+                                {dependsOn.title}
+                                <button onClick={() => handleRemoveDependency('milestone', milestone.id, dependsOn.id)} className="hover:text-red-500" title="Remove dependency">×</button>
+                              </span>
+                            ))}
+                            <select
+                              value=""
+                              onChange={(e) => handleAddDependency('milestone', milestone.id, e.target.value)}
+                              className="px-2 py-1 bg-white border border-gray-200 rounded-lg text-xs text-gray-600"
+                            >
+                              <option value="">+ Add milestone</option>
+                              {milestones
+                                .filter(m => m.id !== milestone.id && !(milestone.dependencies || []).some(d => d.dependsOnId === m.id))
+                                .map(m => <option key={m.id} value={m.id}>{m.title}</option>)}
+                            </select>
+                          </div>
+                          <label
+                            onClick={(e) => e.stopPropagation()}
+                            className="flex items-center gap-2 mt-3 text-xs text-gray-500 cursor-pointer"
+                            title="When on, the milestone is marked in progress or complete as its tasks and checkpoints are done"
+                          >
+                            <input
+                              type="checkbox"
+                              checked={milestone.autoStatus !== false}
+                              onChange={() => handleToggleAutoStatus(milestone)}
+                              className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-200"
+                            />
+                            Update status automatically
+                          </label>
                         </div>
                       )}
                     </li>
@@ -812,7 +1016,7 @@ const Goals = () => {
                 />
                 <button
                   onClick={handleCreateTask}
-                  disabled={!newTaskTitle.trim() || loading}
+                  disabled={!newTaskTitle.trim() || loading || (newTaskRecurrence === 'WEEKLY' && newTaskDays.length === 0)}
                   className="px-4 sm:px-6 py-3 sm:py-4 bg-white border border-gray-200 rounded-2xl text-sm font-medium text-gray-600 hover:border-indigo-200 hover:text-indigo-600 transition-all duration-200 flex items-center justify-center gap-1.5 disabled:opacity-50"
                 >
                   <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -821,6 +1025,42 @@ const Goals = () => {
                   Add Manually
                 </button>
               </div>
+              {/* Repeat options */}
+              <div className="flex flex-wrap items-center gap-2 mt-3">
+                <select
+                  value={newTaskRecurrence}
+                  onChange={(e) => setNewTaskRecurrence(e.target.value)}
+                  className="px-3 py-2 bg-white border border-gray-200 rounded-xl text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-100 focus:border-indigo-300"
+                >
+                  {RECURRENCE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                {newTaskRecurrence === 'INTERVAL' && (
+                  <input
+                    type="number"
+                    min="1"
+                    value={newTaskInterval}
+                    onChange={(e) => setNewTaskInterval(e.target.value)}
+                    className="w-20 px-3 py-2 bg-white border border-gray-200 rounded-xl text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-100 focus:border-indigo-300"
+                    aria-label="Repeat every N days"
+                  />
+                )}
+                {newTaskRecurrence === 'WEEKLY' && WEEKDAY_NAMES.map((name, day) => (
+                  <button
+                    key={name}
+                    type="button"
+                    onClick={() => setNewTaskDays(newTaskDays.includes(day) ? newTaskDays.filter(d => d !== day) : [...newTaskDays, day])}
+                    className={`px-2.5 py-1.5 rounded-lg text-xs font-medium border transition-colors ${
+                      newTaskDays.includes(day)
+                        ? 'bg-indigo-600 border-indigo-600 text-white'
+                        : 'bg-white border-gray-200 text-gray-600 hover:border-indigo-300'
+                    }`}
+                  >
+                    {name}
+                  </button>
+                ))}
+              </div>
             </div>
 
             {/* Tasks List */}
@@ -852,7 +1092,52 @@ const Goals = () => {
                 </div>
               ) : (
                 <ul className="space-y-3" role="list">
-                  {tasks.map((task) => (
+                  {tasks.map((task) => task.recurrence ? (
+                    <li
+                      key={task.id}
+                      className="flex flex-wrap sm:flex-nowrap items-center gap-3 sm:gap-4 px-3 sm:px-5 py-3 sm:py-4 bg-gray-50 border border-gray-100 rounded-xl hover:border-gray-200 transition-all duration-200 group"
+                    >
+                      <button
+                        onClick={() => handleToggleHabit(task)}
+                        disabled={!task.habit?.dueToday}
+                        title={task.habit?.dueToday ? 'Mark today done' : 'Not due today'}
+                        className={`w-6 h-6 rounded-full border-2 flex items-center justify-center transition-all duration-200 shrink-0 disabled:opacity-40 disabled:cursor-not-allowed ${
+                          task.habit?.doneToday
+                            ? 'bg-emerald-500 border-emerald-500'
+                            : 'border-gray-300 hover:border-indigo-400'
+                        }`}
+                      >
+                        {task.habit?.doneToday && (
+                          <svg className="w-4 h-4 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={3} d="M5 13l4 4L19 7" />
+                          </svg>
+                        )}
+                      </button>
+                      <div className="flex-1">
+                        <span className="text-sm font-medium text-gray-800">{task.title}</span>
+                        <div className="flex items-center gap-2 mt-0.5 text-xs text-gray-400">
+                          <span>{recurrenceLabel(task)}</span>
+                          {!task.habit?.dueToday && <span>· not due today</span>}
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2 sm:gap-3 ml-auto">
+                        <span
+                          className="px-2 py-0.5 rounded-full text-[10px] font-semibold bg-orange-100 text-orange-700"
+                          title={`Longest streak: ${task.habit?.longestStreak || 0}`}
+                        >
+                          {task.habit?.streak || 0} streak
+                        </span>
+                        <button
+                          onClick={() => { deleteTask(task.id); fetchGoal(selectedGoal.id); }}
+                          className="p-1.5 opacity-0 group-hover:opacity-100 hover:bg-red-50 hover:text-red-500 rounded-lg transition-all text-gray-400"
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                          </svg>
+                        </button>
+                      </div>
+                    </li>
+                  ) : (
                     <li
                       key={task.id}
                       className={`flex flex-wrap sm:flex-nowrap items-center gap-3 sm:gap-4 px-3 sm:px-5 py-3 sm:py-4 bg-gray-50 border border-gray-100 rounded-xl hover:border-gray-200 transition-all duration-200 group ${
@@ -884,6 +1169,25 @@ const Goals = () => {
                         <span className={`text-sm font-medium ${task.status === 'COMPLETED' ? 'line-through text-gray-400' : 'text-gray-800'}`}>
                           {task.title}
                         </span>
+                        {/* Task dependencies */}
+                        <div className="flex flex-wrap items-center gap-1.5 mt-1 text-xs text-gray-400">
+                          {(task.dependencies || []).map(({ dependsOn }) => (
+                            <span key={dependsOn.id} className={`flex items-center gap-1 px-1.5 py-0.5 rounded-md ${dependsOn.status === 'COMPLETED' ? 'bg-green-50 text-green-700' : 'bg-amber-50 text-amber-700'}`}>
+                              after {dependsOn.title}
+                              <button onClick={() => handleRemoveDependency('task', task.id, dependsOn.id)} className="hover:text-red-500" title="Remove dependency">×</button>
+                            </span>
+                          ))}
+                          <select
+                            value=""
+                            onChange={(e) => handleAddDependency('task', task.id, e.target.value)}
+                            className="opacity-0 group-hover:opacity-100 focus:opacity-100 px-1.5 py-0.5 bg-white border border-gray-200 rounded-md text-xs text-gray-500 transition-opacity"
+                          >
+                            <option value="">+ Depends on...</option>
+                            {goalTasks
+                              .filter(t => t.id !== task.id && !t.recurrence && !(task.dependencies || []).some(d => d.dependsOnId === t.id))
+                              .map(t => <option key={t.id} value={t.id}>{t.title}</option>)}
+                          </select>
+                        </div>
                       </div>
                       <div className="flex items-center gap-2 sm:gap-3 ml-auto">
                         {task.priority && (
@@ -891,6 +1195,14 @@ const Goals = () => {
                             {task.priority}
                           </span>
                         )}
+                        {task.blockedBy?.length > 0 && task.status !== 'COMPLETED' && (
+                          <span
+                            className="px-2 py-0.5 rounded-full text-[10px] font-semibold bg-red-100 text-red-700"
+                            title={`Waiting on ${task.blockedBy.map(b => b.title).join(', ')}`}
+                          >
+                            BLOCKED
+                          </span>
+                        )}
                         <span className={`px-2 py-0.5 rounded-full text-[10px] font-semibold ${statusColors[task.status] || statusColors.PENDING}`}>
                           {task.status || 'PENDING'}
                         </span>
@@ -1,85 +1,123 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect } from 'react'
+import { gamificationApi, friendsApi } from '../services/api'
+
+const RANK_BADGES = { 1: '🥇', 2: '🥈', 3: '🥉' }
+const AVATAR_COLORS = ['bg-rose-400', 'bg-blue-400', 'bg-amber-400', 'bg-teal-400', 'bg-purple-400', 'bg-emerald-400']
+
+const initials = (name) => name.split(' ').filter(Boolean).slice(0, 2).map(part => part.charAt(0).toUpperCase()).join('')
+
+const ordinal = (n) => {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' }
+  return `${n}${suffixes[new Intl.PluralRules('en', { type: 'ordinal' }).select(n)]}`
+}
+
+// Stable color per user so avatars don't reshuffle between tabs
+const avatarColor = (userId) => {
+  const hash = [...userId].reduce((sum, char) => sum + char.charCodeAt(0), 0)
+  return AVATAR_COLORS[hash % AVATAR_COLORS.length]
+}
+
+const toRankingRow = (entry) => ({
+  rank: entry.rank,
+  badge: RANK_BADGES[entry.rank] || null,
+  name: entry.name,
+  level: `Level ${entry.level} ${entry.levelTitle}`,
+  avatar: initials(entry.name),
+  avatarBg: entry.isYou ? 'bg-indigo-400' : avatarColor(entry.userId),
+  streak: entry.streak,
+  tasks: entry.tasksCompleted,
+  totalXP: entry.seasonXp.toLocaleString(),
+  todayXP: `+${entry.todayXp}`,
+  isYou: entry.isYou,
+})
 
 const Leaderboard = () => {
   const [activeTab, setActiveTab] = useState('global')
-  const userItem = JSON.parse(localStorage.getItem('user') || '{"name": "Alex Rivera"}')
-  const userName = userItem.name || 'Alex Rivera'
-
-  const rankings = [
-    {
-      rank: 1,
-      badge: '🥇',
-      name: 'Bibek Sharma',
-      level: 'Level 14 Focus Master',
-      avatar: 'BS',
-      avatarBg: 'bg-rose-400',
-      streak: 24,
-      tasks: 412,
-      totalXP: '14,250',
-      todayXP: '+240',
-    },
-    {
-      rank: 2,
-      badge: '🥈',
-      name: 'Priya KC',
-      level: 'Level 13 Focus Master',
-      avatar: 'PK',
-      avatarBg: 'bg-blue-400',
-      streak: 18,
-      tasks: 389,
-      totalXP: '13,800',
-      todayXP: '+240',
-    },
-    {
-      rank: 3,
-      badge: '🥉',
-      name: 'Sanjay Thapa',
-      level: 'Level 12 Focus Master',
-      avatar: 'ST',
-      avatarBg: 'bg-amber-400',
-      streak: 12,
-      tasks: 345,
-      totalXP: '12,100',
-      todayXP: '+240',
-    },
-    {
-      rank: 4,
-      badge: null,
-      name: userName,
-      level: 'Level 11 Focus Master',
-      avatar: userName.charAt(0) + (userName.includes(' ') ? userName.split(' ')[1].charAt(0) : ''),
-      avatarBg: 'bg-indigo-400',
-      streak: 7,
-      tasks: 298,
-      totalXP: '11,240',
-      todayXP: '+240',
-      isYou: true,
-    },
-    {
-      rank: 5,
-      badge: null,
-      name: 'Nisha Tamang',
-      level: 'Level 10 Focus Master',
-      avatar: 'NT',
-      avatarBg: 'bg-teal-400',
-      streak: 15,
-      tasks: 310,
-      totalXP: '10,900',
-      todayXP: '+240',
-    },
-  ]
-
-  const achievements = [
-    { icon: '⭐', label: 'PIONEER', unlocked: true },
-    { icon: '🔥', label: 'STREAK KING', unlocked: true },
-    { icon: '🧘', label: 'ZEN MASTER', unlocked: true },
-    { icon: '🤝', label: 'COLLABORATOR', unlocked: true },
-    { icon: '🌙', label: 'NIGHT OWL', unlocked: false },
-    { icon: '🌅', label: 'EARLY BIRD', unlocked: false },
-    { icon: '👑', label: 'ULTRA PRO', unlocked: false },
-    { icon: '💪', label: 'IRON WILL', unlocked: false },
-    { icon: '🎓', label: 'MENTOR', unlocked: false },
-  ]
+  const [profile, setProfile] = useState(null)
+  const [leaderboard, setLeaderboard] = useState(null)
+  const [error, setError] = useState(null)
+  const [friendEmail, setFriendEmail] = useState('')
+  const [friendError, setFriendError] = useState(null)
+  const [addingFriend, setAddingFriend] = useState(false)
+  const [friendNotice, setFriendNotice] = useState(null)
+  const [friendRequests, setFriendRequests] = useState([])
+
+  const scope = activeTab === 'focus circle' ? 'friends' : 'global'
+
+  useEffect(() => {
+    gamificationApi.getProfile()
+      .then(setProfile)
+      .catch(err => {
+        console.error('Error fetching profile:', err)
+        setError(err.message)
+      })
+  }, [])
+
+  useEffect(() => {
+    friendsApi.getRequests()
+      .then(setFriendRequests)
+      .catch(err => console.error('Error fetching friend requests:', err))
+  }, [])
+
+  useEffect(() => {
+    let cancelled = false
+    gamificationApi.getLeaderboard(scope)
+      .then(data => { if (!cancelled) setLeaderboard(data) })
+      .catch(err => {
+        console.error('Error fetching leaderboard:', err)
+        if (!cancelled) setError(err.message)
+      })
+    return () => { cancelled = true }
+  }, [scope])
+
+  const handleAddFriend = async (e) => {
+    e.preventDefault()
+    if (!friendEmail.trim()) return
+    setAddingFriend(true)
+    setFriendError(null)
+    setFriendNotice(null)
+    try {
+      const { message } = await friendsApi.add(friendEmail.trim())
+      setFriendEmail('')
+      setFriendNotice(message)
+      // A request they had already sent us turns into a friendship straight away
+      setLeaderboard(await gamificationApi.getLeaderboard('friends'))
+    } catch (err) {
+      setFriendError(err.message)
+    } finally {
+      setAddingFriend(false)
+    }
+  }
+
+  const handleFriendRequest = async (requestId, accept) => {
+    setFriendError(null)
+    try {
+      if (accept) {
+        await friendsApi.acceptRequest(requestId)
+      } else {
+        await friendsApi.declineRequest(requestId)
+      }
+      setFriendRequests(requests => requests.filter(request => request.id !== requestId))
+      if (accept) {
+        const [updatedBoard, updatedProfile] = await Promise.all([
+          gamificationApi.getLeaderboard(scope),
+          gamificationApi.getProfile(),
+        ])
+        setLeaderboard(updatedBoard)
+        setProfile(updatedProfile)
+      }
+    } catch (err) {
+      setFriendError(err.message)
+    }
+  }
+
+  const rankings = (leaderboard?.entries || []).map(toRankingRow)
+  const you = leaderboard?.you
+  const season = leaderboard?.season
+  const seasonProgress = season ? Math.min(100, Math.round((season.communityXp / season.xpGoal) * 100)) : 0
+  const achievements = profile?.achievements || []
+  const unlockedCount = achievements.filter(badge => badge.unlocked).length
+  const rival = rankings.find(row => !row.isYou)
 
   return (
     <div className="px-4 sm:px-6 md:px-8 py-4 sm:py-6 overflow-y-auto">
@@ -88,24 +126,25 @@ const Leaderboard = () => {
         <div>
           <div className="flex items-center gap-3 mb-2">
             <span className="inline-flex items-center gap-1.5 bg-indigo-100 text-indigo-700 text-xs font-bold px-3 py-1 rounded-full">
-              Active Season: Focus Fall
+              Active Season: {season?.name || '...'}
             </span>
             <span className="text-xs text-gray-400 flex items-center gap-1">
               <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
-              12 days remaining
+              {season ? `${season.daysRemaining} day${season.daysRemaining === 1 ? '' : 's'} remaining` : ''}
             </span>
           </div>
           <h1 className="text-xl sm:text-2xl font-bold text-gray-900 mb-1">Welcome to the Hall of Focus</h1>
           <p className="text-xs sm:text-sm text-gray-500">Compete with the community to earn exclusive badges and climb the ranks.<br className="hidden sm:block" />Every focus minute counts towards your legacy.</p>
+          {error && <p className="text-xs text-red-500 mt-1" role="alert">{error}</p>}
         </div>
         <div className="bg-indigo-50 border border-indigo-100 rounded-xl px-4 sm:px-5 py-3 text-right w-full sm:w-auto sm:min-w-[220px]">
-          <p className="text-xs font-bold text-indigo-700 mb-1.5">Season Goal: 50,000 Group XP</p>
-          <div className="w-full h-2 bg-indigo-200 rounded-full overflow-hidden mb-1" role="progressbar" aria-valuenow={68} aria-valuemin={0} aria-valuemax={100} aria-label="Community XP progress">
-            <div className="h-full bg-indigo-600 rounded-full transition-all duration-500" style={{ width: '68%' }}></div>
+          <p className="text-xs font-bold text-indigo-700 mb-1.5">Season Goal: {(season?.xpGoal || 0).toLocaleString()} Group XP</p>
+          <div className="w-full h-2 bg-indigo-200 rounded-full overflow-hidden mb-1" role="progressbar" aria-valuenow={seasonProgress} aria-valuemin={0} aria-valuemax={100} aria-label="Community XP progress">
+            <div className="h-full bg-indigo-600 rounded-full transition-all duration-500" style={{ width: `${seasonProgress}%` }}></div>
           </div>
-          <p className="text-[11px] text-indigo-500">68% of community goal reached</p>
+          <p className="text-[11px] text-indigo-500">{seasonProgress}% of community goal reached</p>
         </div>
       </div>
 
@@ -124,7 +163,7 @@ const Leaderboard = () => {
                 </div>
                 <div>
                   <h2 className="text-lg font-bold text-gray-900">Community Rankings</h2>
-                  <p className="text-xs text-gray-400">Top performers this week based on validated focus tasks.</p>
+                  <p className="text-xs text-gray-400">Top performers this season, ranked by XP earned.</p>
                 </div>
               </div>
               <div className="flex bg-gray-100 rounded-lg p-0.5" role="tablist" aria-label="Rankings scope">
@@ -145,6 +184,54 @@ const Leaderboard = () => {
               </div>
             </div>
 
+            {activeTab === 'focus circle' && (
+              <form onSubmit={handleAddFriend} className="flex flex-col sm:flex-row gap-2 mb-4">
+                <input
+                  type="email"
+                  value={friendEmail}
+                  onChange={(e) => setFriendEmail(e.target.value)}
+                  placeholder="Add a friend by email"
+                  aria-label="Friend's email"
+                  className="flex-1 px-3 py-2 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+                <button
+                  type="submit"
+                  disabled={!friendEmail.trim() || addingFriend}
+                  className="bg-indigo-600 text-white text-xs font-bold px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+                >
+                  {addingFriend ? 'Sending...' : 'Add Friend'}
+                </button>
+                {friendError && <p className="text-xs text-red-500 sm:self-center" role="alert">{friendError}</p>}
+                {friendNotice && !friendError && <p className="text-xs text-gray-500 sm:self-center" role="status">{friendNotice}</p>}
+              </form>
+            )}
+
+            {activeTab === 'focus circle' && friendRequests.length > 0 && (
+              <div className="mb-4 space-y-2" aria-label="Friend requests">
+                {friendRequests.map((request) => (
+                  <div key={request.id} className="flex items-center justify-between gap-2 px-3 py-2 bg-indigo-50/60 rounded-lg">
+                    <span className="text-sm text-gray-700">
+                      <span className="font-semibold">{request.from.name}</span> wants to join your focus circle
+                    </span>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleFriendRequest(request.id, true)}
+                        className="bg-indigo-600 text-white text-xs font-bold px-3 py-1.5 rounded-lg hover:bg-indigo-700 transition-colors"
+                      >
+                        Accept
+                      </button>
+                      <button
+                        onClick={() => handleFriendRequest(request.id, false)}
+                        className="text-gray-500 text-xs font-bold px-3 py-1.5 rounded-lg hover:bg-gray-100 transition-colors"
+                      >
+                        Decline
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
             {/* Table Header */}
             <div className="hidden sm:grid grid-cols-[60px_1fr_90px_90px_120px] text-[11px] font-bold text-gray-400 uppercase tracking-wider px-4 pb-3 border-b border-gray-100" aria-hidden="true">
               <span>Rank</span>
@@ -170,7 +257,7 @@ const Leaderboard = () => {
                     {user.badge ? (
                       <span className="text-lg" aria-label={`Rank ${user.rank}`}>{user.badge}</span>
                     ) : (
-                      <span className="text-sm font-bold text-gray-400 ml-1">{user.rank}th</span>
+                      <span className="text-sm font-bold text-gray-400 ml-1">{ordinal(user.rank)}</span>
                     )}
                   </div>
 
@@ -270,27 +357,27 @@ const Leaderboard = () => {
           <div className="bg-white border-2 border-indigo-200 rounded-2xl p-4 sm:p-5">
             <div className="flex items-center justify-between mb-4">
               <h3 className="text-base font-bold text-gray-900">Your Standing</h3>
-              <span className="text-xs font-semibold text-gray-400">Rank #42</span>
+              <span className="text-xs font-semibold text-gray-400">{you ? `Rank #${you.rank}` : ''}</span>
             </div>
 
             <div className="flex flex-row items-baseline justify-between mb-4">
               <div>
                 <p className="text-[10px] font-bold text-gray-400 uppercase tracking-wider">TOTAL XP</p>
-                <p className="text-2xl sm:text-3xl font-extrabold text-gray-900">11,240</p>
+                <p className="text-2xl sm:text-3xl font-extrabold text-gray-900">{(profile?.totalXp || 0).toLocaleString()}</p>
               </div>
               <div className="text-right">
                 <p className="text-[10px] font-bold text-gray-400 uppercase tracking-wider">NEXT LEVEL</p>
-                <p className="text-lg font-bold text-indigo-600">12,500 XP</p>
+                <p className="text-lg font-bold text-indigo-600">{(profile?.nextLevelXp || 0).toLocaleString()} XP</p>
               </div>
             </div>
 
             <div className="mb-4">
               <div className="flex items-center justify-between mb-1.5">
-                <span className="text-xs text-gray-500">Progress to Level 12</span>
-                <span className="text-xs font-bold text-indigo-600">89%</span>
+                <span className="text-xs text-gray-500">Progress to Level {(profile?.level || 1) + 1}</span>
+                <span className="text-xs font-bold text-indigo-600">{profile?.progress || 0}%</span>
               </div>
-              <div className="w-full h-2.5 bg-gray-100 rounded-full overflow-hidden" role="progressbar" aria-valuenow={89} aria-valuemin={0} aria-valuemax={100} aria-label="Level progress">
-                <div className="h-full bg-linear-to-r from-indigo-500 to-indigo-600 rounded-full transition-all duration-500" style={{ width: '89%' }}></div>
+              <div className="w-full h-2.5 bg-gray-100 rounded-full overflow-hidden" role="progressbar" aria-valuenow={profile?.progress || 0} aria-valuemin={0} aria-valuemax={100} aria-label="Level progress">
+                <div className="h-full bg-linear-to-r from-indigo-500 to-indigo-600 rounded-full transition-all duration-500" style={{ width: `${profile?.progress || 0}%` }}></div>
               </div>
             </div>
 
@@ -298,14 +385,14 @@ const Leaderboard = () => {
               <div className="bg-indigo-50 rounded-xl px-3 py-2.5 text-center">
                 <div className="flex items-center justify-center gap-1 mb-0.5">
                   <span className="text-orange-500" aria-hidden="true">🔥</span>
-                  <span className="text-xl font-extrabold text-indigo-700">7</span>
+                  <span className="text-xl font-extrabold text-indigo-700">{profile?.currentStreak || 0}</span>
                 </div>
                 <p className="text-[10px] font-bold text-indigo-500 uppercase">Day Streak</p>
               </div>
               <div className="bg-indigo-50 rounded-xl px-3 py-2.5 text-center">
                 <div className="flex items-center justify-center gap-1 mb-0.5">
                   <span className="text-indigo-500" aria-hidden="true">🏆</span>
-                  <span className="text-xl font-extrabold text-indigo-700">12</span>
+                  <span className="text-xl font-extrabold text-indigo-700">{unlockedCount}</span>
                 </div>
                 <p className="text-[10px] font-bold text-indigo-500 uppercase">Badges</p>
               </div>
@@ -318,9 +405,10 @@ const Leaderboard = () => {
             <p className="text-xs text-gray-400 mb-4">Visual milestones of your focus journey.</p>
 
             <div className="grid grid-cols-3 gap-3 mb-4" role="list" aria-label="Achievement badges">
-              {achievements.map((badge, i) => (
+              {achievements.map((badge) => (
                 <div
-                  key={i}
+                  key={badge.key}
+                  title={badge.description}
                   role="listitem"
                   className={`flex flex-col items-center py-2.5 px-1 rounded-xl transition-all ${badge.unlocked
                     ? 'bg-gray-50 hover:bg-indigo-50'
@@ -334,9 +422,9 @@ const Leaderboard = () => {
               ))}
             </div>
 
-            <button className="w-full text-center text-xs font-semibold text-gray-500 hover:text-indigo-600 py-2 border border-gray-100 rounded-lg transition-colors">
-              View All 24 Badges
-            </button>
+            <p className="w-full text-center text-xs font-semibold text-gray-500 py-2 border border-gray-100 rounded-lg">
+              {unlockedCount} of {achievements.length} badges unlocked
+            </p>
           </div>
 
           {/* AI Tip */}
@@ -348,7 +436,7 @@ const Leaderboard = () => {
                 </svg>
               </div>
               <p className="text-xs text-indigo-700 leading-relaxed">
-                Users who engage in "Focus Duels" are 40% more likely to reach their weekly XP targets. Try challenging Bibek!
+                Users who engage in "Focus Duels" are 40% more likely to reach their weekly XP targets. {rival ? `Try challenging ${rival.name}!` : 'Add a friend to your focus circle to get started!'}
               </p>
             </div>
           </div>
@@ -1,25 +1,42 @@
 import React, { useState, useCallback, memo } from 'react'
 import { useNavigate } from 'react-router-dom'
 import Logo from '../components/UI/Logo'
+import { useAuthStore } from '../store/authStore'
 
 const LoginPage = memo(() => {
+    const [mode, setMode] = useState('login')
     const [formData, setFormData] = useState({
         fullName: '',
         email: '',
         password: ''
     })
     const navigate = useNavigate()
+    const { login, signup, loading, error, clearError } = useAuthStore()
+    const isSignup = mode === 'signup'
 
     const handleChange = useCallback((e) => {
         const { name, value } = e.target
         setFormData(prev => ({ ...prev, [name]: value }))
     }, [])
 
-    const handleSubmit = useCallback((e) => {
+    const toggleMode = useCallback(() => {
+        clearError()
+        setMode(prev => (prev === 'login' ? 'signup' : 'login'))
+    }, [clearError])
+
+    const handleSubmit = useCallback(async (e) => {
         e.preventDefault()
-        localStorage.setItem('user', JSON.stringify({ name: formData.fullName, email: formData.email }))
-        navigate('/dashboard')
-    }, [formData.fullName, formData.email, navigate])
+        try {
+            if (isSignup) {
+                await signup({ name: formData.fullName, email: formData.email, password: formData.password })
+            } else {
+                await login({ email: formData.email, password: formData.password })
+            }
+            navigate('/dashboard')
+        } catch {
+            // Error message is shown from the store
+        }
+    }, [isSignup, formData, login, signup, navigate])
 
     return (
         <div className="min-h-screen flex items-center justify-center bg-slate-50 relative overflow-hidden px-4 sm:px-6">
@@ -42,19 +59,27 @@ const LoginPage = memo(() => {
 
                 {/* Form */}
                 <form onSubmit={handleSubmit} className="space-y-5">
-                    <div className="space-y-1.5">
-                        <label htmlFor="fullName" className="text-sm font-semibold text-gray-600">Full Name</label>
-                        <input
-                            type="text"
-                            id="fullName"
-                            name="fullName"
-                            placeholder="John Doe"
-                            value={formData.fullName}
-                            onChange={handleChange}
-                            required
-                            className="w-full px-4 py-3 bg-white border border-gray-200 rounded-xl text-gray-900 placeholder-gray-400 transition-all duration-200 outline-none focus:border-indigo-400 focus:ring-4 focus:ring-indigo-100"
-                        />
-                    </div>
+                    {error && (
+                        <p className="px-4 py-3 bg-rose-50 border border-rose-100 rounded-xl text-sm text-rose-600" role="alert">
+                            {error}
+                        </p>
+                    )}
+
+                    {isSignup && (
+                        <div className="space-y-1.5">
+                            <label htmlFor="fullName" className="text-sm font-semibold text-gray-600">Full Name</label>
+                            <input
+                                type="text"
+                                id="fullName"
+                                name="fullName"
+                                placeholder="John Doe"
+                                value={formData.fullName}
+                                onChange={handleChange}
+                                required
+                                className="w-full px-4 py-3 bg-white border border-gray-200 rounded-xl text-gray-900 placeholder-gray-400 transition-all duration-200 outline-none focus:border-indigo-400 focus:ring-4 focus:ring-indigo-100"
+                            />
+                        </div>
+                    )}
 
                     <div className="space-y-1.5">
                         <label htmlFor="email" className="text-sm font-semibold text-gray-600">Email Address</label>
@@ -80,24 +105,30 @@ const LoginPage = memo(() => {
                             value={formData.password}
                             onChange={handleChange}
                             required
+                            minLength={isSignup ? 8 : undefined}
+                            autoComplete={isSignup ? 'new-password' : 'current-password'}
                             className="w-full px-4 py-3 bg-white border border-gray-200 rounded-xl text-gray-900 placeholder-gray-400 transition-all duration-200 outline-none focus:border-indigo-400 focus:ring-4 focus:ring-indigo-100"
                         />
                     </div>
 
                     <button
                         type="submit"
-                        className="w-full mt-2 py-3.5 bg-linear-to-r from-indigo-600 to-purple-600 text-white rounded-xl font-bold text-base flex items-center justify-center gap-2.5 shadow-lg shadow-indigo-200/40 hover:-translate-y-0.5 hover:shadow-xl hover:shadow-indigo-300/40 active:translate-y-0 transition-all duration-300 cursor-pointer"
+                        disabled={loading}
+                        className="w-full mt-2 py-3.5 bg-linear-to-r from-indigo-600 to-purple-600 text-white rounded-xl font-bold text-base flex items-center justify-center gap-2.5 shadow-lg shadow-indigo-200/40 hover:-translate-y-0.5 hover:shadow-xl hover:shadow-indigo-300/40 active:translate-y-0 transition-all duration-300 cursor-pointer disabled:opacity-60 disabled:cursor-not-allowed"
                     >
-                        <span>Login</span>
+                        <span>{loading ? 'Please wait...' : isSignup ? 'Create Account' : 'Login'}</span>
                         <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 5l7 7-7 7M5 5l7 7-7 7" />
                         </svg>
                     </button>
 
-                    <div className="flex justify-center pt-1">
+                    <div className="flex items-center justify-between pt-1">
                         <a href="#" className="text-sm font-semibold text-indigo-600 hover:text-indigo-800 hover:underline transition-colors" onClick={(e) => e.preventDefault()}>
                             Forgot Password?
                         </a>
+                        <button type="button" onClick={toggleMode} className="text-sm font-semibold text-gray-500 hover:text-indigo-600 transition-colors cursor-pointer">
+                            {isSignup ? 'Have an account? Log in' : 'New here? Sign up'}
+                        </button>
                     </div>
 
                     {/* Divider */}
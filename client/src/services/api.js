@@ -1,5 +1,50 @@
 const API_BASE = 'http://localhost:3001/api';
 
+// Auth endpoints report bad credentials with 401 themselves and must not trigger a refresh
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/signup', '/auth/refresh', '/auth/logout'];
+
+let refreshPromise = null;
+
+function redirectToLogin() {
+  localStorage.removeItem('user');
+  if (window.location.pathname !== '/login') {
+    window.location.assign('/login');
+  }
+}
+
+// Share one in-flight refresh between requests that hit 401 at the same time
+function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_BASE}/auth/refresh`, { method: 'POST', credentials: 'include' })
+      .then((response) => response.ok)
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+// fetch wrapper that sends the auth cookies, retries once after refreshing an
+// expired access token, and sends the user to /login when the session is gone
+async function apiFetch(url, options = {}) {
+  const send = () => fetch(url, { ...options, credentials: 'include' });
+
+  let response = await send();
+
+  const isAuthEndpoint = AUTH_ENDPOINTS.some((path) => url.startsWith(`${API_BASE}${path}`));
+  if (response.status === 401 && !isAuthEndpoint) {
+    if (await refreshSession()) {
+      response = await send();
+    }
+    if (response.status === 401) {
+      redirectToLogin();
+    }
+  }
+
+  return response;
+}
+
 // Helper function to handle SSE streaming responses
 async function handleSSEStream(response, onChunk, onComplete, onError) {
   const reader = response.body.getReader();
@@ -37,7 +82,8 @@ async function handleSSEStream(response, onChunk, onComplete, onError) {
           }
           
           if (data.done) {
-            onComplete?.(data.fullContent || fullContent);
+            // The final event may carry extra fields (e.g. structured suggestions)
+            onComplete?.(data.fullContent || fullContent, data);
             return;
           }
         } catch (parseError) {
@@ -53,6 +99,70 @@ async function handleSSEStream(response, onChunk, onComplete, onError) {
   }
 }
 
+// Auth API - accounts and sessions
+export const authApi = {
+  async signup({ name, email, password, timezone }) {
+    const response = await apiFetch(`${API_BASE}/auth/signup`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, email, password, timezone }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to sign up');
+    }
+    return response.json();
+  },
+
+  async login({ email, password }) {
+    const response = await apiFetch(`${API_BASE}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to log in');
+    }
+    return response.json();
+  },
+
+  async logout() {
+    const response = await apiFetch(`${API_BASE}/auth/logout`, {
+      method: 'POST',
+    });
+    if (!response.ok && response.status !== 204) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to log out');
+    }
+  },
+
+  async me() {
+    const response = await apiFetch(`${API_BASE}/auth/me`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to fetch current user');
+    }
+    return response.json();
+  },
+
+  /**
+   * Update the current user's settings, e.g. { timezone: 'Asia/Kathmandu' }
+   */
+  async updateMe(updates) {
+    const response = await apiFetch(`${API_BASE}/auth/me`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to update current user');
+    }
+    return response.json();
+  },
+};
+
 // Goal API - CRUD and AI endpoints
 export const goalApi = {
   // ============================================================
@@ -63,7 +173,7 @@ export const goalApi = {
    * Get all goals with milestone count and progress
    */
   async getAllGoals() {
-    const response = await fetch(`${API_BASE}/goals`);
+    const response = await apiFetch(`${API_BASE}/goals`);
     if (!response.ok) {
       const error = await response.json();
       throw new Error(error.error || 'Failed to fetch goals');
@@ -75,7 +185,7 @@ export const goalApi = {
    * Create a new goal
    */
   async createGoal({ title, description, targetDate }) {
-    const response = await fetch(`${API_BASE}/goals`, {
+    const response = await apiFetch(`${API_BASE}/goals`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ title, description, targetDate }),
@@ -91,7 +201,7 @@ export const goalApi = {
    * Get a single goal with milestones and tasks
    */
   async getGoal(id) {
-    const response = await fetch(`${API_BASE}/goals/${id}`);
+    const response = await apiFetch(`${API_BASE}/goals/${id}`);
     if (!response.ok) {
       const error = await response.json();
       throw new Error(error.error || 'Failed to fetch goal');
@@ -103,7 +213,7 @@ export const goalApi = {
    * Update a goal
    */
   async updateGoal(id, data) {
-    const response = await fetch(`${API_BASE}/goals/${id}`, {
+    const response = await apiFetch(`${API_BASE}/goals/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data),
@@ -119,7 +229,7 @@ export const goalApi = {
    * Delete a goal
    */
   async deleteGoal(id) {
-    const response = await fetch(`${API_BASE}/goals/${id}`, {
+    const response = await apiFetch(`${API_BASE}/goals/${id}`, {
       method: 'DELETE',
     });
     if (!response.ok && response.status !== 204) {
@@ -136,7 +246,7 @@ export const goalApi = {
    * Get milestones for a goal
    */
   async getMilestones(goalId) {
-    const response = await fetch(`${API_BASE}/goals/${goalId}/milestones`);
+    const response = await apiFetch(`${API_BASE}/goals/${goalId}/milestones`);
     if (!response.ok) {
       const error = await response.json();
       throw new Error(error.error || 'Failed to fetch milestones');
@@ -147,11 +257,11 @@ export const goalApi = {
   /**
    * Create a milestone under a goal
    */
-  async createMilestone(goalId, { title, description, targetDate, checklist }) {
-    const response = await fetch(`${API_BASE}/goals/${goalId}/milestones`, {
+  async createMilestone(goalId, { title, description, targetDate, priority, checkpoints }) {
+    const response = await apiFetch(`${API_BASE}/goals/${goalId}/milestones`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ title, description, targetDate, checklist }),
+      body: JSON.stringify({ title, description, targetDate, priority, checkpoints }),
     });
     if (!response.ok) {
       const error = await response.json();
@@ -164,7 +274,7 @@ export const goalApi = {
    * Update a milestone
    */
   async updateMilestone(id, data) {
-    const response = await fetch(`${API_BASE}/milestones/${id}`, {
+    const response = await apiFetch(`${API_BASE}/milestones/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data),
@@ -180,7 +290,7 @@ export const goalApi = {
    * Delete a milestone
    */
   async deleteMilestone(id) {
-    const response = await fetch(`${API_BASE}/milestones/${id}`, {
+    const response = await apiFetch(`${API_BASE}/milestones/${id}`, {
       method: 'DELETE',
     });
     if (!response.ok && response.status !== 204) {
@@ -195,12 +305,19 @@ export const goalApi = {
 
   /**
    * Create a task under a milestone
+   * Pass `recurrence` (DAILY, WEEKDAYS, INTERVAL, WEEKLY, MONTHLY) with its options for a recurring task
    */
-  async createTask(milestoneId, { title, description, estimatedMins, dueDate, priority }) {
-    const response = await fetch(`${API_BASE}/milestones/${milestoneId}/tasks`, {
+  async createTask(milestoneId, {
+    title, description, estimatedMins, dueDate, priority,
+    recurrence, recurrenceInterval, recurrenceDays, recurrenceStart, recurrenceEnd,
+  }) {
+    const response = await apiFetch(`${API_BASE}/milestones/${milestoneId}/tasks`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ title, description, estimatedMins, dueDate, priority }),
+      body: JSON.stringify({
+        title, description, estimatedMins, dueDate, priority,
+        recurrence, recurrenceInterval, recurrenceDays, recurrenceStart, recurrenceEnd,
+      }),
     });
     if (!response.ok) {
       const error = await response.json();
@@ -213,7 +330,7 @@ export const goalApi = {
    * Update a task
    */
   async updateTask(id, data) {
-    const response = await fetch(`${API_BASE}/tasks/${id}`, {
+    const response = await apiFetch(`${API_BASE}/tasks/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data),
@@ -229,7 +346,7 @@ export const goalApi = {
    * Toggle task status
    */
   async toggleTaskStatus(id, status) {
-    const response = await fetch(`${API_BASE}/tasks/${id}/status`, {
+    const response = await apiFetch(`${API_BASE}/tasks/${id}/status`, {
       method: 'PATCH',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ status }),
@@ -245,7 +362,7 @@ export const goalApi = {
    * Delete a task
    */
   async deleteTask(id) {
-    const response = await fetch(`${API_BASE}/tasks/${id}`, {
+    const response = await apiFetch(`${API_BASE}/tasks/${id}`, {
       method: 'DELETE',
     });
     if (!response.ok && response.status !== 204) {
@@ -256,9 +373,11 @@ export const goalApi = {
 
   /**
    * Get all pending tasks (for daily planning)
+   * Recurring tasks are included when due on `date` (YYYY-MM-DD, default today)
    */
-  async getPendingTasks() {
-    const response = await fetch(`${API_BASE}/tasks/pending`);
+  async getPendingTasks(date) {
+    const query = date ? `?date=${date}` : '';
+    const response = await apiFetch(`${API_BASE}/tasks/pending${query}`);
     if (!response.ok) {
       const error = await response.json();
       throw new Error(error.error || 'Failed to fetch pending tasks');
@@ -266,6 +385,208 @@ export const goalApi = {
     return response.json();
   },
 
+  /**
+   * Get the due days of a recurring task with their completion and streak
+   */
+  async getTaskOccurrences(id, { from, to } = {}) {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    const query = params.toString() ? `?${params}` : '';
+    const response = await apiFetch(`${API_BASE}/tasks/${id}/occurrences${query}`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to fetch occurrences');
+    }
+    return response.json();
+  },
+
+  /**
+   * Mark one day (YYYY-MM-DD) of a recurring task done or not done
+   */
+  async setTaskOccurrence(id, date, done) {
+    const response = await apiFetch(`${API_BASE}/tasks/${id}/occurrences/${date}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ done }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to update occurrence');
+    }
+    return response.json();
+  },
+
+  // ============================================================
+  // DEPENDENCY ENDPOINTS
+  // ============================================================
+
+  /**
+   * Make a task wait on another task of the same goal
+   */
+  async addTaskDependency(taskId, dependsOnId) {
+    const response = await apiFetch(`${API_BASE}/tasks/${taskId}/dependencies`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ dependsOnId }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to add dependency');
+    }
+    return response.json();
+  },
+
+  /**
+   * Remove a task's dependency
+   */
+  async removeTaskDependency(taskId, dependsOnId) {
+    const response = await apiFetch(`${API_BASE}/tasks/${taskId}/dependencies/${dependsOnId}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok && response.status !== 204) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to remove dependency');
+    }
+  },
+
+  /**
+   * Make a milestone wait on another milestone of the same goal
+   */
+  async addMilestoneDependency(milestoneId, dependsOnId) {
+    const response = await apiFetch(`${API_BASE}/milestones/${milestoneId}/dependencies`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ dependsOnId }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to add dependency');
+    }
+    return response.json();
+  },
+
+  /**
+   * Remove a milestone's dependency
+   */
+  async removeMilestoneDependency(milestoneId, dependsOnId) {
+    const response = await apiFetch(`${API_BASE}/milestones/${milestoneId}/dependencies/${dependsOnId}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok && response.status !== 204) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to remove dependency');
+    }
+  },
+
+  /**
+   * Get the chain of tasks that decides a goal's earliest finish date
+   */
+  async getCriticalPath(goalId, { minutesPerDay } = {}) {
+    const query = minutesPerDay ? `?minutesPerDay=${minutesPerDay}` : '';
+    const response = await apiFetch(`${API_BASE}/goals/${goalId}/critical-path${query}`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to fetch critical path');
+    }
+    return response.json();
+  },
+
+  // ============================================================
+  // CHECKPOINT ENDPOINTS
+  // ============================================================
+
+  /**
+   * Add a checkpoint to a milestone
+   */
+  async createCheckpoint(milestoneId, { text }) {
+    const response = await apiFetch(`${API_BASE}/milestones/${milestoneId}/checkpoints`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to create checkpoint');
+    }
+    return response.json();
+  },
+
+  /**
+   * Update a checkpoint's text or done state
+   */
+  async updateCheckpoint(id, data) {
+    const response = await apiFetch(`${API_BASE}/checkpoints/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to update checkpoint');
+    }
+    return response.json();
+  },
+
+  /**
+   * Toggle a checkpoint done/undone
+   */
+  async toggleCheckpoint(id) {
+    const response = await apiFetch(`${API_BASE}/checkpoints/${id}/toggle`, {
+      method: 'PATCH',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to toggle checkpoint');
+    }
+    return response.json();
+  },
+
+  /**
+   * Delete a checkpoint
+   */
+  async deleteCheckpoint(id) {
+    const response = await apiFetch(`${API_BASE}/checkpoints/${id}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok && response.status !== 204) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to delete checkpoint');
+    }
+  },
+
+  /**
+   * Reorder checkpoints within a milestone
+   */
+  async reorderCheckpoints(checkpointIds) {
+    const response = await apiFetch(`${API_BASE}/checkpoints/reorder`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ checkpointIds }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to reorder checkpoints');
+    }
+    return response.json();
+  },
+
+  /**
+   * Turn a checkpoint into a task on the same milestone; returns the new task
+   */
+  async convertCheckpoint(id) {
+    const response = await apiFetch(`${API_BASE}/checkpoints/${id}/convert`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({}),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to convert checkpoint');
+    }
+    return response.json();
+  },
+
   // ============================================================
   // AI ENDPOINTS
   // ============================================================
@@ -273,11 +594,11 @@ export const goalApi = {
   /**
    * Start or continue a goal discussion with AI (SSE streaming)
    */
-  async discuss({ goal, conversationHistory = [], userMessage, enableThinking = true }, onChunk) {
-    const response = await fetch(`${API_BASE}/goals/discuss`, {
+  async discuss({ conversationId, userMessage, enableThinking = true }, onChunk) {
+    const response = await apiFetch(`${API_BASE}/goals/discuss`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ goal, conversationHistory, userMessage, enableThinking }),
+      body: JSON.stringify({ conversationId, userMessage, enableThinking }),
     });
     
     if (!response.ok) {
@@ -304,11 +625,11 @@ export const goalApi = {
   /**
    * Extract subgoals from conversation (non-streaming JSON)
    */
-  async extractSubgoals({ goal, conversationHistory }) {
-    const response = await fetch(`${API_BASE}/goals/extract-subgoals`, {
+  async extractSubgoals({ conversationId, goal }) {
+    const response = await apiFetch(`${API_BASE}/goals/extract-subgoals`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ goal, conversationHistory }),
+      body: JSON.stringify({ conversationId, goal }),
     });
     if (!response.ok) {
       const error = await response.json();
@@ -317,11 +638,29 @@ export const goalApi = {
     return response.json();
   },
 
+  /**
+   * Create a goal with its milestones, checkpoints and tasks from an extracted plan
+   * in one request; returns the full goal tree
+   */
+  async commitPlan({ goal, description, proficiencyLevel, conversationId, milestones }) {
+    const response = await apiFetch(`${API_BASE}/goals/commit-plan`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ goal, description, proficiencyLevel, conversationId, milestones }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to create goal from plan');
+    }
+    return response.json();
+  },
+
   /**
    * AI suggest milestones for a goal (SSE streaming)
+   * Resolves with the prose `message` plus structured `suggestions` to accept or reject
    */
   async suggestMilestones(goalId, { enableThinking = true } = {}, onChunk) {
-    const response = await fetch(`${API_BASE}/goals/${goalId}/ai/suggest-milestones`, {
+    const response = await apiFetch(`${API_BASE}/goals/${goalId}/ai/suggest-milestones`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ enableThinking }),
@@ -337,7 +676,12 @@ export const goalApi = {
         handleSSEStream(
           response,
           onChunk,
-          (fullContent) => resolve({ message: fullContent, role: 'assistant' }),
+          (fullContent, data) => resolve({
+            message: fullContent,
+            role: 'assistant',
+            suggestions: data?.suggestions || [],
+            suggestionsError: data?.suggestionsError || null
+          }),
           reject
         );
       });
@@ -348,9 +692,10 @@ export const goalApi = {
 
   /**
    * AI suggest tasks for a milestone (SSE streaming)
+   * Resolves with the prose `message` plus structured `suggestions` to accept or reject
    */
   async suggestTasks(milestoneId, { enableThinking = true } = {}, onChunk) {
-    const response = await fetch(`${API_BASE}/milestones/${milestoneId}/ai/suggest-tasks`, {
+    const response = await apiFetch(`${API_BASE}/milestones/${milestoneId}/ai/suggest-tasks`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ enableThinking }),
@@ -366,7 +711,12 @@ export const goalApi = {
         handleSSEStream(
           response,
           onChunk,
-          (fullContent) => resolve({ message: fullContent, role: 'assistant' }),
+          (fullContent, data) => resolve({
+            message: fullContent,
+            role: 'assistant',
+            suggestions: data?.suggestions || [],
+            suggestionsError: data?.suggestionsError || null
+          }),
           reject
         );
       });
@@ -381,11 +731,11 @@ export const planningApi = {
   /**
    * Get AI suggestions for tomorrow's tasks (SSE streaming)
    */
-  async suggest({ goals, existingTasks, userPreferences, conversationHistory = [], enableThinking = true }, onChunk) {
-    const response = await fetch(`${API_BASE}/planning/suggest`, {
+  async suggest({ conversationId, goals, userPreferences, userMessage, enableThinking = true }, onChunk) {
+    const response = await apiFetch(`${API_BASE}/planning/suggest`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ goals, existingTasks, userPreferences, conversationHistory, enableThinking }),
+      body: JSON.stringify({ conversationId, goals, userPreferences, userMessage, enableThinking }),
     });
     
     if (!response.ok) {
@@ -410,11 +760,11 @@ export const planningApi = {
   /**
    * Tweak time allocation (SSE streaming)
    */
-  async tweak({ currentPlan, userRequest, conversationHistory = [], enableThinking = false }, onChunk) {
-    const response = await fetch(`${API_BASE}/planning/tweak`, {
+  async tweak({ conversationId, currentPlan, userRequest, enableThinking = false }, onChunk) {
+    const response = await apiFetch(`${API_BASE}/planning/tweak`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ currentPlan, userRequest, conversationHistory, enableThinking }),
+      body: JSON.stringify({ conversationId, currentPlan, userRequest, enableThinking }),
     });
     
     if (!response.ok) {
@@ -439,11 +789,11 @@ export const planningApi = {
   /**
    * Finalize and extract schedule as JSON (non-streaming)
    */
-  async finalize({ conversationHistory }) {
-    const response = await fetch(`${API_BASE}/planning/finalize`, {
+  async finalize({ conversationId, userMessage }) {
+    const response = await apiFetch(`${API_BASE}/planning/finalize`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ conversationHistory }),
+      body: JSON.stringify({ conversationId, userMessage }),
     });
     if (!response.ok) {
       let errorMessage = `Server error (${response.status})`;
@@ -457,12 +807,29 @@ export const planningApi = {
     }
     return response.json();
   },
+
+  /**
+   * Pack pending tasks into a day without the AI (works while Ollama is down)
+   * Returns { date, tasks, unscheduled, freeMins }; nothing is saved
+   */
+  async autoSchedule({ date, workStart, workEnd, breaks, fixedBlocks, bufferMins }) {
+    const response = await apiFetch(`${API_BASE}/planning/auto-schedule`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ date, workStart, workEnd, breaks, fixedBlocks, bufferMins }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to auto-schedule');
+    }
+    return response.json();
+  },
 };
 
 // Daily Plan API
 export const dailyPlanApi = {
   async getDailyPlan(date) {
-    const response = await fetch(`${API_BASE}/daily-plan/${date}`);
+    const response = await apiFetch(`${API_BASE}/daily-plan/${date}`);
     if (!response.ok) {
       const error = await response.json();
       throw new Error(error.error || 'Failed to fetch daily plan');
@@ -470,31 +837,426 @@ export const dailyPlanApi = {
     return response.json();
   },
 
-  async saveDailyPlan(date, tasks) {
-    const response = await fetch(`${API_BASE}/daily-plan`, {
+  /**
+   * Save a day's blocks. With `autoResolve`, overlapping blocks are moved later instead of
+   * rejected; the reply lists them as `shifted`, and the free time between blocks as `gaps`
+   */
+  async saveDailyPlan(date, tasks, { autoResolve = false } = {}) {
+    const response = await apiFetch(`${API_BASE}/daily-plan`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ date, tasks }),
+      body: JSON.stringify({ date, tasks, autoResolve }),
     });
     if (!response.ok) {
       const error = await response.json();
-      throw new Error(error.error || 'Failed to save daily plan');
+      // Time block conflicts each come with a readable message
+      const conflicts = error.conflicts?.map(conflict => conflict.message).join('; ');
+      throw new Error(conflicts ? `${error.error}: ${conflicts}` : error.error || 'Failed to save daily plan');
     }
     return response.json();
   },
 
-  async getUpcomingPlans(days = 7) {
-    const response = await fetch(`${API_BASE}/daily-plan/upcoming?days=${days}`);
+  /**
+   * Update a planned block's status (also updates the linked task, if any)
+   */
+  async updatePlannedTaskStatus(id, status) {
+    const response = await apiFetch(`${API_BASE}/daily-plan/tasks/${id}/status`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to update planned task');
+    }
+    return response.json();
+  },
+
+  /**
+   * Carry unfinished blocks from the past week into a day's plan (default today)
+   * Returns { date, rolledOver, plan }
+   */
+  async rollOver(date) {
+    const response = await apiFetch(`${API_BASE}/daily-plan/rollover`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ date }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to roll over daily plans');
+    }
+    return response.json();
+  },
+
+  /**
+   * Saved plans for `days` days from `from` (YYYY-MM-DD, default today)
+   */
+  async getUpcomingPlans(days = 7, from) {
+    const params = new URLSearchParams({ days: String(days) });
+    if (from) params.set('from', from);
+    const response = await apiFetch(`${API_BASE}/daily-plan/upcoming?${params}`);
     if (!response.ok) {
       const error = await response.json();
       throw new Error(error.error || 'Failed to fetch upcoming plans');
     }
     return response.json();
   },
+
+  // ============================================================
+  // REVISIONS
+  // ============================================================
+
+  /**
+   * A day's saved revisions, newest first: [{ number, source, restoredFrom, blockCount, createdAt }]
+   */
+  async getRevisions(date) {
+    const response = await apiFetch(`${API_BASE}/daily-plan/${date}/revisions`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to fetch plan revisions');
+    }
+    return response.json();
+  },
+
+  /**
+   * Blocks added, removed and retimed by a revision (against `from`, default the one before)
+   */
+  async diffRevision(date, number, from) {
+    const query = from !== undefined ? `?from=${from}` : '';
+    const response = await apiFetch(`${API_BASE}/daily-plan/${date}/revisions/${number}/diff${query}`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to diff plan revisions');
+    }
+    return response.json();
+  },
+
+  /**
+   * Bring a day's plan back to an earlier revision; returns the plan
+   */
+  async restoreRevision(date, number) {
+    const response = await apiFetch(`${API_BASE}/daily-plan/${date}/revisions/${number}/restore`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to restore plan revision');
+    }
+    return response.json();
+  },
+
+  // ============================================================
+  // CALENDAR EXPORT
+  // ============================================================
+
+  /**
+   * Saved plans between two date keys (inclusive) as an .ics file Blob
+   */
+  async exportIcs(from, to) {
+    const params = new URLSearchParams({ from, to });
+    const response = await apiFetch(`${API_BASE}/daily-plan/export?${params}`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to export daily plans');
+    }
+    return response.blob();
+  },
+
+  /**
+   * Create a calendar feed URL to subscribe to; replaces (and revokes) the previous one
+   * Returns { url }
+   */
+  async createFeed() {
+    const response = await apiFetch(`${API_BASE}/daily-plan/feed`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to create calendar feed');
+    }
+    return response.json();
+  },
+
+  async deleteFeed() {
+    const response = await apiFetch(`${API_BASE}/daily-plan/feed`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to delete calendar feed');
+    }
+  },
+};
+
+// Calendar API - fixed events imported from .ics files, planned around but never part of a plan
+export const calendarApi = {
+  /**
+   * Import an iCalendar file's events (`text` is the file contents)
+   * Returns { source, events, imported, skipped, from, to }
+   */
+  async importIcs(text, source) {
+    const query = source ? `?source=${encodeURIComponent(source)}` : '';
+    const response = await apiFetch(`${API_BASE}/calendar/import${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/calendar' },
+      body: text,
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to import calendar');
+    }
+    return response.json();
+  },
+
+  /**
+   * Events between two date keys (inclusive), ordered by date then start
+   */
+  async getEvents(from, to) {
+    const params = new URLSearchParams({ from, to });
+    const response = await apiFetch(`${API_BASE}/calendar/events?${params}`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to fetch calendar events');
+    }
+    return response.json();
+  },
+
+  async deleteEvent(id) {
+    const response = await apiFetch(`${API_BASE}/calendar/events/${id}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to delete calendar event');
+    }
+  },
+};
+
+// Focus Session API - timed FocusMode sessions on planned blocks
+export const focusApi = {
+  async getActive() {
+    const response = await apiFetch(`${API_BASE}/focus-sessions/active`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to fetch focus session');
+    }
+    return response.json();
+  },
+
+  async start(plannedTaskId) {
+    const response = await apiFetch(`${API_BASE}/focus-sessions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ plannedTaskId }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to start focus session');
+    }
+    return response.json();
+  },
+
+  async pause(id) {
+    const response = await apiFetch(`${API_BASE}/focus-sessions/${id}/pause`, {
+      method: 'PATCH',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to pause focus session');
+    }
+    return response.json();
+  },
+
+  async resume(id) {
+    const response = await apiFetch(`${API_BASE}/focus-sessions/${id}/resume`, {
+      method: 'PATCH',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to resume focus session');
+    }
+    return response.json();
+  },
+
+  async complete(id, outcome = 'COMPLETED') {
+    const response = await apiFetch(`${API_BASE}/focus-sessions/${id}/complete`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ outcome }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to complete focus session');
+    }
+    return response.json();
+  },
+};
+
+// Analytics API
+export const analyticsApi = {
+  async get(range = 'weekly') {
+    const response = await apiFetch(`${API_BASE}/analytics?range=${encodeURIComponent(range)}`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to fetch analytics');
+    }
+    return response.json();
+  },
+};
+
+// Gamification API - XP, streaks, achievements and season rankings
+export const gamificationApi = {
+  async getProfile() {
+    const response = await apiFetch(`${API_BASE}/gamification/me`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to fetch profile');
+    }
+    return response.json();
+  },
+
+  async getLeaderboard(scope = 'global') {
+    const response = await apiFetch(`${API_BASE}/gamification/leaderboard?scope=${encodeURIComponent(scope)}`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to fetch leaderboard');
+    }
+    return response.json();
+  },
+};
+
+// Friends API - the focus circle
+export const friendsApi = {
+  async getAll() {
+    const response = await apiFetch(`${API_BASE}/friends`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to fetch friends');
+    }
+    return response.json();
+  },
+
+  async add(email) {
+    const response = await apiFetch(`${API_BASE}/friends`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to add friend');
+    }
+    return response.json();
+  },
+
+  async getRequests() {
+    const response = await apiFetch(`${API_BASE}/friends/requests`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to fetch friend requests');
+    }
+    return response.json();
+  },
+
+  async acceptRequest(requestId) {
+    const response = await apiFetch(`${API_BASE}/friends/requests/${requestId}/accept`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to accept friend request');
+    }
+    return response.json();
+  },
+
+  async declineRequest(requestId) {
+    const response = await apiFetch(`${API_BASE}/friends/requests/${requestId}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok && response.status !== 204) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to decline friend request');
+    }
+  },
+
+  async remove(friendId) {
+    const response = await apiFetch(`${API_BASE}/friends/${friendId}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok && response.status !== 204) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to remove friend');
+    }
+  },
+};
+
+// Conversation API - saved goal discussions and planning chats
+export const conversationApi = {
+  /**
+   * List conversations, most recent first
+   * @param {{ kind?: string, goalId?: string, planDate?: string, planEndDate?: string, unlinked?: boolean }} filters
+   */
+  async list(filters = {}) {
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value !== undefined && value !== null)
+    );
+    const response = await apiFetch(`${API_BASE}/conversations?${params}`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to fetch conversations');
+    }
+    return response.json();
+  },
+
+  async create({ kind, title, proficiencyLevel, planDate, planEndDate, goalId }) {
+    const response = await apiFetch(`${API_BASE}/conversations`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ kind, title, proficiencyLevel, planDate, planEndDate, goalId }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to start conversation');
+    }
+    return response.json();
+  },
+
+  async get(id) {
+    const response = await apiFetch(`${API_BASE}/conversations/${id}`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to fetch conversation');
+    }
+    return response.json();
+  },
+
+  async update(id, updates) {
+    const response = await apiFetch(`${API_BASE}/conversations/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to update conversation');
+    }
+    return response.json();
+  },
+
+  async delete(id) {
+    const response = await apiFetch(`${API_BASE}/conversations/${id}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok && response.status !== 204) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to delete conversation');
+    }
+  },
 };
 
 // Health check
 export const checkHealth = async () => {
-  const response = await fetch(`${API_BASE}/health`);
+  const response = await apiFetch(`${API_BASE}/health`);
   return response.json();
 };
@@ -0,0 +1,97 @@
+import { create } from 'zustand';
+import { authApi } from '../services/api';
+import { browserTimeZone } from '../utils/dates';
+
+// The profile is cached so names render before /auth/me answers;
+// the session itself lives in httpOnly cookies
+const readCachedUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem('user')) || null;
+  } catch {
+    return null;
+  }
+};
+
+const cacheUser = (user) => {
+  if (user) {
+    localStorage.setItem('user', JSON.stringify(user));
+  } else {
+    localStorage.removeItem('user');
+  }
+};
+
+/**
+ * Zustand store for the signed-in user
+ */
+export const useAuthStore = create((set) => ({
+  // State
+  user: readCachedUser(),
+  loading: false,
+  error: null,
+
+  /**
+   * Create an account and sign in
+   */
+  signup: async (data) => {
+    set({ loading: true, error: null });
+    try {
+      const { user } = await authApi.signup({ ...data, timezone: browserTimeZone() });
+      cacheUser(user);
+      set({ user, loading: false });
+      return user;
+    } catch (error) {
+      set({ error: error.message, loading: false });
+      throw error;
+    }
+  },
+
+  /**
+   * Sign in with email and password
+   */
+  login: async (data) => {
+    set({ loading: true, error: null });
+    try {
+      const { user } = await authApi.login(data);
+      cacheUser(user);
+      set({ user, loading: false });
+      return user;
+    } catch (error) {
+      set({ error: error.message, loading: false });
+      throw error;
+    }
+  },
+
+  /**
+   * Sign out and forget the cached profile
+   */
+  logout: async () => {
+    try {
+      await authApi.logout();
+    } finally {
+      cacheUser(null);
+      set({ user: null, error: null });
+    }
+  },
+
+  /**
+   * Refresh the profile from the server (redirects to /login if the session is gone)
+   * The user's time zone follows the device they're on, so "today" on the server
+   * is the day they see
+   */
+  fetchMe: async () => {
+    let { user } = await authApi.me();
+    const timezone = browserTimeZone();
+    if (timezone && user.timezone !== timezone) {
+      // A zone the server doesn't know keeps the stored one
+      ({ user } = await authApi.updateMe({ timezone }).catch(() => ({ user })));
+    }
+    cacheUser(user);
+    set({ user });
+    return user;
+  },
+
+  /**
+   * Clear error state
+   */
+  clearError: () => set({ error: null }),
+}));
@@ -0,0 +1,57 @@
+/**
+ * Calendar-day helpers
+ *
+ * Plan dates are YYYY-MM-DD keys for days in the user's time zone (user.timezone).
+ * Keys only ever become Dates at UTC midnight, so stepping and formatting them
+ * gives the same day whatever zone the browser is in.
+ */
+
+/**
+ * The IANA time zone this browser is in, e.g. "Asia/Kathmandu"
+ */
+export const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * The calendar day an instant falls on in a time zone
+ * @param {Date} date
+ * @param {string} [timeZone] - IANA zone (default the browser's)
+ * @returns {string} - YYYY-MM-DD
+ */
+export const toDateKey = (date, timeZone = browserTimeZone()) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * Today's date key in a time zone (default the browser's)
+ */
+export const todayKey = (timeZone) => toDateKey(new Date(), timeZone || undefined);
+
+const keyToDate = (dateKey) => new Date(`${dateKey}T00:00:00Z`);
+
+export const addDays = (dateKey, days) => {
+  const date = keyToDate(dateKey);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+export const datesBetween = (start, end) => {
+  const dates = [];
+  for (let date = start; date <= end; date = addDays(date, 1)) dates.push(date);
+  return dates;
+};
+
+/**
+ * Day of the week of a date key, 0 (Sunday) to 6
+ */
+export const weekdayOf = (dateKey) => keyToDate(dateKey).getUTCDay();
+
+/**
+ * Format a date key, e.g. formatDateKey('2026-10-19', { weekday: 'short' }) -> "Mon"
+ */
+export const formatDateKey = (dateKey, options) =>
+  keyToDate(dateKey).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
@@ -0,0 +1,29 @@
+-- Rows created before accounts existed are handed to the first registered
+-- user; if nobody has signed up yet they cannot be attributed and are removed.
+
+-- AlterTable
+ALTER TABLE "goals" ADD COLUMN "userId" TEXT;
+UPDATE "goals" SET "userId" = (SELECT "id" FROM "users" ORDER BY "createdAt" ASC LIMIT 1);
+DELETE FROM "goals" WHERE "userId" IS NULL;
+ALTER TABLE "goals" ALTER COLUMN "userId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "daily_plans" ADD COLUMN "userId" TEXT;
+UPDATE "daily_plans" SET "userId" = (SELECT "id" FROM "users" ORDER BY "createdAt" ASC LIMIT 1);
+DELETE FROM "daily_plans" WHERE "userId" IS NULL;
+ALTER TABLE "daily_plans" ALTER COLUMN "userId" SET NOT NULL;
+
+-- DropIndex
+DROP INDEX "daily_plans_date_key";
+
+-- CreateIndex
+CREATE INDEX "goals_userId_idx" ON "goals"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "daily_plans_userId_date_key" ON "daily_plans"("userId", "date");
+
+-- AddForeignKey
+ALTER TABLE "goals" ADD CONSTRAINT "goals_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "daily_plans" ADD CONSTRAINT "daily_plans_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
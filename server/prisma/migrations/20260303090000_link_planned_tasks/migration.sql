@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "planned_tasks" ADD COLUMN "taskId" TEXT,
+ADD COLUMN "milestoneId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "planned_tasks_taskId_idx" ON "planned_tasks"("taskId");
+
+-- CreateIndex
+CREATE INDEX "planned_tasks_milestoneId_idx" ON "planned_tasks"("milestoneId");
+
+-- AddForeignKey
+ALTER TABLE "planned_tasks" ADD CONSTRAINT "planned_tasks_taskId_fkey" FOREIGN KEY ("taskId") REFERENCES "tasks"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "planned_tasks" ADD CONSTRAINT "planned_tasks_milestoneId_fkey" FOREIGN KEY ("milestoneId") REFERENCES "milestones"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "FocusOutcome" AS ENUM ('COMPLETED', 'ABANDONED');
+
+-- CreateTable
+CREATE TABLE "focus_sessions" (
+    "id" TEXT NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "endedAt" TIMESTAMP(3),
+    "pausedAt" TIMESTAMP(3),
+    "pausedSeconds" INTEGER NOT NULL DEFAULT 0,
+    "focusedSeconds" INTEGER,
+    "outcome" "FocusOutcome",
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" TEXT NOT NULL,
+    "plannedTaskId" TEXT,
+    "taskId" TEXT,
+
+    CONSTRAINT "focus_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "focus_sessions_userId_startedAt_idx" ON "focus_sessions"("userId", "startedAt");
+
+-- AddForeignKey
+ALTER TABLE "focus_sessions" ADD CONSTRAINT "focus_sessions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "focus_sessions" ADD CONSTRAINT "focus_sessions_plannedTaskId_fkey" FOREIGN KEY ("plannedTaskId") REFERENCES "planned_tasks"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "focus_sessions" ADD CONSTRAINT "focus_sessions_taskId_fkey" FOREIGN KEY ("taskId") REFERENCES "tasks"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN "completed_at" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "planned_tasks" ADD COLUMN "completedAt" TIMESTAMP(3);
+
+-- Backfill: best available completion time for rows that are already done
+UPDATE "tasks" SET "completed_at" = "updated_at" WHERE "status" = 'COMPLETED';
+UPDATE "planned_tasks" SET "completedAt" = "createdAt" WHERE "status" = 'COMPLETED';
@@ -0,0 +1,107 @@
+-- CreateEnum
+CREATE TYPE "XpSource" AS ENUM ('TASK', 'MILESTONE', 'GOAL', 'FOCUS');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "currentStreak" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "longestStreak" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "lastActiveDate" DATE;
+
+-- CreateTable
+CREATE TABLE "xp_events" (
+    "id" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "source" "XpSource" NOT NULL,
+    "sourceId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" TEXT NOT NULL,
+
+    CONSTRAINT "xp_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "user_achievements" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "unlockedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" TEXT NOT NULL,
+
+    CONSTRAINT "user_achievements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "seasons" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "xpGoal" INTEGER NOT NULL DEFAULT 50000,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "seasons_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "friendships" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" TEXT NOT NULL,
+    "friendId" TEXT NOT NULL,
+
+    CONSTRAINT "friendships_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "xp_events_source_sourceId_key" ON "xp_events"("source", "sourceId");
+
+-- CreateIndex
+CREATE INDEX "xp_events_userId_createdAt_idx" ON "xp_events"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "xp_events_createdAt_idx" ON "xp_events"("createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_achievements_userId_key_key" ON "user_achievements"("userId", "key");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "seasons_startsAt_key" ON "seasons"("startsAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "friendships_userId_friendId_key" ON "friendships"("userId", "friendId");
+
+-- AddForeignKey
+ALTER TABLE "xp_events" ADD CONSTRAINT "xp_events_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "user_achievements" ADD CONSTRAINT "user_achievements_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "friendships" ADD CONSTRAINT "friendships_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "friendships" ADD CONSTRAINT "friendships_friendId_fkey" FOREIGN KEY ("friendId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill XP for work completed before XP existed (amounts match lib/gamification.js)
+INSERT INTO "xp_events" ("id", "amount", "source", "sourceId", "createdAt", "userId")
+SELECT gen_random_uuid()::text,
+       CASE t."priority" WHEN 'HIGH' THEN 20 WHEN 'LOW' THEN 5 ELSE 10 END,
+       'TASK', t."id", COALESCE(t."completed_at", t."updated_at"), g."userId"
+FROM "tasks" t
+JOIN "milestones" m ON m."id" = t."milestone_id"
+JOIN "goals" g ON g."id" = m."goalId"
+WHERE t."status" = 'COMPLETED';
+
+INSERT INTO "xp_events" ("id", "amount", "source", "sourceId", "createdAt", "userId")
+SELECT gen_random_uuid()::text, 50, 'MILESTONE', m."id", m."updatedAt", g."userId"
+FROM "milestones" m
+JOIN "goals" g ON g."id" = m."goalId"
+WHERE m."status" = 'COMPLETED';
+
+INSERT INTO "xp_events" ("id", "amount", "source", "sourceId", "createdAt", "userId")
+SELECT gen_random_uuid()::text, 200, 'GOAL', g."id", g."updatedAt", g."userId"
+FROM "goals" g
+WHERE g."status" = 'COMPLETED';
+
+INSERT INTO "xp_events" ("id", "amount", "source", "sourceId", "createdAt", "userId")
+SELECT gen_random_uuid()::text, f."focusedSeconds" / 60, 'FOCUS', f."id", f."endedAt", f."userId"
+FROM "focus_sessions" f
+WHERE f."endedAt" IS NOT NULL AND f."focusedSeconds" >= 60;
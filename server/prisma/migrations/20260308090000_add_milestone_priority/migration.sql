@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "milestones" ADD COLUMN "priority" "Priority" NOT NULL DEFAULT 'MEDIUM';
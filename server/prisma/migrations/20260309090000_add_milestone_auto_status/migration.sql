@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "milestones" ADD COLUMN "autoStatus" BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "checkpoints" (
+    "id" TEXT NOT NULL,
+    "text" TEXT NOT NULL,
+    "done" BOOLEAN NOT NULL DEFAULT false,
+    "orderIndex" INTEGER NOT NULL DEFAULT 0,
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "milestoneId" TEXT NOT NULL,
+
+    CONSTRAINT "checkpoints_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "checkpoints_milestoneId_orderIndex_idx" ON "checkpoints"("milestoneId", "orderIndex");
+
+-- AddForeignKey
+ALTER TABLE "checkpoints" ADD CONSTRAINT "checkpoints_milestoneId_fkey" FOREIGN KEY ("milestoneId") REFERENCES "milestones"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move checklist items into rows, keeping their order; done items get the
+-- milestone's last update as their best-known completion time
+INSERT INTO "checkpoints" ("id", "text", "done", "orderIndex", "completedAt", "createdAt", "updatedAt", "milestoneId")
+SELECT gen_random_uuid()::text,
+       item.value->>'text',
+       COALESCE((item.value->>'done')::boolean, false),
+       (item.position - 1)::integer,
+       CASE WHEN COALESCE((item.value->>'done')::boolean, false) THEN m."updatedAt" END,
+       m."createdAt",
+       m."updatedAt",
+       m."id"
+FROM "milestones" m
+CROSS JOIN LATERAL jsonb_array_elements(m."checklist") WITH ORDINALITY AS item(value, position)
+WHERE jsonb_typeof(m."checklist") = 'array'
+  AND COALESCE(btrim(item.value->>'text'), '') <> '';
+
+-- AlterTable
+ALTER TABLE "milestones" DROP COLUMN "checklist";
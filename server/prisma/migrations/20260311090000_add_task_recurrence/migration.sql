@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "Recurrence" AS ENUM ('DAILY', 'WEEKDAYS', 'INTERVAL', 'WEEKLY', 'MONTHLY');
+
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN     "recurrence" "Recurrence",
+ADD COLUMN     "recurrence_interval" INTEGER,
+ADD COLUMN     "recurrence_days" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+ADD COLUMN     "recurrence_start" DATE,
+ADD COLUMN     "recurrence_end" DATE;
+
+-- CreateTable
+CREATE TABLE "task_occurrences" (
+    "id" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "completedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "taskId" TEXT NOT NULL,
+
+    CONSTRAINT "task_occurrences_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "task_occurrences_taskId_date_key" ON "task_occurrences"("taskId", "date");
+
+-- AddForeignKey
+ALTER TABLE "task_occurrences" ADD CONSTRAINT "task_occurrences_taskId_fkey" FOREIGN KEY ("taskId") REFERENCES "tasks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "milestone_dependencies" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "milestoneId" TEXT NOT NULL,
+    "dependsOnId" TEXT NOT NULL,
+
+    CONSTRAINT "milestone_dependencies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "task_dependencies" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "taskId" TEXT NOT NULL,
+    "dependsOnId" TEXT NOT NULL,
+
+    CONSTRAINT "task_dependencies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "milestone_dependencies_dependsOnId_idx" ON "milestone_dependencies"("dependsOnId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "milestone_dependencies_milestoneId_dependsOnId_key" ON "milestone_dependencies"("milestoneId", "dependsOnId");
+
+-- CreateIndex
+CREATE INDEX "task_dependencies_dependsOnId_idx" ON "task_dependencies"("dependsOnId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "task_dependencies_taskId_dependsOnId_key" ON "task_dependencies"("taskId", "dependsOnId");
+
+-- AddForeignKey
+ALTER TABLE "milestone_dependencies" ADD CONSTRAINT "milestone_dependencies_milestoneId_fkey" FOREIGN KEY ("milestoneId") REFERENCES "milestones"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "milestone_dependencies" ADD CONSTRAINT "milestone_dependencies_dependsOnId_fkey" FOREIGN KEY ("dependsOnId") REFERENCES "milestones"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "task_dependencies" ADD CONSTRAINT "task_dependencies_taskId_fkey" FOREIGN KEY ("taskId") REFERENCES "tasks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "task_dependencies" ADD CONSTRAINT "task_dependencies_dependsOnId_fkey" FOREIGN KEY ("dependsOnId") REFERENCES "tasks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- A record can't depend on itself
+ALTER TABLE "milestone_dependencies" ADD CONSTRAINT "milestone_dependencies_not_self" CHECK ("milestoneId" <> "dependsOnId");
+ALTER TABLE "task_dependencies" ADD CONSTRAINT "task_dependencies_not_self" CHECK ("taskId" <> "dependsOnId");
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN "defer_count" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "planned_tasks" ADD COLUMN "rolledOverAt" TIMESTAMP(3),
+ADD COLUMN "rolledOverFromId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "planned_tasks_rolledOverFromId_idx" ON "planned_tasks"("rolledOverFromId");
+
+-- AddForeignKey
+ALTER TABLE "planned_tasks" ADD CONSTRAINT "planned_tasks_rolledOverFromId_fkey" FOREIGN KEY ("rolledOverFromId") REFERENCES "planned_tasks"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateEnum
+CREATE TYPE "PlanRevisionSource" AS ENUM ('SAVE', 'RESTORE', 'ROLLOVER');
+
+-- CreateTable
+CREATE TABLE "daily_plan_revisions" (
+    "id" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "source" "PlanRevisionSource" NOT NULL DEFAULT 'SAVE',
+    "restoredFrom" INTEGER,
+    "blocks" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "dailyPlanId" TEXT NOT NULL,
+
+    CONSTRAINT "daily_plan_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "daily_plan_revisions_dailyPlanId_number_key" ON "daily_plan_revisions"("dailyPlanId", "number");
+
+-- AddForeignKey
+ALTER TABLE "daily_plan_revisions" ADD CONSTRAINT "daily_plan_revisions_dailyPlanId_fkey" FOREIGN KEY ("dailyPlanId") REFERENCES "daily_plans"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "calendar_events" (
+    "id" TEXT NOT NULL,
+    "uid" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "location" TEXT,
+    "date" DATE NOT NULL,
+    "startTime" TEXT,
+    "endTime" TEXT,
+    "allDay" BOOLEAN NOT NULL DEFAULT false,
+    "source" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" TEXT NOT NULL,
+
+    CONSTRAINT "calendar_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "calendar_events_userId_uid_date_key" ON "calendar_events"("userId", "uid", "date");
+
+-- CreateIndex
+CREATE INDEX "calendar_events_userId_date_idx" ON "calendar_events"("userId", "date");
+
+-- AddForeignKey
+ALTER TABLE "calendar_events" ADD CONSTRAINT "calendar_events_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
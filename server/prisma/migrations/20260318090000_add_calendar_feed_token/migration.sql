@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "calendarFeedTokenHash" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_calendarFeedTokenHash_key" ON "users"("calendarFeedTokenHash");
@@ -0,0 +1,9 @@
+-- Recurring tasks without a start date start on the day they were created, in the owner's time zone
+UPDATE "tasks" AS t
+SET "recurrence_start" = ((t."created_at" AT TIME ZONE 'UTC') AT TIME ZONE u."timezone")::date
+FROM "milestones" AS m, "goals" AS g, "users" AS u
+WHERE t."milestone_id" = m."id"
+  AND m."goalId" = g."id"
+  AND g."userId" = u."id"
+  AND t."recurrence" IS NOT NULL
+  AND t."recurrence_start" IS NULL;
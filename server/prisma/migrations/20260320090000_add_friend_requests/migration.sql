@@ -0,0 +1,6 @@
+-- CreateEnum
+CREATE TYPE "FriendshipStatus" AS ENUM ('PENDING', 'ACCEPTED');
+
+-- AlterTable: friendships made before requests existed stay in place
+ALTER TABLE "friendships" ADD COLUMN "status" "FriendshipStatus" NOT NULL DEFAULT 'ACCEPTED';
+ALTER TABLE "friendships" ALTER COLUMN "status" SET DEFAULT 'PENDING';
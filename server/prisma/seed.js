@@ -0,0 +1,227 @@
+import 'dotenv/config';
+import prisma from '../src/lib/prisma.js';
+import { hashPassword } from '../src/lib/auth.js';
+import { toDateKey } from '../src/lib/analytics.js';
+
+/**
+ * Demo data for local development: one user with two goals and plans for
+ * yesterday and today. Run after migrations with `npm run db:seed`.
+ * Re-running resets the demo user's data; other accounts are left alone.
+ */
+
+const DEMO_EMAIL = 'demo@momentum.dev';
+const DEMO_PASSWORD = 'momentum-demo';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GOALS = [
+  {
+    title: 'Run a half marathon',
+    description: 'Build up to 21 km by the spring race',
+    proficiencyLevel: 'BEGINNER',
+    targetInDays: 120,
+    milestones: [
+      {
+        title: 'Run 5 km without stopping',
+        status: 'COMPLETED',
+        checkpoints: [
+          { text: 'Three easy runs a week', done: true },
+          { text: 'Buy running shoes', done: true }
+        ],
+        tasks: [
+          { title: 'Get fitted for running shoes', priority: 'HIGH', estimatedMins: 60, status: 'COMPLETED', completedDaysAgo: 20 },
+          { title: 'Complete week 1 of couch-to-5k', priority: 'MEDIUM', estimatedMins: 30, status: 'COMPLETED', completedDaysAgo: 14 }
+        ]
+      },
+      {
+        title: 'Run 10 km in under an hour',
+        status: 'IN_PROGRESS',
+        checkpoints: [
+          { text: 'Add a weekly long run', done: true },
+          { text: 'Try one interval session', done: false }
+        ],
+        tasks: [
+          { title: 'Long run: 8 km easy pace', priority: 'HIGH', estimatedMins: 55, status: 'COMPLETED', completedDaysAgo: 1 },
+          { title: 'Intervals: 6 x 400 m', priority: 'MEDIUM', estimatedMins: 40, status: 'PENDING' },
+          { title: 'Plan a 10 km route', priority: 'LOW', estimatedMins: 15, status: 'PENDING' },
+          { title: 'Stretch for 10 minutes', priority: 'LOW', estimatedMins: 10, status: 'PENDING', recurrence: 'DAILY', doneDaysAgo: [1, 2, 3, 5] }
+        ]
+      }
+    ]
+  },
+  {
+    title: 'Learn Spanish to conversational level',
+    description: null,
+    proficiencyLevel: 'INTERMEDIATE',
+    targetInDays: 180,
+    milestones: [
+      {
+        title: 'Finish A2 grammar course',
+        status: 'IN_PROGRESS',
+        checkpoints: [
+          { text: 'Past tenses unit', done: true },
+          { text: 'Subjunctive intro unit', done: false }
+        ],
+        tasks: [
+          { title: 'Past tenses exercises', priority: 'MEDIUM', estimatedMins: 45, status: 'COMPLETED', completedDaysAgo: 1 },
+          { title: 'Subjunctive intro lesson', priority: 'HIGH', estimatedMins: 60, status: 'IN_PROGRESS' }
+        ]
+      },
+      {
+        title: 'Hold a 15 minute conversation',
+        status: 'PENDING',
+        checkpoints: [
+          { text: 'Book a tutor session', done: false },
+          { text: 'Prepare talking points', done: false }
+        ],
+        tasks: [
+          { title: 'Book an online tutor', priority: 'MEDIUM', estimatedMins: 20, status: 'PENDING' }
+        ]
+      }
+    ]
+  }
+];
+
+// Plans reference tasks by title; `daysFromToday` 0 is today
+const PLANS = [
+  {
+    daysFromToday: -1,
+    blocks: [
+      { task: 'Long run: 8 km easy pace', startTime: '07:00', endTime: '07:55', status: 'COMPLETED' },
+      { task: 'Past tenses exercises', startTime: '19:00', endTime: '19:45', status: 'COMPLETED' }
+    ]
+  },
+  {
+    daysFromToday: 0,
+    blocks: [
+      { task: 'Intervals: 6 x 400 m', startTime: '07:00', endTime: '07:40', status: 'PENDING' },
+      { task: 'Subjunctive intro lesson', startTime: '18:00', endTime: '19:00', status: 'PENDING' },
+      { title: 'Weekly review', startTime: '21:00', endTime: '21:30', status: 'PENDING' }
+    ]
+  }
+];
+
+function daysFromNow(days) {
+  return new Date(Date.now() + days * DAY_MS);
+}
+
+async function seedGoals(userId) {
+  const tasksByTitle = new Map();
+
+  for (const goalData of GOALS) {
+    const goal = await prisma.goal.create({
+      data: {
+        title: goalData.title,
+        description: goalData.description,
+        proficiencyLevel: goalData.proficiencyLevel,
+        targetDate: daysFromNow(goalData.targetInDays),
+        userId
+      }
+    });
+
+    for (const [milestoneIndex, milestoneData] of goalData.milestones.entries()) {
+      const milestone = await prisma.milestone.create({
+        data: {
+          title: milestoneData.title,
+          status: milestoneData.status,
+          orderIndex: milestoneIndex,
+          goalId: goal.id,
+          checkpoints: {
+            create: milestoneData.checkpoints.map((checkpoint, checkpointIndex) => ({
+              text: checkpoint.text,
+              done: checkpoint.done,
+              completedAt: checkpoint.done ? daysFromNow(-1) : null,
+              orderIndex: checkpointIndex
+            }))
+          }
+        }
+      });
+
+      for (const [taskIndex, taskData] of milestoneData.tasks.entries()) {
+        const task = await prisma.task.create({
+          data: {
+            title: taskData.title,
+            priority: taskData.priority,
+            estimatedMins: taskData.estimatedMins,
+            status: taskData.status,
+            completedAt: taskData.completedDaysAgo !== undefined ? daysFromNow(-taskData.completedDaysAgo) : null,
+            orderIndex: taskIndex,
+            milestoneId: milestone.id,
+            ...(taskData.recurrence && {
+              recurrence: taskData.recurrence,
+              recurrenceStart: new Date(toDateKey(daysFromNow(-7))),
+              occurrences: {
+                create: taskData.doneDaysAgo.map(days => ({
+                  date: new Date(toDateKey(daysFromNow(-days))),
+                  completedAt: daysFromNow(-days)
+                }))
+              }
+            })
+          }
+        });
+        tasksByTitle.set(task.title, task);
+      }
+    }
+  }
+
+  return tasksByTitle;
+}
+
+async function seedPlans(userId, tasksByTitle) {
+  for (const plan of PLANS) {
+    const day = daysFromNow(plan.daysFromToday);
+
+    await prisma.dailyPlan.create({
+      data: {
+        // Plan dates are stored as the calendar day, same as the daily plan endpoints
+        date: new Date(toDateKey(day)),
+        userId,
+        tasks: {
+          create: plan.blocks.map((block, index) => {
+            const task = block.task ? tasksByTitle.get(block.task) : null;
+            const [startHour, startMinute] = block.startTime.split(':').map(Number);
+            const [endHour, endMinute] = block.endTime.split(':').map(Number);
+
+            return {
+              title: task?.title || block.title,
+              estimatedMins: (endHour * 60 + endMinute) - (startHour * 60 + startMinute),
+              startTime: block.startTime,
+              endTime: block.endTime,
+              status: block.status,
+              completedAt: block.status === 'COMPLETED' ? day : null,
+              orderIndex: index,
+              taskId: task?.id || null,
+              milestoneId: task?.milestoneId || null
+            };
+          })
+        }
+      }
+    });
+  }
+}
+
+async function main() {
+  const passwordHash = await hashPassword(DEMO_PASSWORD);
+
+  const user = await prisma.user.upsert({
+    where: { email: DEMO_EMAIL },
+    update: { passwordHash },
+    create: { email: DEMO_EMAIL, name: 'Demo User', passwordHash }
+  });
+
+  // Start from a clean slate so the seed can be re-run
+  await prisma.goal.deleteMany({ where: { userId: user.id } });
+  await prisma.dailyPlan.deleteMany({ where: { userId: user.id } });
+
+  const tasksByTitle = await seedGoals(user.id);
+  await seedPlans(user.id, tasksByTitle);
+
+  console.log(`Seeded demo data. Log in as ${DEMO_EMAIL} / ${DEMO_PASSWORD}`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Error seeding database:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
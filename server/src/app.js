@@ -1,12 +1,16 @@
 import express from 'express';
 import cors from 'cors';
+import cookieParser from 'cookie-parser';
+import { config } from './config/index.js';
 import routes from './routes/index.js';
 
 const app = express();
 
 // Middleware
-app.use(cors());
+// Credentials (auth cookies) require an explicit origin rather than '*'
+app.use(cors({ origin: config.clientUrl, credentials: true }));
 app.use(express.json());
+app.use(cookieParser());
 
 // Mount all API routes under /api
 app.use('/api', routes);
@@ -14,10 +18,7 @@ app.use('/api', routes);
 // Global error handler
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
-  res.status(500).json({ 
-    error: 'Internal server error', 
-    details: process.env.NODE_ENV === 'development' ? err.message : undefined 
-  });
+  res.status(500).json({ error: 'Internal server error' });
 });
 
 export default app;
@@ -2,11 +2,41 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+const isProduction = process.env.NODE_ENV === 'production';
+
+// The development fallback is public, so anyone could sign tokens with it
+if (isProduction && !process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set in production');
+}
+
 export const config = {
   port: process.env.PORT || 3001,
-  ollama: {
-    url: process.env.OLLAMA_URL || 'http://localhost:11434',
-    model: process.env.OLLAMA_MODEL || 'qwen3:4b',
+  clientUrl: process.env.CLIENT_URL || 'http://localhost:5173',
+  llm: {
+    // ollama | openai (any OpenAI-compatible server: llama.cpp, vLLM, ...) | fake
+    provider: process.env.LLM_PROVIDER || 'ollama',
+    // Appended to the system prompt when thinking is off; set empty for non-qwen3 models
+    noThinkDirective: process.env.LLM_NO_THINK_DIRECTIVE ?? '/no_think',
+    // Tries (first reply + repairs) before structured output is given up on
+    structuredAttempts: parseInt(process.env.LLM_STRUCTURED_ATTEMPTS || '3'),
+    ollama: {
+      url: process.env.OLLAMA_URL || 'http://localhost:11434',
+      model: process.env.OLLAMA_MODEL || 'qwen3:4b',
+    },
+    openai: {
+      url: process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1',
+      apiKey: process.env.OPENAI_API_KEY || '',
+      model: process.env.OPENAI_MODEL || 'qwen3-4b',
+    },
+    fake: {
+      model: 'fake',
+    },
+  },
+  auth: {
+    jwtSecret: process.env.JWT_SECRET || 'momentum-dev-secret',
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS || '30'),
+    secureCookies: isProduction,
   },
   // Database URL will be added in Phase 1
   // databaseUrl: process.env.DATABASE_URL,
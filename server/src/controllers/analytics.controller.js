@@ -0,0 +1,144 @@
+import prisma from '../lib/prisma.js';
+import { planDateValue } from '../lib/timezone.js';
+import {
+  RANGES,
+  getPeriods,
+  inPeriod,
+  planDateInPeriod,
+  periodDays,
+  computeScores,
+  burnoutLevel,
+  bucketCompletions,
+  computeEffort,
+  computeStreaks
+} from '../lib/analytics.js';
+
+const goalSelect = { milestone: { select: { goal: { select: { id: true, title: true } } } } };
+
+/**
+ * Get analytics for the current and previous period of a range
+ * Query: ?range=daily|weekly|monthly (defaults to weekly)
+ * See lib/analytics.js for how each number is computed
+ */
+export async function getAnalytics(req, res) {
+  try {
+    const { range = 'weekly' } = req.query;
+
+    if (!RANGES.includes(range)) {
+      return res.status(400).json({ error: `Range must be one of ${RANGES.join(', ')}` });
+    }
+
+    const userId = req.user.id;
+    const timeZone = req.user.timezone;
+    const { labels, current, previous } = getPeriods(range, timeZone);
+
+    const [blocks, sessions, completedTasks, completedBlocks, completedOccurrences, goals] = await Promise.all([
+      prisma.plannedTask.findMany({
+        where: {
+          dailyPlan: {
+            userId,
+            date: { gte: planDateValue(previous.startKey), lt: planDateValue(current.endKey) }
+          }
+        },
+        include: { dailyPlan: { select: { date: true } } }
+      }),
+      prisma.focusSession.findMany({
+        where: { userId, endedAt: { not: null }, startedAt: { gte: previous.start, lt: current.end } },
+        include: {
+          task: { select: goalSelect },
+          plannedTask: { select: goalSelect }
+        }
+      }),
+      // Full history is needed for streaks
+      prisma.task.findMany({
+        where: { milestone: { goal: { userId } }, completedAt: { not: null } },
+        select: {
+          completedAt: true,
+          estimatedMins: true,
+          ...goalSelect,
+          focusSessions: { select: { id: true }, take: 1 }
+        }
+      }),
+      // Blocks not linked to a task count as their own piece of completed work
+      prisma.plannedTask.findMany({
+        where: { dailyPlan: { userId }, taskId: null, completedAt: { not: null } },
+        select: { completedAt: true }
+      }),
+      // Each done day of a recurring task is a completion too
+      prisma.taskOccurrence.findMany({
+        where: { task: { milestone: { goal: { userId } } } },
+        select: { completedAt: true }
+      }),
+      prisma.goal.findMany({
+        where: { userId, status: { not: 'ARCHIVED' } },
+        select: { status: true }
+      })
+    ]);
+
+    const completions = [
+      ...completedTasks.map(task => task.completedAt),
+      ...completedBlocks.map(block => block.completedAt),
+      ...completedOccurrences.map(occurrence => occurrence.completedAt)
+    ];
+
+    const scoresFor = (period) => computeScores(
+      blocks.filter(block => planDateInPeriod(block.dailyPlan.date, period)),
+      sessions.filter(session => inPeriod(session.startedAt, period)),
+      periodDays(period),
+      timeZone
+    );
+    const currentScores = scoresFor(current);
+    const previousScores = scoresFor(previous);
+
+    const goalOf = (record) => record?.milestone?.goal || null;
+    const effort = computeEffort(
+      sessions
+        .filter(session => inPeriod(session.startedAt, current))
+        .map(session => ({ ...session, goal: goalOf(session.task) || goalOf(session.plannedTask) })),
+      completedTasks
+        .filter(task => inPeriod(task.completedAt, current))
+        .map(task => ({ ...task, goal: goalOf(task), hasFocusSession: task.focusSessions.length > 0 }))
+    );
+
+    const streaks = computeStreaks(completions, timeZone);
+
+    res.json({
+      range,
+      period: current,
+      scores: {
+        productivity: {
+          value: currentScores.productivity,
+          change: currentScores.productivity - previousScores.productivity
+        },
+        credibility: {
+          value: currentScores.credibility,
+          change: currentScores.credibility - previousScores.credibility,
+          planned: currentScores.plannedCount,
+          completed: currentScores.completedCount
+        },
+        burnout: {
+          level: burnoutLevel(currentScores.burnoutScore),
+          score: currentScores.burnoutScore,
+          change: currentScores.burnoutScore - previousScores.burnoutScore
+        }
+      },
+      activity: {
+        labels,
+        current: bucketCompletions(range, completions, current, timeZone),
+        previous: bucketCompletions(range, completions, previous, timeZone)
+      },
+      effort,
+      stats: {
+        focusMinutes: currentScores.focusMinutes,
+        tasksCompleted: completions.filter(completedAt => inPeriod(completedAt, current)).length,
+        currentStreak: streaks.current,
+        longestStreak: streaks.longest,
+        goalsCompleted: goals.filter(goal => goal.status === 'COMPLETED').length,
+        goalsTotal: goals.length
+      }
+    });
+  } catch (error) {
+    console.error('Error computing analytics:', error);
+    res.status(500).json({ error: 'Failed to compute analytics' });
+  }
+}
@@ -0,0 +1,213 @@
+import prisma from '../lib/prisma.js';
+import {
+  REFRESH_COOKIE,
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  createRefreshToken,
+  hashRefreshToken,
+  setAuthCookies,
+  setAccessCookie,
+  clearAuthCookies,
+  toPublicUser,
+} from '../lib/auth.js';
+import { DEFAULT_TIME_ZONE, isTimeZone } from '../lib/timezone.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Create a session for a user and attach the auth cookies to the response
+ */
+async function startSession(req, res, user) {
+  const refresh = createRefreshToken();
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      tokenHash: refresh.tokenHash,
+      userAgent: req.get('user-agent') || null,
+      expiresAt: refresh.expiresAt,
+    },
+  });
+
+  setAuthCookies(res, signAccessToken(user, session.id), refresh);
+}
+
+/**
+ * Register a new account
+ */
+export async function signup(req, res) {
+  try {
+    const { name, email, password, timezone = DEFAULT_TIME_ZONE } = req.body;
+
+    if (!name || name.trim() === '') {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+    if (!email || !EMAIL_PATTERN.test(email.trim())) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (!isTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA time zone, e.g. "Europe/London"' });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const existingUser = await prisma.user.findUnique({ where: { email: normalizedEmail } });
+    if (existingUser) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const user = await prisma.user.create({
+      data: {
+        name: name.trim(),
+        email: normalizedEmail,
+        passwordHash: await hashPassword(password),
+        timezone,
+      },
+    });
+
+    await startSession(req, res, user);
+
+    res.status(201).json({ user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Error signing up:', error);
+    res.status(500).json({ error: 'Failed to sign up' });
+  }
+}
+
+/**
+ * Log in with email and password
+ */
+export async function login(req, res) {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: email.trim().toLowerCase() },
+    });
+
+    // Same response for unknown email and wrong password
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    await startSession(req, res, user);
+
+    res.json({ user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+}
+
+/**
+ * Exchange a refresh cookie for a new access token
+ * The refresh token is rotated on every use
+ */
+export async function refresh(req, res) {
+  try {
+    const token = req.cookies?.[REFRESH_COOKIE];
+
+    if (!token) {
+      return res.status(401).json({ error: 'No refresh token' });
+    }
+
+    const session = await prisma.session.findUnique({
+      where: { tokenHash: hashRefreshToken(token) },
+      include: { user: true },
+    });
+
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      clearAuthCookies(res);
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
+    const rotated = createRefreshToken();
+    await prisma.session.update({
+      where: { id: session.id },
+      data: { tokenHash: rotated.tokenHash, expiresAt: rotated.expiresAt },
+    });
+
+    setAuthCookies(res, signAccessToken(session.user, session.id), rotated);
+
+    res.json({ user: toPublicUser(session.user) });
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+}
+
+/**
+ * Log out - revokes the current session and clears cookies
+ */
+export async function logout(req, res) {
+  try {
+    const token = req.cookies?.[REFRESH_COOKIE];
+
+    if (token) {
+      await prisma.session.updateMany({
+        where: { tokenHash: hashRefreshToken(token), revokedAt: null },
+        data: { revokedAt: new Date() },
+      });
+    }
+
+    clearAuthCookies(res);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+}
+
+/**
+ * Get the currently authenticated user
+ */
+export async function me(req, res) {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    res.json({ user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({ error: 'Failed to fetch current user' });
+  }
+}
+
+/**
+ * Update the current user's settings
+ * Body: { timezone? } - IANA zone their plan dates and times are read in. The access
+ * token carries the zone, so it is re-issued for the current session
+ */
+export async function updateMe(req, res) {
+  try {
+    const { timezone } = req.body;
+
+    if (timezone !== undefined && !isTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA time zone, e.g. "Europe/London"' });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: { timezone },
+    });
+
+    setAccessCookie(res, signAccessToken(user, req.user.sessionId));
+
+    res.json({ user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Error updating current user:', error);
+    res.status(500).json({ error: 'Failed to update current user' });
+  }
+}
@@ -0,0 +1,101 @@
+import prisma from '../lib/prisma.js';
+import { parseICalendar } from '../lib/ical.js';
+import { expandCalendarEvents, saveCalendarEvents, IMPORT_WINDOW_DAYS } from '../lib/calendarEvents.js';
+import { isDateKey, addDaysToKey } from '../lib/recurrence.js';
+import { todayInZone, planDateValue } from '../lib/timezone.js';
+
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Import fixed events (meetings, classes) from an iCalendar file
+ * Body: the .ics file itself, sent as text/calendar. `?source=` names the calendar
+ * (default its X-WR-CALNAME). Occurrences from today to IMPORT_WINDOW_DAYS ahead are
+ * stored in the user's time zone; importing the same file again replaces its events.
+ * Responds { source, events, imported, skipped: [{ uid, title, reason }], from, to }
+ */
+export async function importCalendar(req, res) {
+  try {
+    if (typeof req.body !== 'string' || !/BEGIN:VCALENDAR/i.test(req.body)) {
+      return res.status(400).json({ error: 'Send an iCalendar (.ics) file with Content-Type text/calendar' });
+    }
+
+    const calendar = parseICalendar(req.body);
+    const fromKey = todayInZone(req.user.timezone);
+    const toKey = addDaysToKey(fromKey, IMPORT_WINDOW_DAYS);
+
+    const { occurrences, skipped } = expandCalendarEvents(calendar, {
+      timeZone: req.user.timezone,
+      fromKey,
+      toKey
+    });
+
+    const source = req.query.source || calendar.name || null;
+    const imported = await saveCalendarEvents(req.user.id, occurrences, { source, fromKey, toKey });
+
+    res.status(201).json({
+      source,
+      events: calendar.events.length,
+      imported,
+      skipped,
+      from: fromKey,
+      to: toKey
+    });
+  } catch (error) {
+    console.error('Error importing calendar:', error);
+    res.status(500).json({ error: 'Failed to import calendar' });
+  }
+}
+
+/**
+ * Imported events between `?from=` and `?to=` (YYYY-MM-DD, inclusive; default the
+ * week starting today in the user's zone)
+ */
+export async function getCalendarEvents(req, res) {
+  try {
+    const today = todayInZone(req.user.timezone);
+    const { from = today, to = addDaysToKey(from, 6) } = req.query;
+
+    if (!isDateKey(from) || !isDateKey(to) || to < from) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates, from first' });
+    }
+    if (to > addDaysToKey(from, MAX_RANGE_DAYS)) {
+      return res.status(400).json({ error: `Range can span at most ${MAX_RANGE_DAYS} days` });
+    }
+
+    const events = await prisma.calendarEvent.findMany({
+      where: {
+        userId: req.user.id,
+        date: { gte: planDateValue(from), lte: planDateValue(to) }
+      },
+      orderBy: [{ date: 'asc' }, { allDay: 'desc' }, { startTime: 'asc' }]
+    });
+
+    res.json(events);
+  } catch (error) {
+    console.error('Error fetching calendar events:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar events' });
+  }
+}
+
+/**
+ * Remove one imported event occurrence
+ */
+export async function deleteCalendarEvent(req, res) {
+  try {
+    const { id } = req.params;
+
+    const event = await prisma.calendarEvent.findFirst({
+      where: { id, userId: req.user.id }
+    });
+    if (!event) {
+      return res.status(404).json({ error: 'Calendar event not found' });
+    }
+
+    await prisma.calendarEvent.delete({ where: { id } });
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting calendar event:', error);
+    res.status(500).json({ error: 'Failed to delete calendar event' });
+  }
+}
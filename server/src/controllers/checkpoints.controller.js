@@ -0,0 +1,190 @@
+import prisma from '../lib/prisma.js';
+import { syncMilestoneStatus } from '../lib/progress.js';
+
+/**
+ * Update a checkpoint's text or done state
+ */
+export async function updateCheckpoint(req, res) {
+  try {
+    const { id } = req.params;
+    const { text, done } = req.body;
+
+    if (text !== undefined && (!text || text.trim() === '')) {
+      return res.status(400).json({ error: 'Text is required' });
+    }
+
+    // Check if checkpoint exists
+    const existingCheckpoint = await prisma.checkpoint.findFirst({
+      where: { id, milestone: { goal: { userId: req.user.id } } }
+    });
+    if (!existingCheckpoint) {
+      return res.status(404).json({ error: 'Checkpoint not found' });
+    }
+
+    const updateData = {};
+    if (text !== undefined) updateData.text = text.trim();
+    if (done !== undefined) {
+      updateData.done = Boolean(done);
+      updateData.completedAt = done ? existingCheckpoint.completedAt || new Date() : null;
+    }
+
+    const checkpoint = await prisma.checkpoint.update({
+      where: { id },
+      data: updateData
+    });
+
+    if (done !== undefined) {
+      await syncMilestoneStatus(checkpoint.milestoneId);
+    }
+
+    res.json(checkpoint);
+  } catch (error) {
+    console.error('Error updating checkpoint:', error);
+    res.status(500).json({ error: 'Failed to update checkpoint' });
+  }
+}
+
+/**
+ * Toggle a checkpoint done/undone (or set it with `done` in the body)
+ */
+export async function toggleCheckpoint(req, res) {
+  try {
+    const { id } = req.params;
+    const { done } = req.body;
+
+    // Check if checkpoint exists
+    const existingCheckpoint = await prisma.checkpoint.findFirst({
+      where: { id, milestone: { goal: { userId: req.user.id } } }
+    });
+    if (!existingCheckpoint) {
+      return res.status(404).json({ error: 'Checkpoint not found' });
+    }
+
+    const newDone = done !== undefined ? Boolean(done) : !existingCheckpoint.done;
+
+    const checkpoint = await prisma.checkpoint.update({
+      where: { id },
+      data: {
+        done: newDone,
+        completedAt: newDone ? existingCheckpoint.completedAt || new Date() : null
+      }
+    });
+
+    await syncMilestoneStatus(checkpoint.milestoneId);
+
+    res.json(checkpoint);
+  } catch (error) {
+    console.error('Error toggling checkpoint:', error);
+    res.status(500).json({ error: 'Failed to toggle checkpoint' });
+  }
+}
+
+/**
+ * Delete a checkpoint
+ */
+export async function deleteCheckpoint(req, res) {
+  try {
+    const { id } = req.params;
+
+    // Check if checkpoint exists
+    const existingCheckpoint = await prisma.checkpoint.findFirst({
+      where: { id, milestone: { goal: { userId: req.user.id } } }
+    });
+    if (!existingCheckpoint) {
+      return res.status(404).json({ error: 'Checkpoint not found' });
+    }
+
+    await prisma.checkpoint.delete({ where: { id } });
+    await syncMilestoneStatus(existingCheckpoint.milestoneId);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting checkpoint:', error);
+    res.status(500).json({ error: 'Failed to delete checkpoint' });
+  }
+}
+
+/**
+ * Reorder checkpoints within a milestone
+ */
+export async function reorderCheckpoints(req, res) {
+  try {
+    const { checkpointIds } = req.body;
+
+    if (!checkpointIds || !Array.isArray(checkpointIds)) {
+      return res.status(400).json({ error: 'checkpointIds array is required' });
+    }
+
+    // Every checkpoint must belong to the current user
+    const ownedCount = await prisma.checkpoint.count({
+      where: { id: { in: checkpointIds }, milestone: { goal: { userId: req.user.id } } }
+    });
+    if (ownedCount !== new Set(checkpointIds).size) {
+      return res.status(404).json({ error: 'Checkpoint not found' });
+    }
+
+    const updates = checkpointIds.map((id, index) =>
+      prisma.checkpoint.update({
+        where: { id },
+        data: { orderIndex: index }
+      })
+    );
+
+    await prisma.$transaction(updates);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error reordering checkpoints:', error);
+    res.status(500).json({ error: 'Failed to reorder checkpoints' });
+  }
+}
+
+/**
+ * Convert a checkpoint into a task on the same milestone
+ * The task keeps the checkpoint's text and done state; the checkpoint is removed
+ */
+export async function convertCheckpoint(req, res) {
+  try {
+    const { id } = req.params;
+    const { estimatedMins, priority } = req.body;
+
+    // Check if checkpoint exists
+    const checkpoint = await prisma.checkpoint.findFirst({
+      where: { id, milestone: { goal: { userId: req.user.id } } }
+    });
+    if (!checkpoint) {
+      return res.status(404).json({ error: 'Checkpoint not found' });
+    }
+
+    const task = await prisma.$transaction(async (tx) => {
+      const lastTask = await tx.task.findFirst({
+        where: { milestoneId: checkpoint.milestoneId },
+        orderBy: { orderIndex: 'desc' }
+      });
+
+      const created = await tx.task.create({
+        data: {
+          milestoneId: checkpoint.milestoneId,
+          title: checkpoint.text,
+          estimatedMins: estimatedMins || null,
+          priority: priority || 'MEDIUM',
+          status: checkpoint.done ? 'COMPLETED' : 'PENDING',
+          completedAt: checkpoint.done ? checkpoint.completedAt || new Date() : null,
+          orderIndex: lastTask ? lastTask.orderIndex + 1 : 0
+        }
+      });
+
+      await tx.checkpoint.delete({ where: { id } });
+
+      return created;
+    });
+
+    // Same units of work, but re-run the rollup in case the milestone had only this checkpoint
+    await syncMilestoneStatus(checkpoint.milestoneId);
+
+    res.status(201).json(task);
+  } catch (error) {
+    console.error('Error converting checkpoint:', error);
+    res.status(500).json({ error: 'Failed to convert checkpoint' });
+  }
+}
@@ -0,0 +1,167 @@
+import prisma from '../lib/prisma.js';
+import { findConversation } from '../lib/conversations.js';
+import { validatePlanDates } from '../lib/planDays.js';
+
+const KINDS = ['GOAL_DISCUSSION', 'DAILY_PLANNING'];
+
+/**
+ * List the user's conversations, most recently used first (without messages)
+ * Query: ?kind=GOAL_DISCUSSION|DAILY_PLANNING, ?goalId=, ?planDate=YYYY-MM-DD
+ * (with ?planEndDate= for multi-day sessions; without it only single-day sessions match),
+ * ?unlinked=true for goal discussions that haven't produced a goal yet
+ */
+export async function getConversations(req, res) {
+  try {
+    const { kind, goalId, planDate, planEndDate, unlinked } = req.query;
+
+    if (kind && !KINDS.includes(kind)) {
+      return res.status(400).json({ error: `Kind must be one of ${KINDS.join(', ')}` });
+    }
+
+    const where = { userId: req.user.id };
+    if (kind) where.kind = kind;
+    if (goalId) where.goalId = goalId;
+    if (unlinked === 'true') where.goalId = null;
+    if (planDate) {
+      where.planDate = new Date(planDate);
+      where.planEndDate = planEndDate ? new Date(planEndDate) : null;
+    }
+
+    const conversations = await prisma.conversation.findMany({
+      where,
+      include: { _count: { select: { messages: true } } },
+      orderBy: { updatedAt: 'desc' }
+    });
+
+    res.json(conversations.map(({ _count, ...conversation }) => ({
+      ...conversation,
+      messageCount: _count.messages
+    })));
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+}
+
+/**
+ * Get a conversation with its messages (used to resume a chat)
+ */
+export async function getConversation(req, res) {
+  try {
+    const conversation = await findConversation(req.user.id, req.params.id);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json(conversation);
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+}
+
+/**
+ * Start a conversation
+ * Goal discussions take the objective as `title` (and optionally `proficiencyLevel`);
+ * planning sessions take the `planDate` being planned, plus `planEndDate` for a date range
+ */
+export async function createConversation(req, res) {
+  try {
+    const { kind, title, proficiencyLevel, planDate, planEndDate, goalId } = req.body;
+
+    if (!KINDS.includes(kind)) {
+      return res.status(400).json({ error: `Kind must be one of ${KINDS.join(', ')}` });
+    }
+
+    const datesError = planEndDate
+      ? validatePlanDates({ startDate: planDate, endDate: planEndDate })
+      : validatePlanDates({ date: planDate || undefined });
+    if (datesError) {
+      return res.status(400).json({ error: datesError });
+    }
+
+    if (goalId) {
+      const goal = await prisma.goal.findFirst({ where: { id: goalId, userId: req.user.id } });
+      if (!goal) {
+        return res.status(404).json({ error: 'Goal not found' });
+      }
+    }
+
+    const conversation = await prisma.conversation.create({
+      data: {
+        kind,
+        title: title?.trim() || null,
+        proficiencyLevel: proficiencyLevel || null,
+        planDate: planDate ? new Date(planDate) : null,
+        // A one-day "range" is stored as a single day
+        planEndDate: planEndDate && planEndDate !== planDate ? new Date(planEndDate) : null,
+        goalId: goalId || null,
+        userId: req.user.id
+      },
+      include: { messages: true }
+    });
+
+    res.status(201).json(conversation);
+  } catch (error) {
+    console.error('Error creating conversation:', error);
+    res.status(500).json({ error: 'Failed to create conversation' });
+  }
+}
+
+/**
+ * Update a conversation's title or link it to the goal it produced
+ */
+export async function updateConversation(req, res) {
+  try {
+    const { id } = req.params;
+    const { title, goalId } = req.body;
+
+    const existingConversation = await prisma.conversation.findFirst({ where: { id, userId: req.user.id } });
+    if (!existingConversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    if (goalId) {
+      const goal = await prisma.goal.findFirst({ where: { id: goalId, userId: req.user.id } });
+      if (!goal) {
+        return res.status(404).json({ error: 'Goal not found' });
+      }
+    }
+
+    const updateData = {};
+    if (title !== undefined) updateData.title = title?.trim() || null;
+    if (goalId !== undefined) updateData.goalId = goalId || null;
+
+    const conversation = await prisma.conversation.update({
+      where: { id },
+      data: updateData
+    });
+
+    res.json(conversation);
+  } catch (error) {
+    console.error('Error updating conversation:', error);
+    res.status(500).json({ error: 'Failed to update conversation' });
+  }
+}
+
+/**
+ * Delete a conversation and its messages
+ */
+export async function deleteConversation(req, res) {
+  try {
+    const { id } = req.params;
+
+    const existingConversation = await prisma.conversation.findFirst({ where: { id, userId: req.user.id } });
+    if (!existingConversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    await prisma.conversation.delete({ where: { id } });
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+}
@@ -1,14 +1,85 @@
 import prisma from '../lib/prisma.js';
+import { setPlannedTaskStatus } from '../lib/progress.js';
+import { rollOverPlans } from '../lib/rollover.js';
+import { isDateKey, addDaysToKey } from '../lib/recurrence.js';
+import { todayInZone, planDateValue, zonedDateTime } from '../lib/timezone.js';
+import { savePlanBlocks, diffBlocks } from '../lib/planRevisions.js';
+import { checkPlanBlocks } from '../lib/timeBlocks.js';
+import { planCalendar, generateFeedToken, hashFeedToken, FEED_PAST_DAYS, FEED_FUTURE_DAYS } from '../lib/planCalendar.js';
 
+const TASK_STATUSES = ['PENDING', 'IN_PROGRESS', 'COMPLETED'];
+const MAX_EXPORT_DAYS = 366;
+
+/**
+ * Keep only taskId/milestoneId links that point at the user's own records
+ */
+async function resolveTaskLinks(userId, tasks) {
+  const taskIds = tasks.map(t => t.taskId).filter(Boolean);
+  const milestoneIds = tasks.map(t => t.milestoneId).filter(Boolean);
+
+  if (taskIds.length === 0 && milestoneIds.length === 0) {
+    return tasks.map(t => ({ ...t, taskId: null, milestoneId: null }));
+  }
+
+  const [ownedTasks, ownedMilestones] = await Promise.all([
+    prisma.task.findMany({
+      where: { id: { in: taskIds }, milestone: { goal: { userId } } },
+      select: { id: true, milestoneId: true }
+    }),
+    prisma.milestone.findMany({
+      where: { id: { in: milestoneIds }, goal: { userId } },
+      select: { id: true }
+    })
+  ]);
+
+  const tasksById = new Map(ownedTasks.map(t => [t.id, t]));
+  const ownedMilestoneIds = new Set(ownedMilestones.map(m => m.id));
+
+  return tasks.map(t => {
+    const task = tasksById.get(t.taskId);
+    return {
+      ...t,
+      taskId: task?.id || null,
+      // A linked task always decides the milestone
+      milestoneId: task?.milestoneId || (ownedMilestoneIds.has(t.milestoneId) ? t.milestoneId : null)
+    };
+  });
+}
+
+/**
+ * Add the instants a plan's blocks start and end at
+ * startTime/endTime are wall-clock times on the plan's date in the user's zone
+ */
+function withBlockInstants(plan, timeZone) {
+  const dateKey = plan.date.toISOString().slice(0, 10);
+  const at = (time) => (time ? zonedDateTime(dateKey, time, timeZone) : null);
+
+  return {
+    ...plan,
+    tasks: plan.tasks.map(block => ({
+      ...block,
+      startsAt: at(block.startTime),
+      endsAt: at(block.endTime)
+    }))
+  };
+}
+
+/**
+ * A day's plan; `date` is a calendar day in the user's time zone
+ * Blocks carry `startsAt`/`endsAt` instants alongside their "HH:MM" times
+ */
 export async function getDailyPlan(req, res) {
   try {
     const { date } = req.params;
-    
-    const targetDate = new Date(date);
-    targetDate.setHours(0, 0, 0, 0);
-    
+
+    if (!isDateKey(date)) {
+      return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+    }
+
+    const targetDate = planDateValue(date);
+
     const dailyPlan = await prisma.dailyPlan.findUnique({
-      where: { date: targetDate },
+      where: { userId_date: { userId: req.user.id, date: targetDate } },
       include: {
         tasks: {
           orderBy: { orderIndex: 'asc' }
@@ -20,110 +91,89 @@ export async function getDailyPlan(req, res) {
       return res.json({ date: targetDate, tasks: [] });
     }
 
-    res.json(dailyPlan);
+    res.json(withBlockInstants(dailyPlan, req.user.timezone));
   } catch (error) {
     console.error('Error fetching daily plan:', error);
-    res.status(500).json({ error: 'Failed to fetch daily plan', details: error.message });
+    res.status(500).json({ error: 'Failed to fetch daily plan' });
   }
 }
 
+/**
+ * Save a day's plan. Body: { date, tasks, autoResolve? }
+ * Block times are checked and normalized first (see checkPlanBlocks in lib/timeBlocks.js):
+ * conflicts are a 400 with a `conflicts` list, unless `autoResolve` is set, in which case
+ * overlapping blocks are pushed later and reported as `shifted`. Gaps come back as `gaps`.
+ * Blocks that match ones already planned keep their id and status (see lib/planRevisions.js);
+ * every save is recorded as a new revision, whose number comes back as `revision`
+ */
 export async function createOrUpdateDailyPlan(req, res) {
   try {
-    const { date, tasks } = req.body;
+    const { date, tasks = [], autoResolve = false } = req.body;
     
     if (!date) {
       return res.status(400).json({ error: 'Date is required' });
     }
+    if (!isDateKey(date)) {
+      return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+    }
+    if (!Array.isArray(tasks)) {
+      return res.status(400).json({ error: 'tasks must be an array' });
+    }
 
-    const targetDate = new Date(date);
-    targetDate.setHours(0, 0, 0, 0);
+    const { blocks, conflicts, gaps, shifted } = checkPlanBlocks(tasks, { autoResolve: autoResolve === true });
+    if (conflicts.length > 0) {
+      return res.status(400).json({ error: 'Some time blocks conflict', conflicts });
+    }
 
-    const existingPlan = await prisma.dailyPlan.findUnique({
-      where: { date: targetDate },
-      include: { tasks: true }
-    });
+    const targetDate = planDateValue(date);
 
-    let dailyPlan;
-    
-    if (existingPlan) {
-      await prisma.plannedTask.deleteMany({
-        where: { dailyPlanId: existingPlan.id }
-      });
+    // Drop links to tasks/milestones the user doesn't own
+    const linkedTasks = blocks.length > 0
+      ? await resolveTaskLinks(req.user.id, blocks)
+      : [];
 
-      if (tasks && tasks.length > 0) {
-        dailyPlan = await prisma.dailyPlan.update({
-          where: { id: existingPlan.id },
-          data: {
-            tasks: {
-              create: tasks.map((task, index) => ({
-                title: task.title,
-                description: task.description || null,
-                estimatedMins: task.estimatedMins || null,
-                startTime: task.startTime || null,
-                endTime: task.endTime || null,
-                status: task.status || 'PENDING',
-                orderIndex: index
-              }))
-            }
-          },
-          include: {
-            tasks: {
-              orderBy: { orderIndex: 'asc' }
-            }
-          }
-        });
-      } else {
-        dailyPlan = await prisma.dailyPlan.update({
-          where: { id: existingPlan.id },
-          data: { tasks: { deleteMany: {} } },
-          include: { tasks: { orderBy: { orderIndex: 'asc' } } }
-        });
-      }
-    } else {
-      dailyPlan = await prisma.dailyPlan.create({
-        data: {
-          date: targetDate,
-          tasks: tasks && tasks.length > 0 ? {
-            create: tasks.map((task, index) => ({
-              title: task.title,
-              description: task.description || null,
-              estimatedMins: task.estimatedMins || null,
-              startTime: task.startTime || null,
-              endTime: task.endTime || null,
-              status: task.status || 'PENDING',
-              orderIndex: index
-            }))
-          } : undefined
-        },
-        include: {
-          tasks: {
-            orderBy: { orderIndex: 'asc' }
-          }
-        }
+    const revision = await prisma.$transaction(async (tx) => {
+      const plan = await tx.dailyPlan.upsert({
+        where: { userId_date: { userId: req.user.id, date: targetDate } },
+        create: { userId: req.user.id, date: targetDate },
+        update: {}
       });
-    }
+      return savePlanBlocks(tx, plan.id, linkedTasks);
+    });
 
-    res.json(dailyPlan);
+    const dailyPlan = await prisma.dailyPlan.findUnique({
+      where: { id: revision.dailyPlanId },
+      include: { tasks: { orderBy: { orderIndex: 'asc' } } }
+    });
+
+    res.json({ ...withBlockInstants(dailyPlan, req.user.timezone), revision: revision.number, gaps, shifted });
   } catch (error) {
     console.error('Error saving daily plan:', error);
-    res.status(500).json({ error: 'Failed to save daily plan', details: error.message });
+    res.status(500).json({ error: 'Failed to save daily plan' });
   }
 }
 
+/**
+ * Plans for the next `?days=` days (default 7), starting today in the user's zone
+ * or at `?from=YYYY-MM-DD` (e.g. the Monday of a planned week)
+ */
 export async function getUpcomingPlans(req, res) {
   try {
-    const { days = 7 } = req.query;
-    
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const { days = 7, from } = req.query;
+
+    if (from !== undefined && !isDateKey(from)) {
+      return res.status(400).json({ error: 'from must be YYYY-MM-DD' });
+    }
     
-    const endDate = new Date(today);
-    endDate.setDate(endDate.getDate() + parseInt(days));
+    const startKey = from || todayInZone(req.user.timezone);
+    const startDate = planDateValue(startKey);
+    const endDate = planDateValue(addDaysToKey(startKey, parseInt(days)));
 
     const plans = await prisma.dailyPlan.findMany({
       where: {
+        userId: req.user.id,
         date: {
-          gte: today,
+          gte: startDate,
           lt: endDate
         }
       },
@@ -135,9 +185,311 @@ export async function getUpcomingPlans(req, res) {
       orderBy: { date: 'asc' }
     });
 
-    res.json(plans);
+    res.json(plans.map(plan => withBlockInstants(plan, req.user.timezone)));
   } catch (error) {
     console.error('Error fetching upcoming plans:', error);
-    res.status(500).json({ error: 'Failed to fetch upcoming plans', details: error.message });
+    res.status(500).json({ error: 'Failed to fetch upcoming plans' });
+  }
+}
+
+/**
+ * Carry unfinished blocks from the past week into a day's plan (see lib/rollover.js)
+ * Body: { date? } - the day to roll into, YYYY-MM-DD (default today in the user's zone). Idempotent:
+ * blocks already carried over are left alone
+ */
+export async function rollOverDailyPlan(req, res) {
+  try {
+    const { date = todayInZone(req.user.timezone) } = req.body;
+
+    if (!isDateKey(date)) {
+      return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+    }
+
+    const { rolledOver, plan } = await rollOverPlans(req.user.id, planDateValue(date));
+
+    res.json({ date, rolledOver, plan: plan && withBlockInstants(plan, req.user.timezone) });
+  } catch (error) {
+    console.error('Error rolling over daily plans:', error);
+    res.status(500).json({ error: 'Failed to roll over daily plans' });
+  }
+}
+
+// ============================================================
+// REVISIONS
+// ============================================================
+
+/**
+ * Find the user's plan for `req.params.date`
+ * Sends the 400/404 response itself and returns null when there isn't one
+ */
+async function loadPlanForDate(req, res) {
+  const { date } = req.params;
+
+  if (!isDateKey(date)) {
+    res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+    return null;
+  }
+
+  const plan = await prisma.dailyPlan.findUnique({
+    where: { userId_date: { userId: req.user.id, date: planDateValue(date) } }
+  });
+  if (!plan) {
+    res.status(404).json({ error: 'Daily plan not found' });
+    return null;
+  }
+
+  return plan;
+}
+
+/**
+ * A plan's revision by number; sends the 400/404 itself and returns null when missing
+ */
+async function loadRevision(res, plan, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    res.status(400).json({ error: 'Revision must be a positive whole number' });
+    return null;
+  }
+
+  const revision = await prisma.dailyPlanRevision.findUnique({
+    where: { dailyPlanId_number: { dailyPlanId: plan.id, number } }
+  });
+  if (!revision) {
+    res.status(404).json({ error: `Revision ${number} not found` });
+    return null;
+  }
+
+  return revision;
+}
+
+/**
+ * List a day's plan revisions, newest first (without their blocks)
+ */
+export async function getPlanRevisions(req, res) {
+  try {
+    const plan = await loadPlanForDate(req, res);
+    if (!plan) return;
+
+    const revisions = await prisma.dailyPlanRevision.findMany({
+      where: { dailyPlanId: plan.id },
+      orderBy: { number: 'desc' }
+    });
+
+    res.json(revisions.map(({ blocks, ...revision }) => ({ ...revision, blockCount: blocks.length })));
+  } catch (error) {
+    console.error('Error fetching plan revisions:', error);
+    res.status(500).json({ error: 'Failed to fetch plan revisions' });
+  }
+}
+
+/**
+ * One revision of a day's plan, with its blocks
+ */
+export async function getPlanRevision(req, res) {
+  try {
+    const plan = await loadPlanForDate(req, res);
+    if (!plan) return;
+
+    const revision = await loadRevision(res, plan, req.params.number);
+    if (!revision) return;
+
+    res.json(revision);
+  } catch (error) {
+    console.error('Error fetching plan revision:', error);
+    res.status(500).json({ error: 'Failed to fetch plan revision' });
+  }
+}
+
+/**
+ * What a revision changed: blocks added, removed and retimed since `?from=` (default
+ * the revision before it; revision 1 is compared with an empty plan)
+ */
+export async function diffPlanRevision(req, res) {
+  try {
+    const plan = await loadPlanForDate(req, res);
+    if (!plan) return;
+
+    const revision = await loadRevision(res, plan, req.params.number);
+    if (!revision) return;
+
+    const fromNumber = req.query.from ?? revision.number - 1;
+    let fromBlocks = [];
+    if (Number(fromNumber) !== 0) {
+      const from = await loadRevision(res, plan, fromNumber);
+      if (!from) return;
+      fromBlocks = from.blocks;
+    }
+
+    res.json({
+      from: Number(fromNumber),
+      to: revision.number,
+      ...diffBlocks(fromBlocks, revision.blocks)
+    });
+  } catch (error) {
+    console.error('Error diffing plan revisions:', error);
+    res.status(500).json({ error: 'Failed to diff plan revisions' });
+  }
+}
+
+/**
+ * Bring a day's plan back to an earlier revision
+ * Blocks still in the plan keep their id and status; the restore is itself recorded
+ * as a new revision
+ */
+export async function restorePlanRevision(req, res) {
+  try {
+    const plan = await loadPlanForDate(req, res);
+    if (!plan) return;
+
+    const revision = await loadRevision(res, plan, req.params.number);
+    if (!revision) return;
+
+    // Links may point at tasks deleted since the revision was saved
+    const blocks = await resolveTaskLinks(req.user.id, revision.blocks);
+
+    const restored = await prisma.$transaction(tx => savePlanBlocks(tx, plan.id, blocks, {
+      source: 'RESTORE',
+      restoredFrom: revision.number
+    }));
+
+    const dailyPlan = await prisma.dailyPlan.findUnique({
+      where: { id: plan.id },
+      include: { tasks: { orderBy: { orderIndex: 'asc' } } }
+    });
+
+    res.json({ ...withBlockInstants(dailyPlan, req.user.timezone), revision: restored.number });
+  } catch (error) {
+    console.error('Error restoring plan revision:', error);
+    res.status(500).json({ error: 'Failed to restore plan revision' });
+  }
+}
+
+// ============================================================
+// CALENDAR EXPORT
+// ============================================================
+
+function sendCalendar(res, ics, filename) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) res.attachment(filename);
+  res.send(ics);
+}
+
+/**
+ * Saved plans between `?from=` and `?to=` (YYYY-MM-DD, inclusive; default the week
+ * starting today in the user's zone) as an .ics download
+ */
+export async function exportDailyPlans(req, res) {
+  try {
+    const today = todayInZone(req.user.timezone);
+    const { from = today, to = addDaysToKey(from, 6) } = req.query;
+
+    if (!isDateKey(from) || !isDateKey(to) || to < from) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates, from first' });
+    }
+    if (to > addDaysToKey(from, MAX_EXPORT_DAYS)) {
+      return res.status(400).json({ error: `Range can span at most ${MAX_EXPORT_DAYS} days` });
+    }
+
+    const ics = await planCalendar(req.user.id, { timeZone: req.user.timezone, fromKey: from, toKey: to });
+
+    sendCalendar(res, ics, `momentum-${from}-to-${to}.ics`);
+  } catch (error) {
+    console.error('Error exporting daily plans:', error);
+    res.status(500).json({ error: 'Failed to export daily plans' });
+  }
+}
+
+/**
+ * Create the user's calendar feed URL, replacing (and so revoking) any earlier one
+ * The token is only ever shown here. Responds 201 { url }
+ */
+export async function createPlanFeed(req, res) {
+  try {
+    const { token, tokenHash } = generateFeedToken();
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { calendarFeedTokenHash: tokenHash }
+    });
+
+    res.status(201).json({ url: `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics` });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+}
+
+/**
+ * Turn the user's calendar feed off
+ */
+export async function deletePlanFeed(req, res) {
+  try {
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { calendarFeedTokenHash: null }
+    });
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting calendar feed:', error);
+    res.status(500).json({ error: 'Failed to delete calendar feed' });
+  }
+}
+
+/**
+ * The subscribable feed: plans from FEED_PAST_DAYS ago to FEED_FUTURE_DAYS ahead
+ * Public - the token in the URL identifies the user
+ */
+export async function getPlanFeed(req, res) {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { calendarFeedTokenHash: hashFeedToken(req.params.token) },
+      select: { id: true, timezone: true }
+    });
+    if (!user) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const today = todayInZone(user.timezone);
+    const ics = await planCalendar(user.id, {
+      timeZone: user.timezone,
+      fromKey: addDaysToKey(today, -FEED_PAST_DAYS),
+      toKey: addDaysToKey(today, FEED_FUTURE_DAYS)
+    });
+
+    res.set('Cache-Control', 'no-cache');
+    sendCalendar(res, ics);
+  } catch (error) {
+    console.error('Error serving calendar feed:', error);
+    res.status(500).json({ error: 'Failed to load calendar feed' });
+  }
+}
+
+/**
+ * Update the status of a planned block
+ * If the block is linked to a Task, the Task's status follows and its milestone is rolled up
+ */
+export async function updatePlannedTaskStatus(req, res) {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    if (!TASK_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of ${TASK_STATUSES.join(', ')}` });
+    }
+
+    const existingPlannedTask = await prisma.plannedTask.findFirst({
+      where: { id, dailyPlan: { userId: req.user.id } }
+    });
+    if (!existingPlannedTask) {
+      return res.status(404).json({ error: 'Planned task not found' });
+    }
+
+    const plannedTask = await setPlannedTaskStatus(id, status);
+
+    res.json(plannedTask);
+  } catch (error) {
+    console.error('Error updating planned task status:', error);
+    res.status(500).json({ error: 'Failed to update planned task status' });
   }
 }
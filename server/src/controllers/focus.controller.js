@@ -0,0 +1,210 @@
+import prisma from '../lib/prisma.js';
+import { setPlannedTaskStatus, releasePlannedTask } from '../lib/progress.js';
+import { awardFocusXp } from '../lib/gamification.js';
+
+const OUTCOMES = ['COMPLETED', 'ABANDONED'];
+
+/**
+ * Seconds spent focusing: wall time since start, minus time spent paused
+ * (including a pause that is still running)
+ */
+function focusedSecondsAt(session, now) {
+  const end = session.endedAt || now;
+  const currentPause = session.pausedAt ? Math.floor((end - session.pausedAt) / 1000) : 0;
+  const elapsed = Math.floor((end - session.startedAt) / 1000);
+  return Math.max(0, elapsed - session.pausedSeconds - currentPause);
+}
+
+/**
+ * Add live elapsed time to a session for the client timer
+ */
+function withElapsed(session) {
+  return {
+    ...session,
+    isPaused: Boolean(session.pausedAt),
+    focusedSeconds: session.focusedSeconds ?? focusedSecondsAt(session, new Date())
+  };
+}
+
+/**
+ * Close a running session, recording the time actually spent and paying out its focus XP
+ */
+async function endSession(session, outcome) {
+  const now = new Date();
+  const pausedSeconds = session.pausedSeconds +
+    (session.pausedAt ? Math.floor((now - session.pausedAt) / 1000) : 0);
+
+  const ended = await prisma.focusSession.update({
+    where: { id: session.id },
+    data: {
+      endedAt: now,
+      pausedAt: null,
+      pausedSeconds,
+      focusedSeconds: focusedSecondsAt(session, now),
+      outcome
+    }
+  });
+
+  await awardFocusXp(ended);
+
+  if (session.plannedTaskId && outcome === 'COMPLETED') {
+    await setPlannedTaskStatus(session.plannedTaskId, 'COMPLETED');
+  } else if (session.plannedTaskId) {
+    await releasePlannedTask(session.plannedTaskId);
+  }
+
+  return ended;
+}
+
+/**
+ * Find a running session owned by the current user
+ */
+function findActiveSession(req) {
+  return prisma.focusSession.findFirst({
+    where: { id: req.params.id, userId: req.user.id, endedAt: null }
+  });
+}
+
+/**
+ * Get the user's running session, if any (used to resume FocusMode after a reload)
+ */
+export async function getActiveSession(req, res) {
+  try {
+    const session = await prisma.focusSession.findFirst({
+      where: { userId: req.user.id, endedAt: null },
+      include: { plannedTask: true },
+      orderBy: { startedAt: 'desc' }
+    });
+
+    res.json(session ? withElapsed(session) : null);
+  } catch (error) {
+    console.error('Error fetching active focus session:', error);
+    res.status(500).json({ error: 'Failed to fetch active focus session' });
+  }
+}
+
+/**
+ * Start a focus session on a planned block
+ * Any other running session is closed as ABANDONED
+ */
+export async function startSession(req, res) {
+  try {
+    const { plannedTaskId } = req.body;
+
+    if (!plannedTaskId) {
+      return res.status(400).json({ error: 'plannedTaskId is required' });
+    }
+
+    const plannedTask = await prisma.plannedTask.findFirst({
+      where: { id: plannedTaskId, dailyPlan: { userId: req.user.id } }
+    });
+    if (!plannedTask) {
+      return res.status(404).json({ error: 'Planned task not found' });
+    }
+
+    const running = await prisma.focusSession.findMany({
+      where: { userId: req.user.id, endedAt: null }
+    });
+    for (const session of running) {
+      await endSession(session, 'ABANDONED');
+    }
+
+    const session = await prisma.focusSession.create({
+      data: {
+        userId: req.user.id,
+        plannedTaskId,
+        taskId: plannedTask.taskId
+      }
+    });
+
+    await setPlannedTaskStatus(plannedTaskId, 'IN_PROGRESS');
+
+    res.status(201).json(withElapsed(session));
+  } catch (error) {
+    console.error('Error starting focus session:', error);
+    res.status(500).json({ error: 'Failed to start focus session' });
+  }
+}
+
+/**
+ * Pause a running session
+ */
+export async function pauseSession(req, res) {
+  try {
+    const existingSession = await findActiveSession(req);
+    if (!existingSession) {
+      return res.status(404).json({ error: 'Focus session not found' });
+    }
+
+    if (existingSession.pausedAt) {
+      return res.json(withElapsed(existingSession));
+    }
+
+    const session = await prisma.focusSession.update({
+      where: { id: existingSession.id },
+      data: { pausedAt: new Date() }
+    });
+
+    res.json(withElapsed(session));
+  } catch (error) {
+    console.error('Error pausing focus session:', error);
+    res.status(500).json({ error: 'Failed to pause focus session' });
+  }
+}
+
+/**
+ * Resume a paused session
+ */
+export async function resumeSession(req, res) {
+  try {
+    const existingSession = await findActiveSession(req);
+    if (!existingSession) {
+      return res.status(404).json({ error: 'Focus session not found' });
+    }
+
+    if (!existingSession.pausedAt) {
+      return res.json(withElapsed(existingSession));
+    }
+
+    const pausedFor = Math.floor((Date.now() - existingSession.pausedAt) / 1000);
+
+    const session = await prisma.focusSession.update({
+      where: { id: existingSession.id },
+      data: {
+        pausedAt: null,
+        pausedSeconds: existingSession.pausedSeconds + pausedFor
+      }
+    });
+
+    res.json(withElapsed(session));
+  } catch (error) {
+    console.error('Error resuming focus session:', error);
+    res.status(500).json({ error: 'Failed to resume focus session' });
+  }
+}
+
+/**
+ * End a session - COMPLETED marks the planned block (and linked task) done,
+ * ABANDONED puts it back to PENDING
+ */
+export async function completeSession(req, res) {
+  try {
+    const { outcome = 'COMPLETED' } = req.body;
+
+    if (!OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ error: `Outcome must be one of ${OUTCOMES.join(', ')}` });
+    }
+
+    const existingSession = await findActiveSession(req);
+    if (!existingSession) {
+      return res.status(404).json({ error: 'Focus session not found' });
+    }
+
+    const session = await endSession(existingSession, outcome);
+
+    res.json(withElapsed(session));
+  } catch (error) {
+    console.error('Error completing focus session:', error);
+    res.status(500).json({ error: 'Failed to complete focus session' });
+  }
+}
@@ -0,0 +1,175 @@
+import prisma from '../lib/prisma.js';
+import { evaluateAchievements } from '../lib/gamification.js';
+
+// Only what friends see of each other; emails stay private
+const friendSelect = { id: true, name: true };
+
+// Sent whether or not the email has an account, so it can't be used to look accounts up
+const REQUEST_SENT = { message: "If that email belongs to a Momentum user, they'll see your request" };
+
+/**
+ * List the current user's focus circle
+ */
+export async function getFriends(req, res) {
+  try {
+    const friendships = await prisma.friendship.findMany({
+      where: { userId: req.user.id, status: 'ACCEPTED' },
+      include: { friend: { select: friendSelect } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(friendships.map(f => f.friend));
+  } catch (error) {
+    console.error('Error fetching friends:', error);
+    res.status(500).json({ error: 'Failed to fetch friends' });
+  }
+}
+
+/**
+ * List the friend requests waiting for the current user's answer
+ */
+export async function getFriendRequests(req, res) {
+  try {
+    const requests = await prisma.friendship.findMany({
+      where: { friendId: req.user.id, status: 'PENDING' },
+      include: { user: { select: friendSelect } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(requests.map(request => ({ id: request.id, from: request.user, createdAt: request.createdAt })));
+  } catch (error) {
+    console.error('Error fetching friend requests:', error);
+    res.status(500).json({ error: 'Failed to fetch friend requests' });
+  }
+}
+
+/**
+ * Make a pending request mutual: the request row is accepted and the other direction created
+ * @param {object} request - PENDING Friendship
+ */
+async function acceptRequest(request) {
+  await prisma.$transaction([
+    prisma.friendship.update({ where: { id: request.id }, data: { status: 'ACCEPTED' } }),
+    prisma.friendship.upsert({
+      where: { userId_friendId: { userId: request.friendId, friendId: request.userId } },
+      update: { status: 'ACCEPTED' },
+      create: { userId: request.friendId, friendId: request.userId, status: 'ACCEPTED' }
+    })
+  ]);
+
+  await Promise.all([
+    evaluateAchievements(request.userId),
+    evaluateAchievements(request.friendId)
+  ]);
+}
+
+/**
+ * Ask a user to join the focus circle, by email
+ * Nothing is shared until they accept. If they had already asked the current user,
+ * the two requests meet and the friendship starts straight away
+ */
+export async function addFriend(req, res) {
+  try {
+    const { email } = req.body;
+
+    if (!email || email.trim() === '') {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const friend = await prisma.user.findUnique({
+      where: { email: email.trim().toLowerCase() },
+      select: { id: true }
+    });
+    if (friend?.id === req.user.id) {
+      return res.status(400).json({ error: "You can't add yourself" });
+    }
+
+    if (friend) {
+      const theirRequest = await prisma.friendship.findUnique({
+        where: { userId_friendId: { userId: friend.id, friendId: req.user.id } }
+      });
+
+      if (theirRequest?.status === 'PENDING') {
+        await acceptRequest(theirRequest);
+      } else if (!theirRequest) {
+        await prisma.friendship.createMany({
+          data: [{ userId: req.user.id, friendId: friend.id }],
+          skipDuplicates: true
+        });
+      }
+    }
+
+    res.status(202).json(REQUEST_SENT);
+  } catch (error) {
+    console.error('Error adding friend:', error);
+    res.status(500).json({ error: 'Failed to add friend' });
+  }
+}
+
+/**
+ * Accept a friend request sent to the current user
+ */
+export async function acceptFriendRequest(req, res) {
+  try {
+    const request = await prisma.friendship.findFirst({
+      where: { id: req.params.id, friendId: req.user.id, status: 'PENDING' },
+      include: { user: { select: friendSelect } }
+    });
+    if (!request) {
+      return res.status(404).json({ error: 'Friend request not found' });
+    }
+
+    await acceptRequest(request);
+
+    res.json(request.user);
+  } catch (error) {
+    console.error('Error accepting friend request:', error);
+    res.status(500).json({ error: 'Failed to accept friend request' });
+  }
+}
+
+/**
+ * Decline a friend request sent to the current user
+ * The asker isn't told; their request just never turns into a friendship
+ */
+export async function declineFriendRequest(req, res) {
+  try {
+    const { count } = await prisma.friendship.deleteMany({
+      where: { id: req.params.id, friendId: req.user.id, status: 'PENDING' }
+    });
+    if (count === 0) {
+      return res.status(404).json({ error: 'Friend request not found' });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error declining friend request:', error);
+    res.status(500).json({ error: 'Failed to decline friend request' });
+  }
+}
+
+/**
+ * Remove a user from the focus circle (both directions)
+ */
+export async function removeFriend(req, res) {
+  try {
+    const { friendId } = req.params;
+
+    const { count } = await prisma.friendship.deleteMany({
+      where: {
+        OR: [
+          { userId: req.user.id, friendId },
+          { userId: friendId, friendId: req.user.id }
+        ]
+      }
+    });
+    if (count === 0) {
+      return res.status(404).json({ error: 'Friend not found' });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error removing friend:', error);
+    res.status(500).json({ error: 'Failed to remove friend' });
+  }
+}
@@ -0,0 +1,173 @@
+import prisma from '../lib/prisma.js';
+import { ACHIEVEMENTS, levelFor, liveStreak, getCurrentSeason } from '../lib/gamification.js';
+import { todayInZone, zonedDateTime } from '../lib/timezone.js';
+
+const SCOPES = ['global', 'friends'];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+/**
+ * Midnight at the start of today in a time zone
+ */
+function startOfToday(timeZone) {
+  return zonedDateTime(todayInZone(timeZone), '00:00', timeZone);
+}
+
+/**
+ * Sum XP per user, optionally limited to a time window and set of users
+ * @returns {Promise<Map<string, number>>} - userId -> XP
+ */
+async function xpByUser({ since, until, userIds, source } = {}) {
+  const createdAt = {};
+  if (since) createdAt.gte = since;
+  if (until) createdAt.lt = until;
+
+  const where = {};
+  if (since || until) where.createdAt = createdAt;
+  if (userIds) where.userId = { in: userIds };
+  if (source) where.source = source;
+
+  const rows = await prisma.xpEvent.groupBy({
+    by: ['userId'],
+    where,
+    _sum: { amount: true },
+    _count: { _all: true }
+  });
+
+  return new Map(rows.map(row => [row.userId, source ? row._count._all : row._sum.amount || 0]));
+}
+
+/**
+ * Season details for the page header, including community progress
+ */
+async function describeSeason(season) {
+  const community = await prisma.xpEvent.aggregate({
+    where: { createdAt: { gte: season.startsAt, lt: season.endsAt } },
+    _sum: { amount: true }
+  });
+  const msRemaining = season.endsAt - Date.now();
+
+  return {
+    id: season.id,
+    name: season.name,
+    startsAt: season.startsAt,
+    endsAt: season.endsAt,
+    xpGoal: season.xpGoal,
+    communityXp: community._sum.amount || 0,
+    daysRemaining: Math.max(0, Math.ceil(msRemaining / (24 * 60 * 60 * 1000)))
+  };
+}
+
+/**
+ * Get the current user's XP, level, streak and achievements
+ */
+export async function getProfile(req, res) {
+  try {
+    const userId = req.user.id;
+
+    const [user, totals, today, unlocked] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId } }),
+      prisma.xpEvent.aggregate({ where: { userId }, _sum: { amount: true } }),
+      prisma.xpEvent.aggregate({ where: { userId, createdAt: { gte: startOfToday(req.user.timezone) } }, _sum: { amount: true } }),
+      prisma.userAchievement.findMany({ where: { userId } })
+    ]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const totalXp = totals._sum.amount || 0;
+    const unlockedAt = new Map(unlocked.map(a => [a.key, a.unlockedAt]));
+
+    res.json({
+      totalXp,
+      todayXp: today._sum.amount || 0,
+      ...levelFor(totalXp),
+      currentStreak: liveStreak(user),
+      longestStreak: user.longestStreak,
+      achievements: ACHIEVEMENTS.map(({ key, label, icon, description }) => ({
+        key,
+        label,
+        icon,
+        description,
+        unlocked: unlockedAt.has(key),
+        unlockedAt: unlockedAt.get(key) || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching gamification profile:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+}
+
+/**
+ * Season leaderboard, ranked by XP earned this season
+ * Query: ?scope=global|friends (friends = you and your focus circle), ?limit=N
+ */
+export async function getLeaderboard(req, res) {
+  try {
+    const { scope = 'global' } = req.query;
+    const limit = Math.min(MAX_LIMIT, parseInt(req.query.limit) || DEFAULT_LIMIT);
+
+    if (!SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `Scope must be one of ${SCOPES.join(', ')}` });
+    }
+
+    const userId = req.user.id;
+    const season = await getCurrentSeason();
+
+    let userIds;
+    if (scope === 'friends') {
+      const friendships = await prisma.friendship.findMany({ where: { userId, status: 'ACCEPTED' }, select: { friendId: true } });
+      userIds = [userId, ...friendships.map(f => f.friendId)];
+    }
+
+    const seasonXp = await xpByUser({ since: season.startsAt, until: season.endsAt, userIds });
+
+    // Everyone in the circle is listed even before they earn XP; globally only you are
+    for (const id of userIds || [userId]) {
+      if (!seasonXp.has(id)) seasonXp.set(id, 0);
+    }
+
+    const ranked = [...seasonXp.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([id, xp], index) => ({ userId: id, rank: index + 1, seasonXp: xp }));
+
+    const shown = ranked.slice(0, limit);
+    const you = ranked.find(entry => entry.userId === userId);
+    const detailIds = [...new Set([...shown.map(entry => entry.userId), userId])];
+
+    const [users, totalXp, todayXp, tasksCompleted, seasonInfo] = await Promise.all([
+      prisma.user.findMany({ where: { id: { in: detailIds } } }),
+      xpByUser({ userIds: detailIds }),
+      xpByUser({ since: startOfToday(req.user.timezone), userIds: detailIds }),
+      xpByUser({ since: season.startsAt, until: season.endsAt, userIds: detailIds, source: 'TASK' }),
+      describeSeason(season)
+    ]);
+    const usersById = new Map(users.map(user => [user.id, user]));
+
+    const describe = (entry) => {
+      const user = usersById.get(entry.userId);
+      const level = levelFor(totalXp.get(entry.userId) || 0);
+      return {
+        ...entry,
+        name: user?.name || 'Unknown',
+        level: level.level,
+        levelTitle: level.title,
+        streak: user ? liveStreak(user) : 0,
+        tasksCompleted: tasksCompleted.get(entry.userId) || 0,
+        todayXp: todayXp.get(entry.userId) || 0,
+        isYou: entry.userId === userId
+      };
+    };
+
+    res.json({
+      scope,
+      season: seasonInfo,
+      entries: shown.map(describe),
+      you: describe(you)
+    });
+  } catch (error) {
+    console.error('Error fetching leaderboard:', error);
+    res.status(500).json({ error: 'Failed to fetch leaderboard' });
+  }
+}
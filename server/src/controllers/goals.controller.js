@@ -1,5 +1,13 @@
-import { streamChatWithOllama, chatWithOllama } from '../lib/ollama.js';
+import { streamChat, chatStructured, StructuredOutputError } from '../lib/llm/index.js';
+import { SUBGOALS_SCHEMA } from '../lib/aiSchemas.js';
+import { extractSuggestions } from '../lib/suggestions.js';
+import { syncMilestoneStatus, syncGoalStatus } from '../lib/progress.js';
 import prisma from '../lib/prisma.js';
+import { awardGoalXp } from '../lib/gamification.js';
+import { habitSummary, addDaysToKey, dbDateKey } from '../lib/recurrence.js';
+import { todayInZone } from '../lib/timezone.js';
+import { BLOCKER_SELECT, blockersOf, loadGoalDependencies, criticalPath } from '../lib/dependencies.js';
+import { findConversation, toChatHistory, appendMessages } from '../lib/conversations.js';
 
 // ============================================================
 // AI ENDPOINTS
@@ -7,14 +15,37 @@ import prisma from '../lib/prisma.js';
 
 /**
  * Goal discussion endpoint - AI discusses a goal with the user and suggests subgoals
+ * History is loaded from the GOAL_DISCUSSION conversation; the client only sends the new message
  * Supports SSE streaming for real-time responses
  */
 export async function discussGoal(req, res) {
   try {
-    const { goal, proficiencyLevel = 'INTERMEDIATE', conversationHistory = [], userMessage, enableThinking = true } = req.body;
+    const { conversationId, userMessage, enableThinking = true } = req.body;
 
-    if (!goal && !userMessage) {
-      return res.status(400).json({ error: 'Goal or user message is required' });
+    if (!conversationId) {
+      return res.status(400).json({ error: 'Conversation ID is required' });
+    }
+
+    const conversation = await findConversation(req.user.id, conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const goal = conversation.title;
+    const proficiencyLevel = conversation.proficiencyLevel || 'INTERMEDIATE';
+    const history = toChatHistory(conversation);
+
+    let newMessage;
+    if (userMessage) {
+      newMessage = { role: 'user', content: userMessage };
+    } else if (goal && history.length === 0) {
+      // First message about a new goal
+      newMessage = {
+        role: 'user',
+        content: `I want to achieve this goal: "${goal}". Please help me break it down into milestones with checkpoints. Ask me any clarifying questions first if needed.`,
+      };
+    } else {
+      return res.status(400).json({ error: 'User message is required' });
     }
 
     const proficiencyInstructions = {
@@ -79,41 +110,42 @@ BAD (do NOT do this):
 - Milestone: "Baseline health check" with 0 checkpoints
 - Milestone: "Build healthy habits" with 0 checkpoints`;
 
-    const messages = [...conversationHistory];
-
-    // If this is the first message about a new goal
-    if (goal && conversationHistory.length === 0) {
-      messages.push({
-        role: 'user',
-        content: `I want to achieve this goal: "${goal}". Please help me break it down into milestones with checkpoints. Ask me any clarifying questions first if needed.`,
-      });
-    } else if (userMessage) {
-      messages.push({ role: 'user', content: userMessage });
-    }
-
     // Use SSE streaming with thinking mode controlled by client
-    await streamChatWithOllama(res, messages, systemPrompt, enableThinking);
+    const reply = await streamChat(res, [...history, newMessage], systemPrompt, enableThinking);
+
+    // Only saved once the reply is complete, so a failed turn can simply be retried
+    await appendMessages(conversation.id, [newMessage, { role: 'assistant', content: reply }]);
   } catch (error) {
     console.error('Error in goal discussion:', error);
     // Only send error if headers haven't been sent yet
     if (!res.headersSent) {
-      res.status(500).json({ error: 'Failed to process goal discussion', details: error.message });
+      res.status(500).json({ error: 'Failed to process goal discussion' });
     }
   }
 }
 
 /**
- * Extract milestones with checkpoints from conversation
- * Uses non-streaming + thinking mode for accurate JSON extraction
+ * Extract milestones with checkpoints from a goal discussion
+ * Uses schema-constrained structured output (see lib/aiSchemas.js)
  */
 export async function extractSubgoals(req, res) {
   try {
-    const { goal, conversationHistory } = req.body;
+    const { conversationId } = req.body;
+
+    if (!conversationId) {
+      return res.status(400).json({ error: 'Conversation ID is required' });
+    }
 
-    if (!goal || !conversationHistory || conversationHistory.length === 0) {
-      return res.status(400).json({ error: 'Goal and conversation history are required' });
+    const conversation = await findConversation(req.user.id, conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    if (conversation.messages.length === 0) {
+      return res.status(400).json({ error: 'Conversation has no messages yet' });
     }
 
+    const goal = req.body.goal || conversation.title;
+
     const systemPrompt = `Based on the conversation about the user's goal, extract the final agreed-upon MILESTONES with CHECKPOINTS.
 
 Return ONLY a JSON object with the following structure (no other text, no markdown code blocks):
@@ -147,31 +179,15 @@ If no checkpoints were discussed, create appropriate checkpoints like:
 - For "finance": "Set budget", "Track expenses", "Review savings"`;
 
     const messages = [
-      ...conversationHistory,
+      ...toChatHistory(conversation),
       {
         role: 'user',
         content: `Please extract the final milestones with checkpoints we discussed for my goal: "${goal}". Return them as a JSON object only, no other text.`,
       },
     ];
 
-    // Non-streaming with thinking for accurate extraction
-    const content = await chatWithOllama(messages, systemPrompt, true);
-
-    // Try to parse the JSON response
-    let result;
-    try {
-      // Extract JSON from the response (in case there's extra text or markdown)
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        result = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON object found in response');
-      }
-    } catch (parseError) {
-      console.error('Failed to parse milestones:', parseError);
-      console.error('Raw response:', content);
-      return res.status(500).json({ error: 'Failed to parse milestones from AI response' });
-    }
+    // Structured output, validated and repaired if the model gets it wrong
+    const result = await chatStructured(messages, systemPrompt, { schema: SUBGOALS_SCHEMA });
 
     res.json({ 
       goal: result.goal || goal,
@@ -179,13 +195,16 @@ If no checkpoints were discussed, create appropriate checkpoints like:
     });
   } catch (error) {
     console.error('Error extracting milestones:', error);
-    res.status(500).json({ error: 'Failed to extract milestones', details: error.message });
+    if (error instanceof StructuredOutputError) {
+      return res.status(502).json({ error: 'AI returned invalid milestones', details: error.errors });
+    }
+    res.status(500).json({ error: 'Failed to extract milestones' });
   }
 }
 
 /**
  * AI suggest milestones for a goal
- * Uses SSE streaming for real-time responses
+ * Uses SSE streaming for real-time responses; the final event carries `suggestions`
  */
 export async function suggestMilestones(req, res) {
   try {
@@ -193,8 +212,8 @@ export async function suggestMilestones(req, res) {
     const { enableThinking = true } = req.body;
 
     // Fetch the goal from database
-    const goal = await prisma.goal.findUnique({
-      where: { id },
+    const goal = await prisma.goal.findFirst({
+      where: { id, userId: req.user.id },
       include: { milestones: true }
     });
 
@@ -226,11 +245,14 @@ Format your response clearly with each milestone numbered.`;
       { role: 'user', content: 'Please suggest milestones for my goal.' }
     ];
 
-    await streamChatWithOllama(res, messages, systemPrompt, enableThinking);
+    // Prose streams first; the final event adds the same suggestions as structured records
+    await streamChat(res, messages, systemPrompt, enableThinking, {
+      onComplete: (prose) => extractSuggestions(messages, prose, 'milestone')
+    });
   } catch (error) {
     console.error('Error suggesting milestones:', error);
     if (!res.headersSent) {
-      res.status(500).json({ error: 'Failed to suggest milestones', details: error.message });
+      res.status(500).json({ error: 'Failed to suggest milestones' });
     }
   }
 }
@@ -239,15 +261,101 @@ Format your response clearly with each milestone numbered.`;
 // CRUD ENDPOINTS
 // ============================================================
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Goal tree shape returned by getGoal and commitPlan
+const GOAL_TREE_INCLUDE = {
+  milestones: {
+    orderBy: { orderIndex: 'asc' },
+    include: {
+      tasks: {
+        orderBy: { orderIndex: 'asc' },
+        include: {
+          occurrences: { select: { date: true } },
+          dependencies: { include: { dependsOn: { select: BLOCKER_SELECT } } }
+        }
+      },
+      checkpoints: {
+        orderBy: { orderIndex: 'asc' }
+      },
+      dependencies: { include: { dependsOn: { select: BLOCKER_SELECT } } }
+    }
+  }
+};
+
+/**
+ * Add goal and milestone progress to a goal loaded with GOAL_TREE_INCLUDE
+ * Recurring tasks get a `habit` summary in place of their raw occurrences, and every
+ * task lists the unfinished tasks and milestones it's waiting on as `blockedBy`
+ * @param {object} goal
+ * @param {string} today - The user's date key, for habit streaks
+ */
+function withProgress(goal, today) {
+
+  const totalMilestones = goal.milestones.length;
+  const completedMilestones = goal.milestones.filter(m => m.status === 'COMPLETED').length;
+  const progress = totalMilestones > 0 
+    ? Math.round((completedMilestones / totalMilestones) * 100) 
+    : 0;
+
+  const milestonesWithProgress = goal.milestones.map(milestone => {
+    const totalTasks = milestone.tasks.length;
+    const completedTasks = milestone.tasks.filter(t => t.status === 'COMPLETED').length;
+    const milestoneProgress = totalTasks > 0 
+      ? Math.round((completedTasks / totalTasks) * 100) 
+      : 0;
+
+    return {
+      ...milestone,
+      tasks: milestone.tasks.map(({ occurrences, ...task }) => ({
+        ...task,
+        habit: habitSummary({ ...task, occurrences }, today),
+        blockedBy: blockersOf(task, milestone)
+      })),
+      progress: milestoneProgress,
+      taskCount: totalTasks,
+      completedTaskCount: completedTasks
+    };
+  });
+
+  return {
+    ...goal,
+    milestones: milestonesWithProgress,
+    progress,
+    milestoneCount: totalMilestones,
+    completedMilestoneCount: completedMilestones
+  };
+}
+
+/**
+ * Target dates for milestones worked on one after another from `start`
+ * Milestones without estimatedDays get no date and don't push the later ones back
+ * @param {Array<{ estimatedDays?: number|null }>} milestones
+ * @param {Date} start
+ * @returns {Array<Date|null>}
+ */
+function sequentialTargetDates(milestones, start) {
+  let days = 0;
+  return milestones.map(milestone => {
+    if (!milestone.estimatedDays) return null;
+    days += milestone.estimatedDays;
+    return new Date(start.getTime() + days * DAY_MS);
+  });
+}
+
 /**
  * Get all goals with milestone count and progress
  */
 export async function getAllGoals(req, res) {
   try {
     const goals = await prisma.goal.findMany({
+      where: { userId: req.user.id },
       include: {
         milestones: {
           include: {
+            checkpoints: {
+              orderBy: { orderIndex: 'asc' }
+            },
             _count: {
               select: { tasks: true }
             }
@@ -280,7 +388,7 @@ export async function getAllGoals(req, res) {
     res.json(goalsWithProgress);
   } catch (error) {
     console.error('Error fetching goals:', error);
-    res.status(500).json({ error: 'Failed to fetch goals', details: error.message });
+    res.status(500).json({ error: 'Failed to fetch goals' });
   }
 }
 
@@ -297,6 +405,7 @@ export async function createGoal(req, res) {
 
     const goal = await prisma.goal.create({
       data: {
+        userId: req.user.id,
         title: title.trim(),
         description: description?.trim() || null,
         targetDate: targetDate ? new Date(targetDate) : null,
@@ -309,68 +418,166 @@ export async function createGoal(req, res) {
     res.status(201).json(goal);
   } catch (error) {
     console.error('Error creating goal:', error);
-    res.status(500).json({ error: 'Failed to create goal', details: error.message });
+    res.status(500).json({ error: 'Failed to create goal' });
   }
 }
 
 /**
- * Get a single goal by ID with milestones and tasks
+ * Create a goal with its milestones, checkpoints and tasks in one transaction
+ * Takes the structure returned by extractSubgoals (the route validates it against
+ * GOAL_PLAN_SCHEMA); milestone target dates are laid out back to back from today using estimatedDays.
+ * When `conversationId` is given, the discussion is linked to the new goal.
  */
-export async function getGoal(req, res) {
+export async function commitPlan(req, res) {
   try {
-    const { id } = req.params;
+    const { goal: title, description, proficiencyLevel, conversationId, milestones } = req.body;
 
-    const goal = await prisma.goal.findUnique({
-      where: { id },
-      include: {
-        milestones: {
-          orderBy: { orderIndex: 'asc' },
-          include: {
-            tasks: {
-              orderBy: { orderIndex: 'asc' }
-            }
+    if (conversationId) {
+      const conversation = await prisma.conversation.findFirst({ where: { id: conversationId, userId: req.user.id } });
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+    }
+
+    const targetDates = sequentialTargetDates(milestones, new Date());
+    const lastTargetDate = targetDates.filter(Boolean).at(-1) || null;
+
+    const goal = await prisma.$transaction(async (tx) => {
+      const created = await tx.goal.create({
+        data: {
+          userId: req.user.id,
+          title: title.trim(),
+          description: description?.trim() || null,
+          targetDate: lastTargetDate,
+          proficiencyLevel: proficiencyLevel || null,
+          milestones: {
+            create: milestones.map((milestone, index) => ({
+              title: milestone.title.trim(),
+              description: milestone.description?.trim() || null,
+              targetDate: targetDates[index],
+              priority: milestone.priority?.toUpperCase() || 'MEDIUM',
+              orderIndex: index,
+              checkpoints: {
+                create: (milestone.checkpoints || []).map((checkpoint, checkpointIndex) => ({
+                  text: checkpoint.text.trim(),
+                  done: Boolean(checkpoint.done),
+                  completedAt: checkpoint.done ? new Date() : null,
+                  orderIndex: checkpointIndex
+                }))
+              },
+              tasks: {
+                create: (milestone.tasks || []).map((task, taskIndex) => ({
+                  title: task.title.trim(),
+                  description: task.description?.trim() || null,
+                  estimatedMins: task.estimatedMins || null,
+                  priority: task.priority?.toUpperCase() || 'MEDIUM',
+                  orderIndex: taskIndex
+                }))
+              }
+            }))
           }
         }
+      });
+
+      if (conversationId) {
+        await tx.conversation.update({
+          where: { id: conversationId },
+          data: { goalId: created.id }
+        });
       }
+
+      return tx.goal.findUnique({
+        where: { id: created.id },
+        include: GOAL_TREE_INCLUDE
+      });
+    });
+
+    res.status(201).json(withProgress(goal, todayInZone(req.user.timezone)));
+  } catch (error) {
+    console.error('Error committing plan:', error);
+    res.status(500).json({ error: 'Failed to create goal from plan' });
+  }
+}
+
+/**
+ * Get a single goal by ID with milestones and tasks
+ */
+export async function getGoal(req, res) {
+  try {
+    const { id } = req.params;
+
+    const goal = await prisma.goal.findFirst({
+      where: { id, userId: req.user.id },
+      include: GOAL_TREE_INCLUDE
     });
 
     if (!goal) {
       return res.status(404).json({ error: 'Goal not found' });
     }
 
-    // Calculate progress
-    const totalMilestones = goal.milestones.length;
-    const completedMilestones = goal.milestones.filter(m => m.status === 'COMPLETED').length;
-    const progress = totalMilestones > 0 
-      ? Math.round((completedMilestones / totalMilestones) * 100) 
-      : 0;
+    res.json(withProgress(goal, todayInZone(req.user.timezone)));
+  } catch (error) {
+    console.error('Error fetching goal:', error);
+    res.status(500).json({ error: 'Failed to fetch goal' });
+  }
+}
 
-    // Calculate milestone progress
-    const milestonesWithProgress = goal.milestones.map(milestone => {
-      const totalTasks = milestone.tasks.length;
-      const completedTasks = milestone.tasks.filter(t => t.status === 'COMPLETED').length;
-      const milestoneProgress = totalTasks > 0 
-        ? Math.round((completedTasks / totalTasks) * 100) 
-        : 0;
+/**
+ * Critical path of a goal: the chain of dependent tasks that decides the earliest finish
+ * Query: ?minutesPerDay= (default 120), the time the user puts into this goal each day.
+ * The earliest finish assumes work on the chain starts today; `onTrack` compares it
+ * with the goal's target date. Every other task gets its slack in minutes.
+ */
+export async function getCriticalPath(req, res) {
+  try {
+    const { id } = req.params;
+    const minutesPerDay = req.query.minutesPerDay ? Number(req.query.minutesPerDay) : 120;
 
-      return {
-        ...milestone,
-        progress: milestoneProgress,
-        taskCount: totalTasks,
-        completedTaskCount: completedTasks
-      };
-    });
+    if (!Number.isInteger(minutesPerDay) || minutesPerDay < 1 || minutesPerDay > 24 * 60) {
+      return res.status(400).json({ error: 'minutesPerDay must be a whole number between 1 and 1440' });
+    }
+
+    const goal = await prisma.goal.findFirst({ where: { id, userId: req.user.id } });
+    if (!goal) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    const { tasks, taskEdges, milestoneEdges } = await loadGoalDependencies(id);
+    const { path, totalMins, schedule } = criticalPath(tasks, taskEdges, milestoneEdges);
+
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    const workDays = Math.ceil(totalMins / minutesPerDay);
+    const earliestFinish = addDaysToKey(todayInZone(req.user.timezone), Math.max(0, workDays - 1));
+    const targetDate = goal.targetDate ? dbDateKey(goal.targetDate) : null;
 
     res.json({
-      ...goal,
-      milestones: milestonesWithProgress,
-      progress,
-      milestoneCount: totalMilestones,
-      completedMilestoneCount: completedMilestones
+      goalId: id,
+      minutesPerDay,
+      remainingMins: totalMins,
+      earliestFinish: totalMins > 0 ? earliestFinish : null,
+      targetDate,
+      onTrack: targetDate && totalMins > 0 ? earliestFinish <= targetDate : null,
+      path: path.map(taskId => {
+        const task = tasksById.get(taskId);
+        return {
+          id: task.id,
+          title: task.title,
+          status: task.status,
+          estimatedMins: task.estimatedMins,
+          milestoneId: task.milestoneId,
+          milestoneTitle: task.milestone.title,
+          ...schedule.get(taskId)
+        };
+      }),
+      tasks: [...schedule].map(([taskId, times]) => ({
+        id: taskId,
+        ...times,
+        critical: path.includes(taskId)
+      }))
     });
   } catch (error) {
-    console.error('Error fetching goal:', error);
-    res.status(500).json({ error: 'Failed to fetch goal', details: error.message });
+    console.error('Error computing critical path:', error);
+    res.status(500).json({ error: 'Failed to compute critical path' });
   }
 }
 
@@ -383,7 +590,7 @@ export async function updateGoal(req, res) {
     const { title, description, targetDate, status, proficiencyLevel, targetScope, targetDays } = req.body;
 
     // Check if goal exists
-    const existingGoal = await prisma.goal.findUnique({ where: { id } });
+    const existingGoal = await prisma.goal.findFirst({ where: { id, userId: req.user.id } });
     if (!existingGoal) {
       return res.status(404).json({ error: 'Goal not found' });
     }
@@ -402,10 +609,14 @@ export async function updateGoal(req, res) {
       data: updateData
     });
 
+    if (goal.status === 'COMPLETED') {
+      await awardGoalXp(goal);
+    }
+
     res.json(goal);
   } catch (error) {
     console.error('Error updating goal:', error);
-    res.status(500).json({ error: 'Failed to update goal', details: error.message });
+    res.status(500).json({ error: 'Failed to update goal' });
   }
 }
 
@@ -417,7 +628,7 @@ export async function deleteGoal(req, res) {
     const { id } = req.params;
 
     // Check if goal exists
-    const existingGoal = await prisma.goal.findUnique({ where: { id } });
+    const existingGoal = await prisma.goal.findFirst({ where: { id, userId: req.user.id } });
     if (!existingGoal) {
       return res.status(404).json({ error: 'Goal not found' });
     }
@@ -427,7 +638,7 @@ export async function deleteGoal(req, res) {
     res.status(204).send();
   } catch (error) {
     console.error('Error deleting goal:', error);
-    res.status(500).json({ error: 'Failed to delete goal', details: error.message });
+    res.status(500).json({ error: 'Failed to delete goal' });
   }
 }
 
@@ -437,14 +648,14 @@ export async function deleteGoal(req, res) {
 export async function createMilestone(req, res) {
   try {
     const { goalId } = req.params;
-    const { title, description, targetDate, checklist } = req.body;
+    const { title, description, targetDate, priority, checkpoints = [] } = req.body;
 
     if (!title || title.trim() === '') {
       return res.status(400).json({ error: 'Title is required' });
     }
 
     // Check if goal exists
-    const goal = await prisma.goal.findUnique({ where: { id: goalId } });
+    const goal = await prisma.goal.findFirst({ where: { id: goalId, userId: req.user.id } });
     if (!goal) {
       return res.status(404).json({ error: 'Goal not found' });
     }
@@ -462,15 +673,32 @@ export async function createMilestone(req, res) {
         title: title.trim(),
         description: description?.trim() || null,
         targetDate: targetDate ? new Date(targetDate) : null,
-        checklist: checklist || null,
-        orderIndex
+        priority: priority || 'MEDIUM',
+        orderIndex,
+        checkpoints: {
+          create: checkpoints
+            .filter(checkpoint => checkpoint.text?.trim())
+            .map((checkpoint, checkpointIndex) => ({
+              text: checkpoint.text.trim(),
+              done: Boolean(checkpoint.done),
+              completedAt: checkpoint.done ? new Date() : null,
+              orderIndex: checkpointIndex
+            }))
+        }
+      },
+      include: {
+        checkpoints: { orderBy: { orderIndex: 'asc' } }
       }
     });
 
-    res.status(201).json(milestone);
+    // Rolls up the checkpoints it came with, and reopens a completed goal
+    const synced = await syncMilestoneStatus(milestone.id);
+    await syncGoalStatus(goalId);
+
+    res.status(201).json({ ...milestone, status: synced.status });
   } catch (error) {
     console.error('Error creating milestone:', error);
-    res.status(500).json({ error: 'Failed to create milestone', details: error.message });
+    res.status(500).json({ error: 'Failed to create milestone' });
   }
 }
 
@@ -480,10 +708,12 @@ export async function createMilestone(req, res) {
 export async function updateMilestone(req, res) {
   try {
     const { id } = req.params;
-    const { title, description, targetDate, status, checklist } = req.body;
+    const { title, description, targetDate, status } = req.body;
 
     // Check if milestone exists
-    const existingMilestone = await prisma.milestone.findUnique({ where: { id } });
+    const existingMilestone = await prisma.milestone.findFirst({
+      where: { id, goal: { userId: req.user.id } }
+    });
     if (!existingMilestone) {
       return res.status(404).json({ error: 'Milestone not found' });
     }
@@ -493,7 +723,6 @@ export async function updateMilestone(req, res) {
     if (description !== undefined) updateData.description = description?.trim() || null;
     if (targetDate !== undefined) updateData.targetDate = targetDate ? new Date(targetDate) : null;
     if (status !== undefined) updateData.status = status;
-    if (checklist !== undefined) updateData.checklist = checklist;
 
     const milestone = await prisma.milestone.update({
       where: { id },
@@ -503,6 +732,6 @@ export async function updateMilestone(req, res) {
     res.json(milestone);
   } catch (error) {
     console.error('Error updating milestone:', error);
-    res.status(500).json({ error: 'Failed to update milestone', details: error.message });
+    res.status(500).json({ error: 'Failed to update milestone' });
   }
 }
@@ -1,35 +1,28 @@
-import { ollama, stripThinking } from '../lib/ollama.js';
-import { config } from '../config/index.js';
+import { chat, describeProvider } from '../lib/llm/index.js';
 
 /**
  * Health check endpoint
- * Tests Ollama connection and returns status
+ * Tests the LLM provider connection and returns status
  */
 export async function checkHealth(req, res) {
+  const { label, model } = describeProvider();
+
   try {
-    const response = await ollama.chat({
-      model: config.ollama.model,
-      messages: [
-        { role: 'system', content: 'You are a helpful assistant. Respond briefly. /no_think' },
-        { role: 'user', content: 'Say "OK" if you are working.' }
-      ],
-      stream: false
-    });
-    
-    let content = response.message.content;
-    // Strip any thinking tags
-    content = stripThinking(content);
-    
+    const content = await chat(
+      [{ role: 'user', content: 'Say "OK" if you are working.' }],
+      'You are a helpful assistant. Respond briefly.'
+    );
+
     res.json({ 
       status: 'ok', 
-      model: config.ollama.model, 
-      provider: 'Ollama (Local)',
+      model, 
+      provider: label,
       test: content 
     });
   } catch (error) {
     res.json({ 
       status: 'error', 
-      model: config.ollama.model, 
+      model, 
       error: error.message 
     });
   }
@@ -1,5 +1,10 @@
-import { streamChatWithOllama, chatWithOllama } from '../lib/ollama.js';
+import { streamChat } from '../lib/llm/index.js';
+import { extractSuggestions } from '../lib/suggestions.js';
 import prisma from '../lib/prisma.js';
+import { syncMilestoneStatus, syncGoalStatus } from '../lib/progress.js';
+import { validateRecurrence, recurrenceData } from '../lib/recurrence.js';
+import { todayInZone } from '../lib/timezone.js';
+import { BLOCKER_SELECT, loadGoalDependencies, milestoneDependencyCycle } from '../lib/dependencies.js';
 
 // ============================================================
 // CRUD ENDPOINTS
@@ -13,7 +18,7 @@ export async function getMilestones(req, res) {
     const { goalId } = req.params;
 
     // Check if goal exists
-    const goal = await prisma.goal.findUnique({ where: { id: goalId } });
+    const goal = await prisma.goal.findFirst({ where: { id: goalId, userId: req.user.id } });
     if (!goal) {
       return res.status(404).json({ error: 'Goal not found' });
     }
@@ -24,6 +29,9 @@ export async function getMilestones(req, res) {
       include: {
         tasks: {
           orderBy: { orderIndex: 'asc' }
+        },
+        checkpoints: {
+          orderBy: { orderIndex: 'asc' }
         }
       }
     });
@@ -47,7 +55,7 @@ export async function getMilestones(req, res) {
     res.json(milestonesWithProgress);
   } catch (error) {
     console.error('Error fetching milestones:', error);
-    res.status(500).json({ error: 'Failed to fetch milestones', details: error.message });
+    res.status(500).json({ error: 'Failed to fetch milestones' });
   }
 }
 
@@ -58,12 +66,15 @@ export async function getMilestone(req, res) {
   try {
     const { id } = req.params;
 
-    const milestone = await prisma.milestone.findUnique({
-      where: { id },
+    const milestone = await prisma.milestone.findFirst({
+      where: { id, goal: { userId: req.user.id } },
       include: {
         goal: true,
         tasks: {
           orderBy: { orderIndex: 'asc' }
+        },
+        checkpoints: {
+          orderBy: { orderIndex: 'asc' }
         }
       }
     });
@@ -87,20 +98,24 @@ export async function getMilestone(req, res) {
     });
   } catch (error) {
     console.error('Error fetching milestone:', error);
-    res.status(500).json({ error: 'Failed to fetch milestone', details: error.message });
+    res.status(500).json({ error: 'Failed to fetch milestone' });
   }
 }
 
 /**
  * Update a milestone
+ * Turning autoStatus on re-runs the status rollup;
+ * a status set by hand is kept and only rolled up to the goal
  */
 export async function updateMilestone(req, res) {
   try {
     const { id } = req.params;
-    const { title, description, targetDate, status, orderIndex, checklist } = req.body;
+    const { title, description, targetDate, status, priority, orderIndex, autoStatus } = req.body;
 
     // Check if milestone exists
-    const existingMilestone = await prisma.milestone.findUnique({ where: { id } });
+    const existingMilestone = await prisma.milestone.findFirst({
+      where: { id, goal: { userId: req.user.id } }
+    });
     if (!existingMilestone) {
       return res.status(404).json({ error: 'Milestone not found' });
     }
@@ -110,18 +125,26 @@ export async function updateMilestone(req, res) {
     if (description !== undefined) updateData.description = description?.trim() || null;
     if (targetDate !== undefined) updateData.targetDate = targetDate ? new Date(targetDate) : null;
     if (status !== undefined) updateData.status = status;
+    if (priority !== undefined) updateData.priority = priority;
     if (orderIndex !== undefined) updateData.orderIndex = orderIndex;
-    if (checklist !== undefined) updateData.checklist = checklist;
+    if (autoStatus !== undefined) updateData.autoStatus = Boolean(autoStatus);
 
-    const milestone = await prisma.milestone.update({
+    let milestone = await prisma.milestone.update({
       where: { id },
       data: updateData
     });
 
+    if (status !== undefined) {
+      await syncGoalStatus(milestone.goalId);
+    } else if (autoStatus) {
+      const synced = await syncMilestoneStatus(id);
+      milestone = { ...milestone, status: synced.status };
+    }
+
     res.json(milestone);
   } catch (error) {
     console.error('Error updating milestone:', error);
-    res.status(500).json({ error: 'Failed to update milestone', details: error.message });
+    res.status(500).json({ error: 'Failed to update milestone' });
   }
 }
 
@@ -133,17 +156,20 @@ export async function deleteMilestone(req, res) {
     const { id } = req.params;
 
     // Check if milestone exists
-    const existingMilestone = await prisma.milestone.findUnique({ where: { id } });
+    const existingMilestone = await prisma.milestone.findFirst({
+      where: { id, goal: { userId: req.user.id } }
+    });
     if (!existingMilestone) {
       return res.status(404).json({ error: 'Milestone not found' });
     }
 
     await prisma.milestone.delete({ where: { id } });
+    await syncGoalStatus(existingMilestone.goalId);
 
     res.status(204).send();
   } catch (error) {
     console.error('Error deleting milestone:', error);
-    res.status(500).json({ error: 'Failed to delete milestone', details: error.message });
+    res.status(500).json({ error: 'Failed to delete milestone' });
   }
 }
 
@@ -158,6 +184,14 @@ export async function reorderMilestones(req, res) {
       return res.status(400).json({ error: 'milestoneIds array is required' });
     }
 
+    // Every milestone must belong to the current user
+    const ownedCount = await prisma.milestone.count({
+      where: { id: { in: milestoneIds }, goal: { userId: req.user.id } }
+    });
+    if (ownedCount !== new Set(milestoneIds).size) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+
     // Update order index for each milestone
     const updates = milestoneIds.map((id, index) => 
       prisma.milestone.update({
@@ -171,12 +205,13 @@ export async function reorderMilestones(req, res) {
     res.json({ success: true });
   } catch (error) {
     console.error('Error reordering milestones:', error);
-    res.status(500).json({ error: 'Failed to reorder milestones', details: error.message });
+    res.status(500).json({ error: 'Failed to reorder milestones' });
   }
 }
 
 /**
  * Create a task under a milestone
+ * Optional recurrence fields (see lib/recurrence.js) make it a recurring task
  */
 export async function createTask(req, res) {
   try {
@@ -187,8 +222,15 @@ export async function createTask(req, res) {
       return res.status(400).json({ error: 'Title is required' });
     }
 
+    const recurrenceError = validateRecurrence(req.body);
+    if (recurrenceError) {
+      return res.status(400).json({ error: recurrenceError });
+    }
+
     // Check if milestone exists
-    const milestone = await prisma.milestone.findUnique({ where: { id: milestoneId } });
+    const milestone = await prisma.milestone.findFirst({
+      where: { id: milestoneId, goal: { userId: req.user.id } }
+    });
     if (!milestone) {
       return res.status(404).json({ error: 'Milestone not found' });
     }
@@ -208,14 +250,156 @@ export async function createTask(req, res) {
         estimatedMins: estimatedMins || null,
         dueDate: dueDate ? new Date(dueDate) : null,
         priority: priority || 'MEDIUM',
-        orderIndex
+        orderIndex,
+        ...recurrenceData(req.body, todayInZone(req.user.timezone))
       }
     });
 
+    // A new open task reopens a completed milestone
+    await syncMilestoneStatus(milestoneId);
+
     res.status(201).json(task);
   } catch (error) {
     console.error('Error creating task:', error);
-    res.status(500).json({ error: 'Failed to create task', details: error.message });
+    res.status(500).json({ error: 'Failed to create task' });
+  }
+}
+
+/**
+ * Get the checkpoints of a milestone
+ */
+export async function getCheckpoints(req, res) {
+  try {
+    const { milestoneId } = req.params;
+
+    // Check if milestone exists
+    const milestone = await prisma.milestone.findFirst({
+      where: { id: milestoneId, goal: { userId: req.user.id } }
+    });
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+
+    const checkpoints = await prisma.checkpoint.findMany({
+      where: { milestoneId },
+      orderBy: { orderIndex: 'asc' }
+    });
+
+    res.json(checkpoints);
+  } catch (error) {
+    console.error('Error fetching checkpoints:', error);
+    res.status(500).json({ error: 'Failed to fetch checkpoints' });
+  }
+}
+
+/**
+ * Add a checkpoint to the end of a milestone's list
+ */
+export async function createCheckpoint(req, res) {
+  try {
+    const { milestoneId } = req.params;
+    const { text } = req.body;
+
+    if (!text || text.trim() === '') {
+      return res.status(400).json({ error: 'Text is required' });
+    }
+
+    // Check if milestone exists
+    const milestone = await prisma.milestone.findFirst({
+      where: { id: milestoneId, goal: { userId: req.user.id } }
+    });
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+
+    const lastCheckpoint = await prisma.checkpoint.findFirst({
+      where: { milestoneId },
+      orderBy: { orderIndex: 'desc' }
+    });
+
+    const checkpoint = await prisma.checkpoint.create({
+      data: {
+        milestoneId,
+        text: text.trim(),
+        orderIndex: lastCheckpoint ? lastCheckpoint.orderIndex + 1 : 0
+      }
+    });
+
+    // A new open checkpoint reopens a completed milestone
+    await syncMilestoneStatus(milestoneId);
+
+    res.status(201).json(checkpoint);
+  } catch (error) {
+    console.error('Error creating checkpoint:', error);
+    res.status(500).json({ error: 'Failed to create checkpoint' });
+  }
+}
+
+/**
+ * Make a milestone wait on another milestone of the same goal
+ * Body: { dependsOnId }. Rejects links that would create a cycle, including
+ * through task dependencies that cross milestones.
+ */
+export async function addMilestoneDependency(req, res) {
+  try {
+    const { id } = req.params;
+    const { dependsOnId } = req.body;
+
+    if (!dependsOnId) {
+      return res.status(400).json({ error: 'dependsOnId is required' });
+    }
+
+    const [milestone, predecessor] = await Promise.all([
+      prisma.milestone.findFirst({ where: { id, goal: { userId: req.user.id } } }),
+      prisma.milestone.findFirst({ where: { id: dependsOnId, goal: { userId: req.user.id } } })
+    ]);
+    if (!milestone || !predecessor) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+    if (milestone.goalId !== predecessor.goalId) {
+      return res.status(400).json({ error: 'Dependencies must be between milestones of the same goal' });
+    }
+
+    const graph = await loadGoalDependencies(milestone.goalId);
+    if (graph.milestoneEdges.some(edge => edge.from === id && edge.to === dependsOnId)) {
+      return res.status(409).json({ error: 'Dependency already exists' });
+    }
+    if (milestoneDependencyCycle(graph, id, dependsOnId)) {
+      return res.status(400).json({ error: 'Dependency would create a cycle' });
+    }
+
+    const dependency = await prisma.milestoneDependency.create({
+      data: { milestoneId: id, dependsOnId },
+      include: { dependsOn: { select: BLOCKER_SELECT } }
+    });
+
+    res.status(201).json(dependency);
+  } catch (error) {
+    console.error('Error adding milestone dependency:', error);
+    res.status(500).json({ error: 'Failed to add milestone dependency' });
+  }
+}
+
+/**
+ * Remove a milestone's dependency on another milestone
+ */
+export async function removeMilestoneDependency(req, res) {
+  try {
+    const { id, dependsOnId } = req.params;
+
+    const dependency = await prisma.milestoneDependency.findFirst({
+      where: { milestoneId: id, dependsOnId, milestone: { goal: { userId: req.user.id } } }
+    });
+    if (!dependency) {
+      return res.status(404).json({ error: 'Dependency not found' });
+    }
+
+    await prisma.milestoneDependency.delete({ where: { id: dependency.id } });
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error removing milestone dependency:', error);
+    res.status(500).json({ error: 'Failed to remove milestone dependency' });
   }
 }
 
@@ -225,7 +409,7 @@ export async function createTask(req, res) {
 
 /**
  * AI suggest tasks for a milestone
- * Uses SSE streaming for real-time responses
+ * Uses SSE streaming for real-time responses; the final event carries `suggestions`
  */
 export async function suggestTasks(req, res) {
   try {
@@ -233,8 +417,8 @@ export async function suggestTasks(req, res) {
     const { enableThinking = true } = req.body;
 
     // Fetch the milestone with its goal
-    const milestone = await prisma.milestone.findUnique({
-      where: { id },
+    const milestone = await prisma.milestone.findFirst({
+      where: { id, goal: { userId: req.user.id } },
       include: { 
         goal: true,
         tasks: true 
@@ -269,11 +453,14 @@ Format your response clearly with each task numbered.`;
       { role: 'user', content: 'Please suggest tasks for my milestone.' }
     ];
 
-    await streamChatWithOllama(res, messages, systemPrompt, enableThinking);
+    // Prose streams first; the final event adds the same suggestions as structured records
+    await streamChat(res, messages, systemPrompt, enableThinking, {
+      onComplete: (prose) => extractSuggestions(messages, prose, 'task')
+    });
   } catch (error) {
     console.error('Error suggesting tasks:', error);
     if (!res.headersSent) {
-      res.status(500).json({ error: 'Failed to suggest tasks', details: error.message });
+      res.status(500).json({ error: 'Failed to suggest tasks' });
     }
   }
 }
@@ -1,65 +1,187 @@
-import { streamChatWithOllama, chatWithOllama } from '../lib/ollama.js';
+import { streamChat, chatStructured, StructuredOutputError } from '../lib/llm/index.js';
+import { SCHEDULE_SCHEMA, PLAN_DAYS_SCHEMA, scheduleReplyValidator, planDaysReplyValidator } from '../lib/aiSchemas.js';
+import { linkBlocksToTasks } from '../lib/taskMatching.js';
+import prisma from '../lib/prisma.js';
+import { findConversation, toChatHistory, appendMessages } from '../lib/conversations.js';
+import { todayInZone } from '../lib/timezone.js';
+import { occursOn, habitSummary, dbDateKey, isDateKey, addDaysToKey } from '../lib/recurrence.js';
+import { loadPendingTasks } from '../lib/pendingTasks.js';
+import { autoSchedule, validateScheduleOptions } from '../lib/autoSchedule.js';
+import { chronicallyDeferredTasks } from '../lib/rollover.js';
+import { validatePlanDates, planDays, describePlanDays } from '../lib/planDays.js';
+import { loadCalendarEvents, busyTime, describeCalendarEvents } from '../lib/calendarEvents.js';
+
+/**
+ * Load the DAILY_PLANNING conversation a planning request refers to
+ * Sends the 400/404 response itself and returns null when there isn't one
+ */
+async function loadPlanningConversation(req, res) {
+  const { conversationId } = req.body;
+
+  if (!conversationId) {
+    res.status(400).json({ error: 'Conversation ID is required' });
+    return null;
+  }
+
+  const conversation = await findConversation(req.user.id, conversationId);
+  if (!conversation) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+
+  return conversation;
+}
+
+/**
+ * The days a planning request covers: `date` or `startDate`/`endDate` in the body,
+ * else the conversation's planDate/planEndDate, else tomorrow (see lib/planDays.js)
+ * Sends the 400 response itself and returns null when the dates are invalid
+ * @returns {{ days: string[], label: string }|null} - `label` is how prompts refer to the days
+ */
+function resolvePlanDays(req, res, conversation) {
+  const datesError = validatePlanDates(req.body);
+  if (datesError) {
+    res.status(400).json({ error: datesError });
+    return null;
+  }
+
+  const todayKey = todayInZone(req.user.timezone);
+  const days = planDays(req.body, conversation, todayKey);
+  return { days, label: describePlanDays(days, todayKey) };
+}
+
+/**
+ * Prompt lines for the user's recurring tasks that are due on the planned days
+ * @param {string} userId
+ * @param {string[]} days - Date keys being planned
+ * @param {string} todayKey - The user's date key, for current streaks
+ * @returns {Promise<string>} - Empty when nothing recurs on those days
+ */
+async function habitsDueContext(userId, days, todayKey) {
+  const tasks = await prisma.task.findMany({
+    where: {
+      recurrence: { not: null },
+      status: { not: 'COMPLETED' },
+      milestone: { goal: { userId } }
+    },
+    include: {
+      milestone: { select: { title: true, goal: { select: { title: true } } } },
+      occurrences: { select: { date: true } }
+    }
+  });
+
+  const weekday = (key) => new Date(`${key}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' });
+
+  const lines = tasks
+    .map(task => ({ task, dueDays: days.filter(key => occursOn(task, key)) }))
+    .filter(({ dueDays }) => dueDays.length > 0)
+    .map(({ task, dueDays }) => {
+      const { streak } = habitSummary(task, todayKey);
+      const duration = task.estimatedMins ? `, ${task.estimatedMins} min` : '';
+      const when = days.length > 1 ? `, due ${dueDays.map(weekday).join(', ')}` : '';
+      return `- ${task.title} (${task.milestone.goal.title} / ${task.milestone.title}${duration}, current streak ${streak}${when})`;
+    });
+
+  return lines.join('\n');
+}
+
+/**
+ * Prompt lines for open tasks the user keeps carrying over to the next day
+ * @returns {Promise<string>} - Empty when nothing has been deferred much
+ */
+async function deferredTasksContext(userId) {
+  const tasks = await chronicallyDeferredTasks(userId);
+
+  return tasks
+    .map(task => `- ${task.title} (${task.milestone.goal.title} / ${task.milestone.title}, deferred ${task.deferCount} times)`)
+    .join('\n');
+}
 
 /**
  * Daily planning suggestion endpoint
- * AI suggests tasks for tomorrow based on goals
+ * AI suggests a schedule for the planned day(s) (tomorrow by default) based on goals
+ * History is loaded from the conversation; the client only sends the new message
  * Supports SSE streaming for real-time responses
  */
 export async function suggestPlan(req, res) {
   try {
-    const { goals, existingTasks, userPreferences, conversationHistory = [], enableThinking = true } = req.body;
+    const { goals, userPreferences, userMessage, enableThinking = true } = req.body;
+
+    const conversation = await loadPlanningConversation(req, res);
+    if (!conversation) return;
+
+    const plan = resolvePlanDays(req, res, conversation);
+    if (!plan) return;
+    const { days, label } = plan;
+    const multiDay = days.length > 1;
 
     const goalsContext = (!goals || goals.length === 0)
-      ? 'The user has no goals set up yet. Help them think about what they could work on tomorrow and encourage them to set up goals.'
+      ? `The user has no goals set up yet. Help them think about what they could work on ${multiDay ? 'on those days' : label} and encourage them to set up goals.`
       : goals.map(g => {
         const milestonesStr = g.milestones?.map(m => {
-          const checkpoints = m.checklist?.map(c => `    - [${c.done ? 'x' : ' '}] ${c.text}`).join('\n') || '    No checkpoints';
+          const checkpoints = m.checkpoints?.map(c => `    - [${c.done ? 'x' : ' '}] ${c.text}`).join('\n') || '    No checkpoints';
           return `  Milestone: ${m.title}\n${checkpoints}`;
         }).join('\n') || '  No milestones yet';
         return `Goal: ${g.title}\nProgress: ${g.progress || 0}%\n${milestonesStr}`;
       }).join('\n\n');
 
-    const systemPrompt = `You are an AI daily planner assistant. Your ONLY job is to help the user build a schedule for TOMORROW. You are NOT a real-time coach.
+    // Recurring tasks due on the planned days, tasks that keep getting carried over,
+    // and the fixed events the schedule has to fit around
+    const [habits, deferred, eventsByDate] = await Promise.all([
+      habitsDueContext(req.user.id, days, todayInZone(req.user.timezone)),
+      deferredTasksContext(req.user.id),
+      loadCalendarEvents(req.user.id, days)
+    ]);
+    const events = describeCalendarEvents(eventsByDate);
+
+    const systemPrompt = `You are an AI daily planner assistant. Your ONLY job is to help the user build a schedule for ${label}. You are NOT a real-time coach.
 
 Here are the user's current goals and progress:
 
 ${goalsContext}
-
+${events ? `\nFixed calendar events (meetings, classes). They can't be moved: plan around them and leave them out of the schedule:\n${events}\n` : ''}${habits ? `\nRecurring habits due ${multiDay ? 'on those days (schedule each once on every day it is due)' : 'that day (schedule each of these once)'}:\n${habits}\n` : ''}${deferred ? `\nTasks the user keeps putting off (planned but left unfinished, then carried over to the next day). Schedule them early in the day, or suggest breaking them down or dropping them:\n${deferred}\n` : ''}
 Important rules:
-- You are planning what the user will do TOMORROW, not right now
+- You are planning what the user will do ${multiDay ? 'on those days' : label}, not right now
 - NEVER tell the user to "go do" something, "start now", or say you'll "wait" for them
 - NEVER act as if the user should be executing tasks during this conversation
-- This is an advance planning session — the result will be saved and used in a focused timer session tomorrow
+- This is an advance planning session — the result will be saved and used in focused timer sessions on the planned ${multiDay ? 'days' : 'day'}
 - Base your suggestions on the user's goals, milestones, and incomplete checkpoints shown above
 - Prioritize incomplete checkpoints that advance milestones closest to completion
 
-When proposing a schedule for tomorrow:
-- Break the day into time blocks (e.g. "09:00 - 10:30: Work on X")
+When proposing a schedule:
+- Break ${multiDay ? 'each day' : 'the day'} into time blocks (e.g. "09:00 - 10:30: Work on X")${multiDay ? '\n- Give each day its own heading with the weekday and date, and spread the work sensibly across the days' : ''}
 - Each task should have a clear title and a brief description of what to do
 - Include realistic time estimates and breaks
-- Keep the total day realistic (6-10 productive hours)
-- Ask clarifying questions about tomorrow's plan (e.g. "What time do you plan to wake up tomorrow?", work hours, priorities) before proposing a full schedule
+- Keep ${multiDay ? 'each' : 'the total'} day realistic (6-10 productive hours)
+- Ask clarifying questions about the plan (e.g. what time they start, work hours, priorities${multiDay ? ', days off' : ''}) before proposing a full schedule
 
 Keep your responses concise.`;
 
-    const messages = [...conversationHistory];
+    const history = toChatHistory(conversation);
 
-    if (conversationHistory.length === 0) {
-      let userContent = 'Please suggest what I should work on tomorrow, considering my goals and priorities.';
+    let newMessage;
+    if (userMessage) {
+      newMessage = { role: 'user', content: userMessage };
+    } else if (history.length === 0) {
+      let userContent = `Please suggest what I should work on ${multiDay ? `from ${label}` : label}, considering my goals and priorities.`;
       
       if (userPreferences) {
         userContent += `\n\nMy preferences: ${userPreferences}`;
       }
       
-      messages.push({ role: 'user', content: userContent });
+      newMessage = { role: 'user', content: userContent };
+    } else {
+      return res.status(400).json({ error: 'User message is required' });
     }
 
     // Use SSE streaming with thinking mode controlled by client
-    await streamChatWithOllama(res, messages, systemPrompt, enableThinking);
+    const reply = await streamChat(res, [...history, newMessage], systemPrompt, enableThinking);
+
+    await appendMessages(conversation.id, [newMessage, { role: 'assistant', content: reply }]);
   } catch (error) {
     console.error('Error in daily planning:', error);
     if (!res.headersSent) {
-      res.status(500).json({ error: 'Failed to generate daily plan', details: error.message });
+      res.status(500).json({ error: 'Failed to generate daily plan' });
     }
   }
 }
@@ -70,102 +192,217 @@ Keep your responses concise.`;
  */
 export async function tweakPlan(req, res) {
   try {
-    const { currentPlan, userRequest, conversationHistory = [], enableThinking = false } = req.body;
+    const { currentPlan, userRequest, enableThinking = false } = req.body;
 
     if (!currentPlan || !userRequest) {
       return res.status(400).json({ error: 'Current plan and user request are required' });
     }
 
-    const systemPrompt = `You are an AI daily planner assistant. The user wants to modify their daily schedule.
+    const conversation = await loadPlanningConversation(req, res);
+    if (!conversation) return;
+
+    const plan = resolvePlanDays(req, res, conversation);
+    if (!plan) return;
+
+    const events = describeCalendarEvents(await loadCalendarEvents(req.user.id, plan.days));
+
+    const systemPrompt = `You are an AI daily planner assistant. The user wants to modify their schedule for ${plan.label}.
 
 Current plan:
 ${JSON.stringify(currentPlan, null, 2)}
-
+${events ? `\nFixed calendar events that can't be moved (keep the schedule clear of them):\n${events}\n` : ''}
 Help the user tweak their schedule based on their request. Be flexible and accommodating.
 When adjusting time allocations:
 - Respect the user's wishes
 - Suggest trade-offs if needed (e.g., "If you want to spend more time on X, we could reduce Y")
-- Keep the total day realistic (typically 6-10 productive hours)
+- Keep ${plan.days.length > 1 ? 'each' : 'the total'} day realistic (typically 6-10 productive hours)${plan.days.length > 1 ? '\n- Say which day each change applies to; moving work between days is fine' : ''}
 
 Provide the updated schedule clearly.`;
 
+    const newMessage = { role: 'user', content: userRequest };
     const messages = [
-      ...conversationHistory,
-      { role: 'user', content: userRequest },
+      // Last few messages for context; the current plan is in the system prompt
+      ...toChatHistory(conversation, 4),
+      newMessage,
     ];
 
     // Use SSE streaming with thinking mode controlled by client
-    await streamChatWithOllama(res, messages, systemPrompt, enableThinking);
+    const reply = await streamChat(res, messages, systemPrompt, enableThinking);
+
+    await appendMessages(conversation.id, [newMessage, { role: 'assistant', content: reply }]);
   } catch (error) {
     console.error('Error tweaking plan:', error);
     if (!res.headersSent) {
-      res.status(500).json({ error: 'Failed to tweak plan', details: error.message });
+      res.status(500).json({ error: 'Failed to tweak plan' });
     }
   }
 }
 
 /**
- * Extract final daily schedule as JSON
- * Uses non-streaming + thinking for accurate JSON extraction
+ * Extract the final schedule as JSON
+ * Uses schema-constrained structured output (see lib/aiSchemas.js): one schedule for a
+ * single day, one per day for a date range. Responds with `days: [{ date, schedule }]`
+ * (and `schedule` too when a single day is planned).
+ * The user's finalize message and a summary of the schedule are saved to the conversation
  */
 export async function finalizePlan(req, res) {
   try {
-    const { conversationHistory } = req.body;
+    const { userMessage } = req.body;
+
+    const conversation = await loadPlanningConversation(req, res);
+    if (!conversation) return;
+
+    const plan = resolvePlanDays(req, res, conversation);
+    if (!plan) return;
+    const { days, label } = plan;
+    const multiDay = days.length > 1;
 
-    if (!conversationHistory || conversationHistory.length === 0) {
-      return res.status(400).json({ error: 'Conversation history is required' });
+    const history = toChatHistory(conversation);
+    if (history.length === 0) {
+      return res.status(400).json({ error: 'Conversation has no messages yet' });
     }
 
-    const systemPrompt = `Based on the planning conversation, extract the final agreed-upon daily schedule for tomorrow.
+    const newMessages = userMessage ? [{ role: 'user', content: userMessage }] : [];
 
-Return ONLY a JSON array with the following structure (no other text, no markdown code blocks):
-[
-  {
-    "title": "Task title",
-    "description": "Brief actionable description of what to do during this block",
-    "startTime": "09:00",
-    "endTime": "10:30",
-    "estimatedMins": 90
-  }
-]
+    // The user's open tasks, so blocks can be linked back to the goal tree
+    const [pendingTasks, milestones, eventsByDate] = await Promise.all([
+      prisma.task.findMany({
+        where: {
+          status: { in: ['PENDING', 'IN_PROGRESS'] },
+          milestone: { goal: { userId: req.user.id } }
+        },
+        select: { id: true, title: true, milestoneId: true }
+      }),
+      prisma.milestone.findMany({
+        where: { goal: { userId: req.user.id, status: 'ACTIVE' } },
+        select: { id: true, title: true }
+      }),
+      loadCalendarEvents(req.user.id, days)
+    ]);
+    const events = describeCalendarEvents(eventsByDate);
+    const busyByDate = Object.fromEntries(days.map(day => [day, busyTime(eventsByDate[day])]));
+
+    const tasksContext = pendingTasks.length > 0
+      ? pendingTasks.map(t => `- ${t.id}: ${t.title}`).join('\n')
+      : 'None';
+
+    const block = `{
+      "title": "Task title",
+      "description": "Brief actionable description of what to do during this block",
+      "startTime": "09:00",
+      "endTime": "10:30",
+      "estimatedMins": 90,
+      "taskId": "id of the open task this block works on, or null"
+    }`;
+    const structure = multiDay
+      ? `{
+  "days": [
+    {
+      "date": "${days[0]}",
+      "schedule": [
+        ${block}
+      ]
+    }
+  ]
+}`
+      : `{
+  "schedule": [
+    ${block}
+  ]
+}`;
+
+    const systemPrompt = `Based on the planning conversation, extract the final agreed-upon schedule for ${label}.
+
+The user's open tasks (id: title):
+${tasksContext}
+${events ? `\nFixed calendar events (not part of the schedule; blocks must not overlap them):\n${events}\n` : ''}
+Return ONLY a JSON object with the following structure (no other text, no markdown code blocks):
+${structure}
 
 Rules:
-- "title" is a short task name
+${multiDay ? `- One entry in "days" per planned day that has blocks, with "date" as YYYY-MM-DD (one of ${days.join(', ')}); leave out days off\n` : ''}- "title" is a short task name
 - "description" is a 1-2 sentence actionable instruction for the task
 - "startTime" and "endTime" are in 24-hour "HH:MM" format
-- "estimatedMins" is the duration in minutes as an integer
-- Order tasks by startTime
-- Include breaks if they were discussed`;
+- "estimatedMins" is the duration in minutes as an integer and must equal endTime minus startTime
+- "taskId" must be copied exactly from the open tasks list above, or null if the block doesn't work on one of them
+- Order ${multiDay ? "each day's " : ''}tasks by startTime; blocks must not overlap
+- Include breaks if they were discussed
+- Leave out fixed calendar events; they are kept separately`;
 
     const messages = [
-      ...conversationHistory,
+      ...history,
+      ...newMessages,
       {
         role: 'user',
-        content: 'Please extract the final daily schedule we agreed upon as a JSON array only, no other text.',
+        content: `Please extract the final ${multiDay ? 'schedule for each day' : 'daily schedule'} we agreed upon as a JSON object only, no other text.`,
       },
     ];
 
-    // Non-streaming with thinking for accurate extraction
-    const content = await chatWithOllama(messages, systemPrompt, true);
-
-    // Try to parse the JSON response
-    let schedule;
-    try {
-      const jsonMatch = content.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        schedule = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON array found in response');
-      }
-    } catch (parseError) {
-      console.error('Failed to parse schedule:', parseError);
-      console.error('Raw response:', content);
-      return res.status(500).json({ error: 'Failed to parse schedule from AI response' });
-    }
+    // Structured output, validated and repaired if the model gets it wrong
+    const reply = multiDay
+      ? await chatStructured(messages, systemPrompt, { schema: PLAN_DAYS_SCHEMA, validate: planDaysReplyValidator(days, busyByDate) })
+      : await chatStructured(messages, systemPrompt, { schema: SCHEDULE_SCHEMA, validate: scheduleReplyValidator(busyByDate[days[0]]) });
 
-    res.json({ schedule });
+    const planned = (multiDay ? reply.days : [{ date: days[0], schedule: reply.schedule }])
+      .sort((a, b) => (a.date < b.date ? -1 : 1))
+      .map(day => ({ date: day.date, schedule: linkBlocksToTasks(day.schedule, pendingTasks, milestones) }));
+    const matchedTaskIds = [...new Set(planned.flatMap(day => day.schedule.map(b => b.taskId)).filter(Boolean))];
+
+    const summarize = (schedule) => schedule.map(b => `- ${b.startTime}–${b.endTime} ${b.title}`).join('\n');
+    const summary = multiDay
+      ? planned.map(day => `${day.date}:\n${summarize(day.schedule)}`).join('\n\n')
+      : summarize(planned[0].schedule);
+    await appendMessages(conversation.id, [
+      ...newMessages,
+      { role: 'assistant', content: `Finalized schedule:\n${summary}` }
+    ]);
+
+    res.json({
+      days: planned,
+      ...(multiDay ? {} : { schedule: planned[0].schedule }),
+      matchedTaskIds
+    });
   } catch (error) {
     console.error('Error finalizing schedule:', error);
-    res.status(500).json({ error: 'Failed to finalize schedule', details: error.message });
+    if (error instanceof StructuredOutputError) {
+      return res.status(502).json({ error: 'AI returned an invalid schedule', details: error.errors });
+    }
+    res.status(500).json({ error: 'Failed to finalize schedule' });
+  }
+}
+
+/**
+ * Pack the user's pending tasks into a day without the AI
+ * Body: { date?, workStart?, workEnd?, breaks?, fixedBlocks?, bufferMins? } (see lib/autoSchedule.js);
+ * the date defaults to tomorrow and decides which recurring tasks are due. The day's
+ * calendar events are busy time but aren't returned as blocks.
+ * Nothing is saved: the blocks come back in the shape the daily plan endpoint accepts
+ */
+export async function autoSchedulePlan(req, res) {
+  try {
+    const { date = addDaysToKey(todayInZone(req.user.timezone), 1), ...options } = req.body;
+
+    if (!isDateKey(date)) {
+      return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+    }
+
+    const optionsError = validateScheduleOptions(options);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const [pendingTasks, eventsByDate] = await Promise.all([
+      loadPendingTasks(req.user.id, date),
+      loadCalendarEvents(req.user.id, [date])
+    ]);
+    const { tasks, unscheduled, freeMins } = autoSchedule(pendingTasks, {
+      ...options,
+      events: busyTime(eventsByDate[date])
+    });
+
+    res.json({ date, tasks, unscheduled, freeMins });
+  } catch (error) {
+    console.error('Error auto-scheduling plan:', error);
+    res.status(500).json({ error: 'Failed to auto-schedule plan' });
   }
 }
@@ -1,4 +1,30 @@
 import prisma from '../lib/prisma.js';
+import { setTaskStatus, setTaskOccurrence, completedAtFor, syncMilestoneStatus } from '../lib/progress.js';
+import { awardTaskXp } from '../lib/gamification.js';
+import { todayInZone } from '../lib/timezone.js';
+import { loadPendingTasks } from '../lib/pendingTasks.js';
+import { BLOCKER_SELECT, loadGoalDependencies, taskDependencyCycle } from '../lib/dependencies.js';
+import {
+  validateRecurrence, recurrenceData, occursOn, habitStreak, habitSummary,
+  occurrencesBetween, isDateKey, dbDateKey, addDaysToKey
+} from '../lib/recurrence.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A task's recurrence fields with the ones in a request body applied on top,
+ * as the YYYY-MM-DD strings validateRecurrence checks
+ */
+function mergedRecurrence(task, body) {
+  const pick = (field, current) => (body[field] !== undefined ? body[field] : current);
+  return {
+    recurrence: pick('recurrence', task.recurrence),
+    recurrenceInterval: pick('recurrenceInterval', task.recurrenceInterval),
+    recurrenceDays: pick('recurrenceDays', task.recurrenceDays),
+    recurrenceStart: pick('recurrenceStart', task.recurrenceStart && dbDateKey(task.recurrenceStart)),
+    recurrenceEnd: pick('recurrenceEnd', task.recurrenceEnd && dbDateKey(task.recurrenceEnd))
+  };
+}
 
 // ============================================================
 // CRUD ENDPOINTS
@@ -12,7 +38,9 @@ export async function getTasks(req, res) {
     const { milestoneId } = req.params;
 
     // Check if milestone exists
-    const milestone = await prisma.milestone.findUnique({ where: { id: milestoneId } });
+    const milestone = await prisma.milestone.findFirst({
+      where: { id: milestoneId, goal: { userId: req.user.id } }
+    });
     if (!milestone) {
       return res.status(404).json({ error: 'Milestone not found' });
     }
@@ -25,7 +53,7 @@ export async function getTasks(req, res) {
     res.json(tasks);
   } catch (error) {
     console.error('Error fetching tasks:', error);
-    res.status(500).json({ error: 'Failed to fetch tasks', details: error.message });
+    res.status(500).json({ error: 'Failed to fetch tasks' });
   }
 }
 
@@ -36,8 +64,8 @@ export async function getTask(req, res) {
   try {
     const { id } = req.params;
 
-    const task = await prisma.task.findUnique({
-      where: { id },
+    const task = await prisma.task.findFirst({
+      where: { id, milestone: { goal: { userId: req.user.id } } },
       include: {
         milestone: {
           include: { goal: true }
@@ -52,12 +80,13 @@ export async function getTask(req, res) {
     res.json(task);
   } catch (error) {
     console.error('Error fetching task:', error);
-    res.status(500).json({ error: 'Failed to fetch task', details: error.message });
+    res.status(500).json({ error: 'Failed to fetch task' });
   }
 }
 
 /**
  * Update a task
+ * Recurrence fields can be changed on their own; sending `recurrence: null` makes it a one-off task again
  */
 export async function updateTask(req, res) {
   try {
@@ -65,18 +94,28 @@ export async function updateTask(req, res) {
     const { title, description, estimatedMins, dueDate, priority, status, orderIndex } = req.body;
 
     // Check if task exists
-    const existingTask = await prisma.task.findUnique({ where: { id } });
+    const existingTask = await prisma.task.findFirst({
+      where: { id, milestone: { goal: { userId: req.user.id } } }
+    });
     if (!existingTask) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    const updateData = {};
+    const recurrenceError = validateRecurrence(mergedRecurrence(existingTask, req.body));
+    if (recurrenceError) {
+      return res.status(400).json({ error: recurrenceError });
+    }
+
+    const updateData = recurrenceData(req.body, todayInZone(req.user.timezone), existingTask);
     if (title !== undefined) updateData.title = title.trim();
     if (description !== undefined) updateData.description = description?.trim() || null;
     if (estimatedMins !== undefined) updateData.estimatedMins = estimatedMins;
     if (dueDate !== undefined) updateData.dueDate = dueDate ? new Date(dueDate) : null;
     if (priority !== undefined) updateData.priority = priority;
-    if (status !== undefined) updateData.status = status;
+    if (status !== undefined) {
+      updateData.status = status;
+      updateData.completedAt = completedAtFor(status, existingTask.completedAt);
+    }
     if (orderIndex !== undefined) updateData.orderIndex = orderIndex;
 
     const task = await prisma.task.update({
@@ -84,10 +123,17 @@ export async function updateTask(req, res) {
       data: updateData
     });
 
+    if (task.status === 'COMPLETED') {
+      await awardTaskXp(task);
+    }
+    if (status !== undefined) {
+      await syncMilestoneStatus(task.milestoneId);
+    }
+
     res.json(task);
   } catch (error) {
     console.error('Error updating task:', error);
-    res.status(500).json({ error: 'Failed to update task', details: error.message });
+    res.status(500).json({ error: 'Failed to update task' });
   }
 }
 
@@ -100,7 +146,9 @@ export async function toggleTaskStatus(req, res) {
     const { status } = req.body;
 
     // Check if task exists
-    const existingTask = await prisma.task.findUnique({ where: { id } });
+    const existingTask = await prisma.task.findFirst({
+      where: { id, milestone: { goal: { userId: req.user.id } } }
+    });
     if (!existingTask) {
       return res.status(404).json({ error: 'Task not found' });
     }
@@ -114,45 +162,13 @@ export async function toggleTaskStatus(req, res) {
       newStatus = statusOrder[nextIndex];
     }
 
-    const task = await prisma.task.update({
-      where: { id },
-      data: { status: newStatus }
-    });
-
-    // Check if milestone should be updated
-    // If all tasks are completed, update milestone status
-    const milestone = await prisma.milestone.findUnique({
-      where: { id: existingTask.milestoneId },
-      include: { tasks: true }
-    });
-
-    if (milestone) {
-      const allCompleted = milestone.tasks.every(t => 
-        t.id === id ? newStatus === 'COMPLETED' : t.status === 'COMPLETED'
-      );
-      const anyInProgress = milestone.tasks.some(t => 
-        t.id === id ? newStatus === 'IN_PROGRESS' : t.status === 'IN_PROGRESS'
-      );
-
-      let milestoneStatus = 'PENDING';
-      if (allCompleted) {
-        milestoneStatus = 'COMPLETED';
-      } else if (anyInProgress || newStatus === 'IN_PROGRESS') {
-        milestoneStatus = 'IN_PROGRESS';
-      }
-
-      if (milestone.status !== milestoneStatus) {
-        await prisma.milestone.update({
-          where: { id: milestone.id },
-          data: { status: milestoneStatus }
-        });
-      }
-    }
+    // Updates the task and rolls the change up to its milestone
+    const task = await setTaskStatus(id, newStatus);
 
     res.json(task);
   } catch (error) {
     console.error('Error toggling task status:', error);
-    res.status(500).json({ error: 'Failed to toggle task status', details: error.message });
+    res.status(500).json({ error: 'Failed to toggle task status' });
   }
 }
 
@@ -164,17 +180,20 @@ export async function deleteTask(req, res) {
     const { id } = req.params;
 
     // Check if task exists
-    const existingTask = await prisma.task.findUnique({ where: { id } });
+    const existingTask = await prisma.task.findFirst({
+      where: { id, milestone: { goal: { userId: req.user.id } } }
+    });
     if (!existingTask) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
     await prisma.task.delete({ where: { id } });
+    await syncMilestoneStatus(existingTask.milestoneId);
 
     res.status(204).send();
   } catch (error) {
     console.error('Error deleting task:', error);
-    res.status(500).json({ error: 'Failed to delete task', details: error.message });
+    res.status(500).json({ error: 'Failed to delete task' });
   }
 }
 
@@ -189,6 +208,14 @@ export async function reorderTasks(req, res) {
       return res.status(400).json({ error: 'taskIds array is required' });
     }
 
+    // Every task must belong to the current user
+    const ownedCount = await prisma.task.count({
+      where: { id: { in: taskIds }, milestone: { goal: { userId: req.user.id } } }
+    });
+    if (ownedCount !== new Set(taskIds).size) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
     // Update order index for each task
     const updates = taskIds.map((id, index) => 
       prisma.task.update({
@@ -202,35 +229,200 @@ export async function reorderTasks(req, res) {
     res.json({ success: true });
   } catch (error) {
     console.error('Error reordering tasks:', error);
-    res.status(500).json({ error: 'Failed to reorder tasks', details: error.message });
+    res.status(500).json({ error: 'Failed to reorder tasks' });
   }
 }
 
 /**
  * Get all pending tasks across all goals/milestones
- * Useful for daily planning
+ * Useful for daily planning. Recurring tasks are only listed when they are due on
+ * `?date=YYYY-MM-DD` (default today in the user's zone) and that occurrence isn't done yet; they carry
+ * `occurrenceDate` and `habit` (streak info).
+ * Every task carries `blocked` and `blockedBy`, the unfinished tasks and milestones it waits on.
  */
 export async function getAllPendingTasks(req, res) {
   try {
-    const tasks = await prisma.task.findMany({
-      where: {
-        status: { in: ['PENDING', 'IN_PROGRESS'] }
-      },
-      include: {
-        milestone: {
-          include: { goal: true }
-        }
-      },
-      orderBy: [
-        { priority: 'desc' },
-        { dueDate: 'asc' },
-        { createdAt: 'asc' }
-      ]
-    });
+    const date = req.query.date || todayInZone(req.user.timezone);
 
-    res.json(tasks);
+    if (!isDateKey(date)) {
+      return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+    }
+
+    const pending = await loadPendingTasks(req.user.id, date);
+
+    res.json(pending);
   } catch (error) {
     console.error('Error fetching pending tasks:', error);
-    res.status(500).json({ error: 'Failed to fetch pending tasks', details: error.message });
+    res.status(500).json({ error: 'Failed to fetch pending tasks' });
+  }
+}
+
+// ============================================================
+// RECURRING TASKS
+// ============================================================
+
+/**
+ * List the days a recurring task is due in a range, with their completion
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD (default the last 30 days)
+ */
+export async function getOccurrences(req, res) {
+  try {
+    const { id } = req.params;
+    const today = todayInZone(req.user.timezone);
+    const { from = addDaysToKey(today, -29), to = today } = req.query;
+
+    if (!isDateKey(from) || !isDateKey(to) || to < from) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates, from first' });
+    }
+    if ((new Date(to) - new Date(from)) / DAY_MS > 366) {
+      return res.status(400).json({ error: 'Range can span at most a year' });
+    }
+
+    const task = await prisma.task.findFirst({
+      where: { id, milestone: { goal: { userId: req.user.id } } },
+      include: { occurrences: true }
+    });
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    if (!task.recurrence) {
+      return res.status(400).json({ error: 'Task is not recurring' });
+    }
+
+    const completed = new Map(task.occurrences.map(o => [dbDateKey(o.date), o]));
+
+    res.json({
+      occurrences: occurrencesBetween(task, from, to).map(date => ({
+        date,
+        done: completed.has(date),
+        completedAt: completed.get(date)?.completedAt || null
+      })),
+      streak: habitStreak(task, completed.keys(), today)
+    });
+  } catch (error) {
+    console.error('Error fetching occurrences:', error);
+    res.status(500).json({ error: 'Failed to fetch occurrences' });
+  }
+}
+
+/**
+ * Mark one day of a recurring task done or not done
+ * Body: { done } (default true)
+ */
+export async function setOccurrence(req, res) {
+  try {
+    const { id, date } = req.params;
+    const { done = true } = req.body;
+
+    if (!isDateKey(date)) {
+      return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+    }
+
+    const task = await prisma.task.findFirst({
+      where: { id, milestone: { goal: { userId: req.user.id } } }
+    });
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    if (!task.recurrence) {
+      return res.status(400).json({ error: 'Task is not recurring' });
+    }
+    if (!occursOn(task, date)) {
+      return res.status(400).json({ error: `Task is not due on ${date}` });
+    }
+
+    const occurrence = await setTaskOccurrence(task, date, Boolean(done));
+
+    const occurrences = await prisma.taskOccurrence.findMany({
+      where: { taskId: id },
+      select: { date: true }
+    });
+
+    res.json({
+      date,
+      done: Boolean(done),
+      completedAt: occurrence?.completedAt || null,
+      habit: habitSummary({ ...task, occurrences }, todayInZone(req.user.timezone))
+    });
+  } catch (error) {
+    console.error('Error updating occurrence:', error);
+    res.status(500).json({ error: 'Failed to update occurrence' });
+  }
+}
+
+// ============================================================
+// DEPENDENCIES
+// ============================================================
+
+/**
+ * Make a task wait on another task of the same goal
+ * Body: { dependsOnId }. Rejects links that would create a cycle.
+ */
+export async function addTaskDependency(req, res) {
+  try {
+    const { id } = req.params;
+    const { dependsOnId } = req.body;
+
+    if (!dependsOnId) {
+      return res.status(400).json({ error: 'dependsOnId is required' });
+    }
+
+    const [task, predecessor] = await Promise.all([
+      prisma.task.findFirst({
+        where: { id, milestone: { goal: { userId: req.user.id } } },
+        include: { milestone: { select: { goalId: true } } }
+      }),
+      prisma.task.findFirst({
+        where: { id: dependsOnId, milestone: { goal: { userId: req.user.id } } },
+        include: { milestone: { select: { goalId: true } } }
+      })
+    ]);
+    if (!task || !predecessor) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    if (task.milestone.goalId !== predecessor.milestone.goalId) {
+      return res.status(400).json({ error: 'Dependencies must be between tasks of the same goal' });
+    }
+
+    const graph = await loadGoalDependencies(task.milestone.goalId);
+    if (graph.taskEdges.some(edge => edge.from === id && edge.to === dependsOnId)) {
+      return res.status(409).json({ error: 'Dependency already exists' });
+    }
+    if (taskDependencyCycle(graph, id, dependsOnId)) {
+      return res.status(400).json({ error: 'Dependency would create a cycle' });
+    }
+
+    const dependency = await prisma.taskDependency.create({
+      data: { taskId: id, dependsOnId },
+      include: { dependsOn: { select: BLOCKER_SELECT } }
+    });
+
+    res.status(201).json(dependency);
+  } catch (error) {
+    console.error('Error adding task dependency:', error);
+    res.status(500).json({ error: 'Failed to add task dependency' });
+  }
+}
+
+/**
+ * Remove a task's dependency on another task
+ */
+export async function removeTaskDependency(req, res) {
+  try {
+    const { id, dependsOnId } = req.params;
+
+    const dependency = await prisma.taskDependency.findFirst({
+      where: { taskId: id, dependsOnId, task: { milestone: { goal: { userId: req.user.id } } } }
+    });
+    if (!dependency) {
+      return res.status(404).json({ error: 'Dependency not found' });
+    }
+
+    await prisma.taskDependency.delete({ where: { id: dependency.id } });
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error removing task dependency:', error);
+    res.status(500).json({ error: 'Failed to remove task dependency' });
   }
 }
@@ -1,9 +1,11 @@
 import app from './app.js';
 import { config } from './config/index.js';
+import { describeProvider } from './lib/llm/index.js';
 
 // Start server
 app.listen(config.port, () => {
+  const llm = describeProvider();
   console.log(`Server running on http://localhost:${config.port}`);
-  console.log(`Using Ollama (Local) with model: ${config.ollama.model}`);
-  console.log(`Ollama URL: ${config.ollama.url}`);
+  console.log(`Using ${llm.label} with model: ${llm.model}`);
+  if (llm.url) console.log(`LLM URL: ${llm.url}`);
 });
@@ -0,0 +1,220 @@
+import { TIME_PATTERN, validateScheduleBlocks, busyConflicts } from './timeBlocks.js';
+
+// JSON schemas for structured AI replies. They are sent to the provider (Ollama's
+// `format`, OpenAI's `response_format`) and used to validate what comes back.
+// Every property is required and extra properties are rejected so the same
+// schema works with OpenAI's strict mode.
+
+const NON_BLANK = '\\S';
+
+export const SUBGOALS_SCHEMA = {
+  type: 'object',
+  properties: {
+    goal: { type: 'string', pattern: NON_BLANK },
+    milestones: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', pattern: NON_BLANK },
+          description: { type: 'string' },
+          checkpoints: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              properties: {
+                text: { type: 'string', pattern: NON_BLANK },
+                done: { type: 'boolean' }
+              },
+              required: ['text', 'done'],
+              additionalProperties: false
+            }
+          },
+          estimatedDays: { type: 'integer', minimum: 1 },
+          priority: { type: 'string', enum: ['high', 'medium', 'low'] }
+        },
+        required: ['title', 'description', 'checkpoints', 'estimatedDays', 'priority'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['goal', 'milestones'],
+  additionalProperties: false
+};
+
+const DATE_PATTERN = '^[0-9]{4}-(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$';
+
+const SCHEDULE_BLOCKS = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', pattern: NON_BLANK },
+      description: { type: 'string' },
+      startTime: { type: 'string', pattern: TIME_PATTERN },
+      endTime: { type: 'string', pattern: TIME_PATTERN },
+      estimatedMins: { type: 'integer', minimum: 1 },
+      taskId: { type: ['string', 'null'] }
+    },
+    required: ['title', 'description', 'startTime', 'endTime', 'estimatedMins', 'taskId'],
+    additionalProperties: false
+  }
+};
+
+export const SCHEDULE_SCHEMA = {
+  type: 'object',
+  properties: {
+    schedule: SCHEDULE_BLOCKS
+  },
+  required: ['schedule'],
+  additionalProperties: false
+};
+
+// A schedule per day for multi-day plans; days with nothing planned are left out
+export const PLAN_DAYS_SCHEMA = {
+  type: 'object',
+  properties: {
+    days: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          date: { type: 'string', pattern: DATE_PATTERN },
+          schedule: SCHEDULE_BLOCKS
+        },
+        required: ['date', 'schedule'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['days'],
+  additionalProperties: false
+};
+
+// Milestone or task suggestions; milestones leave estimatedMins null, tasks targetDate
+export const SUGGESTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    suggestions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', pattern: NON_BLANK },
+          description: { type: 'string' },
+          estimatedMins: { type: ['integer', 'null'], minimum: 1 },
+          priority: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW'] },
+          targetDate: { type: ['string', 'null'], pattern: DATE_PATTERN },
+          order: { type: 'integer', minimum: 1 }
+        },
+        required: ['title', 'description', 'estimatedMins', 'priority', 'targetDate', 'order'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['suggestions'],
+  additionalProperties: false
+};
+
+/**
+ * Checks on a schedule reply that a JSON schema can't express, including that no
+ * block lands on the day's busy time
+ * @param {Array<{ title: string, startTime: string, endTime: string }>} [busy] - e.g. fixed calendar events
+ * @returns {(value: { schedule: object[] }) => string[]} - Validator for chatStructured
+ */
+export function scheduleReplyValidator(busy = []) {
+  return (value) => [
+    ...validateScheduleBlocks(value.schedule),
+    ...busyConflicts(value.schedule, busy)
+  ];
+}
+
+/**
+ * Checks on a multi-day reply: each day is one of the planned dates, appears once,
+ * and has a valid schedule clear of that day's busy time
+ * @param {string[]} dates - The date keys being planned
+ * @param {Object<string, object[]>} [busyByDate] - Busy blocks per date key
+ * @returns {(value: { days: object[] }) => string[]} - Validator for chatStructured
+ */
+export function planDaysReplyValidator(dates, busyByDate = {}) {
+  return (value) => {
+    const errors = [];
+    const seen = new Set();
+
+    for (const day of value.days) {
+      if (!dates.includes(day.date)) {
+        errors.push(`${day.date} is not one of the planned days (${dates.join(', ')})`);
+      } else if (seen.has(day.date)) {
+        errors.push(`${day.date} appears more than once; put all of a day's blocks in one entry`);
+      }
+      seen.add(day.date);
+      errors.push(...[
+        ...validateScheduleBlocks(day.schedule),
+        ...busyConflicts(day.schedule, busyByDate[day.date] || [])
+      ].map(error => `${day.date}: ${error}`));
+    }
+
+    return errors;
+  };
+}
+
+const PRIORITY = { type: 'string', enum: ['high', 'medium', 'low', 'HIGH', 'MEDIUM', 'LOW'] };
+
+/**
+ * Body of POST /goals/commit-plan: an extracted SUBGOALS_SCHEMA reply, possibly
+ * edited by the user, with optional tasks per milestone. Looser than the AI
+ * schemas since people send it, not the model.
+ */
+export const GOAL_PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    goal: { type: 'string', pattern: NON_BLANK },
+    description: { type: ['string', 'null'] },
+    proficiencyLevel: { type: ['string', 'null'], enum: ['BEGINNER', 'INTERMEDIATE', 'ADVANCED', 'EXPERT', null] },
+    conversationId: { type: ['string', 'null'] },
+    milestones: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', pattern: NON_BLANK },
+          description: { type: ['string', 'null'] },
+          checkpoints: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                text: { type: 'string', pattern: NON_BLANK },
+                done: { type: 'boolean' }
+              },
+              required: ['text']
+            }
+          },
+          estimatedDays: { type: ['integer', 'null'], minimum: 1 },
+          priority: PRIORITY,
+          tasks: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                title: { type: 'string', pattern: NON_BLANK },
+                description: { type: ['string', 'null'] },
+                estimatedMins: { type: ['integer', 'null'], minimum: 1 },
+                priority: PRIORITY
+              },
+              required: ['title']
+            }
+          }
+        },
+        required: ['title']
+      }
+    }
+  },
+  required: ['goal', 'milestones']
+};
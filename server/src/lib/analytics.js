@@ -0,0 +1,287 @@
+import { toMinutes } from './timeBlocks.js';
+import { addDaysToKey, dbDateKey } from './recurrence.js';
+import {
+  DEFAULT_TIME_ZONE, todayInZone, dateKeyInZone, hourInZone, zonedDateTime
+} from './timezone.js';
+
+/**
+ * Analytics formulas
+ *
+ * Everything here is pure: the controller loads the user's records and these
+ * functions turn them into the numbers shown on the Analytics page.
+ *
+ * - Credibility   = completed planned blocks / planned blocks (0-100%)
+ * - Productivity  = 100 * (0.6 * credibility + 0.4 * min(1, focus minutes / planned minutes))
+ * - Burnout risk  = min(100, avg daily focus hours / 8 * 70 + late-night focus share * 30)
+ *                   Low < 40 <= Medium < 70 <= High. "Late night" is 22:00-05:00.
+ * - Effort        = focus minutes per goal, plus the estimate of tasks completed
+ *                   without a focus session
+ * - Streak        = consecutive days with at least one completed task or block
+ *
+ * Days, weeks, months and hours are the user's, read in their time zone (User.timezone).
+ */
+
+export const RANGES = ['daily', 'weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LATE_NIGHT_START_HOUR = 22;
+const LATE_NIGHT_END_HOUR = 5;
+const SUSTAINABLE_FOCUS_HOURS = 8;
+const MAX_EFFORT_GOALS = 4;
+
+const HOUR_LABELS = ['6AM', '8AM', '10AM', '12PM', '2PM', '4PM', '6PM', '8PM'];
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const WEEK_LABELS = ['Week 1', 'Week 2', 'Week 3', 'Week 4'];
+const RANGE_LABELS = { daily: HOUR_LABELS, weekly: WEEKDAY_LABELS, monthly: WEEK_LABELS };
+
+// ============================================================
+// PERIODS
+// ============================================================
+
+// e.g. "2026-10-18" -> 0 for Monday ... 6 for Sunday
+function weekdayIndex(dateKey) {
+  return (new Date(`${dateKey}T00:00:00Z`).getUTCDay() + 6) % 7;
+}
+
+// First day of the month `months` months after (or before) a date key's month
+function firstOfMonthKey(dateKey, months = 0) {
+  const [year, month] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + months, 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * A period from its first day up to (not including) `endKey`, both in the user's zone
+ * `start` and `end` are the instants those days begin, for comparing timestamps
+ */
+function period(startKey, endKey, timeZone) {
+  return {
+    start: zonedDateTime(startKey, '00:00', timeZone),
+    end: zonedDateTime(endKey, '00:00', timeZone),
+    startKey,
+    endKey
+  };
+}
+
+/**
+ * Current and previous period for a range, in the user's calendar
+ * daily = today vs yesterday, weekly = this Mon-Sun vs last, monthly = this calendar month vs last
+ * @param {string} range - One of RANGES
+ * @param {string} [timeZone] - The user's IANA zone (default UTC)
+ * @param {Date} now
+ * @returns {{ labels: string[], current: object, previous: object }} - Periods have start/end
+ *   instants and startKey/endKey date keys (the end is exclusive)
+ */
+export function getPeriods(range, timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  const today = todayInZone(timeZone, now);
+
+  if (range === 'daily') {
+    return {
+      labels: RANGE_LABELS.daily,
+      current: period(today, addDaysToKey(today, 1), timeZone),
+      previous: period(addDaysToKey(today, -1), today, timeZone)
+    };
+  }
+
+  if (range === 'weekly') {
+    const monday = addDaysToKey(today, -weekdayIndex(today));
+    return {
+      labels: RANGE_LABELS.weekly,
+      current: period(monday, addDaysToKey(monday, 7), timeZone),
+      previous: period(addDaysToKey(monday, -7), monday, timeZone)
+    };
+  }
+
+  const firstOfMonth = firstOfMonthKey(today);
+  return {
+    labels: RANGE_LABELS.monthly,
+    current: period(firstOfMonth, firstOfMonthKey(today, 1), timeZone),
+    previous: period(firstOfMonthKey(today, -1), firstOfMonth, timeZone)
+  };
+}
+
+/**
+ * Whether a timestamp falls inside a period
+ */
+export function inPeriod(date, period) {
+  return date >= period.start && date < period.end;
+}
+
+/**
+ * Whether a plan date (stored as a calendar date) falls inside a period
+ */
+export function planDateInPeriod(planDate, period) {
+  const key = dbDateKey(planDate);
+  return key >= period.startKey && key < period.endKey;
+}
+
+/**
+ * Chart bucket for a timestamp within its period, read in the user's zone
+ * daily: two-hour slots from 6AM (earlier/later hours fold into the first/last slot),
+ * weekly: weekday, monthly: week of the month (days 29-31 count towards week 4)
+ */
+function bucketIndex(range, date, timeZone) {
+  if (range === 'daily') {
+    return Math.min(HOUR_LABELS.length - 1, Math.max(0, Math.floor((hourInZone(date, timeZone) - 6) / 2)));
+  }
+  const dateKey = dateKeyInZone(date, timeZone);
+  if (range === 'weekly') {
+    return weekdayIndex(dateKey);
+  }
+  return Math.min(WEEK_LABELS.length - 1, Math.floor((Number(dateKey.slice(8)) - 1) / 7));
+}
+
+// ============================================================
+// FORMULAS
+// ============================================================
+
+function plannedMinutes(block) {
+  if (block.estimatedMins) return block.estimatedMins;
+  if (!block.startTime || !block.endTime) return 0;
+
+  return Math.max(0, toMinutes(block.endTime) - toMinutes(block.startTime));
+}
+
+function focusMinutes(session) {
+  return (session.focusedSeconds || 0) / 60;
+}
+
+function isLateNight(date, timeZone) {
+  const hour = hourInZone(date, timeZone);
+  return hour >= LATE_NIGHT_START_HOUR || hour < LATE_NIGHT_END_HOUR;
+}
+
+/**
+ * Scores for one period
+ * @param {object[]} blocks - PlannedTasks whose plan date falls in the period
+ * @param {object[]} sessions - Ended FocusSessions started in the period
+ * @param {number} days - Length of the period in days
+ * @param {string} [timeZone] - The user's IANA zone, for what counts as late at night
+ * @returns {{ credibility: number, productivity: number, burnoutScore: number, focusMinutes: number, plannedCount: number, completedCount: number }}
+ */
+export function computeScores(blocks, sessions, days, timeZone = DEFAULT_TIME_ZONE) {
+  const completedCount = blocks.filter(block => block.status === 'COMPLETED').length;
+  const credibility = blocks.length ? completedCount / blocks.length : 0;
+
+  const totalPlannedMinutes = blocks.reduce((sum, block) => sum + plannedMinutes(block), 0);
+  const totalFocusMinutes = sessions.reduce((sum, session) => sum + focusMinutes(session), 0);
+  const focusRatio = totalPlannedMinutes ? Math.min(1, totalFocusMinutes / totalPlannedMinutes) : 0;
+
+  const lateMinutes = sessions
+    .filter(session => isLateNight(session.startedAt, timeZone))
+    .reduce((sum, session) => sum + focusMinutes(session), 0);
+  const lateShare = totalFocusMinutes ? lateMinutes / totalFocusMinutes : 0;
+  const avgDailyFocusHours = totalFocusMinutes / 60 / days;
+
+  return {
+    credibility: Math.round(credibility * 100),
+    productivity: Math.round(100 * (0.6 * credibility + 0.4 * focusRatio)),
+    burnoutScore: Math.min(100, Math.round((avgDailyFocusHours / SUSTAINABLE_FOCUS_HOURS) * 70 + lateShare * 30)),
+    focusMinutes: Math.round(totalFocusMinutes),
+    plannedCount: blocks.length,
+    completedCount
+  };
+}
+
+/**
+ * Burnout level for a 0-100 risk score
+ */
+export function burnoutLevel(score) {
+  if (score < 40) return 'Low';
+  if (score < 70) return 'Medium';
+  return 'High';
+}
+
+/**
+ * Completed work per chart bucket
+ * @param {string} range - One of RANGES
+ * @param {Date[]} completions - Completion timestamps
+ * @param {{ start: Date, end: Date }} period
+ * @param {string} [timeZone] - The user's IANA zone
+ * @returns {number[]}
+ */
+export function bucketCompletions(range, completions, period, timeZone = DEFAULT_TIME_ZONE) {
+  const counts = RANGE_LABELS[range].map(() => 0);
+  for (const completedAt of completions) {
+    if (inPeriod(completedAt, period)) {
+      counts[bucketIndex(range, completedAt, timeZone)] += 1;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Split effort between goals
+ * @param {object[]} sessions - FocusSessions with `goal` ({ id, title } or null) attached
+ * @param {object[]} tasks - Completed tasks with `goal` attached and `hasFocusSession`
+ * @returns {{ goalId: string|null, label: string, minutes: number, pct: number }[]}
+ */
+export function computeEffort(sessions, tasks) {
+  const byGoal = new Map();
+
+  const add = (goal, minutes) => {
+    if (!minutes) return;
+    const key = goal?.id || null;
+    const entry = byGoal.get(key) || { goalId: key, label: goal?.title || 'Other', minutes: 0 };
+    entry.minutes += minutes;
+    byGoal.set(key, entry);
+  };
+
+  sessions.forEach(session => add(session.goal, focusMinutes(session)));
+  tasks
+    .filter(task => !task.hasFocusSession)
+    .forEach(task => add(task.goal, task.estimatedMins || 0));
+
+  const ranked = [...byGoal.values()].sort((a, b) => b.minutes - a.minutes);
+  const named = ranked.filter(entry => entry.goalId).slice(0, MAX_EFFORT_GOALS);
+  const otherMinutes = ranked
+    .filter(entry => !named.includes(entry))
+    .reduce((sum, entry) => sum + entry.minutes, 0);
+  const entries = otherMinutes ? [...named, { goalId: null, label: 'Other', minutes: otherMinutes }] : named;
+
+  const total = entries.reduce((sum, entry) => sum + entry.minutes, 0);
+  return entries.map(entry => ({
+    ...entry,
+    minutes: Math.round(entry.minutes),
+    pct: total ? Math.round((entry.minutes / total) * 100) : 0
+  }));
+}
+
+/**
+ * Current and longest run of consecutive days with a completion
+ * The current streak survives until the end of today even if nothing is done yet
+ * @param {Date[]} completions - Completion timestamps
+ * @param {string} [timeZone] - The user's IANA zone, which decides the day each completion counts for
+ * @param {Date} now
+ * @returns {{ current: number, longest: number }}
+ */
+export function computeStreaks(completions, timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  const days = new Set(completions.map(date => dateKeyInZone(date, timeZone)));
+  if (days.size === 0) return { current: 0, longest: 0 };
+
+  const sorted = [...days].sort();
+  let longest = 1;
+  let run = 1;
+  for (let i = 1; i < sorted.length; i++) {
+    const gap = Math.round((new Date(sorted[i]) - new Date(sorted[i - 1])) / DAY_MS);
+    run = gap === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  let cursor = todayInZone(timeZone, now);
+  if (!days.has(cursor)) cursor = addDaysToKey(cursor, -1);
+
+  let current = 0;
+  while (days.has(cursor)) {
+    current += 1;
+    cursor = addDaysToKey(cursor, -1);
+  }
+
+  return { current, longest };
+}
+
+/**
+ * Number of calendar days a period spans
+ */
+export function periodDays(period) {
+  return Math.round((new Date(period.endKey) - new Date(period.startKey)) / DAY_MS);
+}
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import { config } from '../config/index.js';
+
+export const ACCESS_COOKIE = 'momentum_access';
+export const REFRESH_COOKIE = 'momentum_refresh';
+
+const BCRYPT_ROUNDS = 12;
+
+/**
+ * Hash a plain-text password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - bcrypt hash
+ */
+export function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Compare a plain-text password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} hash - Stored bcrypt hash
+ * @returns {Promise<boolean>}
+ */
+export function verifyPassword(password, hash) {
+  return bcrypt.compare(password, hash);
+}
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {{ id: string, email: string, name: string, timezone: string }} user
+ * @param {string} sessionId - Session the token was minted from
+ * @returns {string} - Signed JWT
+ */
+export function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { sub: user.id, email: user.email, name: user.name, tz: user.timezone, sid: sessionId },
+    config.auth.jwtSecret,
+    { expiresIn: config.auth.accessTokenTtl }
+  );
+}
+
+/**
+ * Verify an access token
+ * @param {string} token - Signed JWT
+ * @returns {object|null} - Decoded payload, or null if invalid/expired
+ */
+export function verifyAccessToken(token) {
+  try {
+    return jwt.verify(token, config.auth.jwtSecret);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Generate an opaque refresh token. Only its hash is stored in the database.
+ * @returns {{ token: string, tokenHash: string, expiresAt: Date }}
+ */
+export function createRefreshToken() {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + config.auth.refreshTokenDays * 24 * 60 * 60 * 1000);
+  return { token, tokenHash: hashRefreshToken(token), expiresAt };
+}
+
+/**
+ * Hash a refresh token for lookup
+ * @param {string} token - Opaque refresh token
+ * @returns {string} - SHA-256 hex digest
+ */
+export function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Set the access and refresh cookies on a response
+ * @param {Response} res - Express response object
+ * @param {string} accessToken - Signed JWT
+ * @param {{ token: string, expiresAt: Date }} refresh - Refresh token and its expiry
+ */
+export function setAuthCookies(res, accessToken, refresh) {
+  setAccessCookie(res, accessToken);
+  res.cookie(REFRESH_COOKIE, refresh.token, {
+    ...cookieOptions(),
+    path: '/api/auth',
+    expires: refresh.expiresAt,
+  });
+}
+
+/**
+ * Replace just the access cookie, e.g. after the user's token claims change
+ * @param {Response} res - Express response object
+ * @param {string} accessToken - Signed JWT
+ */
+export function setAccessCookie(res, accessToken) {
+  res.cookie(ACCESS_COOKIE, accessToken, { ...cookieOptions(), path: '/api' });
+}
+
+function cookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.auth.secureCookies,
+  };
+}
+
+/**
+ * Clear the auth cookies on a response
+ * @param {Response} res - Express response object
+ */
+export function clearAuthCookies(res) {
+  res.clearCookie(ACCESS_COOKIE, { path: '/api' });
+  res.clearCookie(REFRESH_COOKIE, { path: '/api/auth' });
+}
+
+/**
+ * Strip secrets from a user record before sending it to the client
+ * @param {object} user - Prisma User
+ * @returns {{ id: string, email: string, name: string, timezone: string, createdAt: Date }}
+ */
+export function toPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    timezone: user.timezone,
+    createdAt: user.createdAt,
+  };
+}
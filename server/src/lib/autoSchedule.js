@@ -0,0 +1,185 @@
+/**
+ * Deterministic auto-scheduler
+ *
+ * Packs open tasks into a working day without the AI: the day's free time is the
+ * working hours minus breaks, fixed blocks and calendar events, and tasks
+ * are placed first-fit, in order of priority, due date and length (shortest first).
+ * A task is never split across a gap; one that doesn't fit anywhere is reported
+ * back instead. Blocked tasks are left out, since they can't be started yet.
+ */
+
+import { TIME_PATTERN, toMinutes, toTime, validateScheduleBlocks } from './timeBlocks.js';
+import { DEFAULT_TASK_MINS } from './dependencies.js';
+
+const PRIORITY_RANK = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+
+export const DEFAULT_WORK_START = '09:00';
+export const DEFAULT_WORK_END = '17:00';
+
+/**
+ * Urgency order: HIGH before MEDIUM before LOW, then due date (tasks without one last)
+ * Also orders the pending tasks the planners are given (lib/pendingTasks.js).
+ */
+export function compareUrgency(a, b) {
+  const rank = (task) => PRIORITY_RANK[task.priority] ?? PRIORITY_RANK.MEDIUM;
+  const due = (task) => (task.dueDate ? new Date(task.dueDate).getTime() : Infinity);
+
+  return rank(a) - rank(b) || due(a) - due(b);
+}
+
+/**
+ * Scheduling order: urgency, then shorter tasks first
+ */
+function compareTasks(a, b) {
+  return compareUrgency(a, b)
+    || (a.estimatedMins || DEFAULT_TASK_MINS) - (b.estimatedMins || DEFAULT_TASK_MINS);
+}
+
+/**
+ * Breaks and fixed blocks in start order, tagged with what they are
+ */
+function busyBlocks(breaks, fixedBlocks) {
+  return [
+    ...breaks.map(block => ({ ...block, title: block.title || 'Break', kind: 'break' })),
+    ...fixedBlocks.map(block => ({ ...block, kind: 'fixed' }))
+  ].sort((a, b) => (a.startTime < b.startTime ? -1 : a.startTime > b.startTime ? 1 : 0));
+}
+
+/**
+ * Free stretches of the working day around busy blocks
+ * @param {string} workStart - "HH:MM"
+ * @param {string} workEnd - "HH:MM"
+ * @param {Array<{ startTime: string, endTime: string }>} busy - Any order; may overlap or fall outside working hours
+ * @returns {Array<{ start: number, end: number }>} - Minutes since midnight, in order
+ */
+export function freeIntervals(workStart, workEnd, busy) {
+  const free = [];
+  const dayEnd = toMinutes(workEnd);
+  let cursor = toMinutes(workStart);
+
+  const sorted = [...busy].sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+  for (const block of sorted) {
+    const start = toMinutes(block.startTime);
+    if (start > cursor && cursor < dayEnd) free.push({ start: cursor, end: Math.min(start, dayEnd) });
+    cursor = Math.max(cursor, toMinutes(block.endTime));
+  }
+  if (cursor < dayEnd) free.push({ start: cursor, end: dayEnd });
+
+  return free;
+}
+
+/**
+ * Claim the earliest stretch of `duration` minutes from free intervals (first fit)
+ * The intervals are updated in place; `bufferMins` after the claimed slot is kept free
+ * @returns {number|null} - Start minute, or null when nothing is long enough
+ */
+export function takeSlot(free, duration, bufferMins = 0) {
+  const slot = free.find(interval => interval.end - interval.start >= duration);
+  if (!slot) return null;
+
+  const start = slot.start;
+  slot.start = Math.min(start + duration + bufferMins, slot.end);
+  return start;
+}
+
+/**
+ * Check auto-schedule options
+ * @param {{ workStart?: string, workEnd?: string, breaks?: object[], fixedBlocks?: object[], bufferMins?: number }} options
+ * @returns {string|null} - Error message, or null when the options are valid
+ */
+export function validateScheduleOptions(options) {
+  const { workStart = DEFAULT_WORK_START, workEnd = DEFAULT_WORK_END, breaks = [], fixedBlocks = [], bufferMins = 0 } = options;
+  const timePattern = new RegExp(TIME_PATTERN);
+
+  if (!timePattern.test(workStart) || !timePattern.test(workEnd)) {
+    return 'workStart and workEnd must be 24-hour "HH:MM" times';
+  }
+  if (toMinutes(workEnd) <= toMinutes(workStart)) {
+    return 'workEnd must be after workStart';
+  }
+  if (!Array.isArray(breaks) || !Array.isArray(fixedBlocks)) {
+    return 'breaks and fixedBlocks must be arrays';
+  }
+  if (!Number.isInteger(bufferMins) || bufferMins < 0) {
+    return 'bufferMins must be a whole number of minutes (0 or more)';
+  }
+
+  // Breaks and fixed blocks may sit outside working hours, but not on top of each other
+  const [blockError] = validateScheduleBlocks(busyBlocks(breaks, fixedBlocks));
+  return blockError || null;
+}
+
+/**
+ * Pack tasks into a day
+ * @param {object[]} tasks - Open tasks, as returned by loadPendingTasks
+ * @param {{ workStart?: string, workEnd?: string, breaks?: Array<{ title?: string, startTime: string, endTime: string }>, fixedBlocks?: Array<{ title: string, description?: string, startTime: string, endTime: string, taskId?: string, milestoneId?: string }>, bufferMins?: number, events?: Array<{ startTime: string, endTime: string }> }} [options]
+ *   Checked with validateScheduleOptions first; `bufferMins` is left free after each task.
+ *   `events` (e.g. imported calendar events) are busy like fixed blocks, may overlap anything,
+ *   and aren't returned as blocks
+ * @returns {{ tasks: object[], unscheduled: Array<{ taskId: string, title: string, reason: 'blocked'|'no room', estimatedMins: number }>, freeMins: number }}
+ *   `tasks` are daily plan blocks in start order (the shape the daily plan endpoint accepts);
+ *   `freeMins` is working time still unclaimed
+ */
+export function autoSchedule(tasks, options = {}) {
+  const { workStart = DEFAULT_WORK_START, workEnd = DEFAULT_WORK_END, breaks = [], fixedBlocks = [], bufferMins = 0, events = [] } = options;
+  const busy = busyBlocks(breaks, fixedBlocks);
+
+  const free = freeIntervals(workStart, workEnd, [...busy, ...events]);
+
+  // Tasks the user already pinned as fixed blocks don't need another slot
+  const pinned = new Set(fixedBlocks.map(block => block.taskId).filter(Boolean));
+
+  const placed = [];
+  const unscheduled = [];
+  const candidates = tasks
+    .filter(task => !pinned.has(task.id))
+    .map((task, index) => ({ task, index }))
+    .sort((a, b) => compareTasks(a.task, b.task) || a.index - b.index)
+    .map(({ task }) => task);
+
+  for (const task of candidates) {
+    const duration = task.estimatedMins || DEFAULT_TASK_MINS;
+
+    if (task.blocked) {
+      unscheduled.push({ taskId: task.id, title: task.title, reason: 'blocked', estimatedMins: duration });
+      continue;
+    }
+
+    const start = takeSlot(free, duration, bufferMins);
+    if (start === null) {
+      unscheduled.push({ taskId: task.id, title: task.title, reason: 'no room', estimatedMins: duration });
+      continue;
+    }
+
+    placed.push({
+      title: task.title,
+      description: task.description || null,
+      startTime: toTime(start),
+      endTime: toTime(start + duration),
+      estimatedMins: duration,
+      status: 'PENDING',
+      taskId: task.id,
+      milestoneId: task.milestoneId
+    });
+  }
+
+  const blocks = [
+    ...busy.map(({ kind, ...block }) => ({
+      title: block.title,
+      description: block.description || null,
+      startTime: block.startTime,
+      endTime: block.endTime,
+      estimatedMins: toMinutes(block.endTime) - toMinutes(block.startTime),
+      status: 'PENDING',
+      taskId: kind === 'fixed' ? block.taskId || null : null,
+      milestoneId: kind === 'fixed' ? block.milestoneId || null : null
+    })),
+    ...placed
+  ].sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+
+  return {
+    tasks: blocks,
+    unscheduled,
+    freeMins: free.reduce((sum, interval) => sum + interval.end - interval.start, 0)
+  };
+}
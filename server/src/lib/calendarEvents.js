@@ -0,0 +1,283 @@
+/**
+ * Fixed calendar events
+ *
+ * Meetings, classes and the like imported from .ics files (see lib/ical.js). They
+ * are stored per occurrence and per day, in the user's time zone, as CalendarEvent
+ * rows - never as PlannedTasks: the planner schedules around them, but they aren't
+ * part of any plan. An event that crosses midnight is stored once for each day it
+ * covers. Recurring events are expanded over the import window; all-day events are
+ * kept for context but don't count as busy time.
+ */
+
+import prisma from './prisma.js';
+import { addDaysToKey } from './recurrence.js';
+import { isTimeZone, dateKeyInZone, timeInZone, planDateValue, zonedDateTime } from './timezone.js';
+
+// How far ahead recurring events are expanded on import
+export const IMPORT_WINDOW_DAYS = 180;
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+// Guards against rules that never reach the window (e.g. COUNT-less rules from 1970)
+const MAX_STEPS = 20000;
+
+const weekdayOf = (key) => new Date(`${key}T00:00:00Z`).getUTCDay();
+
+/**
+ * The zone an event's times are written in: their TZID, else the calendar's, else the user's
+ */
+function zoneOf(point, calendarZone, userZone) {
+  if (point.utc) return 'UTC';
+  if (point.tzid && isTimeZone(point.tzid)) return point.tzid;
+  if (calendarZone && isTimeZone(calendarZone)) return calendarZone;
+  return userZone;
+}
+
+/**
+ * Start dates a recurrence rule produces, in order, from the event's first date
+ * (which always counts as the first occurrence)
+ * @param {string} startKey - YYYY-MM-DD
+ * @param {{ freq: string, interval: number, byDay: string[] }} rule
+ * @param {string} lastKey - Stop after this date
+ */
+function* recurrenceDates(startKey, rule, lastKey) {
+  const [year, month, day] = startKey.split('-').map(Number);
+  const pad = (n) => String(n).padStart(2, '0');
+
+  if (rule.freq === 'WEEKLY') {
+    const days = rule.byDay.length > 0
+      ? [...new Set(rule.byDay.map(code => WEEKDAYS.indexOf(code)).filter(index => index !== -1))]
+      : [weekdayOf(startKey)];
+    // Weeks run Monday to Sunday
+    const offsets = days.map(index => (index + 6) % 7).sort((a, b) => a - b);
+    const monday = addDaysToKey(startKey, -((weekdayOf(startKey) + 6) % 7));
+
+    for (let week = 0; week < MAX_STEPS; week += rule.interval) {
+      const weekStart = addDaysToKey(monday, week * 7);
+      if (weekStart > lastKey) return;
+      for (const offset of offsets) {
+        const key = addDaysToKey(weekStart, offset);
+        if (key >= startKey && key <= lastKey) yield key;
+      }
+    }
+    return;
+  }
+
+  for (let step = 0; step < MAX_STEPS; step += rule.interval) {
+    let key;
+    if (rule.freq === 'DAILY') {
+      key = addDaysToKey(startKey, step);
+    } else {
+      // Months or years without the start's day (e.g. the 31st) are skipped
+      const date = rule.freq === 'MONTHLY'
+        ? new Date(Date.UTC(year, month - 1 + step, day))
+        : new Date(Date.UTC(year + step, month - 1, day));
+      if (date.getUTCDate() !== day) continue;
+      key = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    }
+    if (key > lastKey) return;
+    yield key;
+  }
+}
+
+/**
+ * Where an occurrence falls in the user's calendar: one piece per day it covers
+ * @returns {Array<{ date: string, startTime: string, endTime: string }>}
+ */
+function dayPieces(start, end, timeZone) {
+  const pieces = [];
+  const firstKey = dateKeyInZone(start, timeZone);
+  // An event ending at midnight doesn't reach into the next day
+  const lastKey = dateKeyInZone(new Date(end.getTime() - 1), timeZone);
+
+  for (let key = firstKey; key <= lastKey; key = addDaysToKey(key, 1)) {
+    const startTime = key === firstKey ? timeInZone(start, timeZone) : '00:00';
+    const endTime = key === lastKey && dateKeyInZone(end, timeZone) === key ? timeInZone(end, timeZone) : '23:59';
+    if (startTime < endTime) pieces.push({ date: key, startTime, endTime });
+  }
+
+  return pieces;
+}
+
+/**
+ * Turn parsed calendar events into per-day occurrences for a date range
+ * @param {{ timeZone: string|null, events: object[] }} calendar - From parseICalendar
+ * @param {{ timeZone: string, fromKey: string, toKey: string }} options
+ *   `timeZone` is the user's; occurrences outside fromKey..toKey are dropped
+ * @returns {{ occurrences: Array<{ uid, title, location, date, startTime, endTime, allDay }>, skipped: Array<{ uid, title, reason }> }}
+ */
+export function expandCalendarEvents(calendar, { timeZone, fromKey, toKey }) {
+  const occurrences = [];
+  const skipped = [];
+  const seen = new Set();
+
+  const add = (event, piece) => {
+    const key = `${event.uid}|${piece.date}`;
+    if (piece.date < fromKey || piece.date > toKey || seen.has(key)) return;
+    seen.add(key);
+    occurrences.push({ uid: event.uid, title: event.title, location: event.location, ...piece });
+  };
+
+  const events = calendar.events.map(event => ({
+    ...event,
+    title: event.title || 'Busy',
+    uid: event.uid || `generated:${event.title}|${event.start?.date}|${event.start?.time}`
+  }));
+
+  // Instant of a DTSTART-like value (all-day values count from midnight)
+  const instantOf = (point) => zonedDateTime(point.date, point.time || '00:00', zoneOf(point, calendar.timeZone, timeZone));
+
+  // Occurrences moved or cancelled individually, by the instant they replace
+  const overridden = new Map();
+  for (const event of events) {
+    if (event.recurrenceId) {
+      if (!overridden.has(event.uid)) overridden.set(event.uid, new Set());
+      overridden.get(event.uid).add(instantOf(event.recurrenceId).getTime());
+    }
+  }
+
+  for (const event of events) {
+    if (!event.start) {
+      skipped.push({ uid: event.uid, title: event.title, reason: 'no start time' });
+      continue;
+    }
+    if (event.status === 'CANCELLED') {
+      skipped.push({ uid: event.uid, title: event.title, reason: 'cancelled' });
+      continue;
+    }
+    if (event.rrule && !SUPPORTED_FREQS.includes(event.rrule.freq)) {
+      skipped.push({ uid: event.uid, title: event.title, reason: `repeats ${event.rrule.freq.toLowerCase() || 'in an unknown way'}, which isn't supported` });
+      continue;
+    }
+
+    const allDay = event.start.time === null;
+    const zone = zoneOf(event.start, calendar.timeZone, timeZone);
+    const durationMins = event.end
+      ? (instantOf(event.end) - instantOf(event.start)) / 60000
+      : event.durationMins ?? (allDay ? 24 * 60 : 0);
+    if (durationMins <= 0) {
+      skipped.push({ uid: event.uid, title: event.title, reason: 'no duration' });
+      continue;
+    }
+
+    const rule = event.rrule && !event.recurrenceId ? event.rrule : null;
+    const until = rule?.until ? instantOf(rule.until).getTime() : Infinity;
+    const excluded = new Set([
+      ...event.exdates.map(point => instantOf(point).getTime()),
+      ...(rule ? overridden.get(event.uid) || [] : [])
+    ]);
+    // Occurrences can start before the window and run into it
+    const lastKey = addDaysToKey(toKey, 1);
+    const dates = rule ? recurrenceDates(event.start.date, rule, lastKey) : [event.start.date];
+
+    let count = 0;
+    for (const date of dates) {
+      const start = zonedDateTime(date, event.start.time || '00:00', zone);
+      if (start.getTime() > until) break;
+      if (rule?.count && ++count > rule.count) break;
+      if (excluded.has(start.getTime())) continue;
+
+      if (allDay) {
+        const days = Math.max(1, Math.round(durationMins / (24 * 60)));
+        for (let i = 0; i < days; i++) {
+          add(event, { date: addDaysToKey(date, i), startTime: null, endTime: null, allDay: true });
+        }
+      } else {
+        const end = new Date(start.getTime() + durationMins * 60000);
+        dayPieces(start, end, timeZone).forEach(piece => add(event, { ...piece, allDay: false }));
+      }
+    }
+  }
+
+  occurrences.sort((a, b) => (a.date === b.date
+    ? (a.startTime || '').localeCompare(b.startTime || '')
+    : a.date.localeCompare(b.date)));
+
+  return { occurrences, skipped };
+}
+
+/**
+ * Replace a user's stored occurrences of the imported events within the window
+ * Re-importing a file updates its events instead of duplicating them
+ * @param {string} userId
+ * @param {object[]} occurrences - From expandCalendarEvents
+ * @param {{ source: string|null, fromKey: string, toKey: string }} options
+ * @returns {Promise<number>} - Occurrences stored
+ */
+export async function saveCalendarEvents(userId, occurrences, { source, fromKey, toKey }) {
+  const uids = [...new Set(occurrences.map(occurrence => occurrence.uid))];
+
+  const [, created] = await prisma.$transaction([
+    prisma.calendarEvent.deleteMany({
+      where: {
+        userId,
+        uid: { in: uids },
+        date: { gte: planDateValue(fromKey), lte: planDateValue(toKey) }
+      }
+    }),
+    prisma.calendarEvent.createMany({
+      data: occurrences.map(occurrence => ({
+        userId,
+        uid: occurrence.uid,
+        title: occurrence.title,
+        location: occurrence.location || null,
+        date: planDateValue(occurrence.date),
+        startTime: occurrence.startTime,
+        endTime: occurrence.endTime,
+        allDay: occurrence.allDay,
+        source
+      })),
+      skipDuplicates: true
+    })
+  ]);
+
+  return created.count;
+}
+
+/**
+ * A user's events on some days
+ * @param {string} userId
+ * @param {string[]} days - Date keys
+ * @returns {Promise<Object<string, object[]>>} - Events by date key, all-day ones first, then by start
+ */
+export async function loadCalendarEvents(userId, days) {
+  const events = await prisma.calendarEvent.findMany({
+    where: { userId, date: { in: days.map(planDateValue) } },
+    orderBy: [{ date: 'asc' }, { allDay: 'desc' }, { startTime: 'asc' }]
+  });
+
+  const byDate = Object.fromEntries(days.map(day => [day, []]));
+  for (const event of events) {
+    byDate[event.date.toISOString().slice(0, 10)]?.push(event);
+  }
+  return byDate;
+}
+
+/**
+ * The timed events of a day as busy blocks (all-day events don't take up time)
+ * @param {object[]} events - CalendarEvents
+ * @returns {Array<{ title: string, startTime: string, endTime: string }>}
+ */
+export function busyTime(events) {
+  return events
+    .filter(event => !event.allDay)
+    .map(event => ({ title: event.title, startTime: event.startTime, endTime: event.endTime }));
+}
+
+/**
+ * Prompt lines for the fixed events on the planned days
+ * @param {Object<string, object[]>} eventsByDate - From loadCalendarEvents
+ * @returns {string} - Empty when the days are free
+ */
+export function describeCalendarEvents(eventsByDate) {
+  const multiDay = Object.keys(eventsByDate).length > 1;
+  const weekday = (key) => new Date(`${key}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+  return Object.entries(eventsByDate)
+    .flatMap(([date, events]) => events.map(event => {
+      const when = event.allDay ? 'all day' : `${event.startTime}–${event.endTime}`;
+      const where = event.location ? ` @ ${event.location}` : '';
+      return `- ${multiDay ? `${weekday(date)} ` : ''}${when}: ${event.title}${where}`;
+    }))
+    .join('\n');
+}
@@ -0,0 +1,50 @@
+import prisma from './prisma.js';
+
+/**
+ * Load a conversation owned by a user, with its messages in order
+ * @param {string} userId
+ * @param {string} conversationId
+ * @returns {Promise<object|null>}
+ */
+export function findConversation(userId, conversationId) {
+  return prisma.conversation.findFirst({
+    where: { id: conversationId, userId },
+    include: { messages: { orderBy: { createdAt: 'asc' } } }
+  });
+}
+
+/**
+ * The conversation's messages in the { role, content } shape the LLM layer takes
+ * @param {{ messages: object[] }} conversation
+ * @param {number} [limit] - Only keep the most recent messages
+ */
+export function toChatHistory(conversation, limit) {
+  const history = conversation.messages.map(m => ({ role: m.role, content: m.content }));
+  return limit ? history.slice(-limit) : history;
+}
+
+/**
+ * Append messages to a conversation
+ * Timestamps are spaced by a millisecond so a user message and its reply keep their order
+ * @param {string} conversationId
+ * @param {Array<{ role: string, content: string }>} messages
+ */
+export async function appendMessages(conversationId, messages) {
+  const now = Date.now();
+
+  await prisma.$transaction([
+    prisma.message.createMany({
+      data: messages.map((message, i) => ({
+        conversationId,
+        role: message.role,
+        content: message.content,
+        createdAt: new Date(now + i)
+      }))
+    }),
+    // Bump updatedAt so the list endpoint shows recently used conversations first
+    prisma.conversation.update({
+      where: { id: conversationId },
+      data: { updatedAt: new Date(now) }
+    })
+  ]);
+}
@@ -0,0 +1,209 @@
+/**
+ * Task and milestone dependencies
+ *
+ * An edge `{ from, to }` means `from` depends on `to`: it can't start until `to`
+ * is completed. A milestone dependency applies to every task in the milestone,
+ * so tasks in a dependent milestone wait on all tasks of the milestone before it.
+ *
+ * Critical path: each open task takes its estimate (DEFAULT_TASK_MINS when it has
+ * none), completed tasks take no time and recurring tasks are left out since they
+ * never finish. The longest chain of work through the dependency graph decides
+ * the earliest the goal can be finished.
+ */
+
+import prisma from './prisma.js';
+
+export const DEFAULT_TASK_MINS = 60;
+
+// Prisma select for the predecessor side of a dependency, enough to tell whether it's done
+export const BLOCKER_SELECT = { id: true, title: true, status: true };
+
+/**
+ * Whether adding "from depends on to" would close a loop
+ * True when `to` already (transitively) depends on `from`, or they're the same record
+ * @param {Array<{ from: string, to: string }>} edges - Existing dependencies
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export function createsCycle(edges, from, to) {
+  if (from === to) return true;
+
+  const dependsOn = new Map();
+  for (const edge of edges) {
+    if (!dependsOn.has(edge.from)) dependsOn.set(edge.from, []);
+    dependsOn.get(edge.from).push(edge.to);
+  }
+
+  const seen = new Set();
+  const stack = [to];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === from) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...(dependsOn.get(id) || []));
+  }
+
+  return false;
+}
+
+/**
+ * Task-level edges implied by milestone dependencies: every task of the dependent
+ * milestone depends on every task of its predecessor
+ */
+function expandMilestoneEdges(milestoneEdges, tasks) {
+  const edges = [];
+  for (const { from, to } of milestoneEdges) {
+    for (const task of tasks.filter(t => t.milestoneId === from)) {
+      for (const predecessor of tasks.filter(t => t.milestoneId === to)) {
+        edges.push({ from: task.id, to: predecessor.id });
+      }
+    }
+  }
+  return edges;
+}
+
+/**
+ * Everything the dependency checks need for one goal
+ * @param {string} goalId
+ * @returns {Promise<{ tasks: object[], taskEdges: Array<{ from: string, to: string }>, milestoneEdges: Array<{ from: string, to: string }> }>}
+ *   Tasks come in display order (milestone order, then task order) and include their milestone's title
+ */
+export async function loadGoalDependencies(goalId) {
+  const [tasks, taskDependencies, milestoneDependencies] = await Promise.all([
+    prisma.task.findMany({
+      where: { milestone: { goalId } },
+      include: { milestone: { select: { title: true } } },
+      orderBy: [{ milestone: { orderIndex: 'asc' } }, { orderIndex: 'asc' }]
+    }),
+    prisma.taskDependency.findMany({ where: { task: { milestone: { goalId } } } }),
+    prisma.milestoneDependency.findMany({ where: { milestone: { goalId } } })
+  ]);
+
+  return {
+    tasks,
+    taskEdges: taskDependencies.map(d => ({ from: d.taskId, to: d.dependsOnId })),
+    milestoneEdges: milestoneDependencies.map(d => ({ from: d.milestoneId, to: d.dependsOnId }))
+  };
+}
+
+/**
+ * Whether "task `from` depends on task `to`" would close a loop, counting milestone dependencies
+ * @param {{ tasks: object[], taskEdges: object[], milestoneEdges: object[] }} graph - From loadGoalDependencies
+ */
+export function taskDependencyCycle(graph, from, to) {
+  return createsCycle([...graph.taskEdges, ...expandMilestoneEdges(graph.milestoneEdges, graph.tasks)], from, to);
+}
+
+/**
+ * Whether "milestone `from` depends on milestone `to`" would close a loop, counting
+ * task dependencies that cross milestones
+ * @param {{ tasks: object[], taskEdges: object[], milestoneEdges: object[] }} graph - From loadGoalDependencies
+ */
+export function milestoneDependencyCycle(graph, from, to) {
+  const milestoneOf = new Map(graph.tasks.map(task => [task.id, task.milestoneId]));
+  const crossMilestoneEdges = graph.taskEdges
+    .map(edge => ({ from: milestoneOf.get(edge.from), to: milestoneOf.get(edge.to) }))
+    .filter(edge => edge.from !== edge.to);
+
+  return createsCycle([...graph.milestoneEdges, ...crossMilestoneEdges], from, to);
+}
+
+/**
+ * Unfinished predecessors of a task: its own dependencies plus those of its milestone
+ * @param {object} task - Loaded with `dependencies: { include: { dependsOn: { select: BLOCKER_SELECT } } }`
+ * @param {object} [milestone] - The task's milestone, loaded the same way (defaults to task.milestone)
+ * @returns {Array<{ id: string, title: string, type: 'task'|'milestone' }>}
+ */
+export function blockersOf(task, milestone = task.milestone) {
+  const open = (dependencies, type) => (dependencies || [])
+    .map(dependency => dependency.dependsOn)
+    .filter(predecessor => predecessor.status !== 'COMPLETED')
+    .map(({ id, title }) => ({ id, title, type }));
+
+  return [...open(task.dependencies, 'task'), ...open(milestone?.dependencies, 'milestone')];
+}
+
+/**
+ * Longest chain of remaining work through a goal's tasks
+ * @param {Array<{ id: string, milestoneId: string, status: string, estimatedMins: number|null, recurrence?: string|null }>} tasks - In display order (used to break ties)
+ * @param {Array<{ from: string, to: string }>} taskEdges - Task dependencies
+ * @param {Array<{ from: string, to: string }>} milestoneEdges - Milestone dependencies
+ * @returns {{ path: string[], totalMins: number, schedule: Map<string, { start: number, finish: number, slack: number }> }}
+ *   `path` lists task ids first to last; schedule times are minutes of work from now
+ */
+export function criticalPath(tasks, taskEdges, milestoneEdges) {
+  const nodes = tasks.filter(task => !task.recurrence);
+  const ids = new Set(nodes.map(task => task.id));
+  const duration = new Map(nodes.map(task => [
+    task.id,
+    task.status === 'COMPLETED' ? 0 : task.estimatedMins || DEFAULT_TASK_MINS
+  ]));
+
+  // Predecessor sets, with milestone edges expanded to their tasks
+  const predecessors = new Map(nodes.map(task => [task.id, new Set()]));
+  for (const { from, to } of [...taskEdges, ...expandMilestoneEdges(milestoneEdges, nodes)]) {
+    if (ids.has(from) && ids.has(to)) predecessors.get(from).add(to);
+  }
+
+  const successors = new Map(nodes.map(task => [task.id, []]));
+  for (const [taskId, preds] of predecessors) {
+    for (const predecessorId of preds) successors.get(predecessorId).push(taskId);
+  }
+
+  // Kahn's algorithm keeps display order among tasks that are ready together
+  const remaining = new Map([...predecessors].map(([id, preds]) => [id, preds.size]));
+  const order = [];
+  const ready = nodes.filter(task => remaining.get(task.id) === 0).map(task => task.id);
+  while (ready.length > 0) {
+    const id = ready.shift();
+    order.push(id);
+    for (const successorId of successors.get(id)) {
+      remaining.set(successorId, remaining.get(successorId) - 1);
+      if (remaining.get(successorId) === 0) ready.push(successorId);
+    }
+  }
+
+  // Forward pass: earliest start/finish, remembering which predecessor set the start
+  const start = new Map();
+  const finish = new Map();
+  const drivenBy = new Map();
+  for (const id of order) {
+    let earliest = 0;
+    for (const predecessorId of predecessors.get(id)) {
+      if (finish.get(predecessorId) > earliest || (finish.get(predecessorId) === earliest && !drivenBy.has(id))) {
+        earliest = finish.get(predecessorId);
+        drivenBy.set(id, predecessorId);
+      }
+    }
+    start.set(id, earliest);
+    finish.set(id, earliest + duration.get(id));
+  }
+
+  const totalMins = Math.max(0, ...finish.values());
+
+  // Backward pass for slack: how far a task can slip without moving the finish
+  const latestFinish = new Map();
+  for (const id of [...order].reverse()) {
+    const successorStarts = successors.get(id).map(successorId => latestFinish.get(successorId) - duration.get(successorId));
+    latestFinish.set(id, Math.min(totalMins, ...successorStarts));
+  }
+
+  const schedule = new Map(order.map(id => [id, {
+    start: start.get(id),
+    finish: finish.get(id),
+    slack: latestFinish.get(id) - finish.get(id)
+  }]));
+
+  // Walk back from the first task that finishes last
+  const path = [];
+  let cursor = order.find(id => finish.get(id) === totalMins && duration.get(id) > 0) || null;
+  while (cursor) {
+    path.unshift(cursor);
+    cursor = drivenBy.get(cursor) || null;
+  }
+
+  // Finished work doesn't hold anything up any more
+  return { path: path.filter(id => duration.get(id) > 0), totalMins, schedule };
+}
@@ -0,0 +1,284 @@
+import prisma from './prisma.js';
+import { addDaysToKey } from './recurrence.js';
+import { DEFAULT_TIME_ZONE, todayInZone, hourInZone, planDateValue } from './timezone.js';
+
+/**
+ * Gamification - XP, levels, daily streaks, achievements and seasons
+ *
+ * XP is stored as one XpEvent per piece of completed work, so totals for any
+ * window (today, a season, all time) are sums over events. (source, sourceId)
+ * is unique, which makes every award idempotent: re-completing a task that was
+ * reopened doesn't pay out twice.
+ */
+
+export const TASK_XP = { LOW: 5, MEDIUM: 10, HIGH: 20 };
+export const MILESTONE_XP = 50;
+export const GOAL_XP = 200;
+// Focus time pays 1 XP per focused minute
+export const FOCUS_XP_PER_MINUTE = 1;
+
+const LEVEL_STEP_XP = 250;
+const SEASON_NAMES = ['Focus Winter', 'Focus Spring', 'Focus Summer', 'Focus Fall'];
+
+/**
+ * Achievement rules, evaluated after every XP award
+ * Each rule receives the user's stats (see loadAchievementStats) and, for focus
+ * awards, the session that was just ended. Times of day are the user's own.
+ */
+export const ACHIEVEMENTS = [
+  { key: 'PIONEER', label: 'PIONEER', icon: '⭐', description: 'Earn your first XP', rule: (stats) => stats.totalXp > 0 },
+  { key: 'STREAK_KING', label: 'STREAK KING', icon: '🔥', description: 'Reach a 7-day streak', rule: (stats) => stats.longestStreak >= 7 },
+  { key: 'ZEN_MASTER', label: 'ZEN MASTER', icon: '🧘', description: 'Log 10 hours of focus time', rule: (stats) => stats.focusMinutes >= 600 },
+  { key: 'COLLABORATOR', label: 'COLLABORATOR', icon: '🤝', description: 'Add someone to your focus circle', rule: (stats) => stats.friendCount > 0 },
+  { key: 'NIGHT_OWL', label: 'NIGHT OWL', icon: '🌙', description: 'Finish a focus session started after 22:00', rule: (stats, session) => Boolean(session) && hourInZone(session.startedAt, stats.timeZone) >= 22 },
+  { key: 'EARLY_BIRD', label: 'EARLY BIRD', icon: '🌅', description: 'Finish a focus session started before 07:00', rule: (stats, session) => Boolean(session) && hourInZone(session.startedAt, stats.timeZone) < 7 },
+  { key: 'ULTRA_PRO', label: 'ULTRA PRO', icon: '👑', description: 'Reach level 10', rule: (stats) => levelFor(stats.totalXp).level >= 10 },
+  { key: 'IRON_WILL', label: 'IRON WILL', icon: '💪', description: 'Reach a 30-day streak', rule: (stats) => stats.longestStreak >= 30 },
+  { key: 'MENTOR', label: 'MENTOR', icon: '🎓', description: 'Complete 3 goals', rule: (stats) => stats.completedGoals >= 3 },
+];
+
+// ============================================================
+// LEVELS & STREAKS
+// ============================================================
+
+/**
+ * XP needed to reach a level: each level costs LEVEL_STEP_XP more than the last
+ * (level 2 = 250, level 3 = 750, level 4 = 1500, ...)
+ */
+function xpForLevel(level) {
+  return (LEVEL_STEP_XP * (level - 1) * level) / 2;
+}
+
+/**
+ * Level details for an XP total
+ * @param {number} xp - Total XP
+ * @returns {{ level: number, title: string, levelXp: number, nextLevelXp: number, progress: number }}
+ */
+export function levelFor(xp) {
+  let level = 1;
+  while (xp >= xpForLevel(level + 1)) level += 1;
+
+  const levelXp = xpForLevel(level);
+  const nextLevelXp = xpForLevel(level + 1);
+  let title = 'Focus Novice';
+  if (level >= 10) title = 'Focus Master';
+  else if (level >= 5) title = 'Focus Adept';
+
+  return {
+    level,
+    title,
+    levelXp,
+    nextLevelXp,
+    progress: Math.floor(((xp - levelXp) / (nextLevelXp - levelXp)) * 100)
+  };
+}
+
+/**
+ * A user's streak as of now - a streak whose last active day is older than
+ * yesterday has been broken even though the stored counter hasn't been reset yet
+ * Days are calendar days in the user's time zone
+ * @param {{ currentStreak: number, lastActiveDate: Date|null, timezone: string }} user
+ * @returns {number}
+ */
+export function liveStreak(user, now = new Date()) {
+  if (!user.lastActiveDate) return 0;
+  const todayKey = todayInZone(user.timezone, now);
+  const lastKey = user.lastActiveDate.toISOString().slice(0, 10);
+  return lastKey === todayKey || lastKey === addDaysToKey(todayKey, -1) ? user.currentStreak : 0;
+}
+
+/**
+ * Count today (in the user's time zone) towards the user's streak
+ */
+async function recordActivity(userId, now = new Date()) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) return null;
+
+  const todayKey = todayInZone(user.timezone, now);
+  const lastKey = user.lastActiveDate?.toISOString().slice(0, 10);
+  if (lastKey === todayKey) return user;
+
+  const currentStreak = lastKey === addDaysToKey(todayKey, -1) ? user.currentStreak + 1 : 1;
+
+  return prisma.user.update({
+    where: { id: userId },
+    data: {
+      currentStreak,
+      longestStreak: Math.max(user.longestStreak, currentStreak),
+      lastActiveDate: planDateValue(todayKey)
+    }
+  });
+}
+
+// ============================================================
+// ACHIEVEMENTS
+// ============================================================
+
+/**
+ * Stats the achievement rules are evaluated against
+ */
+export async function loadAchievementStats(userId) {
+  const [user, xp, focus, friendCount, completedGoals] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId } }),
+    prisma.xpEvent.aggregate({ where: { userId }, _sum: { amount: true } }),
+    prisma.xpEvent.aggregate({ where: { userId, source: 'FOCUS' }, _sum: { amount: true } }),
+    prisma.friendship.count({ where: { userId, status: 'ACCEPTED' } }),
+    prisma.goal.count({ where: { userId, status: 'COMPLETED' } })
+  ]);
+
+  return {
+    totalXp: xp._sum.amount || 0,
+    focusMinutes: Math.round((focus._sum.amount || 0) / FOCUS_XP_PER_MINUTE),
+    longestStreak: user?.longestStreak || 0,
+    friendCount,
+    completedGoals,
+    timeZone: user?.timezone || DEFAULT_TIME_ZONE
+  };
+}
+
+/**
+ * Unlock any achievements whose rule now passes
+ * @param {string} userId
+ * @param {object} [session] - FocusSession that was just ended, for time-of-day achievements
+ * @returns {Promise<string[]>} - Keys of newly unlocked achievements
+ */
+export async function evaluateAchievements(userId, session = null) {
+  const [stats, unlocked] = await Promise.all([
+    loadAchievementStats(userId),
+    prisma.userAchievement.findMany({ where: { userId }, select: { key: true } })
+  ]);
+
+  const unlockedKeys = new Set(unlocked.map(a => a.key));
+  const newKeys = ACHIEVEMENTS
+    .filter(achievement => !unlockedKeys.has(achievement.key) && achievement.rule(stats, session))
+    .map(achievement => achievement.key);
+
+  if (newKeys.length > 0) {
+    await prisma.userAchievement.createMany({
+      data: newKeys.map(key => ({ userId, key })),
+      skipDuplicates: true
+    });
+  }
+
+  return newKeys;
+}
+
+// ============================================================
+// XP AWARDS
+// ============================================================
+
+/**
+ * Record an XP event, then update the streak and achievements
+ * Does nothing if this source has already paid out
+ * @returns {Promise<object|null>} - The XpEvent, or null if nothing was awarded
+ */
+async function awardXp(userId, source, sourceId, amount, session = null) {
+  if (!userId || amount <= 0) return null;
+
+  const existing = await prisma.xpEvent.findUnique({
+    where: { source_sourceId: { source, sourceId } }
+  });
+  if (existing) return null;
+
+  let event;
+  try {
+    event = await prisma.xpEvent.create({
+      data: { userId, source, sourceId, amount }
+    });
+  } catch (error) {
+    // Lost a race with a concurrent award for the same source
+    if (error.code === 'P2002') return null;
+    throw error;
+  }
+
+  await recordActivity(userId);
+  await evaluateAchievements(userId, session);
+
+  return event;
+}
+
+/**
+ * Award XP for a completed task (priority decides the amount)
+ * @param {{ id: string, priority: string, milestoneId: string }} task
+ */
+export async function awardTaskXp(task) {
+  const milestone = await prisma.milestone.findUnique({
+    where: { id: task.milestoneId },
+    select: { goal: { select: { userId: true } } }
+  });
+  return awardXp(milestone?.goal.userId, 'TASK', task.id, TASK_XP[task.priority] ?? TASK_XP.MEDIUM);
+}
+
+/**
+ * Award XP for one completed day of a recurring task
+ * Keyed by task and date, so undoing and redoing a day doesn't pay out twice
+ * @param {{ id: string, priority: string, milestoneId: string }} task
+ * @param {string} dateKey - YYYY-MM-DD
+ */
+export async function awardOccurrenceXp(task, dateKey) {
+  const milestone = await prisma.milestone.findUnique({
+    where: { id: task.milestoneId },
+    select: { goal: { select: { userId: true } } }
+  });
+  return awardXp(milestone?.goal.userId, 'TASK', `${task.id}:${dateKey}`, TASK_XP[task.priority] ?? TASK_XP.MEDIUM);
+}
+
+/**
+ * Award XP for a completed milestone
+ * @param {{ id: string, goalId: string }} milestone
+ */
+export async function awardMilestoneXp(milestone) {
+  const goal = await prisma.goal.findUnique({
+    where: { id: milestone.goalId },
+    select: { userId: true }
+  });
+  return awardXp(goal?.userId, 'MILESTONE', milestone.id, MILESTONE_XP);
+}
+
+/**
+ * Award XP for a completed goal
+ * @param {{ id: string, userId: string }} goal
+ */
+export async function awardGoalXp(goal) {
+  return awardXp(goal.userId, 'GOAL', goal.id, GOAL_XP);
+}
+
+/**
+ * Award XP for the time spent in an ended focus session
+ * @param {object} session - Ended FocusSession
+ */
+export async function awardFocusXp(session) {
+  const minutes = Math.floor((session.focusedSeconds || 0) / 60);
+  return awardXp(session.userId, 'FOCUS', session.id, minutes * FOCUS_XP_PER_MINUTE, session);
+}
+
+// ============================================================
+// SEASONS
+// ============================================================
+
+/**
+ * The season running now
+ * If none has been scheduled, the current calendar quarter becomes one. Seasons are
+ * shared by every user, so quarters run in UTC rather than anyone's local time
+ * @returns {Promise<object>} - Season
+ */
+export async function getCurrentSeason(now = new Date()) {
+  const season = await prisma.season.findFirst({
+    where: { startsAt: { lte: now }, endsAt: { gt: now } },
+    orderBy: { startsAt: 'desc' }
+  });
+  if (season) return season;
+
+  const quarter = Math.floor(now.getUTCMonth() / 3);
+  const startsAt = new Date(Date.UTC(now.getUTCFullYear(), quarter * 3, 1));
+
+  return prisma.season.upsert({
+    where: { startsAt },
+    update: {},
+    create: {
+      name: SEASON_NAMES[quarter],
+      startsAt,
+      endsAt: new Date(Date.UTC(now.getUTCFullYear(), quarter * 3 + 3, 1))
+    }
+  });
+}
@@ -0,0 +1,261 @@
+/**
+ * iCalendar (.ics, RFC 5545) support
+ *
+ * Only what the planner needs from a calendar file: the VEVENTs, with their start,
+ * end or duration, recurrence rule and exceptions. Times are read as written -
+ * UTC ("...Z"), in a TZID zone, or floating - and resolved to instants later
+ * (see lib/calendarEvents.js). VTIMEZONE definitions are skipped: zones are looked
+ * up by their IANA name instead.
+ *
+ * Calendars written for export (see lib/planCalendar.js) use UTC times only, so
+ * they need no VTIMEZONE either.
+ */
+
+const DATE_TIME = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+const DURATION = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+// Continuation lines start with a space or tab
+function unfold(text) {
+  return text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+/**
+ * Split a content line into its name, parameters and value
+ * e.g. `DTSTART;TZID=Europe/London:20261019T090000`
+ */
+function parseLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = Object.fromEntries(paramParts.map(part => {
+    const [key, ...value] = part.split('=');
+    return [key.toUpperCase(), value.join('=').replace(/^"|"$/g, '')];
+  }));
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * A DATE or DATE-TIME value
+ * @returns {{ date: string, time: string|null, utc: boolean, tzid: string|null }|null}
+ *   `date` is YYYY-MM-DD, `time` "HH:MM" (seconds dropped), null for all-day dates
+ */
+function parseDateTime(value, params) {
+  const match = DATE_TIME.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, , utc] = match;
+  return {
+    date: `${year}-${month}-${day}`,
+    time: hours === undefined || params.VALUE === 'DATE' ? null : `${hours}:${minutes}`,
+    utc: Boolean(utc),
+    tzid: params.TZID || null
+  };
+}
+
+/**
+ * A DURATION value in minutes, e.g. "PT1H30M" -> 90
+ * @returns {number|null}
+ */
+export function parseDuration(value) {
+  const match = DURATION.exec(value.trim());
+  if (!match) return null;
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+  const total = Number(weeks) * 7 * 24 * 60 + Number(days) * 24 * 60 + Number(hours) * 60 + Number(minutes);
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * An RRULE value, e.g. "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261231T000000Z"
+ * @returns {{ freq: string, interval: number, count: number|null, until: object|null, byDay: string[] }}
+ */
+function parseRecurrenceRule(value) {
+  const parts = Object.fromEntries(value.split(';').map(part => {
+    const [key, ...rest] = part.split('=');
+    return [key.toUpperCase(), rest.join('=')];
+  }));
+
+  return {
+    freq: (parts.FREQ || '').toUpperCase(),
+    interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: parts.UNTIL ? parseDateTime(parts.UNTIL, {}) : null,
+    // Plain weekday codes; ordinals like "1MO" (first Monday) aren't supported
+    byDay: parts.BYDAY ? parts.BYDAY.split(',').map(day => day.trim().toUpperCase()) : []
+  };
+}
+
+/**
+ * Read the events out of a calendar file
+ * @param {string} text - .ics file contents
+ * @returns {{ name: string|null, timeZone: string|null, events: object[] }}
+ *   `name` and `timeZone` come from X-WR-CALNAME / X-WR-TIMEZONE when present. Each event has
+ *   uid, title, description, location, status, start, end (both parseDateTime results or null),
+ *   durationMins, rrule (or null), exdates and recurrenceId (set on a changed occurrence)
+ */
+export function parseICalendar(text) {
+  const calendar = { name: null, timeZone: null, events: [] };
+  // Components we're inside of, innermost last
+  const stack = [];
+  let event = null;
+
+  for (const line of unfold(text)) {
+    if (!line.trim()) continue;
+    const property = parseLine(line);
+    if (!property) continue;
+    const { name, params, value } = property;
+
+    if (name === 'BEGIN') {
+      stack.push(value.toUpperCase());
+      if (value.toUpperCase() === 'VEVENT' && stack.length === 2) {
+        event = {
+          uid: null,
+          title: '',
+          description: null,
+          location: null,
+          status: null,
+          start: null,
+          end: null,
+          durationMins: null,
+          rrule: null,
+          exdates: [],
+          recurrenceId: null
+        };
+      }
+      continue;
+    }
+    if (name === 'END') {
+      if (stack.pop() === 'VEVENT' && event && stack.length === 1) {
+        calendar.events.push(event);
+        event = null;
+      }
+      continue;
+    }
+
+    const component = stack[stack.length - 1];
+
+    if (component === 'VCALENDAR') {
+      if (name === 'X-WR-CALNAME') calendar.name = unescapeText(value);
+      if (name === 'X-WR-TIMEZONE') calendar.timeZone = value.trim();
+      continue;
+    }
+    // Properties of alarms, time zones and the like
+    if (component !== 'VEVENT' || !event) continue;
+
+    switch (name) {
+      case 'UID': event.uid = value.trim(); break;
+      case 'SUMMARY': event.title = unescapeText(value).trim(); break;
+      case 'DESCRIPTION': event.description = unescapeText(value); break;
+      case 'LOCATION': event.location = unescapeText(value) || null; break;
+      case 'STATUS': event.status = value.trim().toUpperCase(); break;
+      case 'DTSTART': event.start = parseDateTime(value, params); break;
+      case 'DTEND': event.end = parseDateTime(value, params); break;
+      case 'DURATION': event.durationMins = parseDuration(value); break;
+      case 'RRULE': event.rrule = parseRecurrenceRule(value); break;
+      case 'RECURRENCE-ID': event.recurrenceId = parseDateTime(value, params); break;
+      case 'EXDATE':
+        event.exdates.push(...value.split(',').map(part => parseDateTime(part, params)).filter(Boolean));
+        break;
+      default: break;
+    }
+  }
+
+  return calendar;
+}
+
+// ============================================================
+// WRITING
+// ============================================================
+
+// Content lines longer than this many octets are folded
+const MAX_LINE_OCTETS = 75;
+
+function escapeText(value) {
+  return String(value).replace(/[\\;,]/g, char => `\\${char}`).replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line without splitting a multi-byte character
+function fold(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to their leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+// e.g. 2026-10-19T07:30:00.000Z -> "20261019T073000Z"
+function formatInstant(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// e.g. "2026-10-19" -> "20261019"
+function formatDateKey(dateKey) {
+  return dateKey.replace(/-/g, '');
+}
+
+/**
+ * Write a calendar file
+ * @param {{ name?: string, events: object[] }} calendar - Each event has uid, title, start and end,
+ *   and optionally description, allDay, status (TENTATIVE, CONFIRMED or CANCELLED), categories,
+ *   sequence and lastModified. Timed events take Date instants (written as UTC); all-day events
+ *   take YYYY-MM-DD keys, with `end` the day after the last one
+ * @param {Date} [now] - Written as every event's DTSTAMP
+ * @returns {string} - .ics file contents, CRLF line endings
+ */
+export function writeICalendar({ name, events }, now = new Date()) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Momentum//Daily Plans//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  for (const event of events) {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${formatInstant(now)}`);
+    if (event.allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${formatDateKey(event.start)}`, `DTEND;VALUE=DATE:${formatDateKey(event.end)}`);
+    } else {
+      lines.push(`DTSTART:${formatInstant(event.start)}`, `DTEND:${formatInstant(event.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.title)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    if (event.sequence !== undefined) lines.push(`SEQUENCE:${event.sequence}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${formatInstant(event.lastModified)}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,261 @@
+import { config } from '../../config/index.js';
+import { createOllamaProvider } from './providers/ollama.js';
+import { createOpenAIProvider } from './providers/openai.js';
+import { createFakeProvider } from './providers/fake.js';
+import { validateSchema } from '../jsonSchema.js';
+
+/**
+ * LLM access for the controllers
+ *
+ * A provider is a plain object:
+ *   { name, label, model, url,
+ *     chat({ messages, schema? }) -> Promise<string>,
+ *     stream({ messages }) -> AsyncIterable<string> }
+ * `schema` is a JSON schema the reply must follow (structured output).
+ *
+ * The helpers below add what every provider needs on top: the system prompt,
+ * the "don't think" directive for reasoning models and stripping <think> blocks.
+ */
+
+const THINK_OPEN = '<think>';
+const THINK_CLOSE = '</think>';
+
+const PROVIDERS = {
+  ollama: () => createOllamaProvider(config.llm.ollama),
+  openai: () => createOpenAIProvider(config.llm.openai),
+  fake: () => createFakeProvider({ model: config.llm.fake.model })
+};
+
+let provider = null;
+
+/**
+ * The configured provider (created on first use)
+ * @returns {object}
+ */
+export function getProvider() {
+  if (!provider) {
+    const create = PROVIDERS[config.llm.provider];
+    if (!create) {
+      throw new Error(`Unknown LLM provider "${config.llm.provider}" (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    provider = create();
+  }
+  return provider;
+}
+
+/**
+ * Replace the provider, e.g. with createFakeProvider() in tests
+ * @param {object|null} nextProvider - Provider to use, or null to go back to config
+ */
+export function setProvider(nextProvider) {
+  provider = nextProvider;
+}
+
+export { createFakeProvider };
+
+/**
+ * Strip thinking tags from reasoning-model responses
+ * @param {string} text - Raw response text
+ * @returns {string} - Text with thinking tags removed
+ */
+export function stripThinking(text) {
+  if (!text) return '';
+  // Remove everything before and including </think> tag
+  const idx = text.indexOf(THINK_CLOSE);
+  if (idx !== -1) {
+    return text.slice(idx + THINK_CLOSE.length).trim();
+  }
+  return text;
+}
+
+/**
+ * Build the provider message list
+ * When thinking is off, the configured directive (qwen3's `/no_think` by default)
+ * is appended to the system prompt
+ */
+function buildMessages(messages, systemPrompt, enableThinking) {
+  let finalSystemPrompt = systemPrompt;
+  if (!enableThinking && systemPrompt && config.llm.noThinkDirective) {
+    finalSystemPrompt = `${systemPrompt}\n\n${config.llm.noThinkDirective}`;
+  }
+
+  return [
+    ...(finalSystemPrompt ? [{ role: 'system', content: finalSystemPrompt }] : []),
+    ...messages.map(msg => ({ role: msg.role, content: msg.content }))
+  ];
+}
+
+/**
+ * Drop a leading <think>...</think> block from a stream of text chunks
+ */
+async function* skipThinking(chunks) {
+  let buffer = '';
+  let passthrough = false;
+
+  for await (const text of chunks) {
+    if (passthrough) {
+      yield text;
+      continue;
+    }
+
+    buffer += text;
+    const start = buffer.trimStart();
+
+    // Could still turn into "<think>" - wait for more
+    if (THINK_OPEN.startsWith(start)) continue;
+
+    if (start.startsWith(THINK_OPEN)) {
+      const idx = buffer.indexOf(THINK_CLOSE);
+      if (idx === -1) continue;
+      buffer = buffer.slice(idx + THINK_CLOSE.length).trimStart();
+    }
+
+    passthrough = true;
+    if (buffer) yield buffer;
+  }
+
+  // Stream ended while still waiting (e.g. a reply of just "<")
+  if (!passthrough && buffer && !buffer.trimStart().startsWith(THINK_OPEN)) {
+    yield buffer;
+  }
+}
+
+/**
+ * Chat without streaming
+ * @param {Array} messages - Conversation messages
+ * @param {string} systemPrompt - System prompt
+ * @param {boolean} enableThinking - Whether to let reasoning models think first
+ * @returns {Promise<string>} - Response content (thinking removed)
+ */
+export async function chat(messages, systemPrompt = '', enableThinking = false) {
+  const content = await getProvider().chat({
+    messages: buildMessages(messages, systemPrompt, enableThinking)
+  });
+  return stripThinking(content);
+}
+
+/**
+ * Thrown when the model keeps returning output that doesn't validate
+ */
+export class StructuredOutputError extends Error {
+  constructor(errors, raw) {
+    super(`AI response failed validation: ${errors.join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.errors = errors;
+    this.raw = raw;
+  }
+}
+
+function parseReply(content) {
+  try {
+    return { value: JSON.parse(stripThinking(content)), errors: [] };
+  } catch (error) {
+    return { value: null, errors: [`Reply is not valid JSON (${error.message})`] };
+  }
+}
+
+/**
+ * Chat with structured output
+ * The provider is asked to follow the JSON schema; the reply is then checked against
+ * the schema and `validate`, and on failure the model is shown its errors and asked
+ * to repair the reply, up to `maxAttempts` tries in total
+ * @param {Array} messages - Conversation messages
+ * @param {string} systemPrompt - System prompt
+ * @param {object} options
+ * @param {object} options.schema - JSON schema for the reply
+ * @param {(value: any) => string[]} [options.validate] - Extra checks beyond the schema
+ * @param {number} [options.maxAttempts] - Defaults to config.llm.structuredAttempts
+ * @returns {Promise<any>} - Parsed, validated reply
+ * @throws {StructuredOutputError}
+ */
+export async function chatStructured(messages, systemPrompt, { schema, validate, maxAttempts = config.llm.structuredAttempts }) {
+  const conversation = [...messages];
+  let lastErrors = [];
+  let lastContent = '';
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    lastContent = await getProvider().chat({
+      messages: buildMessages(conversation, systemPrompt, false),
+      schema
+    });
+
+    const { value, errors: parseErrors } = parseReply(lastContent);
+    lastErrors = parseErrors.length > 0 ? parseErrors : validateSchema(schema, value, 'response');
+    if (lastErrors.length === 0 && validate) {
+      lastErrors = validate(value);
+    }
+    if (lastErrors.length === 0) {
+      return value;
+    }
+
+    console.warn(`Structured output attempt ${attempt}/${maxAttempts} failed:`, lastErrors);
+
+    conversation.push(
+      { role: 'assistant', content: lastContent },
+      {
+        role: 'user',
+        content: `Your reply has these problems:\n${lastErrors.map(e => `- ${e}`).join('\n')}\n\nReturn the corrected JSON only, following the same structure.`
+      }
+    );
+  }
+
+  throw new StructuredOutputError(lastErrors, lastContent);
+}
+
+/**
+ * Stream chat responses via SSE
+ * Events: { text, done: false } per chunk, then { text: '', done: true, fullContent }
+ * or { error, done: true } on failure
+ * @param {Response} res - Express response object
+ * @param {Array} messages - Conversation messages
+ * @param {string} systemPrompt - System prompt
+ * @param {boolean} enableThinking - Whether to let reasoning models think first
+ * @param {object} [options]
+ * @param {(fullContent: string) => Promise<object>} [options.onComplete] - Extra fields
+ *   for the final event, computed once the text is complete
+ * @returns {Promise<string>} - Full response content
+ */
+export async function streamChat(res, messages, systemPrompt = '', enableThinking = false, { onComplete } = {}) {
+  // Set SSE headers
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+  res.flushHeaders();
+
+  let fullContent = '';
+
+  try {
+    const chunks = getProvider().stream({
+      messages: buildMessages(messages, systemPrompt, enableThinking)
+    });
+
+    for await (const text of skipThinking(chunks)) {
+      fullContent += text;
+      res.write(`data: ${JSON.stringify({ text, done: false })}\n\n`);
+    }
+
+    // Send completion event
+    fullContent = fullContent.trim();
+    const extra = onComplete ? await onComplete(fullContent) : {};
+    res.write(`data: ${JSON.stringify({ ...extra, text: '', done: true, fullContent })}\n\n`);
+    res.end();
+
+    return fullContent;
+  } catch (error) {
+    console.error('Streaming error:', error);
+    // The cause is in the log above; the stream only says the reply broke off
+    res.write(`data: ${JSON.stringify({ error: 'Failed to stream the reply', done: true })}\n\n`);
+    res.end();
+    throw error;
+  }
+}
+
+/**
+ * Which provider and model are in use (for logs and the health check)
+ * @returns {{ provider: string, label: string, model: string, url: string|null }}
+ */
+export function describeProvider() {
+  const { name, label, model, url } = getProvider();
+  return { provider: name, label, model, url };
+}
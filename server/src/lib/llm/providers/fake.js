@@ -0,0 +1,74 @@
+/**
+ * Build the smallest value that satisfies a JSON schema
+ * Used by the fake provider when no canned response is queued
+ */
+function sampleFromSchema(schema) {
+  if (!schema) return null;
+  if (schema.enum) return schema.enum[0];
+  if (Array.isArray(schema.type)) return sampleFromSchema({ ...schema, type: schema.type[0] });
+
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, value]) => [key, sampleFromSchema(value)])
+      );
+    case 'array':
+      return Array.from({ length: Math.max(1, schema.minItems || 0) }, () => sampleFromSchema(schema.items));
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    case 'string':
+      // A word fits most patterns; times are the other shape our schemas ask for
+      return ['example', '00:00'].find(candidate => !schema.pattern || new RegExp(schema.pattern).test(candidate)) ?? '';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Deterministic fake provider for tests and offline development
+ * Replies with queued responses in order, then falls back to echoing the last
+ * user message (or a schema-shaped sample for structured requests)
+ * @param {{ model?: string, responses?: Array<string|object> }} options
+ * @returns {object} - LLM provider (see lib/llm/index.js)
+ */
+export function createFakeProvider({ model = 'fake', responses = [] } = {}) {
+  const queue = [...responses];
+  const calls = [];
+
+  const reply = ({ messages, schema }) => {
+    calls.push({ messages, schema });
+
+    if (queue.length > 0) {
+      const next = queue.shift();
+      return typeof next === 'string' ? next : JSON.stringify(next);
+    }
+    if (schema) {
+      return JSON.stringify(sampleFromSchema(schema));
+    }
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    return `Fake response to: ${lastUserMessage?.content || ''}`;
+  };
+
+  return {
+    name: 'fake',
+    label: 'Fake (deterministic)',
+    model,
+    url: null,
+    // Every request the provider has seen, for assertions
+    calls,
+
+    async chat(request) {
+      return reply(request);
+    },
+
+    async *stream(request) {
+      // Word-sized chunks so streaming code paths see more than one delta
+      for (const chunk of reply(request).split(/(?<= )/)) {
+        yield chunk;
+      }
+    }
+  };
+}
@@ -0,0 +1,35 @@
+import { Ollama } from 'ollama';
+
+/**
+ * Ollama provider - talks to a local `ollama serve`
+ * @param {{ url: string, model: string }} options
+ * @returns {object} - LLM provider (see lib/llm/index.js)
+ */
+export function createOllamaProvider({ url, model }) {
+  const client = new Ollama({ host: url });
+
+  return {
+    name: 'ollama',
+    label: 'Ollama (Local)',
+    model,
+    url,
+
+    async chat({ messages, schema }) {
+      const response = await client.chat({
+        model,
+        messages,
+        stream: false,
+        ...(schema && { format: schema })
+      });
+      return response.message.content;
+    },
+
+    async *stream({ messages }) {
+      const stream = await client.chat({ model, messages, stream: true });
+      for await (const chunk of stream) {
+        const text = chunk.message?.content || '';
+        if (text) yield text;
+      }
+    }
+  };
+}
@@ -0,0 +1,99 @@
+/**
+ * Whether a JSON schema meets OpenAI's strict mode rules: every object lists all of its
+ * properties as required and allows no others. Other schemas are still sent, just not
+ * enforced, and replies are checked against them afterwards either way (see lib/llm/index.js)
+ * @param {object} schema
+ * @returns {boolean}
+ */
+export function isStrictSchema(schema) {
+  if (!schema || typeof schema !== 'object') return true;
+
+  const types = [].concat(schema.type);
+  if (types.includes('object') || schema.properties) {
+    const properties = Object.keys(schema.properties || {});
+    const required = schema.required || [];
+    if (schema.additionalProperties !== false || !properties.every(name => required.includes(name))) {
+      return false;
+    }
+  }
+
+  const children = [
+    ...Object.values(schema.properties || {}),
+    schema.items,
+    ...(schema.anyOf || [])
+  ];
+  return children.every(isStrictSchema);
+}
+
+/**
+ * OpenAI-compatible provider - any server exposing POST /v1/chat/completions
+ * (llama.cpp server, vLLM, LM Studio, OpenAI itself)
+ * @param {{ url: string, apiKey?: string, model: string }} options
+ * @returns {object} - LLM provider (see lib/llm/index.js)
+ */
+export function createOpenAIProvider({ url, apiKey, model }) {
+  const endpoint = `${url.replace(/\/+$/, '')}/chat/completions`;
+
+  const request = async (body) => {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+      },
+      body: JSON.stringify({ model, ...body })
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`LLM request failed with ${response.status}: ${detail.slice(0, 200)}`);
+    }
+    return response;
+  };
+
+  return {
+    name: 'openai',
+    label: 'OpenAI-compatible',
+    model,
+    url,
+
+    async chat({ messages, schema }) {
+      const response = await request({
+        messages,
+        stream: false,
+        ...(schema && {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'response', schema, strict: isStrictSchema(schema) }
+          }
+        })
+      });
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || '';
+    },
+
+    async *stream({ messages }) {
+      const response = await request({ messages, stream: true });
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      // Server-sent events: one `data: {...}` line per delta, ending with `data: [DONE]`
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const payload = line.trim();
+          if (!payload.startsWith('data:')) continue;
+
+          const data = payload.slice(5).trim();
+          if (data === '[DONE]') return;
+
+          const text = JSON.parse(data).choices?.[0]?.delta?.content || '';
+          if (text) yield text;
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,153 @@
+/**
+ * OpenAPI document for the API
+ *
+ * Built from the routers themselves rather than written by hand: every route's
+ * validate() middleware carries its spec (summary, JSON schemas for params, query and
+ * body, success status - see middleware/validate.middleware.js and src/schemas/), so
+ * the document can't drift from what the server actually checks.
+ */
+
+import { ACCESS_COOKIE } from './auth.js';
+import { requireAuth } from '../middleware/auth.middleware.js';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const STATUS_DESCRIPTIONS = { 200: 'OK', 201: 'Created', 202: 'Accepted', 204: 'No content' };
+
+// Express path to OpenAPI path, e.g. "/:date/revisions/:number" -> "/{date}/revisions/{number}"
+function openApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+// Parameters of one location ("path" or "query") from an object schema
+function parameters(location, schema, pathNames = []) {
+  const properties = schema?.properties || {};
+  const required = schema?.required || [];
+
+  const documented = Object.entries(properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema: property
+  }));
+
+  // Path parameters the spec doesn't describe are still part of the URL
+  const undocumented = pathNames
+    .filter(name => !properties[name])
+    .map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+
+  return [...documented, ...undocumented];
+}
+
+/**
+ * The OpenAPI operation of one Express route
+ * @param {object} route - Express Route
+ * @param {string} path - Full Express path, e.g. "/goals/:id"
+ * @param {{ tag: string, auth: boolean }} mount
+ */
+function operation(route, path, { tag, auth }) {
+  const handles = route.stack.map(layer => layer.handle);
+  const spec = handles.find(handle => handle.apiSpec)?.apiSpec || {};
+  const secured = auth || handles.includes(requireAuth);
+  const pathNames = [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+  const status = spec.status || 200;
+
+  const responses = { [status]: { description: STATUS_DESCRIPTIONS[status] || 'Success' } };
+  if (spec.params || spec.query || spec.body) responses[400] = { $ref: '#/components/responses/ValidationError' };
+  if (secured) responses[401] = { $ref: '#/components/responses/Error' };
+  responses[500] = { $ref: '#/components/responses/ServerError' };
+
+  return {
+    tags: [tag],
+    summary: spec.summary,
+    ...(spec.description && { description: spec.description }),
+    parameters: [...parameters('path', spec.params, pathNames), ...parameters('query', spec.query)],
+    ...(spec.body && {
+      requestBody: {
+        required: true,
+        content: { [spec.bodyType || 'application/json']: { schema: spec.body } }
+      }
+    }),
+    responses,
+    // Operations without `security` are public
+    ...(secured && { security: [{ cookieAuth: [] }, { bearerAuth: [] }] })
+  };
+}
+
+/**
+ * Build the document from the mounted routers
+ * @param {Array<{ path: string, router: object, auth: boolean }>} mounts - In mount order
+ * @returns {object} - OpenAPI 3.1 document
+ */
+export function openApiDocument(mounts) {
+  const paths = {};
+
+  for (const { path: mountPath, router, auth } of mounts) {
+    const tag = mountPath.split('/')[1];
+
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+      const path = `${mountPath}${layer.route.path === '/' ? '' : layer.route.path}`;
+      const key = openApiPath(path);
+      paths[key] ||= {};
+
+      for (const method of METHODS) {
+        if (layer.route.methods[method]) {
+          paths[key][method] = operation(layer.route, path, { tag, auth });
+        }
+      }
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Momentum API',
+      version: '1.0.0',
+      description: 'Goals, daily plans and focus sessions. Request bodies are JSON unless stated otherwise.'
+    },
+    servers: [{ url: '/api' }],
+    paths,
+    components: {
+      securitySchemes: {
+        cookieAuth: { type: 'apiKey', in: 'cookie', name: ACCESS_COOKIE },
+        bearerAuth: { type: 'http', scheme: 'bearer' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: { error: { type: 'string' }, details: {} },
+          required: ['error']
+        },
+        ValidationError: {
+          type: 'object',
+          properties: {
+            error: { type: 'string', enum: ['Invalid request'] },
+            details: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['error', 'details']
+        },
+        ServerError: {
+          type: 'object',
+          properties: { error: { type: 'string' } },
+          required: ['error'],
+          additionalProperties: false
+        }
+      },
+      responses: {
+        Error: {
+          description: 'Error',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        ValidationError: {
+          description: 'The request failed validation; every problem is listed in `details`',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+        },
+        ServerError: {
+          description: 'Something failed on the server; the cause is logged, not returned',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ServerError' } } }
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,46 @@
+import prisma from './prisma.js';
+import { BLOCKER_SELECT, blockersOf } from './dependencies.js';
+import { occursOn, habitSummary, dbDateKey } from './recurrence.js';
+import { compareUrgency } from './autoSchedule.js';
+
+/**
+ * A user's open tasks for a day, highest priority and earliest due first
+ * Recurring tasks are only included when they are due that day and that
+ * occurrence isn't done yet; they carry `occurrenceDate` and `habit` (streak info).
+ * Every task carries `blocked` and `blockedBy`, the unfinished tasks and milestones it waits on.
+ * @param {string} userId
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Promise<object[]>}
+ */
+export async function loadPendingTasks(userId, dateKey) {
+  const tasks = await prisma.task.findMany({
+    where: {
+      status: { in: ['PENDING', 'IN_PROGRESS'] },
+      milestone: { goal: { userId } }
+    },
+    include: {
+      milestone: {
+        include: {
+          goal: true,
+          dependencies: { include: { dependsOn: { select: BLOCKER_SELECT } } }
+        }
+      },
+      dependencies: { include: { dependsOn: { select: BLOCKER_SELECT } } },
+      occurrences: { select: { date: true } }
+    },
+    // The Priority enum sorts in declaration order (HIGH, MEDIUM, LOW) in the database,
+    // so urgency is ranked in code below, the same way autoSchedule does; oldest first breaks ties
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return tasks
+    .sort(compareUrgency)
+    .filter(task => !task.recurrence || (occursOn(task, dateKey) && !task.occurrences.some(o => dbDateKey(o.date) === dateKey)))
+    .map(({ occurrences, ...task }) => {
+      const blockedBy = blockersOf(task);
+      const withBlockers = { ...task, blocked: blockedBy.length > 0, blockedBy };
+      return task.recurrence
+        ? { ...withBlockers, occurrenceDate: dateKey, habit: habitSummary({ ...task, occurrences }, dateKey) }
+        : withBlockers;
+    });
+}
@@ -0,0 +1,116 @@
+/**
+ * Daily plans as a calendar
+ *
+ * Every saved block becomes one event. Its UID is the block's id, which survives
+ * re-saves and restores (see lib/planRevisions.js), so calendar apps update an event
+ * in place instead of duplicating it. Blocks without a start time show up as all-day
+ * events. The block's status is shown in the title and categories: calendar events
+ * have no "done" state of their own.
+ *
+ * Subscribed calendar apps can't send the auth cookies, so the feed URL carries a
+ * random token instead. Only its hash is stored (User.calendarFeedTokenHash).
+ */
+
+import crypto from 'crypto';
+import prisma from './prisma.js';
+import { writeICalendar } from './ical.js';
+import { addDaysToKey } from './recurrence.js';
+import { planDateValue, zonedDateTime } from './timezone.js';
+
+// Days before and after today a subscribed feed covers
+export const FEED_PAST_DAYS = 30;
+export const FEED_FUTURE_DAYS = 90;
+
+// Length of a block with a start time but no end time
+const DEFAULT_BLOCK_MINS = 30;
+
+const STATUS_LABELS = { PENDING: 'Planned', IN_PROGRESS: 'In progress', COMPLETED: 'Completed' };
+const STATUS_MARKS = { IN_PROGRESS: '▶ ', COMPLETED: '✓ ' };
+
+/**
+ * Generate a calendar feed token
+ * @returns {{ token: string, tokenHash: string }}
+ */
+export function generateFeedToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashFeedToken(token) };
+}
+
+/**
+ * Hash a feed token for lookup
+ * @param {string} token
+ * @returns {string}
+ */
+export function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Calendar event UID of a planned block
+function blockUid(block) {
+  return `${block.id}@momentum`;
+}
+
+/**
+ * A block as a calendar event
+ * @param {object} block - PlannedTask
+ * @param {{ dateKey: string, timeZone: string, sequence: number, updatedAt: Date }} plan
+ */
+function blockEvent(block, { dateKey, timeZone, sequence, updatedAt }) {
+  const label = STATUS_LABELS[block.status] || STATUS_LABELS.PENDING;
+  const event = {
+    uid: blockUid(block),
+    title: `${STATUS_MARKS[block.status] || ''}${block.title}`,
+    description: [block.description, `Status: ${label}`].filter(Boolean).join('\n\n'),
+    status: 'CONFIRMED',
+    categories: [label],
+    sequence,
+    lastModified: block.completedAt > updatedAt ? block.completedAt : updatedAt
+  };
+
+  if (!block.startTime) {
+    return { ...event, allDay: true, start: dateKey, end: addDaysToKey(dateKey, 1) };
+  }
+
+  const start = zonedDateTime(dateKey, block.startTime, timeZone);
+  let end = block.endTime
+    ? zonedDateTime(dateKey, block.endTime, timeZone)
+    : new Date(start.getTime() + (block.estimatedMins || DEFAULT_BLOCK_MINS) * 60000);
+  // A block ending at or before its start runs past midnight
+  if (end <= start) end = zonedDateTime(addDaysToKey(dateKey, 1), block.endTime, timeZone);
+
+  return { ...event, start, end };
+}
+
+/**
+ * A user's saved plans between two days as an .ics file
+ * @param {string} userId
+ * @param {{ timeZone: string, fromKey: string, toKey: string, name?: string }} options
+ *   `timeZone` is the user's; fromKey..toKey is inclusive
+ * @returns {Promise<string>}
+ */
+export async function planCalendar(userId, { timeZone, fromKey, toKey, name = 'Momentum plans' }) {
+  const plans = await prisma.dailyPlan.findMany({
+    where: {
+      userId,
+      date: { gte: planDateValue(fromKey), lte: planDateValue(toKey) }
+    },
+    include: {
+      tasks: { orderBy: { orderIndex: 'asc' } },
+      revisions: { orderBy: { number: 'desc' }, take: 1, select: { number: true } }
+    },
+    orderBy: { date: 'asc' }
+  });
+
+  const events = plans.flatMap(plan => {
+    const context = {
+      dateKey: plan.date.toISOString().slice(0, 10),
+      timeZone,
+      // Goes up with every revision, so calendar apps take the newer copy of a block
+      sequence: plan.revisions[0]?.number || 0,
+      updatedAt: plan.updatedAt
+    };
+    return plan.tasks.map(block => blockEvent(block, context));
+  });
+
+  return writeICalendar({ name, events });
+}
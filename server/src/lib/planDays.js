@@ -0,0 +1,90 @@
+/**
+ * The days a planning session covers
+ *
+ * A session plans one day or a range of up to MAX_PLAN_DAYS days (e.g. Monday to
+ * Friday). Requests can name them with `date` or `startDate` + `endDate`;
+ * otherwise the conversation's planDate/planEndDate apply, and tomorrow is the
+ * fallback. Days are YYYY-MM-DD keys, like daily plans.
+ */
+
+import { isDateKey, addDaysToKey, dbDateKey } from './recurrence.js';
+
+export const MAX_PLAN_DAYS = 14;
+
+/**
+ * Check the date fields of a planning request
+ * @param {{ date?: string, startDate?: string, endDate?: string }} body
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validatePlanDates(body) {
+  const { date, startDate, endDate } = body;
+
+  if (date !== undefined && !isDateKey(date)) {
+    return 'date must be YYYY-MM-DD';
+  }
+  if ((startDate !== undefined) !== (endDate !== undefined)) {
+    return 'startDate and endDate must be given together';
+  }
+  if (startDate !== undefined) {
+    if (!isDateKey(startDate) || !isDateKey(endDate)) {
+      return 'startDate and endDate must be YYYY-MM-DD';
+    }
+    if (endDate < startDate) {
+      return 'endDate must not be before startDate';
+    }
+    if (dateKeysBetween(startDate, endDate).length > MAX_PLAN_DAYS) {
+      return `A plan can cover at most ${MAX_PLAN_DAYS} days`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Every date key from one day to another, inclusive
+ */
+export function dateKeysBetween(fromKey, toKey) {
+  const keys = [];
+  for (let key = fromKey; key <= toKey && keys.length <= MAX_PLAN_DAYS; key = addDaysToKey(key, 1)) {
+    keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * The days a planning request is about (checked with validatePlanDates first)
+ * @param {object} body - Request body
+ * @param {{ planDate?: Date|null, planEndDate?: Date|null }|null} conversation
+ * @param {string} todayKey - YYYY-MM-DD
+ * @returns {string[]} - Date keys in order
+ */
+export function planDays(body, conversation, todayKey) {
+  if (body.date) return [body.date];
+  if (body.startDate) return dateKeysBetween(body.startDate, body.endDate);
+
+  if (conversation?.planDate) {
+    const start = dbDateKey(conversation.planDate);
+    return dateKeysBetween(start, conversation.planEndDate ? dbDateKey(conversation.planEndDate) : start);
+  }
+
+  return [addDaysToKey(todayKey, 1)];
+}
+
+/**
+ * How the prompt refers to the days being planned,
+ * e.g. "tomorrow (Tuesday, October 20)" or "Monday, October 19 to Friday, October 23 (5 days)"
+ * @param {string[]} days - Date keys in order
+ * @param {string} todayKey - YYYY-MM-DD
+ * @returns {string}
+ */
+export function describePlanDays(days, todayKey) {
+  const format = (key) => new Date(`${key}T00:00:00Z`)
+    .toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+  if (days.length > 1) {
+    return `${format(days[0])} to ${format(days[days.length - 1])} (${days.length} days)`;
+  }
+
+  const relative = { [todayKey]: 'today', [addDaysToKey(todayKey, 1)]: 'tomorrow' }[days[0]];
+  return relative ? `${relative} (${format(days[0])})` : format(days[0]);
+}
@@ -0,0 +1,186 @@
+/**
+ * Daily plan revisions
+ *
+ * Saving a plan reconciles the new blocks with the ones already there instead of
+ * replacing them: a block that matches an existing one (same id, else same linked
+ * task, else same title) is updated in place and keeps its id, status and focus
+ * sessions; the rest are created or deleted. Every save, restore and rollover then
+ * snapshots the plan's blocks as a numbered DailyPlanRevision, which is what the
+ * history, diff and restore endpoints work from. A restored block that had been
+ * deleted since gets its old id back, so ids (and the calendar UIDs built from them,
+ * see lib/planCalendar.js) stay stable across revisions.
+ */
+
+// A block's identity when it has no id to match on (also used by rollover's dedupe)
+export function blockKey(block) {
+  return block.taskId || `title:${(block.title || '').trim().toLowerCase()}`;
+}
+
+/**
+ * Pair blocks of a new version with the blocks they replace, by id first, then by blockKey
+ * Each previous block is matched at most once
+ * @param {object[]} previous
+ * @param {object[]} next
+ * @returns {Array<object|null>} - For each block in `next`, its previous block or null when new
+ */
+export function matchBlocks(previous, next) {
+  const unclaimed = new Map(previous.map(block => [block.id, block]));
+  const matches = next.map(block => {
+    const match = block.id ? unclaimed.get(block.id) : undefined;
+    if (!match) return null;
+    unclaimed.delete(match.id);
+    return match;
+  });
+
+  return matches.map((match, index) => {
+    if (match) return match;
+    const key = blockKey(next[index]);
+    const found = [...unclaimed.values()].find(block => blockKey(block) === key);
+    if (!found) return null;
+    unclaimed.delete(found.id);
+    return found;
+  });
+}
+
+/**
+ * What changed between two versions of a plan's blocks
+ * @param {object[]} from - Older blocks
+ * @param {object[]} to - Newer blocks
+ * @returns {{ added: object[], removed: object[], retimed: Array<{ id: string, title: string, from: { startTime, endTime }, to: { startTime, endTime } }> }}
+ */
+export function diffBlocks(from, to) {
+  const matches = matchBlocks(from, to);
+  const kept = new Set(matches.filter(Boolean).map(block => block.id));
+
+  const retimed = [];
+  to.forEach((block, index) => {
+    const match = matches[index];
+    if (!match || (match.startTime === block.startTime && match.endTime === block.endTime)) return;
+    retimed.push({
+      id: block.id,
+      title: block.title,
+      from: { startTime: match.startTime, endTime: match.endTime },
+      to: { startTime: block.startTime, endTime: block.endTime }
+    });
+  });
+
+  return {
+    added: to.filter((block, index) => !matches[index]),
+    removed: from.filter(block => !kept.has(block.id)),
+    retimed
+  };
+}
+
+/**
+ * The fields of a block a revision keeps
+ */
+function snapshotBlock(block) {
+  return {
+    id: block.id,
+    title: block.title,
+    description: block.description,
+    estimatedMins: block.estimatedMins,
+    startTime: block.startTime,
+    endTime: block.endTime,
+    status: block.status,
+    taskId: block.taskId,
+    milestoneId: block.milestoneId
+  };
+}
+
+// Fields a save may change on a block that already exists; its status only moves
+// through the status endpoint, so re-saving never un-completes work
+function editableFields(block) {
+  return {
+    title: block.title,
+    description: block.description || null,
+    estimatedMins: block.estimatedMins || null,
+    startTime: block.startTime || null,
+    endTime: block.endTime || null,
+    taskId: block.taskId || null,
+    milestoneId: block.milestoneId || null
+  };
+}
+
+/**
+ * Take the plan's row lock, so saves, restores and rollovers of one plan run one at a time
+ * @param {object} tx - Prisma transaction client
+ * @param {string} dailyPlanId
+ */
+export async function lockPlan(tx, dailyPlanId) {
+  await tx.dailyPlan.update({ where: { id: dailyPlanId }, data: { updatedAt: new Date() } });
+}
+
+/**
+ * Snapshot a plan's current blocks as its next revision (call with the plan locked)
+ * @param {object} tx - Prisma transaction client
+ * @param {string} dailyPlanId
+ * @param {{ source?: 'SAVE'|'RESTORE'|'ROLLOVER', restoredFrom?: number|null }} [options]
+ * @returns {Promise<object>} - The DailyPlanRevision
+ */
+export async function recordRevision(tx, dailyPlanId, { source = 'SAVE', restoredFrom = null } = {}) {
+  const [latest, blocks] = await Promise.all([
+    tx.dailyPlanRevision.findFirst({
+      where: { dailyPlanId },
+      orderBy: { number: 'desc' },
+      select: { number: true }
+    }),
+    tx.plannedTask.findMany({ where: { dailyPlanId }, orderBy: { orderIndex: 'asc' } })
+  ]);
+
+  return tx.dailyPlanRevision.create({
+    data: {
+      dailyPlanId,
+      number: (latest?.number || 0) + 1,
+      source,
+      restoredFrom,
+      blocks: blocks.map(snapshotBlock)
+    }
+  });
+}
+
+/**
+ * Make a plan's blocks match a new list, keeping matched blocks in place, and record a revision
+ * @param {object} tx - Prisma transaction client
+ * @param {string} dailyPlanId
+ * @param {object[]} blocks - In order; links already checked against the user's goal tree
+ * @param {{ source?: 'SAVE'|'RESTORE', restoredFrom?: number|null }} [options]
+ * @returns {Promise<object>} - The new DailyPlanRevision
+ */
+export async function savePlanBlocks(tx, dailyPlanId, blocks, options = {}) {
+  await lockPlan(tx, dailyPlanId);
+
+  const existing = await tx.plannedTask.findMany({
+    where: { dailyPlanId },
+    orderBy: { orderIndex: 'asc' }
+  });
+  const matches = matchBlocks(existing, blocks);
+  const keptIds = matches.filter(Boolean).map(block => block.id);
+
+  await tx.plannedTask.deleteMany({ where: { dailyPlanId, id: { notIn: keptIds } } });
+
+  await Promise.all(blocks.map((block, orderIndex) => {
+    const match = matches[orderIndex];
+    if (match) {
+      return tx.plannedTask.update({
+        where: { id: match.id },
+        data: { ...editableFields(block), orderIndex }
+      });
+    }
+
+    const status = block.status || 'PENDING';
+    return tx.plannedTask.create({
+      data: {
+        // Ids from a snapshot of this plan are free again once their block is gone
+        ...(options.source === 'RESTORE' && block.id ? { id: block.id } : {}),
+        ...editableFields(block),
+        status,
+        completedAt: status === 'COMPLETED' ? new Date() : null,
+        orderIndex,
+        dailyPlanId
+      }
+    });
+  }));
+
+  return recordRevision(tx, dailyPlanId, options);
+}
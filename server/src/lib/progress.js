@@ -0,0 +1,193 @@
+import prisma from './prisma.js';
+import { awardTaskXp, awardOccurrenceXp, awardMilestoneXp, awardGoalXp } from './gamification.js';
+import { dbDateKey } from './recurrence.js';
+
+/**
+ * completedAt value for a status change: keeps an existing timestamp while the
+ * record stays COMPLETED, stamps now when it becomes COMPLETED, clears it otherwise
+ * @param {string} status - New TaskStatus
+ * @param {Date|null} currentCompletedAt - The record's current completedAt
+ * @returns {Date|null}
+ */
+export function completedAtFor(status, currentCompletedAt) {
+  if (status !== 'COMPLETED') return null;
+  return currentCompletedAt || new Date();
+}
+
+/**
+ * Milestone status implied by its tasks and checkpoints
+ * Everything done -> COMPLETED, anything done or in progress -> IN_PROGRESS, otherwise PENDING
+ * @param {Array<{ status: string }>} tasks
+ * @param {Array<{ done: boolean }>} checkpoints
+ * @returns {string|null} - MilestoneStatus, or null when there is nothing to roll up
+ */
+export function rolledUpMilestoneStatus(tasks, checkpoints) {
+  const units = [
+    ...tasks.map(t => t.status),
+    ...checkpoints.map(c => (c.done ? 'COMPLETED' : 'PENDING'))
+  ];
+
+  if (units.length === 0) return null;
+  if (units.every(status => status === 'COMPLETED')) return 'COMPLETED';
+  if (units.some(status => status !== 'PENDING')) return 'IN_PROGRESS';
+  return 'PENDING';
+}
+
+/**
+ * Roll milestone statuses up to their goal
+ * All milestones completed -> COMPLETED; a COMPLETED goal whose milestones are no
+ * longer all done is reopened. Archived goals are left alone.
+ * @param {string} goalId - Goal to update
+ * @returns {Promise<object|null>} - The goal, or null if it doesn't exist
+ */
+export async function syncGoalStatus(goalId) {
+  const goal = await prisma.goal.findUnique({
+    where: { id: goalId },
+    include: { milestones: { select: { status: true } } }
+  });
+
+  if (!goal || goal.status === 'ARCHIVED' || goal.milestones.length === 0) {
+    return goal;
+  }
+
+  const allCompleted = goal.milestones.every(m => m.status === 'COMPLETED');
+  const goalStatus = allCompleted ? 'COMPLETED' : 'ACTIVE';
+
+  if (goal.status !== goalStatus) {
+    await prisma.goal.update({
+      where: { id: goal.id },
+      data: { status: goalStatus }
+    });
+    goal.status = goalStatus;
+
+    if (goalStatus === 'COMPLETED') {
+      await awardGoalXp(goal);
+    }
+  }
+
+  return goal;
+}
+
+/**
+ * Recompute a milestone's status from its tasks and checkpoints, then roll up to the goal
+ * Milestones with autoStatus turned off keep their manual status
+ * @param {string} milestoneId - Milestone to update
+ * @returns {Promise<object|null>} - The milestone with its tasks and checkpoints, or null if it doesn't exist
+ */
+export async function syncMilestoneStatus(milestoneId) {
+  const milestone = await prisma.milestone.findUnique({
+    where: { id: milestoneId },
+    include: { tasks: true, checkpoints: true }
+  });
+
+  if (!milestone || !milestone.autoStatus) {
+    return milestone;
+  }
+
+  const milestoneStatus = rolledUpMilestoneStatus(milestone.tasks, milestone.checkpoints);
+
+  if (milestoneStatus && milestone.status !== milestoneStatus) {
+    await prisma.milestone.update({
+      where: { id: milestone.id },
+      data: { status: milestoneStatus }
+    });
+    milestone.status = milestoneStatus;
+
+    if (milestoneStatus === 'COMPLETED') {
+      await awardMilestoneXp(milestone);
+    }
+    await syncGoalStatus(milestone.goalId);
+  }
+
+  return milestone;
+}
+
+/**
+ * Set a task's status, award XP on completion and roll the change up to its milestone
+ * @param {string} taskId - Task to update
+ * @param {string} status - New TaskStatus
+ * @returns {Promise<object>} - The updated task
+ */
+export async function setTaskStatus(taskId, status) {
+  const existingTask = await prisma.task.findUnique({ where: { id: taskId } });
+
+  const task = await prisma.task.update({
+    where: { id: taskId },
+    data: { status, completedAt: completedAtFor(status, existingTask?.completedAt) }
+  });
+
+  if (status === 'COMPLETED') {
+    await awardTaskXp(task);
+  }
+  await syncMilestoneStatus(task.milestoneId);
+
+  return task;
+}
+
+/**
+ * Mark one day of a recurring task done or not done, awarding XP for a newly done day
+ * Only the occurrence changes; the task's own status stays as it is
+ * @param {object} task - Recurring task
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {boolean} done
+ * @returns {Promise<object|null>} - The occurrence, or null when it's not done
+ */
+export async function setTaskOccurrence(task, dateKey, done) {
+  const date = new Date(dateKey);
+
+  if (!done) {
+    await prisma.taskOccurrence.deleteMany({ where: { taskId: task.id, date } });
+    return null;
+  }
+
+  const occurrence = await prisma.taskOccurrence.upsert({
+    where: { taskId_date: { taskId: task.id, date } },
+    update: {},
+    create: { taskId: task.id, date }
+  });
+  await awardOccurrenceXp(task, dateKey);
+
+  return occurrence;
+}
+
+/**
+ * Set a planned block's status; a linked Task follows and is rolled up to its milestone
+ * For a recurring task only the plan day's occurrence follows
+ * @param {string} plannedTaskId - PlannedTask to update
+ * @param {string} status - New TaskStatus
+ * @returns {Promise<object>} - The updated planned task with the updated `task` (or null)
+ */
+export async function setPlannedTaskStatus(plannedTaskId, status) {
+  const existingPlannedTask = await prisma.plannedTask.findUnique({
+    where: { id: plannedTaskId },
+    include: { task: true, dailyPlan: { select: { date: true } } }
+  });
+
+  const plannedTask = await prisma.plannedTask.update({
+    where: { id: plannedTaskId },
+    data: { status, completedAt: completedAtFor(status, existingPlannedTask?.completedAt) }
+  });
+
+  let task = null;
+  if (existingPlannedTask?.task?.recurrence) {
+    task = existingPlannedTask.task;
+    await setTaskOccurrence(task, dbDateKey(existingPlannedTask.dailyPlan.date), status === 'COMPLETED');
+  } else if (plannedTask.taskId) {
+    task = await setTaskStatus(plannedTask.taskId, status);
+  }
+
+  return { ...plannedTask, task };
+}
+
+/**
+ * Put a planned block that a focus session had started back to PENDING
+ * Only the block moves: its linked Task keeps whatever status it has, so giving up on a
+ * session never undoes progress. A block finished in the meantime stays COMPLETED
+ * @param {string} plannedTaskId
+ */
+export async function releasePlannedTask(plannedTaskId) {
+  await prisma.plannedTask.updateMany({
+    where: { id: plannedTaskId, status: 'IN_PROGRESS' },
+    data: { status: 'PENDING' }
+  });
+}
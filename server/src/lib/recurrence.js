@@ -0,0 +1,230 @@
+/**
+ * Recurring tasks
+ *
+ * A task with a `recurrence` repeats from `recurrenceStart` until `recurrenceEnd`,
+ * if set. The start defaults to the day the recurrence is set up, in the user's zone:
+ *
+ * - DAILY     every day
+ * - WEEKDAYS  Monday to Friday
+ * - INTERVAL  every `recurrenceInterval` days, counted from the start date
+ * - WEEKLY    on `recurrenceDays` (0 = Sunday ... 6 = Saturday)
+ * - MONTHLY   on the start date's day of the month (the last day in shorter months)
+ *
+ * Each completed day is a TaskOccurrence row; the task's own status only says
+ * whether the habit is still being kept up. Dates are handled as YYYY-MM-DD keys,
+ * the same calendar days daily plans are stored under.
+ */
+
+export const RECURRENCES = ['DAILY', 'WEEKDAYS', 'INTERVAL', 'WEEKLY', 'MONTHLY'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Date keys are parsed as UTC midnight so day arithmetic ignores DST
+function keyToDate(key) {
+  return new Date(`${key}T00:00:00Z`);
+}
+
+/**
+ * The date key `days` days after (or before) another
+ */
+export function addDaysToKey(key, days) {
+  return new Date(keyToDate(key).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(fromKey, toKey) {
+  return Math.round((keyToDate(toKey) - keyToDate(fromKey)) / DAY_MS);
+}
+
+/**
+ * YYYY-MM-DD key for a stored @db.Date value (which comes back as UTC midnight)
+ */
+export function dbDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a string is a YYYY-MM-DD date key of a day that exists
+ * (`new Date` rolls "2026-02-31" over to March 3rd rather than failing)
+ */
+export function isDateKey(value) {
+  if (typeof value !== 'string' || !DATE_KEY_PATTERN.test(value)) return false;
+  const date = keyToDate(value);
+  return !Number.isNaN(date.getTime()) && dbDateKey(date) === value;
+}
+
+/**
+ * First day a recurring task is due
+ * Tasks made recurring before starts were stored were backfilled in the owner's zone;
+ * the UTC day of creation is only a last resort
+ */
+function startKey(task) {
+  return dbDateKey(task.recurrenceStart || task.createdAt);
+}
+
+/**
+ * Check the recurrence fields of a create/update body
+ * @param {{ recurrence?: string|null, recurrenceInterval?: number|null, recurrenceDays?: number[], recurrenceStart?: string|null, recurrenceEnd?: string|null }} rule
+ * @returns {string|null} - Error message, or null when the rule is valid
+ */
+export function validateRecurrence(rule) {
+  const { recurrence, recurrenceInterval, recurrenceDays, recurrenceStart, recurrenceEnd } = rule;
+
+  if (!recurrence) return null;
+
+  if (!RECURRENCES.includes(recurrence)) {
+    return `Recurrence must be one of ${RECURRENCES.join(', ')}`;
+  }
+  if (recurrence === 'INTERVAL' && !(Number.isInteger(recurrenceInterval) && recurrenceInterval >= 1)) {
+    return 'recurrenceInterval must be a whole number of days (1 or more)';
+  }
+  if (recurrence === 'WEEKLY') {
+    const validDays = Array.isArray(recurrenceDays) && recurrenceDays.length > 0
+      && recurrenceDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    if (!validDays) {
+      return 'recurrenceDays must list weekdays from 0 (Sunday) to 6 (Saturday)';
+    }
+  }
+  for (const [field, value] of [['recurrenceStart', recurrenceStart], ['recurrenceEnd', recurrenceEnd]]) {
+    if (value && !isDateKey(value)) {
+      return `${field} must be a YYYY-MM-DD date`;
+    }
+  }
+  if (recurrenceStart && recurrenceEnd && recurrenceEnd < recurrenceStart) {
+    return 'recurrenceEnd must not be before recurrenceStart';
+  }
+
+  return null;
+}
+
+/**
+ * Prisma data for the recurrence fields present in a request body
+ * Clearing `recurrence` turns the task back into a one-off; setting one without a start
+ * date starts it today
+ * @param {object} body
+ * @param {string} todayKey - The user's date key
+ * @param {object|null} [task] - The task being updated
+ * @returns {object}
+ */
+export function recurrenceData(body, todayKey, task = null) {
+  const data = {};
+
+  if (body.recurrence !== undefined) {
+    data.recurrence = body.recurrence || null;
+    if (!body.recurrence) {
+      return { recurrence: null, recurrenceInterval: null, recurrenceDays: [], recurrenceStart: null, recurrenceEnd: null };
+    }
+  }
+  if (body.recurrenceInterval !== undefined) data.recurrenceInterval = body.recurrenceInterval || null;
+  if (body.recurrenceDays !== undefined) data.recurrenceDays = [...new Set(body.recurrenceDays || [])].sort((a, b) => a - b);
+  if (body.recurrenceStart !== undefined) data.recurrenceStart = body.recurrenceStart ? new Date(body.recurrenceStart) : null;
+  if (body.recurrenceEnd !== undefined) data.recurrenceEnd = body.recurrenceEnd ? new Date(body.recurrenceEnd) : null;
+
+  const recurring = body.recurrence !== undefined ? body.recurrence : task?.recurrence;
+  const start = body.recurrenceStart !== undefined ? data.recurrenceStart : task?.recurrenceStart;
+  if (recurring && !start) data.recurrenceStart = keyToDate(todayKey);
+
+  return data;
+}
+
+/**
+ * Whether a recurring task is due on a day
+ * @param {object} task - Task with its recurrence fields
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function occursOn(task, dateKey) {
+  if (!task.recurrence) return false;
+
+  const start = startKey(task);
+  if (dateKey < start) return false;
+  if (task.recurrenceEnd && dateKey > dbDateKey(task.recurrenceEnd)) return false;
+
+  const date = keyToDate(dateKey);
+  const weekday = date.getUTCDay();
+
+  switch (task.recurrence) {
+    case 'DAILY':
+      return true;
+    case 'WEEKDAYS':
+      return weekday >= 1 && weekday <= 5;
+    case 'INTERVAL':
+      return daysBetween(start, dateKey) % (task.recurrenceInterval || 1) === 0;
+    case 'WEEKLY':
+      return (task.recurrenceDays || []).includes(weekday);
+    case 'MONTHLY': {
+      const startDay = keyToDate(start).getUTCDate();
+      const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+      return date.getUTCDate() === Math.min(startDay, daysInMonth);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Days a recurring task is due within an inclusive range
+ * @param {object} task
+ * @param {string} fromKey - YYYY-MM-DD
+ * @param {string} toKey - YYYY-MM-DD
+ * @returns {string[]} - Date keys in order
+ */
+export function occurrencesBetween(task, fromKey, toKey) {
+  const dates = [];
+  for (let key = fromKey; key <= toKey; key = addDaysToKey(key, 1)) {
+    if (occursOn(task, key)) dates.push(key);
+  }
+  return dates;
+}
+
+/**
+ * Current and longest run of completed occurrences, counted in scheduled days
+ * (a weekly habit done every Monday has a streak even though it skips the other days).
+ * Like the daily streak, today's occurrence doesn't break the run until the day is over.
+ * @param {object} task
+ * @param {Iterable<string>} doneKeys - Dates of completed occurrences
+ * @param {string} todayKey - YYYY-MM-DD
+ * @returns {{ current: number, longest: number }}
+ */
+export function habitStreak(task, doneKeys, todayKey) {
+  const done = new Set(doneKeys);
+  const due = occurrencesBetween(task, startKey(task), todayKey);
+
+  let longest = 0;
+  let run = 0;
+  for (const key of due) {
+    run = done.has(key) ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  }
+
+  let current = 0;
+  for (let i = due.length - 1; i >= 0; i--) {
+    if (done.has(due[i])) {
+      current += 1;
+    } else if (due[i] !== todayKey) {
+      break;
+    }
+  }
+
+  return { current, longest };
+}
+
+/**
+ * Habit summary shown with a recurring task, or null for one-off tasks
+ * @param {object} task - Task including `occurrences: [{ date }]`
+ * @param {string} todayKey - YYYY-MM-DD
+ * @returns {{ dueToday: boolean, doneToday: boolean, streak: number, longestStreak: number }|null}
+ */
+export function habitSummary(task, todayKey) {
+  if (!task.recurrence) return null;
+
+  const doneKeys = (task.occurrences || []).map(o => dbDateKey(o.date));
+  const { current, longest } = habitStreak(task, doneKeys, todayKey);
+
+  return {
+    dueToday: occursOn(task, todayKey),
+    doneToday: doneKeys.includes(todayKey),
+    streak: current,
+    longestStreak: longest
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Rolling unfinished planned blocks over to a later day
+ *
+ * Blocks still PENDING or IN_PROGRESS on an earlier day's plan are copied into the
+ * target day's plan, linked back through `rolledOverFromId`. The originals keep
+ * their status and get `rolledOverAt`, so each block is carried over only once.
+ * Copies keep their length and are re-timed into the free working hours around
+ * what's already planned that day and its calendar events; ones that don't fit go
+ * to the end, untimed.
+ * Every goal task carried over has its `deferCount` bumped, and the target plan
+ * gets a ROLLOVER revision.
+ *
+ * Left behind: breaks, blocks whose task has been finished since, and recurring
+ * tasks (a missed occurrence is gone; the next one is due on its own day).
+ */
+
+import prisma from './prisma.js';
+import { toMinutes, toTime } from './timeBlocks.js';
+import { DEFAULT_TASK_MINS } from './dependencies.js';
+import { DEFAULT_WORK_START, DEFAULT_WORK_END, freeIntervals, takeSlot } from './autoSchedule.js';
+import { blockKey, lockPlan, recordRevision } from './planRevisions.js';
+import { busyTime } from './calendarEvents.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Only the last week is carried forward; older leftovers are treated as abandoned
+export const ROLLOVER_LOOKBACK_DAYS = 7;
+
+// Tasks deferred this many times are called out to the planner
+export const CHRONIC_DEFERRAL_COUNT = 3;
+
+const BREAK_TITLE = /^((lunch|coffee|tea|short|long)\s+)?break$|^lunch$/i;
+
+// Another request rolled the same blocks over first
+class AlreadyRolledOver extends Error {}
+
+function blockMins(block) {
+  if (block.estimatedMins) return block.estimatedMins;
+  if (block.startTime && block.endTime) return toMinutes(block.endTime) - toMinutes(block.startTime);
+  return DEFAULT_TASK_MINS;
+}
+
+/**
+ * Carry a user's unfinished blocks from earlier days into a day's plan
+ * Safe to call repeatedly (e.g. every time today's plan is opened)
+ * @param {string} userId
+ * @param {Date} targetDate - The day to roll into, as stored on DailyPlan
+ * @returns {Promise<{ rolledOver: number, plan: object|null }>} - The target plan with its blocks, or null if there was nothing to carry
+ */
+export async function rollOverPlans(userId, targetDate) {
+  const since = new Date(targetDate.getTime() - ROLLOVER_LOOKBACK_DAYS * DAY_MS);
+
+  const unfinished = await prisma.plannedTask.findMany({
+    where: {
+      status: { in: ['PENDING', 'IN_PROGRESS'] },
+      rolledOverAt: null,
+      dailyPlan: { userId, date: { gte: since, lt: targetDate } }
+    },
+    include: { task: { select: { status: true, recurrence: true } } },
+    orderBy: [{ dailyPlan: { date: 'asc' } }, { orderIndex: 'asc' }]
+  });
+
+  const carried = unfinished.filter(block =>
+    !BREAK_TITLE.test(block.title.trim())
+    && !(block.task && (block.task.status === 'COMPLETED' || block.task.recurrence)));
+
+  if (carried.length === 0) {
+    return { rolledOver: 0, plan: null };
+  }
+
+  const events = await prisma.calendarEvent.findMany({ where: { userId, date: targetDate } });
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      // Claim the blocks first; a concurrent rollover waits here and then finds them taken
+      const claimed = await tx.plannedTask.updateMany({
+        where: { id: { in: carried.map(block => block.id) }, rolledOverAt: null },
+        data: { rolledOverAt: new Date() }
+      });
+      if (claimed.count !== carried.length) throw new AlreadyRolledOver();
+
+      const { id: planId } = await tx.dailyPlan.upsert({
+        where: { userId_date: { userId, date: targetDate } },
+        create: { userId, date: targetDate },
+        update: {}
+      });
+      await lockPlan(tx, planId);
+      const plan = await tx.dailyPlan.findUnique({
+        where: { id: planId },
+        include: { tasks: { orderBy: { orderIndex: 'asc' } } }
+      });
+
+      // One copy per task (or per title for unlinked blocks), skipping what the day already has
+      const seen = new Set(plan.tasks.map(blockKey));
+      const copies = carried.filter(block => {
+        if (seen.has(blockKey(block))) return false;
+        seen.add(blockKey(block));
+        return true;
+      });
+
+      const free = freeIntervals(DEFAULT_WORK_START, DEFAULT_WORK_END, [
+        ...plan.tasks.filter(block => block.startTime && block.endTime),
+        ...busyTime(events)
+      ]);
+      const newBlocks = copies.map(block => {
+        const duration = blockMins(block);
+        const start = takeSlot(free, duration);
+        return {
+          title: block.title,
+          description: block.description,
+          estimatedMins: duration,
+          startTime: start === null ? null : toTime(start),
+          endTime: start === null ? null : toTime(start + duration),
+          taskId: block.taskId,
+          milestoneId: block.milestoneId,
+          rolledOverFromId: block.id
+        };
+      });
+
+      // Timed blocks in start order, untimed ones after them in their existing order
+      const ordered = [...plan.tasks, ...newBlocks]
+        .map((block, index) => ({ block, index }))
+        .sort((a, b) => {
+          const startOf = ({ block }) => (block.startTime ? toMinutes(block.startTime) : Infinity);
+          return startOf(a) - startOf(b) || a.index - b.index;
+        })
+        .map(({ block }) => block);
+
+      await Promise.all(ordered.map((block, orderIndex) => (block.id
+        ? tx.plannedTask.update({ where: { id: block.id }, data: { orderIndex } })
+        : tx.plannedTask.create({ data: { ...block, orderIndex, dailyPlanId: plan.id } }))));
+
+      const deferredTaskIds = [...new Set(carried.map(block => block.taskId).filter(Boolean))];
+      if (deferredTaskIds.length > 0) {
+        await tx.task.updateMany({
+          where: { id: { in: deferredTaskIds } },
+          data: { deferCount: { increment: 1 } }
+        });
+      }
+
+      if (newBlocks.length > 0) {
+        await recordRevision(tx, plan.id, { source: 'ROLLOVER' });
+      }
+
+      const updatedPlan = await tx.dailyPlan.findUnique({
+        where: { id: plan.id },
+        include: { tasks: { orderBy: { orderIndex: 'asc' } } }
+      });
+
+      return { rolledOver: newBlocks.length, plan: updatedPlan };
+    });
+  } catch (error) {
+    if (error instanceof AlreadyRolledOver) return { rolledOver: 0, plan: null };
+    throw error;
+  }
+}
+
+/**
+ * Open tasks the user keeps putting off, most deferred first
+ * @param {string} userId
+ * @param {number} [limit]
+ * @returns {Promise<object[]>} - Tasks with their milestone and goal titles
+ */
+export async function chronicallyDeferredTasks(userId, limit = 5) {
+  return prisma.task.findMany({
+    where: {
+      deferCount: { gte: CHRONIC_DEFERRAL_COUNT },
+      status: { not: 'COMPLETED' },
+      milestone: { goal: { userId } }
+    },
+    include: { milestone: { select: { title: true, goal: { select: { title: true } } } } },
+    orderBy: [{ deferCount: 'desc' }, { createdAt: 'asc' }],
+    take: limit
+  });
+}
@@ -0,0 +1,59 @@
+import { chatStructured, StructuredOutputError } from './llm/index.js';
+import { SUGGESTIONS_SCHEMA } from './aiSchemas.js';
+
+/**
+ * Turn a streamed prose suggestion into records the client can accept one by one
+ * Used as streamChat's onComplete for suggest-milestones and suggest-tasks.
+ * A reply that can't be structured still leaves the prose usable, so validation
+ * failures come back as `suggestionsError` instead of failing the stream.
+ * @param {Array} messages - Messages the prose was generated from
+ * @param {string} prose - The streamed reply
+ * @param {'milestone'|'task'} kind
+ * @returns {Promise<{ suggestions: object[], suggestionsError?: string }>}
+ */
+export async function extractSuggestions(messages, prose, kind) {
+  const fieldRules = kind === 'milestone'
+    ? '- "targetDate" is "YYYY-MM-DD" if a date was suggested, otherwise null\n- "estimatedMins" is null'
+    : '- "estimatedMins" is the estimated time in minutes\n- "targetDate" is null';
+
+  const systemPrompt = `Convert the ${kind} suggestions in your previous reply into JSON.
+
+Return ONLY a JSON object with the following structure (no other text, no markdown code blocks):
+{
+  "suggestions": [
+    {
+      "title": "Short title",
+      "description": "Brief description",
+      "estimatedMins": 60,
+      "priority": "HIGH" | "MEDIUM" | "LOW",
+      "targetDate": "2026-01-31",
+      "order": 1
+    }
+  ]
+}
+
+Rules:
+- One entry per suggested ${kind}, in the order they should be done ("order" starts at 1)
+${fieldRules}
+- Use MEDIUM priority when none was given`;
+
+  try {
+    const { suggestions } = await chatStructured(
+      [
+        ...messages,
+        { role: 'assistant', content: prose },
+        { role: 'user', content: `Return those ${kind} suggestions as a JSON object only, no other text.` }
+      ],
+      systemPrompt,
+      { schema: SUGGESTIONS_SCHEMA }
+    );
+
+    return { suggestions: [...suggestions].sort((a, b) => a.order - b.order) };
+  } catch (error) {
+    if (error instanceof StructuredOutputError) {
+      console.error(`Error structuring ${kind} suggestions:`, error.errors);
+      return { suggestions: [], suggestionsError: `AI returned invalid ${kind} suggestions` };
+    }
+    throw error;
+  }
+}
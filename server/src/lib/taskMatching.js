@@ -0,0 +1,88 @@
+// Links free-text schedule blocks (from the AI planner or the client) back to
+// the user's tasks and milestones.
+
+// Minimum word overlap for a fuzzy title match
+const MIN_SIMILARITY = 0.6;
+
+/**
+ * Normalize a title for comparison: lowercase, punctuation stripped, single spaces
+ * @param {string} title
+ * @returns {string}
+ */
+export function normalizeTitle(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Jaccard similarity of the word sets of two titles (0-1)
+ */
+function titleSimilarity(a, b) {
+  const wordsA = new Set(normalizeTitle(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalizeTitle(b).split(' ').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Find the candidate whose title best matches, or null if none is close enough
+ * @param {string} title - Block title
+ * @param {Array<{ title: string }>} candidates
+ */
+function bestTitleMatch(title, candidates) {
+  const normalized = normalizeTitle(title);
+  if (!normalized) return null;
+
+  const exact = candidates.find(c => normalizeTitle(c.title) === normalized);
+  if (exact) return exact;
+
+  let best = null;
+  let bestScore = MIN_SIMILARITY;
+  for (const candidate of candidates) {
+    const score = titleSimilarity(title, candidate.title);
+    if (score >= bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Attach taskId/milestoneId to schedule blocks
+ * Ids supplied on a block are kept only if they refer to one of the given tasks/milestones;
+ * otherwise the block title is matched against task titles, then milestone titles.
+ * @param {Array} blocks - Schedule blocks ({ title, taskId?, milestoneId?, ... })
+ * @param {Array} tasks - The user's tasks ({ id, title, milestoneId })
+ * @param {Array} milestones - The user's milestones ({ id, title })
+ * @returns {Array} - Blocks with taskId and milestoneId set (or null)
+ */
+export function linkBlocksToTasks(blocks, tasks, milestones = []) {
+  const tasksById = new Map(tasks.map(t => [t.id, t]));
+  const milestoneIds = new Set(milestones.map(m => m.id));
+
+  return blocks.map(block => {
+    const task = tasksById.get(block.taskId) || bestTitleMatch(block.title, tasks);
+
+    let milestoneId = task?.milestoneId || null;
+    if (!milestoneId) {
+      milestoneId = milestoneIds.has(block.milestoneId)
+        ? block.milestoneId
+        : bestTitleMatch(block.title, milestones)?.id || null;
+    }
+
+    return {
+      ...block,
+      taskId: task?.id || null,
+      milestoneId
+    };
+  });
+}
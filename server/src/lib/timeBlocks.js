@@ -0,0 +1,231 @@
+// Helpers for "HH:MM" schedule blocks
+
+// 24-hour "HH:MM"
+export const TIME_PATTERN = '^([01][0-9]|2[0-3]):[0-5][0-9]$';
+
+/**
+ * Minutes since midnight for an "HH:MM" time
+ * @param {string} time
+ * @returns {number}
+ */
+export function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * "HH:MM" time for minutes since midnight
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function toTime(minutes) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Check that blocks are well-formed: start before end, estimatedMins equal to
+ * the start/end span, and blocks ordered by start time without overlapping
+ * @param {Array<{ title?: string, startTime: string, endTime: string, estimatedMins?: number }>} blocks
+ * @returns {string[]} - Human-readable errors, empty when valid
+ */
+export function validateScheduleBlocks(blocks) {
+  const errors = [];
+  const timePattern = new RegExp(TIME_PATTERN);
+  let previous = null;
+
+  blocks.forEach((block, i) => {
+    const name = `Block ${i + 1}${block.title ? ` ("${block.title}")` : ''}`;
+
+    if (!timePattern.test(block.startTime || '') || !timePattern.test(block.endTime || '')) {
+      errors.push(`${name} must have startTime and endTime in 24-hour "HH:MM" format`);
+      return;
+    }
+
+    const start = toMinutes(block.startTime);
+    const end = toMinutes(block.endTime);
+
+    if (end <= start) {
+      errors.push(`${name} ends at ${block.endTime}, which is not after its start ${block.startTime}`);
+      return;
+    }
+    if (block.estimatedMins !== undefined && block.estimatedMins !== end - start) {
+      errors.push(`${name} has estimatedMins ${block.estimatedMins} but runs ${end - start} minutes from ${block.startTime} to ${block.endTime}`);
+    }
+    if (previous && start < previous.end) {
+      errors.push(`${name} starts at ${block.startTime}, before the previous block ends at ${previous.endTime}`);
+    }
+
+    previous = { end, endTime: block.endTime };
+  });
+
+  return errors;
+}
+
+/**
+ * Blocks that overlap busy time the schedule has to work around, e.g. calendar events
+ * @param {Array<{ title?: string, startTime: string, endTime: string }>} blocks
+ * @param {Array<{ title: string, startTime: string, endTime: string }>} busy
+ * @returns {string[]} - Human-readable errors, empty when nothing clashes
+ */
+export function busyConflicts(blocks, busy) {
+  const errors = [];
+
+  blocks.forEach((block, i) => {
+    if (!block.startTime || !block.endTime) return;
+    const start = toMinutes(block.startTime);
+    const end = toMinutes(block.endTime);
+
+    for (const slot of busy) {
+      if (start < toMinutes(slot.endTime) && toMinutes(slot.startTime) < end) {
+        errors.push(`Block ${i + 1}${block.title ? ` ("${block.title}")` : ''} runs ${block.startTime}-${block.endTime}, overlapping "${slot.title}" at ${slot.startTime}-${slot.endTime}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+// ============================================================
+// SAVED PLAN BLOCKS
+// ============================================================
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// "9:30", "09:30", "09:30:00", "9:30 pm"...
+const LOOSE_TIME = /^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i;
+
+/**
+ * Read a clock time written a few common ways as 24-hour "HH:MM"
+ * @param {string} value - e.g. "9:30", "09:30:00" or "9:30 PM"
+ * @returns {string|null} - null when it isn't a time of day
+ */
+export function normalizeTime(value) {
+  const match = LOOSE_TIME.exec(String(value).trim());
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const meridiem = match[3]?.[0].toLowerCase();
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+
+  return toTime(hours * 60 + minutes);
+}
+
+/**
+ * Check the blocks of a plan being saved
+ *
+ * Times are normalized to "HH:MM". Blocks may be untimed (no startTime and no endTime);
+ * a block with a start and estimatedMins but no end gets its end filled in, and one with
+ * both times but no estimatedMins gets the span. Conflicts are structured, each with a
+ * `type`, the 0-based `index` of the block and a human-readable `message`:
+ * INVALID_TIME, INVALID_DURATION, MISSING_START, END_BEFORE_START, DURATION_MISMATCH,
+ * OVERLAP (with `otherIndex` and `overlapMins`) and NO_ROOM (a block running past midnight).
+ *
+ * With `autoResolve`, overlaps aren't conflicts: blocks are taken in start order and each
+ * one that overlaps the block before it is pushed to start when that one ends, keeping
+ * its length. Gaps between consecutive timed blocks are reported either way, for information.
+ * @param {object[]} blocks - Plan blocks in the order they'll be saved
+ * @param {{ autoResolve?: boolean }} [options]
+ * @returns {{ blocks: object[], conflicts: object[], gaps: Array<{ afterIndex: number, index: number, startTime: string, endTime: string, mins: number }>, shifted: Array<{ index: number, title: string, from: { startTime, endTime }, to: { startTime, endTime } }> }}
+ *   `blocks` come back in the same order, normalized (and shifted)
+ */
+export function checkPlanBlocks(blocks, { autoResolve = false } = {}) {
+  const conflicts = [];
+  const conflict = (type, index, message, details = {}) => {
+    const title = blocks[index].title;
+    conflicts.push({ type, index, ...details, message: `Block ${index + 1}${title ? ` ("${title}")` : ''} ${message}` });
+  };
+
+  const normalized = blocks.map((block, index) => {
+    const times = {};
+    for (const field of ['startTime', 'endTime']) {
+      const value = block[field];
+      if (value === undefined || value === null || value === '') {
+        times[field] = null;
+        continue;
+      }
+      times[field] = normalizeTime(value);
+      if (!times[field]) {
+        conflict('INVALID_TIME', index, `has ${field} "${value}", which isn't a time of day ("HH:MM")`, { field, value });
+      }
+    }
+    let { startTime, endTime } = times;
+    let estimatedMins = block.estimatedMins ?? null;
+
+    if (estimatedMins !== null && !(Number.isInteger(estimatedMins) && estimatedMins > 0)) {
+      conflict('INVALID_DURATION', index, `has estimatedMins ${JSON.stringify(estimatedMins)}; it must be a whole number of minutes above 0`);
+      return { ...block, startTime, endTime };
+    }
+
+    if (!startTime) {
+      if (endTime) conflict('MISSING_START', index, `has an endTime (${endTime}) but no startTime`);
+      return { ...block, startTime, endTime };
+    }
+
+    if (!endTime && estimatedMins) {
+      if (toMinutes(startTime) + estimatedMins > MINUTES_PER_DAY) {
+        conflict('NO_ROOM', index, `starts at ${startTime} and runs ${estimatedMins} minutes, past midnight`);
+      } else {
+        endTime = toTime(toMinutes(startTime) + estimatedMins);
+      }
+    } else if (endTime) {
+      const span = toMinutes(endTime) - toMinutes(startTime);
+      if (span <= 0) {
+        conflict('END_BEFORE_START', index, `ends at ${endTime}, which is not after its start ${startTime}`);
+      } else if (estimatedMins === null) {
+        estimatedMins = span;
+      } else if (estimatedMins !== span) {
+        conflict('DURATION_MISMATCH', index, `has estimatedMins ${estimatedMins} but runs ${span} minutes from ${startTime} to ${endTime}`, { estimatedMins, spanMins: span });
+      }
+    }
+
+    return { ...block, startTime, endTime, estimatedMins };
+  });
+
+  // Overlaps only make sense once every block's own times are valid
+  if (conflicts.length > 0) return { blocks: normalized, conflicts, gaps: [], shifted: [] };
+
+  const timed = normalized
+    .map((block, index) => ({ block, index }))
+    .filter(({ block }) => block.startTime && block.endTime)
+    .map(entry => ({ ...entry, start: toMinutes(entry.block.startTime), end: toMinutes(entry.block.endTime) }))
+    .sort((a, b) => a.start - b.start || a.index - b.index);
+
+  const shifted = [];
+  const gaps = [];
+  let previous = null;
+
+  for (const entry of timed) {
+    if (previous && entry.start < previous.end) {
+      if (autoResolve) {
+        const length = entry.end - entry.start;
+        const from = { startTime: entry.block.startTime, endTime: entry.block.endTime };
+        entry.start = previous.end;
+        entry.end = previous.end + length;
+        if (entry.end > MINUTES_PER_DAY) {
+          conflict('NO_ROOM', entry.index, `can't be moved after block ${previous.index + 1} without running past midnight`);
+          continue;
+        }
+        entry.block = { ...entry.block, startTime: toTime(entry.start), endTime: toTime(entry.end) };
+        normalized[entry.index] = entry.block;
+        shifted.push({ index: entry.index, title: entry.block.title, from, to: { startTime: entry.block.startTime, endTime: entry.block.endTime } });
+      } else {
+        const overlapMins = Math.min(entry.end, previous.end) - entry.start;
+        conflict('OVERLAP', entry.index, `runs ${entry.block.startTime}-${entry.block.endTime}, overlapping block ${previous.index + 1} (${previous.block.startTime}-${previous.block.endTime}) by ${overlapMins} minutes`, { otherIndex: previous.index, overlapMins });
+      }
+    } else if (previous && entry.start > previous.end) {
+      gaps.push({ afterIndex: previous.index, index: entry.index, startTime: toTime(previous.end), endTime: entry.block.startTime, mins: entry.start - previous.end });
+    }
+
+    // Compare the next block with whichever of the two ends later
+    if (!previous || entry.end > previous.end) previous = entry;
+  }
+
+  return { blocks: normalized, conflicts, gaps, shifted };
+}
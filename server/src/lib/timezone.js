@@ -0,0 +1,133 @@
+/**
+ * Calendar dates and clock times in a user's time zone
+ *
+ * Plan dates are calendar days, stored as @db.Date (midnight UTC of that day) and
+ * passed around as YYYY-MM-DD keys. Which day is "today", and when a block's
+ * "HH:MM" start actually happens, depend on the user's IANA zone (User.timezone),
+ * never on the zone the server runs in.
+ */
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function partsFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function zonedParts(date, timeZone) {
+  return Object.fromEntries(partsFormatter(timeZone)
+    .formatToParts(date)
+    .map(({ type, value }) => [type, value]));
+}
+
+/**
+ * Whether a value is an IANA time zone this runtime knows, e.g. "Asia/Kathmandu"
+ */
+export function isTimeZone(value) {
+  if (typeof value !== 'string' || value.length === 0) return false;
+  try {
+    partsFormatter(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The calendar day an instant falls on in a time zone
+ * @param {Date} date
+ * @param {string} timeZone - IANA zone
+ * @returns {string} - YYYY-MM-DD
+ */
+export function dateKeyInZone(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * The wall-clock time of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone - IANA zone
+ * @returns {string} - "HH:MM"
+ */
+export function timeInZone(date, timeZone) {
+  const { hour, minute } = zonedParts(date, timeZone);
+  return `${hour}:${minute}`;
+}
+
+/**
+ * The hour of the day (0-23) an instant falls in, in a time zone
+ * @param {Date} date
+ * @param {string} timeZone - IANA zone
+ * @returns {number}
+ */
+export function hourInZone(date, timeZone) {
+  return Number(zonedParts(date, timeZone).hour);
+}
+
+/**
+ * Today's date key for a user
+ * @param {string} [timeZone] - IANA zone (default UTC)
+ * @returns {string} - YYYY-MM-DD
+ */
+export function todayInZone(timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  return dateKeyInZone(now, timeZone);
+}
+
+/**
+ * The value a date key is stored as in a @db.Date column
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Date}
+ */
+export function planDateValue(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`);
+}
+
+// How far a zone's wall clock is ahead of UTC at an instant, in ms
+function zoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time happens on a calendar day in a time zone
+ * A time skipped by a DST jump lands just after it (02:30 becomes 03:30); a repeated
+ * time resolves to its first occurrence
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {string} time - "HH:MM"
+ * @param {string} timeZone - IANA zone
+ * @returns {Date}
+ */
+export function zonedDateTime(dateKey, time, timeZone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // The zone's offsets a day either side; they differ only around a DST change
+  const before = zoneOffset(new Date(wallClock - DAY_MS), timeZone);
+  const after = zoneOffset(new Date(wallClock + DAY_MS), timeZone);
+  const [earlier, later] = [Math.max(before, after), Math.min(before, after)];
+
+  for (const offset of [earlier, later]) {
+    if (zoneOffset(new Date(wallClock - offset), timeZone) === offset) return new Date(wallClock - offset);
+  }
+
+  // Neither offset holds: the time falls in a DST gap, so read it with the offset from before the jump
+  return new Date(wallClock - later);
+}
@@ -0,0 +1,34 @@
+import { ACCESS_COOKIE, verifyAccessToken } from '../lib/auth.js';
+import { DEFAULT_TIME_ZONE } from '../lib/timezone.js';
+
+/**
+ * Require a valid access token on the request
+ * Accepts the httpOnly access cookie or an `Authorization: Bearer <token>` header
+ * and exposes the authenticated user as `req.user`, including the time zone their
+ * calendar days are in (tokens minted before zones existed fall back to UTC)
+ */
+export function requireAuth(req, res, next) {
+  const header = req.headers.authorization;
+  const token = header?.startsWith('Bearer ')
+    ? header.slice(7)
+    : req.cookies?.[ACCESS_COOKIE];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const payload = verifyAccessToken(token);
+  if (!payload) {
+    return res.status(401).json({ error: 'Session expired' });
+  }
+
+  req.user = {
+    id: payload.sub,
+    email: payload.email,
+    name: payload.name,
+    timezone: payload.tz || DEFAULT_TIME_ZONE,
+    sessionId: payload.sid,
+  };
+
+  next();
+}
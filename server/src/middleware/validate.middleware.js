@@ -0,0 +1,30 @@
+import { validateSchema } from '../lib/jsonSchema.js';
+
+// Request parts a route spec can give a JSON schema for, in the order they're checked
+const PARTS = ['params', 'query', 'body'];
+
+/**
+ * Check a request against a route's JSON schemas before it reaches the controller
+ * Every problem is reported at once: 400 { error: 'Invalid request', details: [...] }.
+ * The spec stays on the middleware (`apiSpec`), which is where lib/openApi.js reads
+ * the route's documentation from
+ * @param {{ summary: string, description?: string, params?: object, query?: object, body?: object, bodyType?: string, status?: number }} spec
+ *   `bodyType` is the body's media type (default application/json); `status` the success status (default 200)
+ * @returns {Function} - Express middleware
+ */
+export function validate(spec) {
+  const middleware = (req, res, next) => {
+    const errors = PARTS
+      .filter(part => spec[part])
+      .flatMap(part => validateSchema(spec[part], req[part] ?? {}, part));
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    next();
+  };
+
+  middleware.apiSpec = spec;
+  return middleware;
+}
@@ -0,0 +1,11 @@
+import { Router } from 'express';
+import * as analyticsController from '../controllers/analytics.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as analyticsSchemas from '../schemas/analytics.schemas.js';
+
+const router = Router();
+
+// Scores, activity chart, effort split and streaks for a range
+router.get('/', validate(analyticsSchemas.getAnalytics), analyticsController.getAnalytics);
+
+export default router;
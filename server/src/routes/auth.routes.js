@@ -0,0 +1,19 @@
+import { Router } from 'express';
+import * as authController from '../controllers/auth.controller.js';
+import { requireAuth } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as authSchemas from '../schemas/auth.schemas.js';
+
+const router = Router();
+
+// Public endpoints
+router.post('/signup', validate(authSchemas.signup), authController.signup);
+router.post('/login', validate(authSchemas.login), authController.login);
+router.post('/refresh', validate(authSchemas.refresh), authController.refresh);
+router.post('/logout', validate(authSchemas.logout), authController.logout);
+
+// Current user
+router.get('/me', requireAuth, validate(authSchemas.me), authController.me);
+router.patch('/me', requireAuth, validate(authSchemas.updateMe), authController.updateMe);
+
+export default router;
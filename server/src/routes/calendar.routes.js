@@ -0,0 +1,20 @@
+import express, { Router } from 'express';
+import * as calendarController from '../controllers/calendar.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as calendarSchemas from '../schemas/calendar.schemas.js';
+
+const router = Router();
+
+// Import an .ics file, sent as the raw request body
+router.post(
+  '/import',
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }),
+  validate(calendarSchemas.importCalendar),
+  calendarController.importCalendar
+);
+
+// Imported fixed events
+router.get('/events', validate(calendarSchemas.getCalendarEvents), calendarController.getCalendarEvents);
+router.delete('/events/:id', validate(calendarSchemas.deleteCalendarEvent), calendarController.deleteCalendarEvent);
+
+export default router;
@@ -0,0 +1,21 @@
+import { Router } from 'express';
+import * as checkpointsController from '../controllers/checkpoints.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as checkpointsSchemas from '../schemas/checkpoints.schemas.js';
+
+const router = Router();
+
+// Reorder checkpoints
+router.patch('/reorder', validate(checkpointsSchemas.reorderCheckpoints), checkpointsController.reorderCheckpoints);
+
+// CRUD endpoints
+router.put('/:id', validate(checkpointsSchemas.updateCheckpoint), checkpointsController.updateCheckpoint);
+router.delete('/:id', validate(checkpointsSchemas.deleteCheckpoint), checkpointsController.deleteCheckpoint);
+
+// Toggle done
+router.patch('/:id/toggle', validate(checkpointsSchemas.toggleCheckpoint), checkpointsController.toggleCheckpoint);
+
+// Turn a checkpoint into a task
+router.post('/:id/convert', validate(checkpointsSchemas.convertCheckpoint), checkpointsController.convertCheckpoint);
+
+export default router;
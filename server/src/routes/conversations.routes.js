@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import * as conversationsController from '../controllers/conversations.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as conversationsSchemas from '../schemas/conversations.schemas.js';
+
+const router = Router();
+
+// Saved AI chats (goal discussions and planning sessions)
+router.get('/', validate(conversationsSchemas.getConversations), conversationsController.getConversations);
+router.post('/', validate(conversationsSchemas.createConversation), conversationsController.createConversation);
+router.get('/:id', validate(conversationsSchemas.getConversation), conversationsController.getConversation);
+router.patch('/:id', validate(conversationsSchemas.updateConversation), conversationsController.updateConversation);
+router.delete('/:id', validate(conversationsSchemas.deleteConversation), conversationsController.deleteConversation);
+
+export default router;
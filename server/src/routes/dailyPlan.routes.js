@@ -1,10 +1,27 @@
 import { Router } from 'express';
 import * as dailyPlanController from '../controllers/dailyPlan.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as dailyPlanSchemas from '../schemas/dailyPlan.schemas.js';
 
 const router = Router();
 
-router.get('/upcoming', dailyPlanController.getUpcomingPlans);
-router.get('/:date', dailyPlanController.getDailyPlan);
-router.post('/', dailyPlanController.createOrUpdateDailyPlan);
+router.get('/upcoming', validate(dailyPlanSchemas.getUpcomingPlans), dailyPlanController.getUpcomingPlans);
+router.get('/export', validate(dailyPlanSchemas.exportDailyPlans), dailyPlanController.exportDailyPlans);
+router.patch('/tasks/:id/status', validate(dailyPlanSchemas.updatePlannedTaskStatus), dailyPlanController.updatePlannedTaskStatus);
+router.get('/:date', validate(dailyPlanSchemas.getDailyPlan), dailyPlanController.getDailyPlan);
+router.post('/', validate(dailyPlanSchemas.createOrUpdateDailyPlan), dailyPlanController.createOrUpdateDailyPlan);
+
+// Carry unfinished blocks from earlier days forward
+router.post('/rollover', validate(dailyPlanSchemas.rollOverDailyPlan), dailyPlanController.rollOverDailyPlan);
+
+// Revision history of a day's plan
+router.get('/:date/revisions', validate(dailyPlanSchemas.getPlanRevisions), dailyPlanController.getPlanRevisions);
+router.get('/:date/revisions/:number', validate(dailyPlanSchemas.getPlanRevision), dailyPlanController.getPlanRevision);
+router.get('/:date/revisions/:number/diff', validate(dailyPlanSchemas.diffPlanRevision), dailyPlanController.diffPlanRevision);
+router.post('/:date/revisions/:number/restore', validate(dailyPlanSchemas.restorePlanRevision), dailyPlanController.restorePlanRevision);
+
+// Subscribable calendar feed (served publicly by dailyPlanFeed.routes.js)
+router.post('/feed', validate(dailyPlanSchemas.createPlanFeed), dailyPlanController.createPlanFeed);
+router.delete('/feed', validate(dailyPlanSchemas.deletePlanFeed), dailyPlanController.deletePlanFeed);
 
 export default router;
@@ -0,0 +1,11 @@
+import { Router } from 'express';
+import * as dailyPlanController from '../controllers/dailyPlan.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as dailyPlanSchemas from '../schemas/dailyPlan.schemas.js';
+
+const router = Router();
+
+// Calendar apps can't sign in: the token in the URL stands in for the session
+router.get('/:token.ics', validate(dailyPlanSchemas.getPlanFeed), dailyPlanController.getPlanFeed);
+
+export default router;
@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import * as focusController from '../controllers/focus.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as focusSchemas from '../schemas/focus.schemas.js';
+
+const router = Router();
+
+// Running session (for resuming after a reload)
+router.get('/active', validate(focusSchemas.getActiveSession), focusController.getActiveSession);
+
+// Session lifecycle
+router.post('/', validate(focusSchemas.startSession), focusController.startSession);
+router.patch('/:id/pause', validate(focusSchemas.pauseSession), focusController.pauseSession);
+router.patch('/:id/resume', validate(focusSchemas.resumeSession), focusController.resumeSession);
+router.patch('/:id/complete', validate(focusSchemas.completeSession), focusController.completeSession);
+
+export default router;
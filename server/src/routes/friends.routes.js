@@ -0,0 +1,18 @@
+import { Router } from 'express';
+import * as friendsController from '../controllers/friends.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as friendsSchemas from '../schemas/friends.schemas.js';
+
+const router = Router();
+
+// Focus circle
+router.get('/', validate(friendsSchemas.getFriends), friendsController.getFriends);
+router.post('/', validate(friendsSchemas.addFriend), friendsController.addFriend);
+router.delete('/:friendId', validate(friendsSchemas.removeFriend), friendsController.removeFriend);
+
+// Requests: nobody joins a circle without saying yes
+router.get('/requests', validate(friendsSchemas.getFriendRequests), friendsController.getFriendRequests);
+router.post('/requests/:id/accept', validate(friendsSchemas.acceptFriendRequest), friendsController.acceptFriendRequest);
+router.delete('/requests/:id', validate(friendsSchemas.declineFriendRequest), friendsController.declineFriendRequest);
+
+export default router;
@@ -0,0 +1,14 @@
+import { Router } from 'express';
+import * as gamificationController from '../controllers/gamification.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as gamificationSchemas from '../schemas/gamification.schemas.js';
+
+const router = Router();
+
+// Your XP, level, streak and achievements
+router.get('/me', validate(gamificationSchemas.getProfile), gamificationController.getProfile);
+
+// Season rankings (?scope=global|friends)
+router.get('/leaderboard', validate(gamificationSchemas.getLeaderboard), gamificationController.getLeaderboard);
+
+export default router;
@@ -1,25 +1,31 @@
 import { Router } from 'express';
 import * as goalsController from '../controllers/goals.controller.js';
 import * as milestonesController from '../controllers/milestones.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as goalsSchemas from '../schemas/goals.schemas.js';
 
 const router = Router();
 
 // AI endpoints (must be before /:id to avoid conflicts)
-router.post('/discuss', goalsController.discussGoal);
-router.post('/extract-subgoals', goalsController.extractSubgoals);
+router.post('/discuss', validate(goalsSchemas.discussGoal), goalsController.discussGoal);
+router.post('/extract-subgoals', validate(goalsSchemas.extractSubgoals), goalsController.extractSubgoals);
+router.post('/commit-plan', validate(goalsSchemas.commitPlan), goalsController.commitPlan);
 
 // CRUD endpoints
-router.get('/', goalsController.getAllGoals);
-router.post('/', goalsController.createGoal);
-router.get('/:id', goalsController.getGoal);
-router.put('/:id', goalsController.updateGoal);
-router.delete('/:id', goalsController.deleteGoal);
+router.get('/', validate(goalsSchemas.getAllGoals), goalsController.getAllGoals);
+router.post('/', validate(goalsSchemas.createGoal), goalsController.createGoal);
+router.get('/:id', validate(goalsSchemas.getGoal), goalsController.getGoal);
+router.put('/:id', validate(goalsSchemas.updateGoal), goalsController.updateGoal);
+router.delete('/:id', validate(goalsSchemas.deleteGoal), goalsController.deleteGoal);
+
+// Dependency chain that decides the earliest finish
+router.get('/:id/critical-path', validate(goalsSchemas.getCriticalPath), goalsController.getCriticalPath);
 
 // Milestones under a goal
-router.get('/:goalId/milestones', milestonesController.getMilestones);
-router.post('/:goalId/milestones', goalsController.createMilestone);
+router.get('/:goalId/milestones', validate(goalsSchemas.getMilestones), milestonesController.getMilestones);
+router.post('/:goalId/milestones', validate(goalsSchemas.createMilestone), goalsController.createMilestone);
 
 // AI suggestion
-router.post('/:id/ai/suggest-milestones', goalsController.suggestMilestones);
+router.post('/:id/ai/suggest-milestones', validate(goalsSchemas.suggestMilestones), goalsController.suggestMilestones);
 
 export default router;
@@ -1,8 +1,10 @@
 import { Router } from 'express';
 import * as healthController from '../controllers/health.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as healthSchemas from '../schemas/health.schemas.js';
 
 const router = Router();
 
-router.get('/', healthController.checkHealth);
+router.get('/', validate(healthSchemas.checkHealth), healthController.checkHealth);
 
 export default router;
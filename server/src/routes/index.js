@@ -1,19 +1,59 @@
 import { Router } from 'express';
+import { requireAuth } from '../middleware/auth.middleware.js';
+import { openApiDocument } from '../lib/openApi.js';
+import authRoutes from './auth.routes.js';
 import healthRoutes from './health.routes.js';
 import goalsRoutes from './goals.routes.js';
 import milestonesRoutes from './milestones.routes.js';
 import tasksRoutes from './tasks.routes.js';
+import checkpointsRoutes from './checkpoints.routes.js';
 import planningRoutes from './planning.routes.js';
 import dailyPlanRoutes from './dailyPlan.routes.js';
+import dailyPlanFeedRoutes from './dailyPlanFeed.routes.js';
+import focusRoutes from './focus.routes.js';
+import analyticsRoutes from './analytics.routes.js';
+import gamificationRoutes from './gamification.routes.js';
+import friendsRoutes from './friends.routes.js';
+import conversationsRoutes from './conversations.routes.js';
+import calendarRoutes from './calendar.routes.js';
 
 const router = Router();
 
+// Mounted routers, for the OpenAPI document
+const mounts = [];
+
+function mount(path, routes, { auth = true } = {}) {
+  mounts.push({ path, router: routes, auth });
+  router.use(path, routes);
+}
+
+// Public routes
+mount('/health', healthRoutes, { auth: false });
+mount('/auth', authRoutes, { auth: false });
+mount('/daily-plan/feed', dailyPlanFeedRoutes, { auth: false });
+
+// OpenAPI document of every route (built on first request, once all are mounted)
+let apiDocument = null;
+router.get('/docs', (req, res) => {
+  apiDocument ||= openApiDocument(mounts);
+  res.json(apiDocument);
+});
+
+// Everything below requires a signed-in user
+router.use(requireAuth);
+
 // Mount routes
-router.use('/health', healthRoutes);
-router.use('/goals', goalsRoutes);
-router.use('/milestones', milestonesRoutes);
-router.use('/tasks', tasksRoutes);
-router.use('/planning', planningRoutes);
-router.use('/daily-plan', dailyPlanRoutes);
+mount('/goals', goalsRoutes);
+mount('/milestones', milestonesRoutes);
+mount('/tasks', tasksRoutes);
+mount('/checkpoints', checkpointsRoutes);
+mount('/planning', planningRoutes);
+mount('/daily-plan', dailyPlanRoutes);
+mount('/focus-sessions', focusRoutes);
+mount('/analytics', analyticsRoutes);
+mount('/gamification', gamificationRoutes);
+mount('/friends', friendsRoutes);
+mount('/conversations', conversationsRoutes);
+mount('/calendar', calendarRoutes);
 
 export default router;
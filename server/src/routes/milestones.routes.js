@@ -1,20 +1,30 @@
 import { Router } from 'express';
 import * as milestonesController from '../controllers/milestones.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as milestonesSchemas from '../schemas/milestones.schemas.js';
 
 const router = Router();
 
 // CRUD endpoints
-router.get('/:id', milestonesController.getMilestone);
-router.put('/:id', milestonesController.updateMilestone);
-router.delete('/:id', milestonesController.deleteMilestone);
+router.get('/:id', validate(milestonesSchemas.getMilestone), milestonesController.getMilestone);
+router.put('/:id', validate(milestonesSchemas.updateMilestone), milestonesController.updateMilestone);
+router.delete('/:id', validate(milestonesSchemas.deleteMilestone), milestonesController.deleteMilestone);
 
 // Reorder milestones
-router.patch('/reorder', milestonesController.reorderMilestones);
+router.patch('/reorder', validate(milestonesSchemas.reorderMilestones), milestonesController.reorderMilestones);
 
 // Tasks under a milestone
-router.post('/:milestoneId/tasks', milestonesController.createTask);
+router.post('/:milestoneId/tasks', validate(milestonesSchemas.createTask), milestonesController.createTask);
+
+// Checkpoints under a milestone
+router.get('/:milestoneId/checkpoints', validate(milestonesSchemas.getCheckpoints), milestonesController.getCheckpoints);
+router.post('/:milestoneId/checkpoints', validate(milestonesSchemas.createCheckpoint), milestonesController.createCheckpoint);
+
+// Dependencies
+router.post('/:id/dependencies', validate(milestonesSchemas.addMilestoneDependency), milestonesController.addMilestoneDependency);
+router.delete('/:id/dependencies/:dependsOnId', validate(milestonesSchemas.removeMilestoneDependency), milestonesController.removeMilestoneDependency);
 
 // AI suggestion
-router.post('/:id/ai/suggest-tasks', milestonesController.suggestTasks);
+router.post('/:id/ai/suggest-tasks', validate(milestonesSchemas.suggestTasks), milestonesController.suggestTasks);
 
 export default router;
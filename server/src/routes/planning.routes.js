@@ -1,11 +1,16 @@
 import { Router } from 'express';
 import * as planningController from '../controllers/planning.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as planningSchemas from '../schemas/planning.schemas.js';
 
 const router = Router();
 
 // AI planning endpoints (existing)
-router.post('/suggest', planningController.suggestPlan);
-router.post('/tweak', planningController.tweakPlan);
-router.post('/finalize', planningController.finalizePlan);
+router.post('/suggest', validate(planningSchemas.suggestPlan), planningController.suggestPlan);
+router.post('/tweak', validate(planningSchemas.tweakPlan), planningController.tweakPlan);
+router.post('/finalize', validate(planningSchemas.finalizePlan), planningController.finalizePlan);
+
+// Deterministic scheduling (no AI)
+router.post('/auto-schedule', validate(planningSchemas.autoSchedulePlan), planningController.autoSchedulePlan);
 
 export default router;
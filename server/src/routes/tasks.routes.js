@@ -1,20 +1,30 @@
 import { Router } from 'express';
 import * as tasksController from '../controllers/tasks.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as tasksSchemas from '../schemas/tasks.schemas.js';
 
 const router = Router();
 
 // Get all pending tasks (for daily planning)
-router.get('/pending', tasksController.getAllPendingTasks);
+router.get('/pending', validate(tasksSchemas.getAllPendingTasks), tasksController.getAllPendingTasks);
 
 // CRUD endpoints
-router.get('/:id', tasksController.getTask);
-router.put('/:id', tasksController.updateTask);
-router.delete('/:id', tasksController.deleteTask);
+router.get('/:id', validate(tasksSchemas.getTask), tasksController.getTask);
+router.put('/:id', validate(tasksSchemas.updateTask), tasksController.updateTask);
+router.delete('/:id', validate(tasksSchemas.deleteTask), tasksController.deleteTask);
 
 // Toggle task status
-router.patch('/:id/status', tasksController.toggleTaskStatus);
+router.patch('/:id/status', validate(tasksSchemas.toggleTaskStatus), tasksController.toggleTaskStatus);
 
 // Reorder tasks
-router.patch('/reorder', tasksController.reorderTasks);
+router.patch('/reorder', validate(tasksSchemas.reorderTasks), tasksController.reorderTasks);
+
+// Recurring task occurrences
+router.get('/:id/occurrences', validate(tasksSchemas.getOccurrences), tasksController.getOccurrences);
+router.put('/:id/occurrences/:date', validate(tasksSchemas.setOccurrence), tasksController.setOccurrence);
+
+// Dependencies
+router.post('/:id/dependencies', validate(tasksSchemas.addTaskDependency), tasksController.addTaskDependency);
+router.delete('/:id/dependencies/:dependsOnId', validate(tasksSchemas.removeTaskDependency), tasksController.removeTaskDependency);
 
 export default router;
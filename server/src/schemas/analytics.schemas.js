@@ -0,0 +1,9 @@
+import { RANGES } from '../lib/analytics.js';
+import { object } from './common.schemas.js';
+
+export const getAnalytics = {
+  summary: 'Completion, focus and streak numbers for a range',
+  query: object({
+    range: { type: 'string', enum: RANGES }
+  })
+};
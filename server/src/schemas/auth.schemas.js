@@ -0,0 +1,41 @@
+import { object } from './common.schemas.js';
+
+export const signup = {
+  summary: 'Create an account and start a session',
+  status: 201,
+  body: object({
+    // Lengths and the email's shape are checked by the controller, with messages the sign-up form shows
+    name: { type: 'string' },
+    email: { type: 'string' },
+    password: { type: 'string' },
+    // IANA zone, e.g. "Europe/London" (default UTC)
+    timezone: { type: 'string', minLength: 1 }
+  }, ['name', 'email', 'password'])
+};
+
+export const login = {
+  summary: 'Log in with email and password',
+  body: object({
+    email: { type: 'string' },
+    password: { type: 'string' }
+  }, ['email', 'password'])
+};
+
+export const refresh = {
+  summary: 'Swap the refresh cookie for a new access token'
+};
+
+export const logout = {
+  summary: 'End the current session'
+};
+
+export const me = {
+  summary: 'The signed-in user'
+};
+
+export const updateMe = {
+  summary: "Update the signed-in user's settings",
+  body: object({
+    timezone: { type: 'string', minLength: 1 }
+  })
+};
@@ -0,0 +1,26 @@
+import { dateKey, object, idParams } from './common.schemas.js';
+
+export const importCalendar = {
+  summary: 'Import fixed events from an .ics file',
+  description: 'Re-importing a file replaces its events instead of duplicating them.',
+  status: 201,
+  query: object({
+    source: { type: 'string' }
+  }),
+  bodyType: 'text/calendar',
+  body: { type: 'string', minLength: 1 }
+};
+
+export const getCalendarEvents = {
+  summary: 'Imported events between two days',
+  query: object({
+    from: dateKey,
+    to: dateKey
+  })
+};
+
+export const deleteCalendarEvent = {
+  summary: 'Delete an imported event occurrence',
+  status: 204,
+  params: idParams('id')
+};
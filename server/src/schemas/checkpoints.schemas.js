@@ -0,0 +1,37 @@
+import { PRIORITIES, title, minutes, idList, nullable, object, idParams } from './common.schemas.js';
+
+export const reorderCheckpoints = {
+  summary: 'Reorder checkpoints within a milestone',
+  body: object({ checkpointIds: idList }, ['checkpointIds'])
+};
+
+export const updateCheckpoint = {
+  summary: 'Update a checkpoint',
+  params: idParams('id'),
+  body: object({
+    text: title,
+    done: { type: 'boolean' }
+  })
+};
+
+export const deleteCheckpoint = {
+  summary: 'Delete a checkpoint',
+  status: 204,
+  params: idParams('id')
+};
+
+export const toggleCheckpoint = {
+  summary: 'Tick a checkpoint off, or untick it',
+  params: idParams('id'),
+  body: object({ done: { type: 'boolean' } })
+};
+
+export const convertCheckpoint = {
+  summary: 'Turn a checkpoint into a task',
+  status: 201,
+  params: idParams('id'),
+  body: object({
+    estimatedMins: nullable(minutes),
+    priority: nullable({ type: 'string', enum: PRIORITIES })
+  })
+};
@@ -0,0 +1,60 @@
+// Building blocks for the request schemas in this directory (see middleware/validate.middleware.js).
+// Path and query values always arrive as strings, so their schemas are string patterns.
+
+import { TIME_PATTERN } from '../lib/timeBlocks.js';
+
+export const NON_BLANK = '\\S';
+export const UUID_PATTERN = '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$';
+export const DATE_KEY_PATTERN = '^\\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])$';
+// A date, optionally with a time and offset (ISO 8601), as `new Date()` reads it
+export const DATE_TIME_PATTERN = '^\\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:?\\d{2})?)?$';
+
+// Enums of prisma/schema.prisma
+export const GOAL_STATUSES = ['ACTIVE', 'COMPLETED', 'ARCHIVED'];
+export const MILESTONE_STATUSES = ['PENDING', 'IN_PROGRESS', 'COMPLETED'];
+export const TASK_STATUSES = ['PENDING', 'IN_PROGRESS', 'COMPLETED'];
+export const PRIORITIES = ['HIGH', 'MEDIUM', 'LOW'];
+export const PROFICIENCY_LEVELS = ['BEGINNER', 'INTERMEDIATE', 'ADVANCED', 'EXPERT'];
+export const CONVERSATION_KINDS = ['GOAL_DISCUSSION', 'DAILY_PLANNING'];
+export const FOCUS_OUTCOMES = ['COMPLETED', 'ABANDONED'];
+
+export const id = { type: 'string', pattern: UUID_PATTERN };
+export const title = { type: 'string', pattern: NON_BLANK };
+// The format also rules out days a month doesn't have, e.g. 2026-02-31
+export const dateKey = { type: 'string', pattern: DATE_KEY_PATTERN, format: 'date' };
+export const dateTime = { type: 'string', pattern: DATE_TIME_PATTERN };
+export const time = { type: 'string', pattern: TIME_PATTERN };
+export const minutes = { type: 'integer', minimum: 1 };
+export const enableThinking = { type: 'boolean' };
+export const idList = { type: 'array', items: id };
+
+// Query values
+export const wholeNumber = { type: 'string', pattern: '^\\d+$' };
+export const flag = { type: 'string', enum: ['true', 'false'] };
+
+/**
+ * The same schema, also allowing null (for fields that can be cleared)
+ */
+export function nullable(schema) {
+  return {
+    ...schema,
+    type: [schema.type, 'null'],
+    ...(schema.enum && { enum: [...schema.enum, null] })
+  };
+}
+
+/**
+ * An object schema
+ * @param {object} properties
+ * @param {string[]} [required]
+ */
+export function object(properties, required = []) {
+  return { type: 'object', properties, ...(required.length > 0 && { required }) };
+}
+
+/**
+ * Path parameters that are all record ids, e.g. idParams('id', 'dependsOnId')
+ */
+export function idParams(...names) {
+  return object(Object.fromEntries(names.map(name => [name, id])), names);
+}
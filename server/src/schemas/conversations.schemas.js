@@ -0,0 +1,48 @@
+import {
+  CONVERSATION_KINDS, PROFICIENCY_LEVELS,
+  id, dateKey, flag, nullable, object, idParams
+} from './common.schemas.js';
+
+export const getConversations = {
+  summary: "The user's conversations, newest first",
+  query: object({
+    kind: { type: 'string', enum: CONVERSATION_KINDS },
+    goalId: id,
+    planDate: dateKey,
+    planEndDate: dateKey,
+    unlinked: flag
+  })
+};
+
+export const getConversation = {
+  summary: 'A conversation with its messages',
+  params: idParams('id')
+};
+
+export const createConversation = {
+  summary: 'Start a conversation',
+  status: 201,
+  body: object({
+    kind: { type: 'string', enum: CONVERSATION_KINDS },
+    title: nullable({ type: 'string' }),
+    proficiencyLevel: nullable({ type: 'string', enum: PROFICIENCY_LEVELS }),
+    planDate: nullable(dateKey),
+    planEndDate: nullable(dateKey),
+    goalId: nullable(id)
+  }, ['kind'])
+};
+
+export const updateConversation = {
+  summary: 'Rename a conversation or link it to a goal',
+  params: idParams('id'),
+  body: object({
+    title: nullable({ type: 'string' }),
+    goalId: nullable(id)
+  })
+};
+
+export const deleteConversation = {
+  summary: 'Delete a conversation',
+  status: 204,
+  params: idParams('id')
+};
@@ -0,0 +1,104 @@
+import {
+  TASK_STATUSES,
+  id, title, dateKey, wholeNumber, nullable, object
+} from './common.schemas.js';
+
+const dateParams = object({ date: dateKey }, ['date']);
+const revisionParams = object({ date: dateKey, number: wholeNumber }, ['date', 'number']);
+
+// A block as the client sends it; times are checked (and normalized) by checkPlanBlocks,
+// and links to tasks the user doesn't own are dropped rather than rejected
+const planBlock = object({
+  id: nullable({ type: 'string' }),
+  title,
+  description: nullable({ type: 'string' }),
+  estimatedMins: nullable({ type: 'integer' }),
+  startTime: nullable({ type: 'string' }),
+  endTime: nullable({ type: 'string' }),
+  status: nullable({ type: 'string', enum: TASK_STATUSES }),
+  taskId: nullable({ type: 'string' }),
+  milestoneId: nullable({ type: 'string' })
+}, ['title']);
+
+export const getUpcomingPlans = {
+  summary: 'Saved plans for the next few days',
+  query: object({
+    days: wholeNumber,
+    from: dateKey
+  })
+};
+
+export const exportDailyPlans = {
+  summary: 'Saved plans between two days as an .ics file',
+  query: object({
+    from: dateKey,
+    to: dateKey
+  })
+};
+
+export const createPlanFeed = {
+  summary: 'Create a calendar feed URL for saved plans (replaces any earlier one)',
+  status: 201
+};
+
+export const deletePlanFeed = {
+  summary: 'Turn off the calendar feed',
+  status: 204
+};
+
+export const getPlanFeed = {
+  summary: 'Saved plans as a subscribable calendar feed',
+  description: 'Public: the token in the URL stands in for the auth cookies.',
+  params: object({
+    token: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' }
+  }, ['token'])
+};
+
+export const updatePlannedTaskStatus = {
+  summary: "Set a planned block's status (and its linked task's)",
+  params: object({ id }, ['id']),
+  body: object({
+    status: { type: 'string', enum: TASK_STATUSES }
+  }, ['status'])
+};
+
+export const getDailyPlan = {
+  summary: 'The plan for a day',
+  params: dateParams
+};
+
+export const createOrUpdateDailyPlan = {
+  summary: 'Save the plan for a day',
+  description: 'Blocks that overlap or have bad times are reported as conflicts (400) unless autoResolve is set.',
+  body: object({
+    date: dateKey,
+    tasks: { type: 'array', items: planBlock },
+    autoResolve: { type: 'boolean' }
+  }, ['date'])
+};
+
+export const rollOverDailyPlan = {
+  summary: "Carry a day's unfinished blocks over to the next day",
+  body: object({ date: dateKey })
+};
+
+export const getPlanRevisions = {
+  summary: "A day's plan revisions",
+  params: dateParams
+};
+
+export const getPlanRevision = {
+  summary: 'One revision of a plan',
+  params: revisionParams
+};
+
+export const diffPlanRevision = {
+  summary: 'What changed in a revision (against the one before, or ?from=)',
+  params: revisionParams,
+  query: object({ from: wholeNumber })
+};
+
+export const restorePlanRevision = {
+  summary: 'Restore a plan to an earlier revision',
+  params: revisionParams
+};
@@ -0,0 +1,29 @@
+import { FOCUS_OUTCOMES, id, object, idParams } from './common.schemas.js';
+
+export const getActiveSession = {
+  summary: 'The running or paused focus session, if any'
+};
+
+export const startSession = {
+  summary: 'Start a focus session on a planned block',
+  status: 201,
+  body: object({ plannedTaskId: id }, ['plannedTaskId'])
+};
+
+export const pauseSession = {
+  summary: 'Pause a focus session',
+  params: idParams('id')
+};
+
+export const resumeSession = {
+  summary: 'Resume a paused focus session',
+  params: idParams('id')
+};
+
+export const completeSession = {
+  summary: 'End a focus session',
+  params: idParams('id'),
+  body: object({
+    outcome: { type: 'string', enum: FOCUS_OUTCOMES }
+  })
+};
@@ -0,0 +1,35 @@
+import { object, idParams } from './common.schemas.js';
+
+export const getFriends = {
+  summary: "The user's focus circle"
+};
+
+export const getFriendRequests = {
+  summary: 'Friend requests waiting for an answer'
+};
+
+export const addFriend = {
+  summary: 'Ask someone to join the focus circle, by email',
+  description: 'The response is the same whether or not the email has an account.',
+  status: 202,
+  body: object({
+    email: { type: 'string', minLength: 1 }
+  }, ['email'])
+};
+
+export const acceptFriendRequest = {
+  summary: 'Accept a friend request',
+  params: idParams('id')
+};
+
+export const declineFriendRequest = {
+  summary: 'Decline a friend request',
+  status: 204,
+  params: idParams('id')
+};
+
+export const removeFriend = {
+  summary: 'Remove someone from the focus circle',
+  status: 204,
+  params: idParams('friendId')
+};
@@ -0,0 +1,13 @@
+import { wholeNumber, object } from './common.schemas.js';
+
+export const getProfile = {
+  summary: "The user's XP, level, badges and streaks"
+};
+
+export const getLeaderboard = {
+  summary: 'XP leaderboard, overall or among friends',
+  query: object({
+    scope: { type: 'string', enum: ['global', 'friends'] },
+    limit: wholeNumber
+  })
+};
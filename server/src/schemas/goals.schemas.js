@@ -0,0 +1,114 @@
+import { GOAL_PLAN_SCHEMA } from '../lib/aiSchemas.js';
+import {
+  GOAL_STATUSES, PRIORITIES, PROFICIENCY_LEVELS,
+  id, title, dateTime, wholeNumber, enableThinking, nullable, object, idParams
+} from './common.schemas.js';
+
+const goalFields = {
+  description: nullable({ type: 'string' }),
+  targetDate: nullable(dateTime),
+  proficiencyLevel: nullable({ type: 'string', enum: PROFICIENCY_LEVELS }),
+  targetScope: nullable({ type: 'string' }),
+  targetDays: nullable({ type: 'integer', minimum: 1 })
+};
+
+// ============================================================
+// AI ENDPOINTS
+// ============================================================
+
+export const discussGoal = {
+  summary: 'Discuss a goal with the AI (SSE stream)',
+  body: object({
+    conversationId: id,
+    userMessage: nullable({ type: 'string' }),
+    enableThinking
+  }, ['conversationId'])
+};
+
+export const extractSubgoals = {
+  summary: 'Extract milestones and checkpoints from a goal discussion',
+  body: object({
+    conversationId: id,
+    goal: nullable({ type: 'string' })
+  }, ['conversationId'])
+};
+
+export const commitPlan = {
+  summary: 'Create a goal with its milestones, checkpoints and tasks',
+  status: 201,
+  body: GOAL_PLAN_SCHEMA
+};
+
+export const suggestMilestones = {
+  summary: 'Suggest milestones for a goal (SSE stream)',
+  params: idParams('id'),
+  body: object({ enableThinking })
+};
+
+// ============================================================
+// CRUD
+// ============================================================
+
+export const getAllGoals = {
+  summary: "The user's goals with progress"
+};
+
+export const createGoal = {
+  summary: 'Create a goal',
+  status: 201,
+  body: object({ title, ...goalFields }, ['title'])
+};
+
+export const getGoal = {
+  summary: 'A goal with its milestones, tasks and checkpoints',
+  params: idParams('id')
+};
+
+export const updateGoal = {
+  summary: 'Update a goal',
+  params: idParams('id'),
+  body: object({
+    title,
+    status: { type: 'string', enum: GOAL_STATUSES },
+    ...goalFields
+  })
+};
+
+export const deleteGoal = {
+  summary: 'Delete a goal and everything under it',
+  status: 204,
+  params: idParams('id')
+};
+
+export const getCriticalPath = {
+  summary: "The dependency chain that decides a goal's earliest finish",
+  params: idParams('id'),
+  query: object({
+    // Work time per day (default 120)
+    minutesPerDay: wholeNumber
+  })
+};
+
+export const getMilestones = {
+  summary: "A goal's milestones",
+  params: idParams('goalId')
+};
+
+export const createMilestone = {
+  summary: 'Create a milestone under a goal',
+  status: 201,
+  params: idParams('goalId'),
+  body: object({
+    title,
+    description: nullable({ type: 'string' }),
+    targetDate: nullable(dateTime),
+    priority: nullable({ type: 'string', enum: PRIORITIES }),
+    checkpoints: {
+      type: 'array',
+      items: object({
+        text: { type: 'string' },
+        done: { type: 'boolean' }
+      }, ['text'])
+    }
+  }, ['title'])
+};
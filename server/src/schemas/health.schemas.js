@@ -0,0 +1,3 @@
+export const checkHealth = {
+  summary: 'Whether the AI provider answers'
+};
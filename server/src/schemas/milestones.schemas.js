@@ -0,0 +1,77 @@
+import {
+  MILESTONE_STATUSES, PRIORITIES,
+  id, title, dateTime, idList, enableThinking, nullable, object, idParams
+} from './common.schemas.js';
+import { taskFields } from './tasks.schemas.js';
+
+export const getMilestone = {
+  summary: 'A milestone with its tasks and checkpoints',
+  params: idParams('id')
+};
+
+export const updateMilestone = {
+  summary: 'Update a milestone',
+  params: idParams('id'),
+  body: object({
+    title,
+    description: nullable({ type: 'string' }),
+    targetDate: nullable(dateTime),
+    status: { type: 'string', enum: MILESTONE_STATUSES },
+    priority: { type: 'string', enum: PRIORITIES },
+    orderIndex: { type: 'integer', minimum: 0 },
+    autoStatus: { type: 'boolean' }
+  })
+};
+
+export const deleteMilestone = {
+  summary: 'Delete a milestone and everything under it',
+  status: 204,
+  params: idParams('id')
+};
+
+export const reorderMilestones = {
+  summary: 'Reorder milestones within a goal',
+  body: object({ milestoneIds: idList }, ['milestoneIds'])
+};
+
+export const createTask = {
+  summary: 'Create a task under a milestone (recurring when given a recurrence)',
+  status: 201,
+  params: idParams('milestoneId'),
+  body: object({
+    title,
+    priority: nullable({ type: 'string', enum: PRIORITIES }),
+    ...taskFields
+  }, ['title'])
+};
+
+export const getCheckpoints = {
+  summary: "A milestone's checkpoints",
+  params: idParams('milestoneId')
+};
+
+export const createCheckpoint = {
+  summary: 'Add a checkpoint to a milestone',
+  status: 201,
+  params: idParams('milestoneId'),
+  body: object({ text: title }, ['text'])
+};
+
+export const addMilestoneDependency = {
+  summary: 'Make a milestone wait for another',
+  status: 201,
+  params: idParams('id'),
+  body: object({ dependsOnId: id }, ['dependsOnId'])
+};
+
+export const removeMilestoneDependency = {
+  summary: 'Remove a milestone dependency',
+  status: 204,
+  params: idParams('id', 'dependsOnId')
+};
+
+export const suggestTasks = {
+  summary: 'Suggest tasks for a milestone (SSE stream)',
+  params: idParams('id'),
+  body: object({ enableThinking })
+};
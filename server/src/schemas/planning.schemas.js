@@ -0,0 +1,59 @@
+import { id, dateKey, time, enableThinking, nullable, object } from './common.schemas.js';
+
+// The conversation and days a planning request is about (see lib/planDays.js);
+// whether the dates make a valid range is checked by validatePlanDates
+const planningFields = {
+  conversationId: id,
+  date: dateKey,
+  startDate: dateKey,
+  endDate: dateKey
+};
+
+// A break or fixed block for the auto-scheduler
+const busyBlock = object({
+  title: { type: 'string' },
+  startTime: time,
+  endTime: time
+}, ['startTime', 'endTime']);
+
+export const suggestPlan = {
+  summary: 'Suggest a plan for the day(s) from goals and pending tasks (SSE stream)',
+  body: object({
+    ...planningFields,
+    goals: nullable({ type: 'array' }),
+    userPreferences: { type: ['string', 'object', 'null'] },
+    userMessage: nullable({ type: 'string' }),
+    enableThinking
+  }, ['conversationId'])
+};
+
+export const tweakPlan = {
+  summary: 'Change a suggested plan as asked (SSE stream)',
+  body: object({
+    ...planningFields,
+    currentPlan: { type: ['object', 'array', 'string'] },
+    userRequest: { type: 'string', minLength: 1 },
+    enableThinking
+  }, ['conversationId', 'currentPlan', 'userRequest'])
+};
+
+export const finalizePlan = {
+  summary: 'Turn the planning conversation into time blocks',
+  body: object({
+    ...planningFields,
+    userMessage: nullable({ type: 'string' })
+  }, ['conversationId'])
+};
+
+export const autoSchedulePlan = {
+  summary: "Pack pending tasks into a day's free time without the AI",
+  description: 'Nothing is saved: the blocks come back in the shape the daily plan endpoint accepts.',
+  body: object({
+    date: dateKey,
+    workStart: time,
+    workEnd: time,
+    breaks: { type: 'array', items: busyBlock },
+    fixedBlocks: { type: 'array', items: busyBlock },
+    bufferMins: { type: 'integer', minimum: 0 }
+  })
+};
@@ -0,0 +1,94 @@
+import { RECURRENCES } from '../lib/recurrence.js';
+import {
+  PRIORITIES, TASK_STATUSES,
+  id, title, dateKey, dateTime, minutes, idList, nullable, object, idParams
+} from './common.schemas.js';
+
+// Recurrence fields a task can be created or updated with (see lib/recurrence.js);
+// how they fit together is checked by validateRecurrence
+export const recurrenceFields = {
+  recurrence: nullable({ type: 'string', enum: RECURRENCES }),
+  recurrenceInterval: nullable({ type: 'integer', minimum: 1 }),
+  recurrenceDays: nullable({ type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 } }),
+  recurrenceStart: nullable(dateKey),
+  recurrenceEnd: nullable(dateKey)
+};
+
+export const taskFields = {
+  description: nullable({ type: 'string' }),
+  estimatedMins: nullable(minutes),
+  dueDate: nullable(dateTime),
+  ...recurrenceFields
+};
+
+export const getAllPendingTasks = {
+  summary: 'Open tasks for daily planning, with the recurring ones due on a day',
+  query: object({
+    // Default today in the user's zone
+    date: dateKey
+  })
+};
+
+export const getTask = {
+  summary: 'A task',
+  params: idParams('id')
+};
+
+export const updateTask = {
+  summary: 'Update a task',
+  params: idParams('id'),
+  body: object({
+    title,
+    priority: { type: 'string', enum: PRIORITIES },
+    status: { type: 'string', enum: TASK_STATUSES },
+    orderIndex: { type: 'integer', minimum: 0 },
+    ...taskFields
+  })
+};
+
+export const deleteTask = {
+  summary: 'Delete a task',
+  status: 204,
+  params: idParams('id')
+};
+
+export const toggleTaskStatus = {
+  summary: "Set a task's status, or move it to the next one",
+  params: idParams('id'),
+  body: object({
+    status: nullable({ type: 'string', enum: TASK_STATUSES })
+  })
+};
+
+export const reorderTasks = {
+  summary: 'Reorder tasks within a milestone',
+  body: object({ taskIds: idList }, ['taskIds'])
+};
+
+export const getOccurrences = {
+  summary: "A recurring task's due days and which were done",
+  params: idParams('id'),
+  query: object({
+    from: dateKey,
+    to: dateKey
+  })
+};
+
+export const setOccurrence = {
+  summary: 'Mark one day of a recurring task done or not done',
+  params: object({ id, date: dateKey }, ['id', 'date']),
+  body: object({ done: { type: 'boolean' } })
+};
+
+export const addTaskDependency = {
+  summary: 'Make a task wait for another',
+  status: 201,
+  params: idParams('id'),
+  body: object({ dependsOnId: id }, ['dependsOnId'])
+};
+
+export const removeTaskDependency = {
+  summary: 'Remove a task dependency',
+  status: 204,
+  params: idParams('id', 'dependsOnId')
+};
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { autoSchedule, freeIntervals, validateScheduleOptions, compareUrgency } from '../src/lib/autoSchedule.js';
+
+const task = (id, fields = {}) => ({ id, title: id, milestoneId: 'm1', priority: 'MEDIUM', estimatedMins: 60, blocked: false, ...fields });
+const slots = (blocks) => blocks.map(block => [block.title, block.startTime, block.endTime]);
+
+describe('autoSchedule', () => {
+  it('places tasks first-fit by priority, due date and length', () => {
+    const { tasks, unscheduled, freeMins } = autoSchedule([
+      task('low', { priority: 'LOW' }),
+      task('medium long', { estimatedMins: 90 }),
+      task('medium short', { estimatedMins: 30 }),
+      task('high later', { priority: 'HIGH', dueDate: '2026-10-30' }),
+      task('high sooner', { priority: 'HIGH', dueDate: '2026-10-20' })
+    ], { workStart: '09:00', workEnd: '14:00' });
+
+    assert.deepEqual(slots(tasks), [
+      ['high sooner', '09:00', '10:00'],
+      ['high later', '10:00', '11:00'],
+      ['medium short', '11:00', '11:30'],
+      ['medium long', '11:30', '13:00'],
+      ['low', '13:00', '14:00']
+    ]);
+    assert.deepEqual(unscheduled, []);
+    assert.equal(freeMins, 0);
+  });
+
+  it('works around breaks, fixed blocks and calendar events, keeping a buffer after each task', () => {
+    const { tasks, unscheduled, freeMins } = autoSchedule([
+      task('a', { estimatedMins: 45 }),
+      task('b', { estimatedMins: 60 }),
+      task('pinned')
+    ], {
+      workStart: '09:00',
+      workEnd: '12:00',
+      breaks: [{ startTime: '10:00', endTime: '10:15' }],
+      fixedBlocks: [{ title: 'Pinned work', startTime: '11:00', endTime: '12:00', taskId: 'pinned' }],
+      events: [{ title: 'Stand-up', startTime: '09:00', endTime: '09:15' }],
+      bufferMins: 10
+    });
+
+    // "a" and its buffer use up 09:15-10:00, and the 45 minutes left before the pinned block are too short for "b"
+    assert.deepEqual(slots(tasks), [
+      ['a', '09:15', '10:00'],
+      ['Break', '10:00', '10:15'],
+      ['Pinned work', '11:00', '12:00']
+    ]);
+    assert.equal(tasks[2].taskId, 'pinned');
+    assert.deepEqual(unscheduled, [{ taskId: 'b', title: 'b', reason: 'no room', estimatedMins: 60 }]);
+    assert.equal(freeMins, 45);
+  });
+
+  it('leaves blocked tasks out', () => {
+    const { tasks, unscheduled } = autoSchedule([task('waiting', { blocked: true })]);
+
+    assert.deepEqual(tasks, []);
+    assert.deepEqual(unscheduled, [{ taskId: 'waiting', title: 'waiting', reason: 'blocked', estimatedMins: 60 }]);
+  });
+});
+
+describe('compareUrgency', () => {
+  it('puts HIGH first and undated tasks after dated ones', () => {
+    const sorted = [
+      task('low', { priority: 'LOW' }),
+      task('high undated', { priority: 'HIGH' }),
+      task('medium', {}),
+      task('high dated', { priority: 'HIGH', dueDate: new Date('2026-11-01') })
+    ].sort(compareUrgency);
+
+    assert.deepEqual(sorted.map(t => t.id), ['high dated', 'high undated', 'medium', 'low']);
+  });
+});
+
+describe('freeIntervals', () => {
+  it('subtracts overlapping busy time and ignores what lies outside working hours', () => {
+    assert.deepEqual(freeIntervals('09:00', '17:00', [
+      { startTime: '12:30', endTime: '13:30' },
+      { startTime: '12:00', endTime: '13:00' },
+      { startTime: '07:00', endTime: '09:30' },
+      { startTime: '17:30', endTime: '18:00' }
+    ]), [
+      { start: 570, end: 720 },
+      { start: 810, end: 1020 }
+    ]);
+  });
+});
+
+describe('validateScheduleOptions', () => {
+  it('accepts the defaults', () => {
+    assert.equal(validateScheduleOptions({}), null);
+  });
+
+  it('rejects impossible working days and clashing busy blocks', () => {
+    assert.equal(validateScheduleOptions({ workStart: '17:00', workEnd: '09:00' }), 'workEnd must be after workStart');
+    assert.match(validateScheduleOptions({ bufferMins: -5 }), /bufferMins/);
+    assert.match(validateScheduleOptions({
+      breaks: [{ startTime: '12:00', endTime: '13:00' }],
+      fixedBlocks: [{ title: 'Call', startTime: '12:30', endTime: '13:30' }]
+    }), /before the previous block ends/);
+  });
+});
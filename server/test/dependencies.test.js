@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { criticalPath, createsCycle, taskDependencyCycle, milestoneDependencyCycle, DEFAULT_TASK_MINS } from '../src/lib/dependencies.js';
+
+const task = (id, milestoneId, estimatedMins, fields = {}) => ({ id, milestoneId, status: 'PENDING', estimatedMins, ...fields });
+
+describe('criticalPath', () => {
+  it('follows the longest chain of remaining work and reports slack elsewhere', () => {
+    // a (60) -> b (30) and a -> c (90): c is on the critical path, b can slip an hour
+    const tasks = [task('a', 'm1', 60), task('b', 'm1', 30), task('c', 'm1', 90)];
+    const edges = [{ from: 'b', to: 'a' }, { from: 'c', to: 'a' }];
+
+    const { path, totalMins, schedule } = criticalPath(tasks, edges, []);
+
+    assert.deepEqual(path, ['a', 'c']);
+    assert.equal(totalMins, 150);
+    assert.deepEqual(schedule.get('b'), { start: 60, finish: 90, slack: 60 });
+    assert.deepEqual(schedule.get('c'), { start: 60, finish: 150, slack: 0 });
+  });
+
+  it('expands milestone dependencies to their tasks', () => {
+    const tasks = [task('a', 'm1', 30), task('b', 'm1', 45), task('c', 'm2', 20)];
+
+    const { path, totalMins } = criticalPath(tasks, [], [{ from: 'm2', to: 'm1' }]);
+
+    assert.deepEqual(path, ['b', 'c']);
+    assert.equal(totalMins, 65);
+  });
+
+  it('counts finished work as done and unestimated work at the default length', () => {
+    const tasks = [task('a', 'm1', 60, { status: 'COMPLETED' }), task('b', 'm1', null)];
+
+    const { path, totalMins } = criticalPath(tasks, [{ from: 'b', to: 'a' }], []);
+
+    assert.deepEqual(path, ['b']);
+    assert.equal(totalMins, DEFAULT_TASK_MINS);
+  });
+
+  it('leaves recurring tasks out', () => {
+    const tasks = [task('habit', 'm1', 600, { recurrence: 'DAILY' }), task('a', 'm1', 30)];
+
+    const { path, totalMins, schedule } = criticalPath(tasks, [], []);
+
+    assert.deepEqual(path, ['a']);
+    assert.equal(totalMins, 30);
+    assert.equal(schedule.has('habit'), false);
+  });
+});
+
+describe('dependency cycles', () => {
+  it('spots a dependency that would close a loop', () => {
+    const edges = [{ from: 'b', to: 'a' }, { from: 'c', to: 'b' }];
+    assert.equal(createsCycle(edges, 'a', 'c'), true);
+    assert.equal(createsCycle(edges, 'c', 'a'), false);
+    assert.equal(createsCycle(edges, 'a', 'a'), true);
+  });
+
+  it('counts milestone dependencies when linking tasks, and task links when linking milestones', () => {
+    const graph = {
+      tasks: [task('a', 'm1', 30), task('b', 'm2', 30)],
+      taskEdges: [],
+      milestoneEdges: [{ from: 'm2', to: 'm1' }]
+    };
+    assert.equal(taskDependencyCycle(graph, 'a', 'b'), true);
+
+    const linked = { ...graph, taskEdges: [{ from: 'b', to: 'a' }], milestoneEdges: [] };
+    assert.equal(milestoneDependencyCycle(linked, 'm1', 'm2'), true);
+    assert.equal(milestoneDependencyCycle(linked, 'm2', 'm1'), false);
+  });
+});
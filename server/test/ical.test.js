@@ -0,0 +1,209 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseICalendar, parseDuration, writeICalendar } from '../src/lib/ical.js';
+import { expandCalendarEvents } from '../src/lib/calendarEvents.js';
+
+const ics = (...lines) => lines.join('\r\n');
+
+const CALENDAR = ics(
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'X-WR-CALNAME:Work\\, mostly',
+  'X-WR-TIMEZONE:Europe/London',
+  'BEGIN:VTIMEZONE',
+  'TZID:Europe/London',
+  'END:VTIMEZONE',
+  'BEGIN:VEVENT',
+  'UID:standup@example.com',
+  'SUMMARY:Stand-up',
+  'DESCRIPTION:Daily sync\\nBring blockers',
+  'DTSTART;TZID=Europe/London:20261019T093000',
+  'DURATION:PT15M',
+  'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20261031T000000Z',
+  'EXDATE;TZID=Europe/London:20261021T093000',
+  'BEGIN:VALARM',
+  'SUMMARY:Alarm text',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:standup@example.com',
+  'RECURRENCE-ID;TZID=Europe/London:20261023T093000',
+  'SUMMARY:Stand-up (moved)',
+  'DTSTART;TZID=Europe/London:20261023T110000',
+  'DTEND;TZID=Europe/London:20261023T111500',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:offsite@example.com',
+  'SUMMARY:Offsite',
+  'DTSTART;VALUE=DATE:20261026',
+  'DTEND;VALUE=DATE:20261028',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:call@example.com',
+  'SUMMARY:Long call with a summary that goes on for a wh',
+  ' ile',
+  'DTSTART:20261020T230000Z',
+  'DTEND:20261021T003000Z',
+  'END:VEVENT',
+  'END:VCALENDAR'
+);
+
+describe('parseICalendar', () => {
+  it('reads events with their times, rules and exceptions, skipping nested components', () => {
+    const calendar = parseICalendar(CALENDAR);
+
+    assert.equal(calendar.name, 'Work, mostly');
+    assert.equal(calendar.timeZone, 'Europe/London');
+    assert.equal(calendar.events.length, 4);
+
+    const [standup, moved, offsite, call] = calendar.events;
+    assert.equal(standup.title, 'Stand-up');
+    assert.equal(standup.description, 'Daily sync\nBring blockers');
+    assert.deepEqual(standup.start, { date: '2026-10-19', time: '09:30', utc: false, tzid: 'Europe/London' });
+    assert.equal(standup.durationMins, 15);
+    assert.deepEqual(standup.rrule, {
+      freq: 'WEEKLY',
+      interval: 1,
+      count: null,
+      until: { date: '2026-10-31', time: '00:00', utc: true, tzid: null },
+      byDay: ['MO', 'WE', 'FR']
+    });
+    assert.deepEqual(standup.exdates.map(point => point.date), ['2026-10-21']);
+
+    assert.deepEqual(moved.recurrenceId, { date: '2026-10-23', time: '09:30', utc: false, tzid: 'Europe/London' });
+    assert.deepEqual(offsite.start, { date: '2026-10-26', time: null, utc: false, tzid: null });
+    assert.equal(call.title, 'Long call with a summary that goes on for a while');
+  });
+
+  it('reads durations', () => {
+    assert.equal(parseDuration('PT1H30M'), 90);
+    assert.equal(parseDuration('P1DT2H'), 26 * 60);
+    assert.equal(parseDuration('P1W'), 7 * 24 * 60);
+    assert.equal(parseDuration('-PT15M'), -15);
+    assert.equal(parseDuration('soon'), null);
+  });
+});
+
+describe('expandCalendarEvents', () => {
+  it('expands recurrences into per-day occurrences in the user\'s zone', () => {
+    const { occurrences, skipped } = expandCalendarEvents(parseICalendar(CALENDAR), {
+      timeZone: 'Europe/London',
+      fromKey: '2026-10-19',
+      toKey: '2026-10-31'
+    });
+
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(occurrences.map(({ title, date, startTime, endTime, allDay }) => [title, date, startTime, endTime, allDay]), [
+      ['Stand-up', '2026-10-19', '09:30', '09:45', false],
+      // The 21st is excluded and the 23rd moved; the 23:00Z call is midnight in London (still on BST)
+      ['Long call with a summary that goes on for a while', '2026-10-21', '00:00', '01:30', false],
+      ['Stand-up (moved)', '2026-10-23', '11:00', '11:15', false],
+      // All-day events come first; the stand-up stays at 09:30 after the clocks go back on the 25th
+      ['Offsite', '2026-10-26', null, null, true],
+      ['Stand-up', '2026-10-26', '09:30', '09:45', false],
+      ['Offsite', '2026-10-27', null, null, true],
+      ['Stand-up', '2026-10-28', '09:30', '09:45', false],
+      ['Stand-up', '2026-10-30', '09:30', '09:45', false]
+    ]);
+  });
+
+  it('splits an event that crosses midnight into one piece per day', () => {
+    const { occurrences } = expandCalendarEvents(parseICalendar(CALENDAR), {
+      timeZone: 'UTC',
+      fromKey: '2026-10-20',
+      toKey: '2026-10-21'
+    });
+
+    const call = occurrences.filter(occurrence => occurrence.uid === 'call@example.com');
+    assert.deepEqual(call.map(({ date, startTime, endTime }) => [date, startTime, endTime]), [
+      ['2026-10-20', '23:00', '23:59'],
+      ['2026-10-21', '00:00', '00:30']
+    ]);
+  });
+
+  it('reports events it can\'t place', () => {
+    const { occurrences, skipped } = expandCalendarEvents(parseICalendar(ics(
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT', 'UID:a', 'SUMMARY:Cancelled', 'STATUS:CANCELLED', 'DTSTART:20261020T090000Z', 'DURATION:PT1H', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:b', 'SUMMARY:Hourly', 'DTSTART:20261020T090000Z', 'DURATION:PT5M', 'RRULE:FREQ=HOURLY', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:c', 'SUMMARY:Instant', 'DTSTART:20261020T090000Z', 'END:VEVENT',
+      'END:VCALENDAR'
+    )), { timeZone: 'UTC', fromKey: '2026-10-20', toKey: '2026-10-20' });
+
+    assert.deepEqual(occurrences, []);
+    assert.deepEqual(skipped.map(({ uid, reason }) => [uid, reason]), [
+      ['a', 'cancelled'],
+      ['b', 'repeats hourly, which isn\'t supported'],
+      ['c', 'no duration']
+    ]);
+  });
+});
+
+describe('writeICalendar', () => {
+  const now = new Date('2026-10-18T12:00:00Z');
+
+  it('writes UTC events with escaped text and CRLF lines', () => {
+    const text = writeICalendar({
+      name: 'Momentum plans',
+      events: [{
+        uid: 'block-1@momentum',
+        title: 'Write; edit, repeat',
+        description: 'Line one\nLine two',
+        start: new Date('2026-10-19T08:00:00Z'),
+        end: new Date('2026-10-19T09:30:00Z'),
+        status: 'CONFIRMED',
+        sequence: 2
+      }, {
+        uid: 'day-1@momentum',
+        title: 'Holiday',
+        allDay: true,
+        start: '2026-10-20',
+        end: '2026-10-21'
+      }]
+    }, now);
+
+    assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(!/[^\r]\n/.test(text));
+    const lines = text.split('\r\n');
+    for (const line of [
+      'X-WR-CALNAME:Momentum plans',
+      'DTSTAMP:20261018T120000Z',
+      'DTSTART:20261019T080000Z',
+      'DTEND:20261019T093000Z',
+      'SUMMARY:Write\\; edit\\, repeat',
+      'DESCRIPTION:Line one\\nLine two',
+      'SEQUENCE:2',
+      'DTSTART;VALUE=DATE:20261020',
+      'DTEND;VALUE=DATE:20261021'
+    ]) {
+      assert.ok(lines.includes(line), `missing ${line}`);
+    }
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const title = 'Ünïcödé '.repeat(20).trim();
+    const text = writeICalendar({ events: [{ uid: 'x', title, start: now, end: now }] }, now);
+
+    for (const line of text.split('\r\n')) {
+      assert.ok(Buffer.byteLength(line) <= 75, `${Buffer.byteLength(line)} octets: ${line}`);
+    }
+    assert.equal(parseICalendar(text).events[0].title, title);
+  });
+
+  it('reads back what it writes', () => {
+    const start = new Date('2026-10-19T08:00:00Z');
+    const end = new Date('2026-10-19T09:30:00Z');
+    const text = writeICalendar({ name: 'Plans', events: [{ uid: 'block-1', title: 'Deep work', start, end }] }, now);
+
+    const { occurrences } = expandCalendarEvents(parseICalendar(text), { timeZone: 'Europe/Berlin', fromKey: '2026-10-19', toKey: '2026-10-19' });
+    assert.deepEqual(occurrences, [{
+      uid: 'block-1',
+      title: 'Deep work',
+      location: null,
+      date: '2026-10-19',
+      startTime: '10:00',
+      endTime: '11:30',
+      allDay: false
+    }]);
+  });
+});
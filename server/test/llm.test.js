@@ -0,0 +1,147 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { chat, chatStructured, streamChat, setProvider, createFakeProvider, StructuredOutputError } from '../src/lib/llm/index.js';
+import { SCHEDULE_SCHEMA, scheduleReplyValidator } from '../src/lib/aiSchemas.js';
+import { linkBlocksToTasks } from '../src/lib/taskMatching.js';
+
+const block = (title, startTime, endTime, estimatedMins, taskId = null) => ({ title, description: `Work on ${title}`, startTime, endTime, estimatedMins, taskId });
+
+// Collects what streamChat writes to the response
+function fakeResponse() {
+  return {
+    headers: {},
+    body: '',
+    ended: false,
+    setHeader(name, value) { this.headers[name] = value; },
+    flushHeaders() {},
+    write(chunk) { this.body += chunk; },
+    end() { this.ended = true; },
+    events() {
+      return this.body.split('\n\n').filter(Boolean).map(event => JSON.parse(event.replace(/^data: /, '')));
+    }
+  };
+}
+
+afterEach(() => {
+  setProvider(null);
+  mock.restoreAll();
+});
+
+describe('chatStructured', () => {
+  it('shows the model what was wrong with a schedule and takes the repaired reply', async () => {
+    mock.method(console, 'warn', () => {});
+    const provider = createFakeProvider({
+      responses: [
+        // Overlaps the stand-up, and the second block's length doesn't match its times
+        { schedule: [block('Write', '09:00', '10:00', 60), block('Email', '10:00', '10:30', 45)] },
+        { schedule: [block('Write', '09:30', '10:30', 60), block('Email', '10:30', '11:00', 30)] }
+      ]
+    });
+    setProvider(provider);
+
+    const busy = [{ title: 'Stand-up', startTime: '09:00', endTime: '09:15' }];
+    const reply = await chatStructured([{ role: 'user', content: 'Plan my morning' }], 'You plan days.', {
+      schema: SCHEDULE_SCHEMA,
+      validate: scheduleReplyValidator(busy),
+      maxAttempts: 3
+    });
+
+    assert.deepEqual(reply.schedule.map(b => [b.title, b.startTime, b.endTime]), [
+      ['Write', '09:30', '10:30'],
+      ['Email', '10:30', '11:00']
+    ]);
+    assert.equal(provider.calls.length, 2);
+    assert.equal(provider.calls[0].schema, SCHEDULE_SCHEMA);
+
+    const repair = provider.calls[1].messages.at(-1);
+    assert.equal(repair.role, 'user');
+    assert.match(repair.content, /Block 2 \("Email"\) has estimatedMins 45 but runs 30 minutes/);
+    assert.match(repair.content, /overlapping "Stand-up" at 09:00-09:15/);
+  });
+
+  it('gives up after maxAttempts with the last errors', async () => {
+    mock.method(console, 'warn', () => {});
+    setProvider(createFakeProvider({ responses: ['not json', { schedule: 'later' }] }));
+
+    await assert.rejects(
+      chatStructured([{ role: 'user', content: 'Plan' }], '', { schema: SCHEDULE_SCHEMA, maxAttempts: 2 }),
+      (error) => {
+        assert.ok(error instanceof StructuredOutputError);
+        assert.deepEqual(error.errors, ['response.schedule must be array']);
+        return true;
+      }
+    );
+  });
+
+  it('accepts the schema-shaped sample the fake provider falls back to', async () => {
+    setProvider(createFakeProvider());
+
+    const reply = await chatStructured([{ role: 'user', content: 'Plan' }], '', { schema: SCHEDULE_SCHEMA, maxAttempts: 1 });
+
+    assert.equal(reply.schedule.length, 1);
+  });
+});
+
+describe('chat', () => {
+  it('drops the thinking before the answer', async () => {
+    setProvider(createFakeProvider({ responses: ['<think>Hmm.</think>\n\nStart with the report.'] }));
+
+    assert.equal(await chat([{ role: 'user', content: 'What first?' }], 'Be brief.'), 'Start with the report.');
+  });
+});
+
+describe('streamChat', () => {
+  it('streams chunks as server-sent events and finishes with the full reply', async () => {
+    setProvider(createFakeProvider({ responses: ['<think>Planning</think>Break it into three milestones.'] }));
+    const res = fakeResponse();
+
+    const content = await streamChat(res, [{ role: 'user', content: 'Help me plan' }], 'Coach', false, {
+      onComplete: async (fullContent) => ({ words: fullContent.split(' ').length })
+    });
+
+    const events = res.events();
+    assert.equal(content, 'Break it into three milestones.');
+    assert.equal(events.filter(event => !event.done).map(event => event.text).join(''), content);
+    assert.deepEqual(events.at(-1), { words: 5, text: '', done: true, fullContent: content });
+    assert.ok(res.ended);
+  });
+
+  it('ends the stream with a generic error when the provider fails', async () => {
+    mock.method(console, 'error', () => {});
+    setProvider({
+      async *stream() {
+        yield 'Partial ';
+        throw new Error('connection reset by upstream at 10.0.0.7');
+      }
+    });
+    const res = fakeResponse();
+
+    await assert.rejects(streamChat(res, [{ role: 'user', content: 'Hi' }]), /connection reset/);
+    assert.deepEqual(res.events().at(-1), { error: 'Failed to stream the reply', done: true });
+    assert.ok(res.ended);
+  });
+});
+
+describe('linkBlocksToTasks', () => {
+  it('keeps known task ids and matches the rest by title', () => {
+    const tasks = [
+      { id: 't1', title: 'Draft the quarterly report', milestoneId: 'm1' },
+      { id: 't2', title: 'Reply to email', milestoneId: 'm2' }
+    ];
+    const milestones = [{ id: 'm1', title: 'Reporting' }, { id: 'm3', title: 'Fitness' }];
+
+    const linked = linkBlocksToTasks([
+      block('Report', '09:00', '10:00', 60, 't1'),
+      block('Draft the quarterly report!', '10:00', '11:00', 60),
+      block('Email', '11:00', '11:30', 30, 'made-up-id'),
+      block('Fitness', '18:00', '19:00', 60)
+    ], tasks, milestones);
+
+    assert.deepEqual(linked.map(b => [b.taskId, b.milestoneId]), [
+      ['t1', 'm1'],
+      ['t1', 'm1'],
+      [null, null],
+      [null, 'm3']
+    ]);
+  });
+});
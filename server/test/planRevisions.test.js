@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchBlocks, diffBlocks, blockKey } from '../src/lib/planRevisions.js';
+
+const block = (id, title, startTime, endTime, fields = {}) => ({ id, title, startTime, endTime, taskId: null, ...fields });
+
+describe('matchBlocks', () => {
+  it('matches by id first, then by linked task, then by title', () => {
+    const previous = [
+      block('1', 'Write', '09:00', '10:00'),
+      block('2', 'Email', '10:00', '10:30', { taskId: 't-email' }),
+      block('3', 'Lunch', '12:00', '13:00')
+    ];
+    const next = [
+      { title: ' lunch ', startTime: '12:30', endTime: '13:30', taskId: null },
+      { title: 'Inbox zero', startTime: '10:00', endTime: '10:30', taskId: 't-email' },
+      { id: '1', title: 'Write more', startTime: '09:00', endTime: '11:00', taskId: null },
+      { title: 'Gym', startTime: '18:00', endTime: '19:00', taskId: null }
+    ];
+
+    assert.deepEqual(matchBlocks(previous, next).map(match => match?.id ?? null), ['3', '2', '1', null]);
+  });
+
+  it('claims each previous block at most once', () => {
+    const previous = [block('1', 'Break', '10:00', '10:15')];
+    const next = [
+      { title: 'Break', startTime: '10:00', endTime: '10:15' },
+      { title: 'Break', startTime: '15:00', endTime: '15:15' }
+    ];
+
+    assert.deepEqual(matchBlocks(previous, next).map(match => match?.id ?? null), ['1', null]);
+  });
+
+  it('lets an id claim a block before a title match can', () => {
+    const previous = [block('1', 'Review', '09:00', '10:00')];
+    const next = [
+      { title: 'Review', startTime: '14:00', endTime: '15:00' },
+      { id: '1', title: 'Review', startTime: '09:00', endTime: '10:00' }
+    ];
+
+    assert.deepEqual(matchBlocks(previous, next).map(match => match?.id ?? null), [null, '1']);
+  });
+});
+
+describe('diffBlocks', () => {
+  it('lists added, removed and retimed blocks', () => {
+    const from = [
+      block('1', 'Write', '09:00', '10:00'),
+      block('2', 'Email', '10:00', '10:30'),
+      block('3', 'Call', '11:00', '11:30')
+    ];
+    const to = [
+      block('1', 'Write', '09:00', '10:00'),
+      block('3', 'Call', '14:00', '14:30'),
+      block('4', 'Gym', '18:00', '19:00')
+    ];
+
+    const { added, removed, retimed } = diffBlocks(from, to);
+
+    assert.deepEqual(added.map(b => b.id), ['4']);
+    assert.deepEqual(removed.map(b => b.id), ['2']);
+    assert.deepEqual(retimed, [{
+      id: '3',
+      title: 'Call',
+      from: { startTime: '11:00', endTime: '11:30' },
+      to: { startTime: '14:00', endTime: '14:30' }
+    }]);
+  });
+
+  it('finds nothing between identical versions', () => {
+    const blocks = [block('1', 'Write', '09:00', '10:00'), block('2', 'Untimed', null, null)];
+    assert.deepEqual(diffBlocks(blocks, blocks), { added: [], removed: [], retimed: [] });
+  });
+});
+
+describe('blockKey', () => {
+  it('prefers the linked task and ignores case and spacing in titles', () => {
+    assert.equal(blockKey({ title: 'Write', taskId: 't1' }), 't1');
+    assert.equal(blockKey({ title: '  Deep Work ' }), blockKey({ title: 'deep work' }));
+  });
+});
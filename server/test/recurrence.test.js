@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isDateKey, occurrencesBetween, habitSummary, validateRecurrence } from '../src/lib/recurrence.js';
+
+// A stored task as Prisma returns it: @db.Date columns come back as UTC midnight
+const task = (fields) => ({ recurrenceStart: new Date('2026-10-01T00:00:00Z'), createdAt: new Date('2026-09-01T12:00:00Z'), ...fields });
+
+describe('isDateKey', () => {
+  it('accepts real days only', () => {
+    assert.equal(isDateKey('2024-02-29'), true);
+    assert.equal(isDateKey('2026-02-29'), false);
+    assert.equal(isDateKey('2026-13-01'), false);
+    assert.equal(isDateKey('2026-10-1'), false);
+  });
+});
+
+describe('occurrencesBetween', () => {
+  it('expands daily and weekday rules from the start date', () => {
+    assert.deepEqual(occurrencesBetween(task({ recurrence: 'DAILY' }), '2026-09-29', '2026-10-03'), [
+      '2026-10-01', '2026-10-02', '2026-10-03'
+    ]);
+    // 2026-10-03 and 04 are a weekend
+    assert.deepEqual(occurrencesBetween(task({ recurrence: 'WEEKDAYS' }), '2026-10-01', '2026-10-06'), [
+      '2026-10-01', '2026-10-02', '2026-10-05', '2026-10-06'
+    ]);
+  });
+
+  it('counts intervals from the start date', () => {
+    assert.deepEqual(occurrencesBetween(task({ recurrence: 'INTERVAL', recurrenceInterval: 3 }), '2026-10-01', '2026-10-10'), [
+      '2026-10-01', '2026-10-04', '2026-10-07', '2026-10-10'
+    ]);
+  });
+
+  it('repeats weekly on the listed weekdays', () => {
+    // Mondays and Wednesdays
+    assert.deepEqual(occurrencesBetween(task({ recurrence: 'WEEKLY', recurrenceDays: [1, 3] }), '2026-10-01', '2026-10-14'), [
+      '2026-10-05', '2026-10-07', '2026-10-12', '2026-10-14'
+    ]);
+  });
+
+  it('falls back to the last day of shorter months for monthly tasks', () => {
+    const monthly = task({ recurrence: 'MONTHLY', recurrenceStart: new Date('2026-01-31T00:00:00Z') });
+    assert.deepEqual(occurrencesBetween(monthly, '2026-01-01', '2026-04-30'), [
+      '2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30'
+    ]);
+  });
+
+  it('stops after the end date', () => {
+    const ending = task({ recurrence: 'DAILY', recurrenceEnd: new Date('2026-10-02T00:00:00Z') });
+    assert.deepEqual(occurrencesBetween(ending, '2026-10-01', '2026-10-05'), ['2026-10-01', '2026-10-02']);
+  });
+
+  it('never expands one-off tasks', () => {
+    assert.deepEqual(occurrencesBetween(task({ recurrence: null }), '2026-10-01', '2026-10-05'), []);
+  });
+});
+
+describe('habitSummary', () => {
+  const done = (...keys) => keys.map(key => ({ date: new Date(`${key}T00:00:00Z`) }));
+
+  it('counts streaks in scheduled days and spares today until it is over', () => {
+    const weekly = task({ recurrence: 'WEEKLY', recurrenceDays: [1], occurrences: done('2026-10-05', '2026-10-12') });
+    // Monday the 19th isn't done yet, but the day isn't over
+    assert.deepEqual(habitSummary(weekly, '2026-10-19'), { dueToday: true, doneToday: false, streak: 2, longestStreak: 2 });
+  });
+
+  it('breaks the streak on a missed occurrence', () => {
+    const daily = task({ recurrence: 'DAILY', occurrences: done('2026-10-01', '2026-10-02', '2026-10-03', '2026-10-05') });
+    assert.deepEqual(habitSummary(daily, '2026-10-05'), { dueToday: true, doneToday: true, streak: 1, longestStreak: 3 });
+  });
+
+  it('is null for one-off tasks', () => {
+    assert.equal(habitSummary(task({ recurrence: null }), '2026-10-05'), null);
+  });
+});
+
+describe('validateRecurrence', () => {
+  it('accepts a complete rule', () => {
+    assert.equal(validateRecurrence({ recurrence: 'WEEKLY', recurrenceDays: [1, 5], recurrenceStart: '2026-10-01' }), null);
+  });
+
+  it('explains what is wrong with a rule', () => {
+    assert.match(validateRecurrence({ recurrence: 'HOURLY' }), /^Recurrence must be one of/);
+    assert.match(validateRecurrence({ recurrence: 'INTERVAL', recurrenceInterval: 0 }), /recurrenceInterval/);
+    assert.match(validateRecurrence({ recurrence: 'WEEKLY', recurrenceDays: [7] }), /recurrenceDays/);
+    assert.equal(validateRecurrence({ recurrence: 'DAILY', recurrenceStart: '2026-02-30' }), 'recurrenceStart must be a YYYY-MM-DD date');
+    assert.equal(
+      validateRecurrence({ recurrence: 'DAILY', recurrenceStart: '2026-10-05', recurrenceEnd: '2026-10-01' }),
+      'recurrenceEnd must not be before recurrenceStart'
+    );
+  });
+});
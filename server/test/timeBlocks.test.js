@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkPlanBlocks, normalizeTime } from '../src/lib/timeBlocks.js';
+
+describe('normalizeTime', () => {
+  it('reads the common ways of writing a time', () => {
+    assert.equal(normalizeTime('9:30'), '09:30');
+    assert.equal(normalizeTime('09:30:00'), '09:30');
+    assert.equal(normalizeTime('9:30 pm'), '21:30');
+    assert.equal(normalizeTime('12:15 AM'), '00:15');
+  });
+
+  it('rejects values that are not times of day', () => {
+    assert.equal(normalizeTime('24:00'), null);
+    assert.equal(normalizeTime('13:00 pm'), null);
+    assert.equal(normalizeTime('soon'), null);
+  });
+});
+
+describe('checkPlanBlocks', () => {
+  it('normalizes times and fills in missing ends and durations', () => {
+    const { blocks, conflicts } = checkPlanBlocks([
+      { title: 'Write', startTime: '9:00', estimatedMins: 45 },
+      { title: 'Review', startTime: '10:00', endTime: '10:30' },
+      { title: 'Someday' }
+    ]);
+
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(blocks.map(({ startTime, endTime, estimatedMins }) => ({ startTime, endTime, estimatedMins })), [
+      { startTime: '09:00', endTime: '09:45', estimatedMins: 45 },
+      { startTime: '10:00', endTime: '10:30', estimatedMins: 30 },
+      { startTime: null, endTime: null, estimatedMins: undefined }
+    ]);
+  });
+
+  it('reports each malformed block with its type and index', () => {
+    const { conflicts } = checkPlanBlocks([
+      { title: 'A', startTime: '12:00', endTime: 'later' },
+      { title: 'B', endTime: '10:00' },
+      { title: 'C', startTime: '11:00', endTime: '10:00' },
+      { title: 'D', startTime: '14:00', endTime: '15:00', estimatedMins: 30 },
+      { title: 'E', startTime: '23:30', estimatedMins: 60 },
+      { title: 'F', estimatedMins: 0 }
+    ]);
+
+    assert.deepEqual(conflicts.map(({ type, index }) => [type, index]), [
+      ['INVALID_TIME', 0],
+      ['MISSING_START', 1],
+      ['END_BEFORE_START', 2],
+      ['DURATION_MISMATCH', 3],
+      ['NO_ROOM', 4],
+      ['INVALID_DURATION', 5]
+    ]);
+    assert.match(conflicts[3].message, /^Block 4 \("D"\) has estimatedMins 30 but runs 60 minutes/);
+  });
+
+  it('reports overlaps against the block that runs latest, and gaps between blocks', () => {
+    const { conflicts, gaps } = checkPlanBlocks([
+      { title: 'Long', startTime: '09:00', endTime: '11:00' },
+      { title: 'Short', startTime: '09:30', endTime: '10:00' },
+      { title: 'Late', startTime: '10:30', endTime: '11:30' }
+    ]);
+
+    assert.deepEqual(conflicts.map(({ type, index, otherIndex, overlapMins }) => ({ type, index, otherIndex, overlapMins })), [
+      { type: 'OVERLAP', index: 1, otherIndex: 0, overlapMins: 30 },
+      { type: 'OVERLAP', index: 2, otherIndex: 0, overlapMins: 30 }
+    ]);
+    assert.deepEqual(gaps, []);
+
+    const spaced = checkPlanBlocks([
+      { title: 'A', startTime: '09:00', endTime: '10:00' },
+      { title: 'B', startTime: '10:15', endTime: '11:00' }
+    ]);
+    assert.deepEqual(spaced.gaps, [{ afterIndex: 0, index: 1, startTime: '10:00', endTime: '10:15', mins: 15 }]);
+  });
+
+  it('pushes overlapping blocks back with autoResolve, keeping their length and order', () => {
+    const { blocks, conflicts, shifted } = checkPlanBlocks([
+      { title: 'B', startTime: '09:30', endTime: '10:30' },
+      { title: 'A', startTime: '09:00', endTime: '10:00' }
+    ], { autoResolve: true });
+
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(blocks.map(block => [block.title, block.startTime, block.endTime]), [
+      ['B', '10:00', '11:00'],
+      ['A', '09:00', '10:00']
+    ]);
+    assert.deepEqual(shifted, [{
+      index: 0,
+      title: 'B',
+      from: { startTime: '09:30', endTime: '10:30' },
+      to: { startTime: '10:00', endTime: '11:00' }
+    }]);
+  });
+
+  it('reports a block autoResolve would push past midnight', () => {
+    const { conflicts } = checkPlanBlocks([
+      { title: 'Evening', startTime: '22:00', endTime: '23:30' },
+      { title: 'Night', startTime: '23:00', endTime: '23:59' }
+    ], { autoResolve: true });
+
+    assert.deepEqual(conflicts.map(({ type, index }) => [type, index]), [['NO_ROOM', 1]]);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { zonedDateTime, dateKeyInZone, timeInZone, hourInZone, todayInZone, isTimeZone } from '../src/lib/timezone.js';
+
+describe('zonedDateTime', () => {
+  it('reads wall-clock times with the offset in force that day', () => {
+    assert.equal(zonedDateTime('2026-07-01', '09:00', 'Europe/London').toISOString(), '2026-07-01T08:00:00.000Z');
+    assert.equal(zonedDateTime('2026-12-01', '09:00', 'Europe/London').toISOString(), '2026-12-01T09:00:00.000Z');
+    assert.equal(zonedDateTime('2026-10-19', '09:00', 'Asia/Kolkata').toISOString(), '2026-10-19T03:30:00.000Z');
+    assert.equal(zonedDateTime('2026-10-19', '09:00', 'UTC').toISOString(), '2026-10-19T09:00:00.000Z');
+  });
+
+  it('moves a time skipped by the spring-forward jump to just after it', () => {
+    // Clocks in New York go from 02:00 to 03:00 on 2026-03-08
+    assert.equal(zonedDateTime('2026-03-08', '02:30', 'America/New_York').toISOString(), '2026-03-08T07:30:00.000Z');
+    assert.equal(timeInZone(zonedDateTime('2026-03-08', '02:30', 'America/New_York'), 'America/New_York'), '03:30');
+    assert.equal(zonedDateTime('2026-03-08', '03:00', 'America/New_York').toISOString(), '2026-03-08T07:00:00.000Z');
+  });
+
+  it('reads a time repeated by the fall-back jump as its first occurrence', () => {
+    // Clocks in London go from 02:00 back to 01:00 on 2026-10-25; 01:30 happens twice
+    assert.equal(zonedDateTime('2026-10-25', '01:30', 'Europe/London').toISOString(), '2026-10-25T00:30:00.000Z');
+    assert.equal(zonedDateTime('2026-10-25', '02:30', 'Europe/London').toISOString(), '2026-10-25T02:30:00.000Z');
+  });
+
+  it('round-trips through dateKeyInZone and timeInZone', () => {
+    for (const zone of ['Australia/Sydney', 'America/Los_Angeles', 'Pacific/Chatham']) {
+      const instant = zonedDateTime('2026-04-05', '23:45', zone);
+      assert.equal(dateKeyInZone(instant, zone), '2026-04-05', zone);
+      assert.equal(timeInZone(instant, zone), '23:45', zone);
+    }
+  });
+});
+
+describe('zone helpers', () => {
+  const instant = new Date('2026-10-18T23:30:00Z');
+
+  it('gives the day, time and hour an instant falls on in a zone', () => {
+    assert.equal(dateKeyInZone(instant, 'Europe/Berlin'), '2026-10-19');
+    assert.equal(timeInZone(instant, 'Europe/Berlin'), '01:30');
+    assert.equal(hourInZone(instant, 'America/Chicago'), 18);
+    assert.equal(todayInZone('Asia/Tokyo', instant), '2026-10-19');
+    assert.equal(todayInZone(undefined, instant), '2026-10-18');
+  });
+
+  it('recognizes IANA zone names only', () => {
+    assert.equal(isTimeZone('Europe/Paris'), true);
+    assert.equal(isTimeZone('Mars/Olympus_Mons'), false);
+    assert.equal(isTimeZone(''), false);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate } from '../src/middleware/validate.middleware.js';
+import { createOrUpdateDailyPlan, getDailyPlan } from '../src/schemas/dailyPlan.schemas.js';
+
+// Runs a validate() middleware and reports whether it passed the request on, or what it sent
+function run(spec, req) {
+  const result = { next: false, status: null, body: null };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; }
+  };
+  validate(spec)({ params: {}, query: {}, body: {}, ...req }, res, () => { result.next = true; });
+  return result;
+}
+
+describe('validate', () => {
+  it('passes valid requests on to the controller', () => {
+    const result = run(createOrUpdateDailyPlan, {
+      body: { date: '2028-02-29', tasks: [{ title: 'Write', startTime: '9:00', endTime: '10:00' }] }
+    });
+
+    assert.deepEqual(result, { next: true, status: null, body: null });
+  });
+
+  it('reports every problem at once in the documented shape', () => {
+    const result = run(createOrUpdateDailyPlan, {
+      body: { tasks: [{ title: ' ' }], autoResolve: 'yes' }
+    });
+
+    assert.equal(result.next, false);
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.body, {
+      error: 'Invalid request',
+      details: [
+        'body.date is required',
+        'body.tasks[0].title must match \\S',
+        'body.autoResolve must be boolean'
+      ]
+    });
+  });
+
+  it('rejects dates that are not on the calendar', () => {
+    for (const date of ['2026-13-01', '2026-00-10', '2026-02-29', '2026-04-31']) {
+      const result = run(getDailyPlan, { params: { date } });
+      assert.equal(result.status, 400, date);
+      assert.equal(result.body.error, 'Invalid request', date);
+      assert.equal(result.body.details.length, 1, date);
+    }
+  });
+});